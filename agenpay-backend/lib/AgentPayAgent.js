@@ -5,19 +5,27 @@
  */
 
 import { z } from 'zod';
-import { StateGraph, MemorySaver, Annotation } from '@langchain/langgraph';
+import { StateGraph, Annotation, Command, interrupt } from '@langchain/langgraph';
 import { ToolNode } from '@langchain/langgraph/prebuilt';
-import { ChatOpenAI } from '@langchain/openai';
 import { SystemMessage, HumanMessage, ToolMessage } from '@langchain/core/messages';
 import { tool } from '@langchain/core/tools';
 import axios from 'axios';
-import nodemailer from 'nodemailer';
 import { Client } from '@notionhq/client';
 import { PrismaClient } from '@prisma/client';
 import { Coinbase, Wallet } from '@coinbase/coinbase-sdk';
-import X402PayService from './X402PayService.js';
+import X402PayService, { PAYMENT_REQUEST_STATUSES } from './X402PayService.js';
 import SchedulingService from './SchedulingService.js';
 import NotionService from './NotionService.js';
+import EmailService from './EmailService.js';
+import PrismaCheckpointSaver from './PrismaCheckpointSaver.js';
+import ChatThreadService, { getDefaultThreadId } from './ChatThreadService.js';
+import ApprovalService from './ApprovalService.js';
+import WalletService, { TOKEN_REGISTRY } from './WalletService.js';
+import PaymentHistoryService from './PaymentHistoryService.js';
+import PaymentExtractor from './PaymentExtractor.js';
+import { getLlmConfig, createChatModel, describeLlmConfig } from './LlmProvider.js';
+import { parseAmount, isPositiveAmount } from './Money.js';
+import { hashPayload } from './IdempotencyService.js';
 
 // 🎯 LangGraph State Schema with proper message appending
 const AgentState = Annotation.Root({
@@ -47,6 +55,37 @@ const AgentState = Annotation.Root({
   }),
 });
 
+// 💸 Validation shared by the tools that move funds out of the user's wallet
+const walletAddressSchema = z.string()
+  .regex(/^0x[a-fA-F0-9]{40}$/, 'Must be a 0x wallet address with 40 hex characters');
+const tokenAmountSchema = z.string()
+  .regex(/^\d+(\.\d+)?$/, 'Must be a plain decimal amount such as "0.01"')
+  .refine(isPositiveAmount, 'Amount must be greater than 0');
+const networkSchema = z.enum(Object.keys(TOKEN_REGISTRY));
+const outgoingPaymentSchema = z.object({
+  toAddress: walletAddressSchema.describe('Recipient wallet address'),
+  amount: tokenAmountSchema.describe('Amount to send as a decimal string, e.g. "0.01"'),
+  currency: z.string().min(1).describe('Token symbol, e.g. ETH or USDC'),
+  network: networkSchema.optional().describe("Network to send on (default: the user's wallet network)"),
+  recipientName: z.string().nullable().optional(),
+  description: z.string().nullable().optional()
+});
+const OUTGOING_PAYMENT_STATUSES = ['scheduled', 'processing', 'retrying', 'completed', 'failed', 'dead_letter', 'cancelled'];
+
+// 🔎 Filters shared by the read-only payment history tools
+const isoDateSchema = z.string()
+  .refine(date => !isNaN(Date.parse(date)), 'Must be an ISO 8601 date or date-time');
+const historyFilterSchema = z.object({
+  from: isoDateSchema.optional().describe('Only records on or after this ISO 8601 date-time'),
+  to: isoDateSchema.optional().describe('Only records on or before this ISO 8601 date-time'),
+  minAmount: z.number().nonnegative().optional(),
+  maxAmount: z.number().nonnegative().optional(),
+  currency: z.string().min(1).optional().describe('Token symbol, e.g. USDC'),
+  limit: z.number().int().min(1).max(100).optional().describe('Most records to list (default 20); the summary always covers every match')
+});
+const TRANSACTION_TYPES = ['INCOMING', 'RECEIVE', 'SEND', 'OUTGOING', 'REFUND', 'SWAP'];
+const TRANSACTION_STATUSES = ['PENDING', 'PROCESSING', 'COMPLETED', 'FAILED'];
+
 export class AgenPayAgent {
   constructor(userId, userConfig = {}, sharedServices = {}) {
     this.userId = userId;
@@ -56,11 +95,12 @@ export class AgenPayAgent {
     this.isRunning = false;
     this.intervalId = null;
     this.graph = null;
-    this.memory = new MemorySaver();
+    // Conversation state is checkpointed to Postgres so it survives restarts
+    this.memory = sharedServices.checkpointer || new PrismaCheckpointSaver({ prisma: this.prisma });
+    this.chatThreadService = sharedServices.chatThreadService || new ChatThreadService({ prisma: this.prisma, checkpointer: this.memory });
     
     // Initialize configurations
     this.config = {
-      openaiApiKey: process.env.OPENAI_API_KEY,
       emailService: process.env.EMAIL_SERVICE || 'gmail',
       emailUser: process.env.EMAIL_USER || 'test@example.com',
       emailPass: process.env.EMAIL_PASS || 'mock-password',
@@ -69,6 +109,7 @@ export class AgenPayAgent {
       defaultNetwork: process.env.DEFAULT_NETWORK || 'base-sepolia',
       agentName: process.env.AGENT_NAME || 'AgenPay AI',
       monitoringInterval: parseInt(process.env.MONITORING_INTERVAL_MINUTES) || 1,
+      timezone: 'UTC',
       ...userConfig
     };
 
@@ -78,17 +119,16 @@ export class AgenPayAgent {
 
   async setupServices() {
     try {
-      // Setup email transporter
-      this.emailTransporter = nodemailer.createTransport({
+      // Setup email service (use shared instance if provided)
+      this.emailService = this.sharedServices.emailService || new EmailService({
         service: this.config.emailService,
-        auth: {
-          user: this.config.emailUser,
-          pass: this.config.emailPass,
-        },
+        user: this.config.emailUser,
+        pass: this.config.emailPass,
+        from: this.config.emailFrom,
       });
       
       // Log email configuration status
-      const isRealEmail = this.config.emailUser !== 'test@example.com' && this.config.emailPass !== 'mock-password';
+      const isRealEmail = this.emailService.isLive();
       console.log(`📧 [User ${this.userId}] Email setup: ${isRealEmail ? '✅ REAL Gmail configured' : '🧪 MOCK mode'}`);
       if (isRealEmail) {
         console.log(`📧 [User ${this.userId}] Email from: ${this.config.emailFrom}`);
@@ -118,14 +158,42 @@ export class AgenPayAgent {
         console.log(`⚠️ [User ${this.userId}] Creating new X402PayService instance (not recommended)`);
       }
 
-      // Setup Scheduling service
-      this.schedulingService = new SchedulingService();
+      // Setup Scheduling service (use shared instance if provided)
+      this.schedulingService = this.sharedServices.schedulingService || new SchedulingService({
+        x402PayService: this.x402PayService,
+        emailService: this.emailService,
+      });
+
+      // Setup Wallet service (shared with the scheduler, which executes outgoing payments)
+      this.walletService = this.sharedServices.walletService || this.schedulingService.walletService || new WalletService();
 
-      // Setup OpenAI LLM
-      this.llm = new ChatOpenAI({
-        model: 'gpt-4o-mini',
-        apiKey: this.config.openaiApiKey,
-        temperature: 0.3,
+      // Setup Ledger (every transfer is posted there; agent stats are read back from it)
+      this.ledgerService = this.sharedServices.ledgerService || this.walletService.ledgerService;
+
+      // Setup Idempotency (a chat message retried with the same Idempotency-Key reuses its payment links)
+      this.idempotencyService = this.sharedServices.idempotencyService || this.schedulingService.idempotencyService || null;
+
+      // Setup Payment history service (read-only lookups for the history tools)
+      this.paymentHistoryService = this.sharedServices.paymentHistoryService || new PaymentHistoryService({ prisma: this.prisma });
+
+      // Setup Approval service (use shared instance if provided)
+      this.approvalService = this.sharedServices.approvalService || new ApprovalService({
+        prisma: this.prisma,
+        emailService: this.emailService,
+      });
+
+      // Setup chat model (LLM_* deployment settings, overridden per user; tests can pass one in)
+      if (this.sharedServices.llm) {
+        this.llm = this.sharedServices.llm;
+      } else {
+        this.configureLlm(this.config.llm);
+      }
+
+      // Setup payment extraction (structured model output, regex fallback when offline)
+      this.paymentExtractor = this.sharedServices.paymentExtractor || new PaymentExtractor({
+        llm: this.llm,
+        defaultCurrency: this.config.defaultCurrency,
+        defaultNetwork: this.config.defaultNetwork,
       });
 
       // Setup tools and graph with error handling
@@ -144,6 +212,23 @@ export class AgenPayAgent {
     }
   }
 
+  /**
+   * Build the chat model from the deployment LLM settings plus the user's overrides.
+   * Also used to switch models on a running agent when the user changes their settings.
+   */
+  configureLlm(llmSettings = null) {
+    const llmConfig = getLlmConfig(llmSettings);
+    this.config.llm = llmSettings;
+    this.llm = createChatModel(llmConfig);
+
+    if (this.paymentExtractor) {
+      this.paymentExtractor.llm = this.llm;
+    }
+
+    const { provider, model, baseUrl } = describeLlmConfig(llmConfig);
+    console.log(`🧠 [User ${this.userId}] LLM: ${provider} ${model}${baseUrl ? ` at ${baseUrl}` : ''}`);
+  }
+
   setupTools() {
     // Simplified tools setup to avoid compatibility issues
     console.log(`🔧 [User ${this.userId}] Setting up simplified tools...`);
@@ -156,63 +241,15 @@ export class AgenPayAgent {
       this.extractPaymentDetails = tool(
         async ({ input }) => {
           console.log(`🔍 [User ${this.userId}] Extracting payment details from:`, input);
-          
-          // Enhanced regex patterns for better extraction
-          const amountMatch = input.match(/(\$?[\d,]+\.?\d*)\s*(ETH|BTC|USD|EUR|USDC|USDT)?/i);
-          const emailMatch = input.match(/[\w\.-]+@[\w\.-]+\.\w+/);
-          const addressMatch = input.match(/(0x[a-fA-F0-9]{40})/);
-          const descriptionMatch = input.match(/for\s+(.+?)(?:\s+to\s+|\s+at\s+|\s+from\s+|$)/i);
-          const nameMatch = input.match(/to\s+([\w\s]+?)(?:\s+at\s+|\s+\(|$)/i);
-          
-          // Transaction type detection
-          let transactionType = 'ask_payment';
-          if (input.toLowerCase().includes('refund') || input.toLowerCase().includes('ask and refund')) {
-            transactionType = 'ask_and_refund';
-          } else if (input.toLowerCase().includes('subscription')) {
-            transactionType = 'subscription';
-          }
-          
-          // Schedule type detection
-          let scheduleType = 'immediate';
-          let scheduledDate = null;
-          if (input.toLowerCase().includes('schedule') || input.toLowerCase().includes('later')) {
-            scheduleType = 'scheduled';
-            const dateMatch = input.match(/on\s+([\d\-\/]+)|in\s+(\d+)\s+(days?|weeks?|months?)/i);
-            if (dateMatch) {
-              if (dateMatch[1]) {
-                scheduledDate = new Date(dateMatch[1]).toISOString();
-              } else if (dateMatch[2] && dateMatch[3]) {
-                const amount = parseInt(dateMatch[2]);
-                const unit = dateMatch[3].toLowerCase();
-                const future = new Date();
-                if (unit.startsWith('day')) future.setDate(future.getDate() + amount);
-                else if (unit.startsWith('week')) future.setDate(future.getDate() + amount * 7);
-                else if (unit.startsWith('month')) future.setMonth(future.getMonth() + amount);
-                scheduledDate = future.toISOString();
-              }
-            }
-          }
-          
-          const result = {
-            amount: amountMatch ? amountMatch[1].replace(/[\$,]/g, '') : null,
-            currency: amountMatch ? (amountMatch[2] || this.config.defaultCurrency) : this.config.defaultCurrency,
-            network: this.config.defaultNetwork,
-            recipientEmail: emailMatch ? emailMatch[0] : null,
-            recipientName: nameMatch ? nameMatch[1].trim() : null,
-            recipientAddress: addressMatch ? addressMatch[0] : null,
-            description: descriptionMatch ? descriptionMatch[1].trim() : 'Payment request',
-            transactionType,
-            scheduleType,
-            scheduledDate,
-            aiPrompt: input,
-          };
-          
-          console.log(`✅ [User ${this.userId}] Extracted payment data:`, result);
+
+          const result = await this.paymentExtractor.extract(input, { timeZone: this.config.timezone });
+
+          console.log(`✅ [User ${this.userId}] Extracted payment data (${result.extractedBy}):`, result);
           return result;
         },
         {
           name: 'extractPaymentDetails',
-          description: 'Parse comprehensive payment information from natural language input',
+          description: 'Parse payment information from natural language input, resolving dates in the user\'s timezone and listing ambiguities to ask the user about',
           schema: z.object({
             input: z.string().describe('Natural language payment request'),
           }),
@@ -221,19 +258,22 @@ export class AgenPayAgent {
 
       // Add create payment link tool
       this.createPaymentLink = tool(
-        async ({ paymentData }) => {
+        async ({ paymentData }, config) => {
           console.log(`💳 [User ${this.userId}] Creating X402Pay payment link...`);
           
           try {
             // Create X402Pay payment link
-            const paymentLink = await this.x402PayService.createPaymentRequest({
+            const paymentLink = await this.runOnce(config, 'createPaymentLink', paymentData, () => this.x402PayService.createPaymentRequest({
               userId: this.userId,  // Pass the userId
               amount: paymentData.amount,
               currency: paymentData.currency,
               description: paymentData.description,
               recipientEmail: paymentData.recipientEmail,
-              network: paymentData.network
-            });
+              network: paymentData.network,
+              transactionType: paymentData.transactionType || 'ask_payment',
+              refundDelayDays: paymentData.refundDelayDays ?? null,
+              refundPercentage: paymentData.refundPercentage ?? 100
+            }));
 
             console.log(`✅ [User ${this.userId}] Payment link created:`, paymentLink);
             console.log(`🔗 [User ${this.userId}] PAYMENT LINK: ${paymentLink.url || paymentLink.x402PayLink}`);
@@ -257,14 +297,17 @@ export class AgenPayAgent {
         },
         {
           name: 'createPaymentLink',
-          description: 'Create an X402Pay payment link for crypto payments',
+          description: 'Create an X402Pay payment link for crypto payments (ask_and_refund links refund the payer automatically)',
           schema: z.object({
             paymentData: z.object({
               amount: z.string(),
               currency: z.string(),
               description: z.string(),
               recipientEmail: z.string(),
-              network: z.string()
+              network: z.string(),
+              transactionType: z.enum(['ask_payment', 'ask_and_refund']).optional(),
+              refundDelayDays: z.number().int().min(0).nullable().optional(),
+              refundPercentage: z.number().gt(0).max(100).nullable().optional()
             })
           })
         }
@@ -272,14 +315,14 @@ export class AgenPayAgent {
 
       // Add create multi-token payment link tool
       this.createMultiTokenPaymentLink = tool(
-        async ({ paymentData, acceptedTokens = ['ETH', 'USDC', 'USDT', 'WETH'] }) => {
+        async ({ paymentData, acceptedTokens = ['ETH', 'USDC', 'USDT', 'WETH'] }, config) => {
           console.log(`💱 [User ${this.userId}] Creating multi-token X402Pay payment link...`);
           console.log(`🎯 [User ${this.userId}] Preferred receive currency: ${paymentData.currency}`);
           console.log(`🪙 [User ${this.userId}] Accepted payment tokens: ${acceptedTokens.join(', ')}`);
           
           try {
             // Create multi-token X402Pay payment link using OKX DEX integration
-            const paymentLink = await this.x402PayService.createMultiTokenPaymentRequest({
+            const paymentLink = await this.runOnce(config, 'createMultiTokenPaymentLink', { paymentData, acceptedTokens }, () => this.x402PayService.createMultiTokenPaymentRequest({
               userId: this.userId,
               amount: paymentData.amount,
               preferredReceiveCurrency: paymentData.currency,
@@ -292,7 +335,7 @@ export class AgenPayAgent {
               scheduleType: paymentData.scheduleType || 'immediate',
               scheduledDate: paymentData.scheduledDate,
               aiPrompt: paymentData.aiPrompt
-            });
+            }));
 
             console.log(`✅ [User ${this.userId}] Multi-token payment link created:`, paymentLink);
             console.log(`🔗 [User ${this.userId}] PAYMENT LINK: ${paymentLink.x402PayLink}`);
@@ -317,14 +360,14 @@ export class AgenPayAgent {
             // Fallback to regular payment link if OKX DEX fails
             console.log(`🔄 [User ${this.userId}] Falling back to regular payment link...`);
             try {
-              const fallbackLink = await this.x402PayService.createPaymentRequest({
+              const fallbackLink = await this.runOnce(config, 'createMultiTokenPaymentLink:fallback', paymentData, () => this.x402PayService.createPaymentRequest({
                 userId: this.userId,
                 amount: paymentData.amount,
                 currency: paymentData.currency,
                 description: `${paymentData.description} (OKX DEX unavailable - standard payment)`,
                 recipientEmail: paymentData.recipientEmail,
                 network: paymentData.network
-              });
+              }));
 
               return {
                 success: true,
@@ -364,6 +407,65 @@ export class AgenPayAgent {
         }
       );
 
+      // Add create subscription tool
+      this.createSubscription = tool(
+        async ({ paymentData }) => {
+          console.log(`🔁 [User ${this.userId}] Creating ${paymentData.billingInterval} subscription...`);
+          
+          try {
+            const result = await this.schedulingService.createSubscription({
+              userId: this.userId,
+              amount: paymentData.amount,
+              currency: paymentData.currency,
+              network: paymentData.network,
+              recipientEmail: paymentData.recipientEmail,
+              recipientName: paymentData.recipientName,
+              description: paymentData.description,
+              interval: paymentData.billingInterval,
+              startDate: paymentData.startDate
+            });
+
+            const paymentLink = result.firstPayment?.x402PayLink || null;
+            console.log(`✅ [User ${this.userId}] Subscription created: ${result.subscription.id}`);
+            
+            return {
+              success: true,
+              subscriptionId: result.subscription.id,
+              billingInterval: result.subscription.interval,
+              nextBillingDate: result.subscription.nextBillingDate,
+              paymentLink,
+              emailSent: !!paymentLink,
+              message: paymentLink
+                ? `${paymentData.billingInterval} subscription created. First payment link emailed to ${paymentData.recipientEmail}: ${paymentLink}`
+                : `${paymentData.billingInterval} subscription created. First payment link will be emailed on ${result.subscription.nextBillingDate.toISOString()}`
+            };
+          } catch (error) {
+            console.error(`❌ [User ${this.userId}] Subscription creation failed:`, error);
+            return {
+              success: false,
+              error: error.message,
+              message: 'Failed to create subscription'
+            };
+          }
+        },
+        {
+          name: 'createSubscription',
+          description: 'Create a recurring subscription that emails a new X402Pay payment link every billing period',
+          schema: z.object({
+            paymentData: z.object({
+              amount: z.string(),
+              currency: z.string(),
+              description: z.string(),
+              recipientEmail: z.string(),
+              recipientName: z.string().nullable().optional(),
+              network: z.string(),
+              billingInterval: z.enum(['weekly', 'monthly', 'yearly']),
+              startDate: z.string().nullable().optional().describe('ISO date of the first billing (default: now)')
+            })
+          })
+        }
+      );
+
       // Add get payment options tool
       this.getPaymentOptions = tool(
         async ({ paymentId, userPreferredToken = 'ETH' }) => {
@@ -431,32 +533,17 @@ export class AgenPayAgent {
           console.log(`📧 [User ${this.userId}] Payment data received:`, paymentData);
           
           try {
-            const emailContent = this.generateX402PayEmailTemplate({
+            await this.emailService.sendPaymentRequestEmail({
+              to: paymentData.recipientEmail,
               amount: paymentData.amount,
               currency: paymentData.currency,
               description: paymentData.description,
               paymentLink: paymentLink,
               recipientName: paymentData.recipientName,
               transactionType: paymentData.transactionType,
-              userConfig: this.userConfig
+              refundDelayDays: paymentData.refundDelayDays,
+              refundPercentage: paymentData.refundPercentage
             });
-
-            // Check if we have real email credentials
-            const isRealEmail = this.config.emailUser !== 'test@example.com' && this.config.emailPass !== 'mock-password';
-            
-            if (isRealEmail) {
-              // Send real email
-              await this.emailTransporter.sendMail({
-                from: this.config.emailFrom,
-                to: paymentData.recipientEmail,
-                subject: `Payment Request - ${paymentData.amount} ${paymentData.currency}`,
-                html: emailContent.html || emailContent
-              });
-              console.log(`📧 [User ${this.userId}] ✅ REAL EMAIL SENT to: ${paymentData.recipientEmail}`);
-            } else {
-              console.log(`📧 [User ${this.userId}] 🧪 MOCK EMAIL (would be sent to): ${paymentData.recipientEmail}`);
-              console.log(`📧 [User ${this.userId}] 📝 Email content preview:`, emailContent.substring(0, 200) + '...');
-            }
             
             return {
               success: true,
@@ -482,7 +569,9 @@ export class AgenPayAgent {
               description: z.string(),
               recipientEmail: z.string(),
               recipientName: z.string().nullable(),
-              transactionType: z.string()
+              transactionType: z.string(),
+              refundDelayDays: z.number().nullable().optional(),
+              refundPercentage: z.number().nullable().optional()
             }),
             paymentLink: z.string()
           })
@@ -575,12 +664,353 @@ export class AgenPayAgent {
         }
       );
 
+      // Add send crypto tool (runs only after the user approves it)
+      this.sendCrypto = tool(
+        async (args) => {
+          console.log(`💸 [User ${this.userId}] Sending ${args.amount} ${args.currency} to ${args.toAddress}...`);
+
+          try {
+            const payment = await this.buildOutgoingPayment(args);
+            const result = await this.schedulingService.executePaymentNow(payment);
+
+            if (result.status === 'retrying') {
+              return {
+                success: false,
+                paymentId: result.id,
+                status: result.status,
+                error: result.lastError,
+                nextAttemptAt: result.nextAttemptAt,
+                message: `Payment of ${payment.amount} ${payment.currency} did not go through (${result.lastError}); it will be retried automatically at ${result.nextAttemptAt.toISOString()}`
+              };
+            }
+
+            if (result.status !== 'completed') {
+              return {
+                success: false,
+                paymentId: result.id,
+                status: result.status,
+                error: result.failureReason,
+                message: `Payment of ${payment.amount} ${payment.currency} failed: ${result.failureReason}`
+              };
+            }
+
+            return {
+              success: true,
+              paymentId: result.id,
+              status: result.status,
+              transactionHash: result.txHash,
+              network: result.network,
+              message: `Sent ${payment.amount} ${payment.currency} to ${payment.recipientAddress} on ${payment.network}. Transaction ${result.txHash} is now confirming on-chain.`
+            };
+          } catch (error) {
+            console.error(`❌ [User ${this.userId}] Send failed:`, error);
+            return {
+              success: false,
+              error: error.message,
+              message: 'Failed to send payment'
+            };
+          }
+        },
+        {
+          name: 'sendCrypto',
+          description: "Send crypto from the user's wallet to a wallet address right now",
+          schema: outgoingPaymentSchema
+        }
+      );
+
+      // Add schedule payment tool (runs only after the user approves it)
+      this.schedulePayment = tool(
+        async ({ scheduleDate, ...args }) => {
+          console.log(`📅 [User ${this.userId}] Scheduling ${args.amount} ${args.currency} to ${args.toAddress} for ${scheduleDate}...`);
+
+          try {
+            if (new Date(scheduleDate) <= new Date()) {
+              throw new Error('scheduleDate must be in the future; use sendCrypto to pay now');
+            }
+
+            const payment = await this.buildOutgoingPayment(args);
+            const scheduled = await this.schedulingService.schedulePayment({ ...payment, scheduleDate });
+
+            return {
+              success: true,
+              paymentId: scheduled.id,
+              status: scheduled.status,
+              scheduleDate: scheduled.scheduleDate,
+              message: `Scheduled ${payment.amount} ${payment.currency} to ${payment.recipientAddress} on ${payment.network} for ${scheduled.scheduleDate.toISOString()}`
+            };
+          } catch (error) {
+            console.error(`❌ [User ${this.userId}] Scheduling failed:`, error);
+            return {
+              success: false,
+              error: error.message,
+              message: 'Failed to schedule payment'
+            };
+          }
+        },
+        {
+          name: 'schedulePayment',
+          description: "Schedule a one-time crypto payment from the user's wallet to a wallet address at a future date and time",
+          schema: outgoingPaymentSchema.extend({
+            scheduleDate: z.string()
+              .refine(date => !isNaN(Date.parse(date)), 'Must be an ISO 8601 date-time')
+              .describe('When to send, as an ISO 8601 date-time with timezone, e.g. 2026-10-23T09:00:00Z')
+          })
+        }
+      );
+
+      // Add list scheduled payments tool
+      this.listScheduledPayments = tool(
+        async ({ status = 'scheduled' }) => {
+          try {
+            const payments = await this.schedulingService.listScheduledPayments(this.userId, { status });
+
+            return {
+              success: true,
+              count: payments.length,
+              payments: payments.map(payment => ({
+                paymentId: payment.id,
+                amount: payment.amount,
+                currency: payment.currency,
+                network: payment.network,
+                recipientAddress: payment.recipientAddress,
+                recipientName: payment.recipientName,
+                description: payment.description,
+                scheduleDate: payment.scheduleDate,
+                status: payment.status,
+                transactionHash: payment.txHash,
+                failureReason: payment.failureReason
+              }))
+            };
+          } catch (error) {
+            console.error(`❌ [User ${this.userId}] Listing scheduled payments failed:`, error);
+            return {
+              success: false,
+              error: error.message,
+              message: 'Failed to list scheduled payments'
+            };
+          }
+        },
+        {
+          name: 'listScheduledPayments',
+          description: "List the user's one-time outgoing payments, soonest first (default: those still scheduled)",
+          schema: z.object({
+            status: z.enum(OUTGOING_PAYMENT_STATUSES).optional()
+          })
+        }
+      );
+
+      // Add cancel scheduled payment tool
+      this.cancelScheduledPayment = tool(
+        async ({ paymentId }) => {
+          try {
+            const payment = await this.schedulingService.cancelScheduledPayment(this.userId, paymentId);
+
+            return {
+              success: true,
+              paymentId: payment.id,
+              status: payment.status,
+              message: `Cancelled the ${payment.amount} ${payment.currency} payment to ${payment.recipientAddress} scheduled for ${payment.scheduleDate.toISOString()}`
+            };
+          } catch (error) {
+            console.error(`❌ [User ${this.userId}] Cancelling scheduled payment failed:`, error);
+            return {
+              success: false,
+              error: error.message,
+              message: 'Failed to cancel scheduled payment'
+            };
+          }
+        },
+        {
+          name: 'cancelScheduledPayment',
+          description: 'Cancel a scheduled outgoing payment that has not been sent yet',
+          schema: z.object({
+            paymentId: z.string().min(1).describe('paymentId from listScheduledPayments or schedulePayment')
+          })
+        }
+      );
+
+      // Add wallet balance tool
+      this.getWalletBalance = tool(
+        async ({ network }) => {
+          try {
+            const balance = await this.walletService.getWalletBalance(this.userId, network);
+
+            return {
+              success: true,
+              network: balance.network,
+              totalUsd: balance.totalUsd,
+              tokens: balance.tokens.map(({ symbol, amount, valueUsd }) => ({ symbol, amount, valueUsd }))
+            };
+          } catch (error) {
+            console.error(`❌ [User ${this.userId}] Balance check failed:`, error);
+            return {
+              success: false,
+              error: error.message,
+              message: 'Failed to get wallet balance'
+            };
+          }
+        },
+        {
+          name: 'getWalletBalance',
+          description: "Get the token balances in the user's wallet and their USD value",
+          schema: z.object({
+            network: networkSchema.optional().describe("Network to check (default: the user's wallet network)")
+          })
+        }
+      );
+
+      // Add payment request lookup tool (read-only, always scoped to this user)
+      this.findPaymentRequests = tool(
+        async (filters) => {
+          try {
+            const { summary, items } = await this.paymentHistoryService.findPaymentRequests(this.userId, filters);
+
+            return {
+              success: true,
+              summary,
+              count: items.length,
+              paymentRequests: items.map(request => ({
+                paymentId: request.id,
+                amount: request.amount,
+                currency: request.currency,
+                recipientName: request.recipientName,
+                recipientEmail: request.recipientEmail,
+                description: request.description,
+                transactionType: request.transactionType,
+                status: request.status,
+                createdAt: request.createdAt,
+                expiresAt: request.expiresAt,
+                paidAt: request.paidAt,
+                payerAddress: request.payerAddress,
+                refundedAmount: request.refundedAmount
+              }))
+            };
+          } catch (error) {
+            console.error(`❌ [User ${this.userId}] Payment request lookup failed:`, error);
+            return {
+              success: false,
+              error: error.message,
+              message: 'Failed to look up payment requests'
+            };
+          }
+        },
+        {
+          name: 'findPaymentRequests',
+          description: 'Look up payment requests the user sent (e.g. "has Alice paid yet?"), newest first, with counts and amounts per status and currency',
+          schema: historyFilterSchema.extend({
+            recipient: z.string().min(1).optional().describe("Part of the payer's name, email or wallet address"),
+            status: z.enum(PAYMENT_REQUEST_STATUSES).optional(),
+            transactionType: z.enum(['ask_payment', 'ask_and_refund', 'subscription']).optional()
+          })
+        }
+      );
+
+      // Add transaction lookup tool (read-only, always scoped to this user)
+      this.findTransactions = tool(
+        async (filters) => {
+          try {
+            const { summary, items } = await this.paymentHistoryService.findTransactions(this.userId, filters);
+
+            return {
+              success: true,
+              summary,
+              count: items.length,
+              transactions: items.map(transaction => ({
+                transactionId: transaction.id,
+                type: transaction.type,
+                status: transaction.status,
+                amount: transaction.amount,
+                currency: transaction.currency,
+                network: transaction.network,
+                fromAddress: transaction.fromAddress,
+                toAddress: transaction.toAddress,
+                description: transaction.description,
+                transactionHash: transaction.txHash,
+                createdAt: transaction.createdAt,
+                completedAt: transaction.completedAt
+              }))
+            };
+          } catch (error) {
+            console.error(`❌ [User ${this.userId}] Transaction lookup failed:`, error);
+            return {
+              success: false,
+              error: error.message,
+              message: 'Failed to look up transactions'
+            };
+          }
+        },
+        {
+          name: 'findTransactions',
+          description: 'Look up transactions in and out of the user\'s wallet (e.g. "how much did I receive this month?"), newest first, with counts and amounts per status and currency',
+          schema: historyFilterSchema.extend({
+            direction: z.enum(['in', 'out']).optional().describe('in = money received, out = money sent or refunded'),
+            type: z.enum(TRANSACTION_TYPES).optional().describe('A single transaction type (overrides direction)'),
+            status: z.enum(TRANSACTION_STATUSES).optional(),
+            counterparty: z.string().min(1).optional().describe('Part of the other wallet address or email')
+          })
+        }
+      );
+
+      // Add outgoing payment lookup tool (read-only, always scoped to this user)
+      this.findOutgoingPayments = tool(
+        async (filters) => {
+          try {
+            const { summary, items } = await this.paymentHistoryService.findOutgoingPayments(this.userId, filters);
+
+            return {
+              success: true,
+              summary,
+              count: items.length,
+              outgoingPayments: items.map(payment => ({
+                paymentId: payment.id,
+                amount: payment.amount,
+                currency: payment.currency,
+                network: payment.network,
+                recipientAddress: payment.recipientAddress,
+                recipientName: payment.recipientName,
+                description: payment.description,
+                isRefund: !!payment.relatedRequestId,
+                scheduleDate: payment.scheduleDate,
+                status: payment.status,
+                transactionHash: payment.txHash,
+                failureReason: payment.failureReason,
+                executedAt: payment.executedAt
+              }))
+            };
+          } catch (error) {
+            console.error(`❌ [User ${this.userId}] Outgoing payment lookup failed:`, error);
+            return {
+              success: false,
+              error: error.message,
+              message: 'Failed to look up outgoing payments'
+            };
+          }
+        },
+        {
+          name: 'findOutgoingPayments',
+          description: "Look up payments and refunds sent from the user's wallet, by schedule date (latest first), with counts and amounts per status and currency",
+          schema: historyFilterSchema.extend({
+            recipient: z.string().min(1).optional().describe("Part of the recipient's name or wallet address"),
+            status: z.enum(OUTGOING_PAYMENT_STATUSES).optional()
+          })
+        }
+      );
+
       this.tools.push(this.extractPaymentDetails);
       this.tools.push(this.createPaymentLink);
       this.tools.push(this.createMultiTokenPaymentLink);
+      this.tools.push(this.createSubscription);
       this.tools.push(this.getPaymentOptions);
       this.tools.push(this.sendPaymentEmail);
       this.tools.push(this.saveToNotion);
+      this.tools.push(this.sendCrypto);
+      this.tools.push(this.schedulePayment);
+      this.tools.push(this.listScheduledPayments);
+      this.tools.push(this.cancelScheduledPayment);
+      this.tools.push(this.getWalletBalance);
+      this.tools.push(this.findPaymentRequests);
+      this.tools.push(this.findTransactions);
+      this.tools.push(this.findOutgoingPayments);
       console.log(`✅ [User ${this.userId}] Tools setup completed with ${this.tools.length} tools`);
       
     } catch (toolError) {
@@ -589,6 +1019,28 @@ export class AgenPayAgent {
     }
   }
 
+  /**
+   * Outgoing payment fields from validated sendCrypto/schedulePayment arguments,
+   * checking the token exists on the target network
+   */
+  async buildOutgoingPayment({ toAddress, amount, currency, network, recipientName = null, description = null }) {
+    const targetNetwork = network || (await this.walletService.getWallet(this.userId)).network;
+    const token = TOKEN_REGISTRY[targetNetwork].find(t => t.symbol === currency.toUpperCase());
+    if (!token) {
+      throw new Error(`${currency} is not supported on ${targetNetwork}. Supported: ${TOKEN_REGISTRY[targetNetwork].map(t => t.symbol).join(', ')}`);
+    }
+
+    return {
+      userId: this.userId,
+      recipientAddress: toAddress,
+      amount: parseAmount(amount, { currency: token.symbol }),
+      currency: token.symbol,
+      network: targetNetwork,
+      recipientName,
+      description: description || `Agent payment to ${recipientName || toAddress}`
+    };
+  }
+
   setupSimplifiedAgent() {
     // Simple agent without tools for fallback
     const callSimpleAgent = async (state) => {
@@ -688,6 +1140,8 @@ You maintain memory of our entire conversation. If we've already discussed payme
 
 🎯 WORKFLOW INSTRUCTIONS:
 1. If a new payment request needs details extracted, use the extractPaymentDetails tool ONCE
+   - If the result lists ambiguities, ask the user about them (all in one message) before creating anything
+   - pricedIn means the user gave a fiat amount that is billed 1:1 in the stablecoin in currency; mention it
 2. If the user confirms or asks to proceed with previously extracted details, START the payment workflow:
    a) FIRST: Choose between createPaymentLink (standard) or createMultiTokenPaymentLink (multi-token with OKX DEX)
    b) AFTER getting the payment link result, use sendPaymentEmail tool with the payment link
@@ -707,9 +1161,18 @@ You maintain memory of our entire conversation. If we've already discussed payme
 - extractPaymentDetails: Parse payment info from natural language (amount, currency, email, etc.)
 - createPaymentLink: Create standard X402Pay payment link for single crypto currency
 - createMultiTokenPaymentLink: Create multi-token X402Pay payment link with OKX DEX swapping (accepts multiple tokens)
+- createSubscription: Create a recurring (weekly/monthly/yearly) subscription that emails a new payment link each period
 - getPaymentOptions: Calculate swap routes and payment options for multi-token payments
 - sendPaymentEmail: Send payment request email with X402Pay link
 - saveToNotion: Save payment request to Notion database
+- sendCrypto: Send crypto from the user's wallet to a wallet address now
+- schedulePayment: Schedule a one-time payment from the user's wallet for a future date and time
+- listScheduledPayments: List the user's scheduled (or past) outgoing payments
+- cancelScheduledPayment: Cancel a scheduled payment that has not been sent yet
+- getWalletBalance: Check the user's token balances and their USD value
+- findPaymentRequests: Look up payment requests the user sent, and whether they were paid
+- findTransactions: Look up money received or sent, with totals per currency
+- findOutgoingPayments: Look up payments and refunds sent (or scheduled) from the user's wallet
 
 🔄 PAYMENT LINK DECISION LOGIC:
 - Use createMultiTokenPaymentLink when:
@@ -720,6 +1183,31 @@ You maintain memory of our entire conversation. If we've already discussed payme
   * User specifies only one specific currency
   * Simple, direct payment is preferred
 
+🔁 SUBSCRIPTIONS:
+- When extracted transactionType is "subscription", use createSubscription with the billingInterval instead of createPaymentLink
+- createSubscription emails the first link and records it in Notion itself, so do NOT call sendPaymentEmail or saveToNotion afterwards
+- Tell the user the billing interval and next billing date
+
+💸 PAYING OUT:
+- "Pay/send X to 0x..." means money leaves the user's wallet: use sendCrypto for now, or schedulePayment when a future time is given (e.g. "next Friday")
+- Today is ${new Date().toUTCString()}; turn relative dates into an ISO 8601 scheduleDate with a timezone
+- Amounts are decimal strings ("0.01"); never guess a recipient address, ask for it if missing
+- Use listScheduledPayments to find a payment before cancelScheduledPayment, and getWalletBalance when the user asks what they hold or can afford
+
+🔎 ANSWERING QUESTIONS ABOUT PAYMENTS:
+- Never guess about payment history or status: look it up with findPaymentRequests, findTransactions or findOutgoingPayments
+- "Has Alice paid?" → findPaymentRequests with recipient "Alice" (payment_received, partially_refunded and refunded mean paid)
+- "How much did I receive/send this month?" → findTransactions with direction "in"/"out" and from/to covering the period, then report summary.byCurrency
+- Use the summary for totals (it covers every match, not just the listed records) and never add up different currencies
+
+🛡️ APPROVALS:
+- Tool calls that move funds out of the user's wallet, or go over their approval threshold, wait for the user to approve them first
+- If a tool result says it was not executed because the approval was rejected, acknowledge it and do NOT retry unless the user asks again
+
+🔄 REFUNDABLE DEPOSITS:
+- When extracted transactionType is "ask_and_refund", use createPaymentLink and pass transactionType, refundDelayDays and refundPercentage through unchanged
+- Tell the user when the refund will happen and what share is refunded (e.g. "90% refunded 7 days after payment")
+
 📋 CONVERSATION-AWARE RESPONSES:
 - If new request: Extract details and explain payment options (standard vs multi-token)
 - If user confirms: "Great! I'll proceed with the [multi-token/standard] payment request..." then START with appropriate tool
@@ -824,6 +1312,93 @@ Continue our conversation naturally, building on what we've already discussed.`;
         };
       };
 
+      // Approval gate: tool calls that move funds out or exceed the user's threshold
+      // pause the graph until the user approves or rejects them
+      const approvalGate = async (state, config) => {
+        const lastMessage = state.messages[state.messages.length - 1];
+        const toolCalls = lastMessage.tool_calls;
+
+        // Arguments are checked against the tool schemas first, so the user is never asked to approve a call that cannot run
+        const invalid = new Map(toolCalls.map(toolCall => {
+          const result = this.tools.find(t => t.name === toolCall.name)?.schema.safeParse(toolCall.args || {});
+          return [toolCall.id, result && !result.success
+            ? result.error.issues.map(issue => `${issue.path.join('.') || 'arguments'}: ${issue.message}`).join('; ')
+            : null];
+        }).filter(([, error]) => error));
+
+        if (invalid.size > 0) {
+          console.log(`⚠️ [User ${this.userId}] Rejected ${invalid.size} tool call(s) with invalid arguments`);
+          return {
+            messages: toolCalls.map(toolCall => new ToolMessage({
+              tool_call_id: toolCall.id,
+              name: toolCall.name,
+              content: JSON.stringify({
+                success: false,
+                error: invalid.has(toolCall.id)
+                  ? `Invalid arguments for ${toolCall.name}: ${invalid.get(toolCall.id)}`
+                  : 'Not executed: another tool call in the same step had invalid arguments',
+              }),
+            })),
+            lastAction: 'tool_arguments_invalid',
+          };
+        }
+
+        // Re-running this node on resume finds the same approval instead of assessing again.
+        // The turn (the message's position in the append-only thread) keeps a later turn
+        // with the same tool call ids and arguments from reusing this one's approval.
+        const threadId = config.configurable.thread_id;
+        const turn = state.messages.length - 1;
+        let approval = await this.approvalService.findApproval(this.userId, threadId, turn, toolCalls);
+        if (!approval) {
+          const assessment = await this.approvalService.assess(this.userId, toolCalls);
+          if (!assessment.required) {
+            return { lastAction: 'approval_not_required' };
+          }
+          approval = await this.approvalService.requestApproval(this.userId, threadId, turn, toolCalls, assessment);
+        }
+
+        if (approval.status === 'pending') {
+          console.log(`⏸️ [User ${this.userId}] Waiting for approval ${approval.id}`);
+          interrupt({
+            approvalId: approval.id,
+            reason: approval.reason,
+            amountUsd: approval.amountUsd,
+            toolCalls: approval.toolCalls,
+            expiresAt: approval.expiresAt,
+            message: ApprovalService.describe(approval),
+          });
+          // Resumed: the stored decision is authoritative, not the resume value
+          approval = await this.approvalService.getApproval(this.userId, approval.id);
+        }
+
+        if (approval.status === 'approved') {
+          console.log(`▶️ [User ${this.userId}] Approval ${approval.id} granted, running tools`);
+          return { lastAction: 'approval_granted' };
+        }
+
+        console.log(`⛔ [User ${this.userId}] Approval ${approval.id} ${approval.status}, tools not run`);
+        return {
+          messages: toolCalls.map(toolCall => new ToolMessage({
+            tool_call_id: toolCall.id,
+            name: toolCall.name,
+            content: JSON.stringify({
+              success: false,
+              error: `Not executed: the user's approval was ${approval.status}`,
+            }),
+          })),
+          lastAction: `approval_${approval.status}`,
+        };
+      };
+
+      const afterApproval = (state) => {
+        if (['approval_granted', 'approval_not_required'].includes(state.lastAction)) {
+          return 'tools';
+        }
+        // Let the agent acknowledge a rejection or fix invalid arguments; expired/cancelled
+        // approvals are settled when the user has already moved on, so the conversation just continues
+        return ['approval_rejected', 'tool_arguments_invalid'].includes(state.lastAction) ? 'agent' : '__end__';
+      };
+
       // Should continue function
       const shouldContinue = (state) => {
         const lastMessage = state.messages[state.messages.length - 1];
@@ -836,8 +1411,8 @@ Continue our conversation naturally, building on what we've already discussed.`;
         
         // Continue to tools if there are tool calls
         if (lastMessage?.tool_calls && lastMessage.tool_calls.length > 0) {
-          console.log(`🔀 [User ${this.userId}] Routing to tools node`);
-          return 'tools';
+          console.log(`🔀 [User ${this.userId}] Routing to approval gate`);
+          return 'approval';
         }
         
         // Continue to agent if last message was from tools (but only once)
@@ -857,9 +1432,11 @@ Continue our conversation naturally, building on what we've already discussed.`;
       // Build graph with proper tool flow
       const workflow = new StateGraph(AgentState);
       workflow.addNode('agent', callAgent);
+      workflow.addNode('approval', approvalGate);
       workflow.addNode('tools', toolNode);  // Use built-in ToolNode
       workflow.setEntryPoint('agent');
       workflow.addConditionalEdges('agent', shouldContinue);
+      workflow.addConditionalEdges('approval', afterApproval);
       workflow.addConditionalEdges('tools', shouldContinue);
 
       this.graph = workflow.compile({ 
@@ -874,109 +1451,132 @@ Continue our conversation naturally, building on what we've already discussed.`;
     }
   }
 
-  generateX402PayEmailTemplate({ amount, currency, description, paymentLink, recipientName, transactionType, userConfig }) {
-    const isRefundable = transactionType === 'ask_and_refund';
-    
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <title>Payment Request - AgenPay</title>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-          .payment-details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #667eea; }
-          .pay-button { display: inline-block; background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; margin: 20px 0; }
-          .security-info { background: #e8f4f8; padding: 15px; border-radius: 8px; margin: 20px 0; border: 1px solid #b3d9e6; }
-          .footer { text-align: center; margin-top: 30px; font-size: 14px; color: #666; }
-          .refund-notice { background: #fff3cd; padding: 15px; border-radius: 8px; margin: 20px 0; border: 1px solid #ffeaa7; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h1>💰 Payment Request</h1>
-            <p>Secure crypto payment powered by AgenPay × X402Pay</p>
-          </div>
-          <div class="content">
-            <h2>Hello${recipientName ? ` ${recipientName}` : ''}!</h2>
-            <p>You have received a payment request:</p>
-            
-            <div class="payment-details">
-              <h3>💳 Payment Details</h3>
-              <p><strong>Amount:</strong> ${amount} ${currency}</p>
-              <p><strong>Description:</strong> ${description}</p>
-              <p><strong>Network:</strong> Base Sepolia (Testnet)</p>
-              ${isRefundable ? '<p><strong>Type:</strong> ⚡ Auto-refund enabled (funds will be returned after 30 days)</p>' : ''}
-            </div>
-            
-            <div class="security-info">
-              <h3>🔒 Powered by X402Pay Protocol</h3>
-              <p>This payment uses the X402 HTTP protocol for secure cryptocurrency transactions:</p>
-              <ul>
-                <li>✅ Cryptographic payment verification</li>
-                <li>✅ No account creation required</li>
-                <li>✅ Direct wallet-to-wallet transfer</li>
-                <li>✅ Instant confirmation</li>
-              </ul>
-            </div>
-            
-            <div style="text-align: center;">
-              <a href="${paymentLink}" class="pay-button">💳 Pay with X402Pay</a>
-            </div>
-
-            ${isRefundable ? `
-            <div class="refund-notice">
-              <h3>🔄 Automatic Refund Policy</h3>
-              <p>This payment includes automatic refund protection. Your payment will be automatically refunded after 30 days if applicable.</p>
-            </div>
-            ` : ''}
-            
-            <p><strong>How X402Pay Works:</strong></p>
-            <ol>
-              <li>Click the payment button above</li>
-              <li>Connect your crypto wallet (MetaMask, Coinbase Wallet, etc.)</li>
-              <li>Approve the transaction</li>
-              <li>Payment is verified instantly via cryptographic proof</li>
-            </ol>
-          </div>
-          <div class="footer">
-            <p>Powered by <strong>AgenPay × X402Pay</strong> - The Future of Web3 Payments</p>
-            <p>This payment request uses the X402 HTTP protocol for secure, verified crypto transactions.</p>
-            <p>Questions? This email was sent automatically by our AI payment agent.</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+  generateX402PayEmailTemplate({ amount, currency, description, paymentLink, recipientName, transactionType }) {
+    return this.emailService.generatePaymentRequestTemplate({
+      amount,
+      currency,
+      description,
+      paymentLink,
+      recipientName,
+      transactionType
+    });
+  }
+
+  /**
+   * Run a tool's side effect at most once per client request. When the chat message came
+   * with an Idempotency-Key, a retried message making the same tool call gets the stored
+   * result back instead of creating another payment link.
+   */
+  async runOnce(config, toolName, args, operation) {
+    const requestKey = config?.configurable?.idempotencyKey;
+    if (!requestKey || !this.idempotencyService) {
+      return await operation();
+    }
+
+    const { response } = await this.idempotencyService.run({
+      userId: this.userId,
+      scope: 'payment_link',
+      key: `${requestKey}:${toolName}:${hashPayload(args)}`,
+      payload: args
+    }, operation);
+    return response;
+  }
+
+  /**
+   * Resolve the thread for a chat turn and make sure the graph is ready
+   * (idempotencyKey: the chat request's Idempotency-Key, read by the payment link tools)
+   */
+  async prepareConversation(input, threadId = null, { idempotencyKey = null } = {}) {
+    // Use provided threadId or create a consistent one for this user session
+    const actualThreadId = threadId || getDefaultThreadId(this.userId);
+    console.log(`🎯 [User ${this.userId}] Processing: "${input}" (Thread: ${actualThreadId})`);
+
+    const thread = await this.chatThreadService.ensureThread(this.userId, actualThreadId, input);
+    if (!thread) {
+      throw new Error(`Chat thread ${actualThreadId} not found`);
+    }
+
+    // Check if graph is available
+    if (!this.graph) {
+      console.warn(`⚠️ [User ${this.userId}] No graph available, attempting simplified setup...`);
+      this.setupSimplifiedAgent();
+    }
+
+    if (!this.graph) {
+      throw new Error('Agent graph could not be initialized');
+    }
+
+    const config = { configurable: { thread_id: actualThreadId, ...(idempotencyKey && { idempotencyKey }) } };
+    await this.settlePendingApproval(config);
+
+    return {
+      threadId: actualThreadId,
+      config,
+    };
   }
 
-  async processPayment(input, threadId = null) {
+  /**
+   * The approval the thread is paused on, or null
+   */
+  async getPendingApproval(config) {
+    const state = await this.graph.getState(config);
+    const pending = (state.tasks || []).flatMap(task => task.interrupts || [])[0];
+    return pending?.value?.approvalId ? pending.value : null;
+  }
+
+  /**
+   * A new message on a thread that is waiting for approval cancels that approval,
+   * so the paused tool calls are closed out before the conversation continues
+   */
+  async settlePendingApproval(config) {
+    const pending = await this.getPendingApproval(config);
+    if (!pending) {
+      return;
+    }
+
+    const approval = await this.approvalService.cancel(pending.approvalId);
+    console.log(`🛡️ [User ${this.userId}] Settling approval ${pending.approvalId} (${approval?.status}) before new message`);
+    await this.graph.invoke(new Command({
+      resume: { approvalId: pending.approvalId, status: approval?.status || 'cancelled' },
+    }), config);
+  }
+
+  /**
+   * Continue a thread paused on an approval once the user has decided
+   */
+  async resumeApproval(approval) {
     try {
-      // Use provided threadId or create a consistent one for this user session
-      let actualThreadId = threadId;
-      if (!actualThreadId) {
-        // Create a session-based threadId that persists for this user
-        actualThreadId = `user-${this.userId}-chat-session`;
-      }
-      console.log(`🎯 [User ${this.userId}] Processing: "${input}" (Thread: ${actualThreadId})`);
-      
-      // Check if graph is available
       if (!this.graph) {
-        console.warn(`⚠️ [User ${this.userId}] No graph available, attempting simplified setup...`);
-        this.setupSimplifiedAgent();
+        throw new Error('Agent graph could not be initialized');
       }
 
-      if (!this.graph) {
-        throw new Error('Agent graph could not be initialized');
+      const config = { configurable: { thread_id: approval.threadId } };
+      if ((await this.getPendingApproval(config))?.approvalId !== approval.id) {
+        console.log(`⚠️ [User ${this.userId}] Thread ${approval.threadId} is not waiting for approval ${approval.id}`);
+        return null;
       }
-      
-      const config = {
-        configurable: { thread_id: actualThreadId },
+
+      console.log(`▶️ [User ${this.userId}] Resuming thread ${approval.threadId} after approval ${approval.status}`);
+      const result = await this.graph.invoke(new Command({
+        resume: { approvalId: approval.id, status: approval.status },
+      }), config);
+
+      await this.updateAgentStats();
+
+      return {
+        ...result,
+        threadId: approval.threadId,
+        approval: await this.getPendingApproval(config),
       };
+    } catch (error) {
+      console.error(`❌ [User ${this.userId}] Error resuming approval ${approval.id}:`, error);
+      throw error;
+    }
+  }
+
+  async processPayment(input, threadId = null, options = {}) {
+    try {
+      const { threadId: actualThreadId, config } = await this.prepareConversation(input, threadId, options);
       
       // Let LangGraph handle state restoration from checkpointer
       // We just pass the new input message and let it append to existing conversation
@@ -1003,13 +1603,79 @@ Continue our conversation naturally, building on what we've already discussed.`;
       await this.updateAgentStats();
       
       console.log(`✅ [User ${this.userId}] Payment processing completed`);
-      return { ...result, threadId: actualThreadId };
+      return { ...result, threadId: actualThreadId, approval: await this.getPendingApproval(config) };
     } catch (error) {
       console.error(`❌ [User ${this.userId}] Error processing payment:`, error);
       throw error;
     }
   }
 
+  /**
+   * Process a chat turn while reporting progress as it happens: LLM tokens,
+   * tool calls starting and finishing, then the final response.
+   * onEvent(type, data) receives start, token, tool_start, tool_end, approval_required and done events.
+   */
+  async streamPayment(input, threadId = null, onEvent = () => {}, options = {}) {
+    try {
+      const { threadId: actualThreadId, config } = await this.prepareConversation(input, threadId, options);
+      onEvent('start', { threadId: actualThreadId });
+
+      const events = this.graph.streamEvents({
+        messages: [new HumanMessage(input)],
+      }, { ...config, version: 'v2' });
+
+      for await (const event of events) {
+        if (event.event === 'on_chat_model_stream') {
+          const content = event.data?.chunk?.content;
+          if (typeof content === 'string' && content.length > 0) {
+            onEvent('token', { content });
+          }
+        } else if (event.event === 'on_tool_start') {
+          console.log(`🔧 [User ${this.userId}] Tool started: ${event.name}`);
+          onEvent('tool_start', { id: event.run_id, name: event.name });
+        } else if (event.event === 'on_tool_end') {
+          const output = event.data?.output;
+          const content = typeof output?.content === 'string' ? output.content : JSON.stringify(output ?? null);
+          let success = !content.startsWith('Error');
+          try {
+            success = success && JSON.parse(content)?.success !== false;
+          } catch {
+            // Plain-text tool output
+          }
+          console.log(`${success ? '✅' : '❌'} [User ${this.userId}] Tool finished: ${event.name}`);
+          onEvent('tool_end', { id: event.run_id, name: event.name, success });
+        } else if (event.event === 'on_tool_error') {
+          onEvent('tool_end', { id: event.run_id, name: event.name, success: false });
+        }
+      }
+
+      const state = await this.graph.getState(config);
+      const messages = state.values?.messages || [];
+      const lastMessage = messages[messages.length - 1];
+      const approval = await this.getPendingApproval(config);
+      const response = approval
+        ? approval.message
+        : typeof lastMessage?.content === 'string'
+          ? lastMessage.content
+          : JSON.stringify(lastMessage?.content ?? '');
+
+      console.log(`📥 [User ${this.userId}] Conversation now has ${messages.length} total messages`);
+
+      // Update agent statistics
+      await this.updateAgentStats();
+
+      if (approval) {
+        onEvent('approval_required', approval);
+      }
+      onEvent('done', { response, threadId: actualThreadId });
+      console.log(`✅ [User ${this.userId}] Streamed payment processing completed`);
+      return { ...state.values, threadId: actualThreadId, approval };
+    } catch (error) {
+      console.error(`❌ [User ${this.userId}] Error streaming payment processing:`, error);
+      throw error;
+    }
+  }
+
   async startMonitoring(intervalMinutes = null) {
     const interval = intervalMinutes || this.config.monitoringInterval;
     
@@ -1151,6 +1817,8 @@ Continue our conversation naturally, building on what we've already discussed.`;
       const description = this.getNotionProperty(notionPage.properties, 'Description');
       const status = notionPage.properties['Status']?.select?.name;
       const x402PayLink = notionPage.properties['X402Pay Link']?.url;
+      const transactionType = notionPage.properties['Transaction Type']?.select?.name || 'ask_payment';
+      const scheduledDate = notionPage.properties['Scheduled Date']?.date?.start || null;
 
       console.log(`📋 [User ${this.userId}] Processing Notion entry: ${requestId} (${amount} ${currency})`);
 
@@ -1190,20 +1858,39 @@ Continue our conversation naturally, building on what we've already discussed.`;
 
       console.log(`🔄 [User ${this.userId}] Creating payment request for Notion entry: ${requestId}`);
 
-      // Create payment request using X402PayService
-      const paymentResult = await this.x402PayService.createPaymentRequest({
-        userId: this.userId,
-        amount: amount,
-        currency: currency,
-        recipientEmail: recipientEmail,
-        recipientName: recipientName || '',
-        description: description || 'Payment request from Notion',
-        transactionType: 'ask_payment',
-        scheduleType: 'immediate',
-        aiPrompt: `Processed from Notion entry: ${requestId}`
-      });
-
-      console.log(`💳 [User ${this.userId}] Payment link created for Notion entry: ${paymentResult.x402PayLink}`);
+      let paymentResult;
+      if (transactionType === 'subscription') {
+        // Subscriptions bill (and email) their first period immediately; later periods come from SchedulingService
+        const { firstPayment } = await this.schedulingService.createSubscription({
+          userId: this.userId,
+          amount: amount,
+          currency: currency,
+          recipientEmail: recipientEmail,
+          recipientName: recipientName || '',
+          description: description || 'Subscription from Notion',
+          interval: 'monthly'
+        }, { syncNotion: false });
+
+        if (!firstPayment) {
+          throw new Error(`Subscription billing failed for Notion entry ${requestId}`);
+        }
+        paymentResult = firstPayment;
+      } else {
+        // Create payment request using X402PayService
+        paymentResult = await this.x402PayService.createPaymentRequest({
+          userId: this.userId,
+          amount: amount,
+          currency: currency,
+          recipientEmail: recipientEmail,
+          recipientName: recipientName || '',
+          description: description || 'Payment request from Notion',
+          transactionType: transactionType === 'ask_and_refund' ? 'ask_and_refund' : 'ask_payment',
+          scheduleType: 'immediate',
+          // For refundable deposits the Notion "Scheduled Date" is when the refund goes out
+          refundDate: transactionType === 'ask_and_refund' ? scheduledDate : null,
+          aiPrompt: `Processed from Notion entry: ${requestId}`
+        });
+      }
 
       // Update the Notion entry with the payment link and new status
       await this.notion.pages.update({
@@ -1229,24 +1916,18 @@ Continue our conversation naturally, building on what we've already discussed.`;
         }
       });
 
-      // Send email notification
-      if (this.config.emailUser !== 'test@example.com') {
+      // Send email notification (subscription billing already emailed the link)
+      if (transactionType !== 'subscription') {
         try {
-          const emailContent = this.generateX402PayEmailTemplate({
+          await this.emailService.sendPaymentRequestEmail({
+            to: recipientEmail,
             amount: amount,
             currency: currency,
             description: description,
             paymentLink: paymentResult.x402PayLink,
             recipientName: recipientName,
-            transactionType: 'ask_payment',
-            userConfig: this.userConfig
-          });
-
-          await this.emailTransporter.sendMail({
-            from: this.config.emailFrom,
-            to: recipientEmail,
-            subject: `Payment Request - ${amount} ${currency}`,
-            html: emailContent
+            transactionType: paymentResult.request.transactionType,
+            refundDate: paymentResult.request.refundDate
           });
 
           console.log(`📧 [User ${this.userId}] Email sent for Notion entry: ${recipientEmail}`);
@@ -1297,17 +1978,12 @@ Continue our conversation naturally, building on what we've already discussed.`;
 
   async updateAgentStats() {
     try {
-      const stats = await this.prisma.transaction.groupBy({
-        by: ['type'],
-        where: { userId: this.userId },
-        _count: { type: true },
-        _sum: { amount: true },
-      });
-
-      const totalSent = stats.find(s => s.type === 'SEND')?._count.type || 0;
-      const totalReceived = stats.find(s => s.type === 'RECEIVE')?._count.type || 0;
-      const totalAmountSent = stats.find(s => s.type === 'SEND')?._sum.amount || 0;
-      const totalAmountReceived = stats.find(s => s.type === 'RECEIVE')?._sum.amount || 0;
+      // Counted from the ledger, so receipts, sends, scheduled payments and refunds each count once
+      const activity = await this.ledgerService.getActivitySummary(this.userId);
+      const totalSent = activity.sentCount;
+      const totalReceived = activity.receivedCount;
+      const totalAmountSent = activity.amountSent;
+      const totalAmountReceived = activity.amountReceived;
 
       await this.prisma.agent.upsert({
         where: { userId: this.userId },
@@ -0,0 +1,313 @@
+/**
+ * Approval Service for AgenPay
+ * Human-in-the-loop approvals for agent tool calls that move funds out of the
+ * user's wallet or exceed the user's USD threshold
+ */
+
+import { PrismaClient } from '@prisma/client';
+import EmailService from './EmailService.js';
+import PriceService from './PriceService.js';
+import { hashPayload } from './IdempotencyService.js';
+import { addAmounts, compareAmounts, multiplyAmount, normalizeAmount, roundAmount, toAmountNumber } from './Money.js';
+
+// Agent tools that send funds out of the user's wallet always need approval
+export const OUTGOING_FUND_TOOLS = ['sendCrypto', 'schedulePayment'];
+
+export const APPROVAL_STATUSES = ['pending', 'approved', 'rejected', 'expired', 'cancelled'];
+
+/**
+ * Key of the approval for one model turn's tool calls: the user, the thread, the turn's
+ * position in the thread and the calls' ids and arguments. Tool call ids alone repeat
+ * (scripted models restart their counters, some OpenAI-compatible servers reuse them),
+ * so a later turn must never find an approval granted for an earlier one.
+ */
+export function getApprovalKey(userId, threadId, turn, toolCalls) {
+  return hashPayload({
+    userId,
+    threadId,
+    turn,
+    toolCalls: toolCalls.map(({ id, name, args }) => ({ id, name, args: args || {} }))
+  });
+}
+
+/**
+ * Amount and currency a tool call moves, whether passed flat or inside paymentData
+ */
+function getToolCallAmount(toolCall) {
+  const args = toolCall.args?.paymentData || toolCall.args || {};
+  try {
+    return { amount: normalizeAmount(args.amount), currency: args.currency || 'USDC' };
+  } catch {
+    return null;
+  }
+}
+
+export class ApprovalService {
+  constructor(options = {}) {
+    this.prisma = options.prisma || new PrismaClient();
+    this.emailService = options.emailService || new EmailService();
+    this.priceService = options.priceService || new PriceService();
+    this.ttlMinutes = options.ttlMinutes || parseInt(process.env.APPROVAL_TTL_MINUTES) || 60;
+    const defaultThreshold = options.defaultThresholdUsd ?? parseFloat(process.env.APPROVAL_THRESHOLD_USD);
+    this.defaultThresholdUsd = Number.isFinite(defaultThreshold) ? defaultThreshold : null;
+  }
+
+  /**
+   * USD threshold above which a user's agent actions need approval (null = none)
+   */
+  async getThresholdUsd(userId) {
+    const user = await this.prisma.user.findUnique({
+      where: { id: userId },
+      select: { approvalThresholdUsd: true }
+    });
+
+    return user?.approvalThresholdUsd ?? this.defaultThresholdUsd;
+  }
+
+  /**
+   * Set (or clear with null) a user's approval threshold
+   */
+  async setThresholdUsd(userId, thresholdUsd) {
+    try {
+      await this.prisma.user.update({
+        where: { id: userId },
+        data: { approvalThresholdUsd: thresholdUsd }
+      });
+
+      console.log(`🛡️ Approval threshold for user ${userId} set to ${thresholdUsd ?? 'default'}`);
+      return { thresholdUsd: thresholdUsd ?? this.defaultThresholdUsd, isDefault: thresholdUsd === null };
+    } catch (error) {
+      console.error(`❌ Error setting approval threshold for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decide whether a set of tool calls needs the user's approval
+   */
+  async assess(userId, toolCalls) {
+    const outgoing = toolCalls.filter(toolCall => OUTGOING_FUND_TOOLS.includes(toolCall.name));
+    const priced = toolCalls.map(getToolCallAmount).filter(Boolean);
+
+    // Valued exactly, so an amount just over the threshold is never rounded under it
+    let valueUsd = priced.length > 0 ? '0' : null;
+    for (const { amount, currency } of priced) {
+      const price = await this.priceService.getUsdPrice(currency);
+      valueUsd = price === null || valueUsd === null ? null : addAmounts(valueUsd, multiplyAmount(amount, price));
+    }
+    const amountUsd = valueUsd === null ? null : toAmountNumber(roundAmount(valueUsd, 2, 'half-up'));
+
+    if (outgoing.length > 0) {
+      return {
+        required: true,
+        reason: `${outgoing.map(toolCall => toolCall.name).join(', ')} moves funds out of your wallet`,
+        amountUsd
+      };
+    }
+
+    const thresholdUsd = await this.getThresholdUsd(userId);
+    if (thresholdUsd !== null && priced.length > 0) {
+      // An amount that cannot be valued is treated as over the threshold
+      if (valueUsd === null || compareAmounts(valueUsd, thresholdUsd) > 0) {
+        return {
+          required: true,
+          reason: valueUsd === null
+            ? `Amount could not be valued against your $${thresholdUsd} approval threshold`
+            : `$${amountUsd} is over your $${thresholdUsd} approval threshold`,
+          amountUsd
+        };
+      }
+    }
+
+    return { required: false, reason: null, amountUsd };
+  }
+
+  /**
+   * The user's approval already recorded for a turn's tool calls, or null
+   */
+  async findApproval(userId, threadId, turn, toolCalls) {
+    return await this.prisma.approval.findFirst({
+      where: { userId, key: getApprovalKey(userId, threadId, turn, toolCalls) }
+    });
+  }
+
+  /**
+   * Store a pending approval for a turn's tool calls and notify the user. Idempotent per
+   * turn, because the graph re-runs the approval step when it resumes.
+   */
+  async requestApproval(userId, threadId, turn, toolCalls, { reason, amountUsd = null }) {
+    try {
+      const key = getApprovalKey(userId, threadId, turn, toolCalls);
+
+      const existing = await this.prisma.approval.findFirst({ where: { userId, key } });
+      if (existing) {
+        return existing;
+      }
+
+      const approval = await this.prisma.approval.create({
+        data: {
+          userId,
+          threadId,
+          key,
+          toolCalls: toolCalls.map(({ id, name, args }) => ({ id, name, args })),
+          reason,
+          amountUsd,
+          status: 'pending',
+          expiresAt: new Date(Date.now() + this.ttlMinutes * 60 * 1000)
+        }
+      });
+
+      console.log(`🛡️ Approval ${approval.id} requested for user ${userId}: ${reason}`);
+      await this.notify(approval);
+      return approval;
+    } catch (error) {
+      console.error(`❌ Error requesting approval for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Email the user about a pending approval (never throws)
+   */
+  async notify(approval) {
+    try {
+      const user = await this.prisma.user.findUnique({
+        where: { id: approval.userId },
+        select: { email: true, name: true }
+      });
+
+      if (user?.email) {
+        await this.emailService.sendApprovalRequestEmail({
+          to: user.email,
+          name: user.name,
+          approval,
+          actions: ApprovalService.describeActions(approval)
+        });
+      }
+    } catch (error) {
+      console.error(`❌ Error notifying user about approval ${approval.id}:`, error);
+    }
+  }
+
+  /**
+   * One line per tool call an approval would run
+   */
+  static describeActions(approval) {
+    return approval.toolCalls.map(toolCall => {
+      const args = toolCall.args?.paymentData || toolCall.args || {};
+      const money = getToolCallAmount(toolCall);
+      const recipient = args.toAddress || args.recipientAddress || args.recipientEmail || args.email;
+      return `${toolCall.name}${money ? ` ${money.amount} ${money.currency}` : ''}${recipient ? ` to ${recipient}` : ''}`;
+    });
+  }
+
+  /**
+   * Human-readable summary of what an approval would run
+   */
+  static describe(approval) {
+    const actions = ApprovalService.describeActions(approval);
+    return `Approval needed: ${actions.join('; ')} (${approval.reason}). Approve or reject before ${new Date(approval.expiresAt).toUTCString()}.`;
+  }
+
+  /**
+   * A user's approval, or null if not found
+   */
+  async getApproval(userId, approvalId) {
+    return await this.prisma.approval.findFirst({
+      where: { id: approvalId, userId }
+    });
+  }
+
+  /**
+   * A user's approvals, newest first
+   */
+  async listApprovals(userId, { status } = {}) {
+    try {
+      return await this.prisma.approval.findMany({
+        where: { userId, ...(status && { status }) },
+        orderBy: { createdAt: 'desc' },
+        take: 100
+      });
+    } catch (error) {
+      console.error(`❌ Error listing approvals for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the user's decision on a pending approval; approvals past their expiry are marked
+   * expired instead. Each step is one conditional update, so of two calls racing (or a call
+   * racing expireStaleApprovals) only one decides. Returns the approval as this call decided
+   * it, or null if it was not pending for this user; only that caller may resume the thread.
+   */
+  async decide(userId, approvalId, decision) {
+    try {
+      if (!['approved', 'rejected'].includes(decision)) {
+        throw new Error(`Invalid approval decision: ${decision}`);
+      }
+
+      const now = new Date();
+      let status = decision;
+      let { count } = await this.prisma.approval.updateMany({
+        where: { id: approvalId, userId, status: 'pending', expiresAt: { gt: now } },
+        data: { status, decidedAt: now }
+      });
+      if (count === 0) {
+        status = 'expired';
+        ({ count } = await this.prisma.approval.updateMany({
+          where: { id: approvalId, userId, status: 'pending', expiresAt: { lte: now } },
+          data: { status, decidedAt: now }
+        }));
+      }
+      if (count === 0) {
+        return null;
+      }
+
+      console.log(`🛡️ Approval ${approvalId} ${status} by user ${userId}`);
+      return await this.getApproval(userId, approvalId);
+    } catch (error) {
+      console.error(`❌ Error deciding approval ${approvalId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a still-pending approval (the user moved on in the conversation)
+   */
+  async cancel(approvalId) {
+    const approval = await this.prisma.approval.findUnique({ where: { id: approvalId } });
+    if (!approval || approval.status !== 'pending') {
+      return approval;
+    }
+
+    return await this.prisma.approval.update({
+      where: { id: approvalId },
+      data: { status: 'cancelled', decidedAt: new Date() }
+    });
+  }
+
+  /**
+   * Mark pending approvals past their expiry as expired
+   */
+  async expireStaleApprovals() {
+    try {
+      const { count } = await this.prisma.approval.updateMany({
+        where: {
+          status: 'pending',
+          expiresAt: { lte: new Date() }
+        },
+        data: { status: 'expired', decidedAt: new Date() }
+      });
+
+      if (count > 0) {
+        console.log(`⏰ Expired ${count} pending approval(s)`);
+      }
+      return count;
+    } catch (error) {
+      console.error('❌ Error expiring approvals:', error);
+      return 0;
+    }
+  }
+}
+
+export default ApprovalService;
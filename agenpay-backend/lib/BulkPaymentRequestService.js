@@ -0,0 +1,485 @@
+/**
+ * Bulk Payment Request Service for AgenPay
+ * Creates many payment requests from one CSV upload (month-end invoicing). Every row is
+ * validated before anything is created, a dry run previews the batch, request emails go
+ * out in a throttled batch afterwards, and the per-row results are kept for download.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { isValidTimeZone, localDateTimeToUtc } from './PaymentExtractor.js';
+import { validateAmount, isPositiveAmount } from './Money.js';
+
+export const BULK_CSV_COLUMNS = ['recipientEmail', 'recipientName', 'amount', 'currency', 'description', 'scheduledDate'];
+
+const REQUIRED_COLUMNS = ['recipientEmail', 'amount'];
+
+// Header spellings accepted for each column, compared lowercase without spaces, dashes or underscores
+const COLUMN_ALIASES = {
+  recipientemail: 'recipientEmail',
+  email: 'recipientEmail',
+  recipientname: 'recipientName',
+  name: 'recipientName',
+  amount: 'amount',
+  currency: 'currency',
+  description: 'description',
+  scheduleddate: 'scheduledDate',
+  scheduledate: 'scheduledDate',
+  date: 'scheduledDate'
+};
+
+const RESULT_COLUMNS = ['row', 'status', ...BULK_CSV_COLUMNS, 'paymentId', 'paymentLink', 'emailStatus', 'error'];
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Split CSV text (RFC 4180: quoted fields, doubled quotes, CRLF) into records.
+ * Blank lines are skipped; each record keeps the line it starts on.
+ */
+export function parseCsv(text) {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const input = text.replace(/^\uFEFF/, '');
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0].trim() !== '') {
+      records.push({ line: recordLine, cells });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      // Quotes only open a quoted field at its start; elsewhere they are literal
+      inQuotes = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  endRecord();
+
+  return records;
+}
+
+/**
+ * Read an uploaded CSV into rows keyed by column.
+ * Returns { data: { rows, ignoredColumns } } or { error }.
+ */
+export function parseBulkCsv(text, { maxRows = 500 } = {}) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { error: 'The CSV is empty' };
+  }
+
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const [header, ...body] = records;
+  const columns = header.cells.map(name => COLUMN_ALIASES[name.toLowerCase().replace(/[\s_-]/g, '')] || null);
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    return { error: `The CSV header is missing: ${missing.join(', ')} (columns: ${BULK_CSV_COLUMNS.join(', ')})` };
+  }
+
+  if (body.length === 0) {
+    return { error: 'The CSV has no rows below the header' };
+  }
+  if (body.length > maxRows) {
+    return { error: `The CSV has ${body.length} rows; at most ${maxRows} can be uploaded at once` };
+  }
+
+  const rows = body.map(({ line, cells }) => ({
+    row: line,
+    values: Object.fromEntries(columns
+      .map((column, index) => [column, (cells[index] ?? '').trim()])
+      .filter(([column]) => column))
+  }));
+
+  return {
+    data: {
+      rows,
+      ignoredColumns: header.cells.filter((name, index) => !columns[index])
+    }
+  };
+}
+
+/**
+ * Parse a scheduledDate cell. Dates and times without an offset are local to the user's
+ * timezone (a bare date means 09:00 local); anything else must be an ISO timestamp.
+ */
+function parseScheduledDate(value, timeZone) {
+  const local = value.match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}))?$/);
+  if (local) {
+    // Reject dates that would roll over (2026-02-30, 2026-13-01)
+    const calendarDate = new Date(`${local[1]}T00:00:00Z`);
+    if (isNaN(calendarDate.getTime()) || !calendarDate.toISOString().startsWith(local[1])) {
+      return null;
+    }
+    return localDateTimeToUtc(local[1], local[2] || null, timeZone);
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value)) {
+    return new Date(value);
+  }
+
+  return null;
+}
+
+/**
+ * Validate one CSV row. Returns { data, errors }; data is only set when there are no errors.
+ */
+export function validateBulkRow(values, { timeZone = 'UTC', now = new Date(), defaultCurrency = 'USDC' } = {}) {
+  const errors = [];
+
+  const recipientEmail = values.recipientEmail || '';
+  if (!recipientEmail) {
+    errors.push('recipientEmail is required');
+  } else if (!EMAIL_PATTERN.test(recipientEmail)) {
+    errors.push(`recipientEmail "${recipientEmail}" is not an email address`);
+  }
+
+  const currency = (values.currency || defaultCurrency).toUpperCase();
+
+  // Thousands separators are allowed (1,250.50)
+  const amount = (values.amount || '').replace(/,/g, '');
+  if (!amount) {
+    errors.push('amount is required');
+  } else if (!/^\d+(\.\d+)?$/.test(amount) || !isPositiveAmount(amount)) {
+    errors.push(`amount "${values.amount}" must be a positive number`);
+  } else {
+    // Token decimals cap the precision (USDC has 6)
+    const { error } = validateAmount(amount, { currency });
+    if (error) errors.push(error);
+  }
+
+  if (!/^[A-Z0-9]{2,10}$/.test(currency)) {
+    errors.push(`currency "${values.currency}" is not a token symbol`);
+  }
+
+  const description = values.description || 'Payment request';
+  if (description.length > 500) {
+    errors.push('description must be at most 500 characters');
+  }
+
+  let scheduledDate = null;
+  if (values.scheduledDate) {
+    scheduledDate = parseScheduledDate(values.scheduledDate, isValidTimeZone(timeZone) ? timeZone : 'UTC');
+    if (!scheduledDate || isNaN(scheduledDate.getTime())) {
+      errors.push(`scheduledDate "${values.scheduledDate}" must be a date (YYYY-MM-DD), a local date and time (YYYY-MM-DD HH:MM) or an ISO timestamp`);
+    } else if (scheduledDate <= now) {
+      errors.push(`scheduledDate "${values.scheduledDate}" is in the past`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { data: null, errors };
+  }
+
+  return {
+    data: {
+      recipientEmail: recipientEmail.toLowerCase(),
+      recipientName: values.recipientName || null,
+      amount,
+      currency,
+      description,
+      scheduleType: scheduledDate ? 'scheduled' : 'immediate',
+      scheduledDate: scheduledDate ? scheduledDate.toISOString() : null
+    },
+    errors
+  };
+}
+
+/**
+ * Quote a value for a CSV download. Text that a spreadsheet would run as a formula is
+ * prefixed with an apostrophe.
+ */
+export function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export class BulkPaymentRequestService {
+  constructor(options = {}) {
+    this.prisma = options.prisma || new PrismaClient();
+    this.x402PayService = options.x402PayService;
+    this.emailService = options.emailService;
+    this.maxRows = options.maxRows ?? (parseInt(process.env.BULK_MAX_ROWS) || 500);
+    // Pause between request emails so a large batch does not trip the SMTP provider's rate limits
+    this.emailIntervalMs = options.emailIntervalMs ?? (parseInt(process.env.BULK_EMAIL_INTERVAL_MS) || 1000);
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  }
+
+  /**
+   * Validate every row of a CSV without creating anything (the dry run).
+   * Returns { data: { totalRows, validRows, invalidRows, ignoredColumns, rows } } or { error }.
+   */
+  preview(csv, { timeZone = 'UTC', now = new Date() } = {}) {
+    const parsed = parseBulkCsv(csv, { maxRows: this.maxRows });
+    if (parsed.error) {
+      return parsed;
+    }
+
+    const seen = new Map();
+    const rows = parsed.data.rows.map(({ row, values }) => {
+      const { data, errors } = validateBulkRow(values, { timeZone, now });
+      if (!data) {
+        return { row, status: 'invalid', ...values, errors, warnings: [] };
+      }
+
+      // Identical rows are usually a copy-paste slip, but can be intended (two invoices)
+      const warnings = [];
+      const key = [data.recipientEmail, data.amount, data.currency, data.description, data.scheduledDate].join('|');
+      if (seen.has(key)) {
+        warnings.push(`Same recipient, amount and description as row ${seen.get(key)}`);
+      } else {
+        seen.set(key, row);
+      }
+
+      return { row, status: 'valid', ...data, errors, warnings };
+    });
+
+    const invalidRows = rows.filter(row => row.status === 'invalid').length;
+    return {
+      data: {
+        totalRows: rows.length,
+        validRows: rows.length - invalidRows,
+        invalidRows,
+        ignoredColumns: parsed.data.ignoredColumns,
+        rows
+      }
+    };
+  }
+
+  /**
+   * Create a payment request for every valid row and queue their emails.
+   * Nothing is created while any row is invalid, unless skipInvalidRows is set.
+   * Returns { batch } or { error, preview }.
+   */
+  async createBatch(userId, csv, { network = 'base-sepolia', timeZone = 'UTC', fileName = null, sendEmail = true, skipInvalidRows = false, waitForEmails = false } = {}) {
+    try {
+      const { data: preview, error } = this.preview(csv, { timeZone });
+      if (error) {
+        return { error };
+      }
+      if (preview.invalidRows > 0 && !skipInvalidRows) {
+        return { error: `${preview.invalidRows} of ${preview.totalRows} rows are invalid; fix them or set skipInvalidRows`, preview };
+      }
+      if (preview.validRows === 0) {
+        return { error: 'No valid rows to create', preview };
+      }
+
+      const batch = await this.prisma.paymentRequestBatch.create({
+        data: {
+          userId,
+          fileName,
+          network,
+          status: 'creating',
+          totalRows: preview.totalRows,
+          results: []
+        }
+      });
+
+      console.log(`📦 Bulk batch ${batch.id}: creating ${preview.validRows} payment requests for user ${userId}`);
+
+      const results = [];
+      for (const row of preview.rows) {
+        if (row.status === 'invalid') {
+          results.push({ ...row, status: 'invalid', emailStatus: 'not_sent', error: row.errors.join('; ') });
+          continue;
+        }
+
+        const { errors, warnings, ...request } = row;
+        try {
+          const created = await this.x402PayService.createPaymentRequest({
+            userId,
+            network,
+            recipientEmail: request.recipientEmail,
+            recipientName: request.recipientName,
+            amount: request.amount,
+            currency: request.currency,
+            description: request.description,
+            scheduleType: request.scheduleType,
+            scheduledDate: request.scheduledDate
+          });
+
+          // Scheduled requests are not emailed on creation, same as single requests
+          let emailStatus = 'not_requested';
+          if (sendEmail) {
+            emailStatus = request.scheduleType === 'immediate' ? 'queued' : 'not_sent_scheduled';
+          }
+
+          results.push({
+            ...request,
+            status: 'created',
+            paymentId: created.paymentId,
+            paymentLink: created.x402PayLink,
+            expiresAt: created.request?.expiresAt ?? null,
+            emailStatus,
+            warnings
+          });
+        } catch (createError) {
+          console.error(`❌ Bulk batch ${batch.id}: row ${row.row} failed:`, createError.message);
+          results.push({ ...request, status: 'failed', emailStatus: 'not_sent', error: createError.message });
+        }
+      }
+
+      const queued = results.filter(result => result.emailStatus === 'queued').length;
+      const updated = await this.prisma.paymentRequestBatch.update({
+        where: { id: batch.id },
+        data: {
+          status: queued > 0 ? 'sending_emails' : 'completed',
+          createdCount: results.filter(result => result.status === 'created').length,
+          failedCount: results.filter(result => result.status !== 'created').length,
+          results
+        }
+      });
+
+      console.log(`✅ Bulk batch ${batch.id}: ${updated.createdCount} created, ${updated.failedCount} failed, ${queued} emails queued`);
+
+      const emails = queued > 0 ? this.sendBatchEmails(batch.id, results) : Promise.resolve();
+      if (waitForEmails) {
+        return { batch: await emails || updated };
+      }
+      return { batch: updated };
+    } catch (error) {
+      console.error(`❌ Error creating bulk payment requests for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send the queued request emails one at a time, recording each outcome on the batch
+   */
+  async sendBatchEmails(batchId, results) {
+    let emailedCount = 0;
+    let first = true;
+
+    try {
+      for (const result of results) {
+        if (result.emailStatus !== 'queued') continue;
+
+        if (!first) {
+          await this.sleep(this.emailIntervalMs);
+        }
+        first = false;
+
+        try {
+          await this.emailService.sendPaymentRequestEmail({
+            to: result.recipientEmail,
+            amount: result.amount,
+            currency: result.currency,
+            description: result.description,
+            paymentLink: result.paymentLink,
+            recipientName: result.recipientName,
+            transactionType: 'ask_payment',
+            expiresAt: result.expiresAt
+          });
+          result.emailStatus = 'sent';
+          emailedCount++;
+        } catch (emailError) {
+          console.error(`❌ Bulk batch ${batchId}: email to ${result.recipientEmail} failed:`, emailError.message);
+          result.emailStatus = 'failed';
+          result.error = emailError.message;
+        }
+
+        // Saved after every email so the batch status shows progress
+        await this.prisma.paymentRequestBatch.update({
+          where: { id: batchId },
+          data: { emailedCount, results }
+        });
+      }
+
+      const batch = await this.prisma.paymentRequestBatch.update({
+        where: { id: batchId },
+        data: { status: 'completed', emailedCount, results }
+      });
+
+      console.log(`📧 Bulk batch ${batchId}: ${emailedCount} request emails sent`);
+      return batch;
+    } catch (error) {
+      console.error(`❌ Error sending emails for bulk batch ${batchId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * A user's batches, newest first (without the per-row results)
+   */
+  async listBatches(userId, { limit = 20 } = {}) {
+    return await this.prisma.paymentRequestBatch.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      take: Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+      select: {
+        id: true,
+        fileName: true,
+        network: true,
+        status: true,
+        totalRows: true,
+        createdCount: true,
+        failedCount: true,
+        emailedCount: true,
+        createdAt: true
+      }
+    });
+  }
+
+  /**
+   * A user's batch with its per-row results, or null if not found
+   */
+  async getBatch(userId, batchId) {
+    return await this.prisma.paymentRequestBatch.findFirst({
+      where: { id: batchId, userId }
+    });
+  }
+
+  /**
+   * The per-row results of a batch as CSV
+   */
+  toResultsCsv(batch) {
+    const lines = [RESULT_COLUMNS.join(',')];
+    for (const result of batch.results || []) {
+      lines.push(RESULT_COLUMNS.map(column => toCsvCell(result[column])).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+  }
+}
+
+export default BulkPaymentRequestService;
@@ -0,0 +1,193 @@
+/**
+ * Chat Thread Service for AgenPay
+ * Per-user agent conversation threads, with message history read from the
+ * persisted LangGraph checkpoints
+ */
+
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import PrismaCheckpointSaver from './PrismaCheckpointSaver.js';
+
+const TITLE_MAX_LENGTH = 80;
+
+const MESSAGE_ROLES = {
+  human: 'user',
+  ai: 'assistant',
+  tool: 'tool'
+};
+
+/**
+ * Thread a user chats in when the client does not pick one
+ */
+export function getDefaultThreadId(userId) {
+  return `user-${userId}-chat-session`;
+}
+
+export class ChatThreadService {
+  constructor(options = {}) {
+    this.prisma = options.prisma || new PrismaClient();
+    this.checkpointer = options.checkpointer || new PrismaCheckpointSaver({ prisma: this.prisma });
+  }
+
+  /**
+   * Title for a thread, from its first message
+   */
+  static buildTitle(message) {
+    const title = String(message || '').replace(/\s+/g, ' ').trim();
+    return title.length > TITLE_MAX_LENGTH ? `${title.slice(0, TITLE_MAX_LENGTH - 1)}…` : title || null;
+  }
+
+  /**
+   * A user's threads, most recently active first
+   */
+  async listThreads(userId) {
+    try {
+      return await this.prisma.chatThread.findMany({
+        where: { userId },
+        orderBy: { updatedAt: 'desc' }
+      });
+    } catch (error) {
+      console.error(`❌ Error listing chat threads for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a new, empty thread
+   */
+  async createThread(userId, { title = null } = {}) {
+    try {
+      const thread = await this.prisma.chatThread.create({
+        data: {
+          id: `thread_${crypto.randomUUID()}`,
+          userId,
+          title: title ? ChatThreadService.buildTitle(title) : null
+        }
+      });
+
+      console.log(`💬 Chat thread ${thread.id} created for user ${userId}`);
+      return thread;
+    } catch (error) {
+      console.error(`❌ Error creating chat thread for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure a thread exists before the agent checkpoints into it.
+   * Returns null when the thread id belongs to another user.
+   */
+  async ensureThread(userId, threadId, firstMessage = null) {
+    try {
+      const existing = await this.prisma.chatThread.findUnique({ where: { id: threadId } });
+
+      if (existing) {
+        if (existing.userId !== userId) {
+          return null;
+        }
+
+        // Touch the thread so it sorts as most recently active
+        return await this.prisma.chatThread.update({
+          where: { id: threadId },
+          data: { title: existing.title || ChatThreadService.buildTitle(firstMessage) }
+        });
+      }
+
+      return await this.prisma.chatThread.create({
+        data: {
+          id: threadId,
+          userId,
+          title: ChatThreadService.buildTitle(firstMessage)
+        }
+      });
+    } catch (error) {
+      console.error(`❌ Error preparing chat thread ${threadId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ownership check without creating anything
+   */
+  async isForeignThread(userId, threadId) {
+    const thread = await this.prisma.chatThread.findUnique({ where: { id: threadId } });
+    return !!thread && thread.userId !== userId;
+  }
+
+  /**
+   * A user's thread with its message history, or null if not found
+   */
+  async getThread(userId, threadId) {
+    try {
+      const thread = await this.prisma.chatThread.findFirst({
+        where: { id: threadId, userId }
+      });
+
+      if (!thread) {
+        return null;
+      }
+
+      const tuple = await this.checkpointer.getTuple({ configurable: { thread_id: threadId } });
+      const messages = (tuple?.checkpoint?.channel_values?.messages || [])
+        .map(message => this.formatMessage(message))
+        .filter(Boolean);
+
+      return { ...thread, messages };
+    } catch (error) {
+      console.error(`❌ Error fetching chat thread ${threadId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a user's thread together with its checkpoints
+   */
+  async deleteThread(userId, threadId) {
+    try {
+      const thread = await this.prisma.chatThread.findFirst({
+        where: { id: threadId, userId }
+      });
+
+      if (!thread) {
+        return null;
+      }
+
+      await this.checkpointer.deleteThread(threadId);
+      await this.prisma.chatThread.delete({ where: { id: threadId } });
+
+      console.log(`🗑️ Chat thread ${threadId} deleted for user ${userId}`);
+      return thread;
+    } catch (error) {
+      console.error(`❌ Error deleting chat thread ${threadId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Plain JSON view of a LangChain message (system messages are not part of the history)
+   */
+  formatMessage(message) {
+    const type = typeof message._getType === 'function' ? message._getType() : message.type;
+    const role = MESSAGE_ROLES[type];
+    if (!role) {
+      return null;
+    }
+
+    const formatted = {
+      role,
+      content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+    };
+
+    if (message.tool_calls?.length > 0) {
+      formatted.toolCalls = message.tool_calls.map(({ id, name, args }) => ({ id, name, args }));
+    }
+    if (role === 'tool') {
+      formatted.name = message.name;
+      formatted.toolCallId = message.tool_call_id;
+    }
+
+    return formatted;
+  }
+}
+
+export default ChatThreadService;
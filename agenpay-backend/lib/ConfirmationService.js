@@ -0,0 +1,219 @@
+/**
+ * Confirmation Service for AgenPay
+ * Polls transaction receipts for broadcast sends and moves PENDING transactions
+ * to COMPLETED once confirmed, or to FAILED when reverted or dropped
+ */
+
+import { PrismaClient } from '@prisma/client';
+import RpcClient from './RpcClient.js';
+import WebhookService from './WebhookService.js';
+import LedgerService from './LedgerService.js';
+import { subtractAmounts, maxAmount, isPositiveAmount } from './Money.js';
+
+export class ConfirmationService {
+  constructor(options = {}) {
+    this.prisma = options.prisma || new PrismaClient();
+    this.rpcClient = options.rpcClient || new RpcClient();
+    this.webhookService = options.webhookService || new WebhookService({ prisma: this.prisma });
+    this.ledgerService = options.ledgerService || new LedgerService({ prisma: this.prisma });
+    // Provides the Notion sync helpers (updateNotionOutgoingPayment / updateNotionIncomingPayment)
+    this.schedulingService = options.schedulingService || null;
+    this.requiredConfirmations = options.requiredConfirmations || parseInt(process.env.CONFIRMATIONS_REQUIRED) || 3;
+    this.dropTimeoutMs = options.dropTimeoutMs || (parseInt(process.env.CONFIRMATION_DROP_TIMEOUT_MINUTES) || 60) * 60 * 1000;
+  }
+
+  /**
+   * Check every PENDING transaction with a hash. Rows sharing a hash (the SEND row from
+   * sendCrypto and the OUTGOING/REFUND row of the payment) are settled together.
+   */
+  async processPendingTransactions() {
+    const summary = { checked: 0, confirmed: 0, failed: 0 };
+
+    try {
+      const pendingTransactions = await this.prisma.transaction.findMany({
+        where: {
+          status: 'PENDING',
+          txHash: { not: null }
+        },
+        orderBy: { createdAt: 'asc' },
+        take: 200
+      });
+
+      const groups = new Map();
+      for (const transaction of pendingTransactions) {
+        const network = transaction.network || 'base-sepolia';
+        const key = `${network}:${transaction.txHash}`;
+        if (!groups.has(key)) {
+          groups.set(key, { network, txHash: transaction.txHash, transactions: [] });
+        }
+        groups.get(key).transactions.push(transaction);
+      }
+
+      if (groups.size > 0) {
+        console.log(`⛓️ Checking confirmations for ${groups.size} pending transaction(s)...`);
+      }
+
+      const latestBlocks = new Map();
+      for (const group of groups.values()) {
+        try {
+          if (!latestBlocks.has(group.network)) {
+            latestBlocks.set(group.network, await this.rpcClient.getBlockNumber(group.network));
+          }
+
+          const outcome = await this.checkTransaction(group, latestBlocks.get(group.network));
+          summary.checked++;
+          if (outcome === 'COMPLETED') summary.confirmed++;
+          if (outcome === 'FAILED') summary.failed++;
+        } catch (error) {
+          // RPC hiccups leave the transaction PENDING for the next run
+          console.error(`❌ Error checking transaction ${group.txHash} on ${group.network}:`, error.message);
+        }
+      }
+
+      return summary;
+    } catch (error) {
+      console.error('❌ Error processing pending transactions:', error);
+      return summary;
+    }
+  }
+
+  /**
+   * Check one broadcast transaction and record its confirmation state
+   */
+  async checkTransaction({ network, txHash, transactions }, latestBlock) {
+    const receipt = await this.rpcClient.getTransactionReceipt(network, txHash);
+
+    if (!receipt) {
+      const broadcastAt = Math.min(...transactions.map(transaction => new Date(transaction.createdAt).getTime()));
+      if (Date.now() - broadcastAt > this.dropTimeoutMs) {
+        await this.failTransaction({ network, txHash, transactions }, 'Transaction dropped: no receipt after broadcast timeout');
+        return 'FAILED';
+      }
+      return 'PENDING';
+    }
+
+    if (receipt.status === 'reverted') {
+      await this.failTransaction({ network, txHash, transactions }, 'Transaction reverted on-chain', receipt.blockNumber);
+      return 'FAILED';
+    }
+
+    const confirmations = Math.max(0, latestBlock - receipt.blockNumber + 1);
+
+    if (confirmations < this.requiredConfirmations) {
+      await this.prisma.transaction.updateMany({
+        where: { txHash, status: 'PENDING' },
+        data: { confirmations, blockNumber: receipt.blockNumber }
+      });
+      await this.recordPaymentConfirmations(txHash, { confirmations });
+      return 'PENDING';
+    }
+
+    await this.prisma.transaction.updateMany({
+      where: { txHash, status: 'PENDING' },
+      data: {
+        status: 'COMPLETED',
+        confirmations,
+        blockNumber: receipt.blockNumber,
+        completedAt: new Date()
+      }
+    });
+    await this.ledgerService.confirm(txHash);
+    await this.recordPaymentConfirmations(txHash, { confirmations, confirmedAt: new Date() });
+
+    console.log(`✅ Transaction ${txHash} confirmed on ${network} (${confirmations} confirmations)`);
+    return 'COMPLETED';
+  }
+
+  /**
+   * Copy a transaction's confirmations (and confirmedAt once it completes) to the outgoing
+   * payments it settles, and on to Notion. Payments already up to date are left alone, so
+   * Notion is only written when something changed.
+   */
+  async recordPaymentConfirmations(txHash, data) {
+    const payments = await this.prisma.outgoingPayment.findMany({
+      where: { txHash, status: 'completed', confirmedAt: null }
+    });
+
+    for (const payment of payments) {
+      if (payment.confirmations === data.confirmations && !data.confirmedAt) {
+        continue;
+      }
+
+      const updatedPayment = await this.prisma.outgoingPayment.update({
+        where: { id: payment.id },
+        data
+      });
+      await this.schedulingService?.updateNotionOutgoingPayment(payment.userId, updatedPayment);
+    }
+  }
+
+  /**
+   * Mark a transaction FAILED and undo its effects: its ledger entries are reversed, the
+   * outgoing payment that sent it fails, and a failed refund is taken off its payment
+   * request's refunded amount (the scheduler then sends it again)
+   */
+  async failTransaction({ network, txHash, transactions }, reason, blockNumber = null) {
+    // Reversed first: if it fails the transaction stays PENDING and is retried next run
+    await this.ledgerService.reverse(txHash, reason);
+
+    await this.prisma.transaction.updateMany({
+      where: { txHash, status: 'PENDING' },
+      data: {
+        status: 'FAILED',
+        failureReason: reason,
+        blockNumber
+      }
+    });
+
+    console.error(`❌ Transaction ${txHash} failed on ${network}: ${reason}`);
+
+    for (const refund of transactions.filter(transaction => transaction.type === 'REFUND' && transaction.relatedRequestId)) {
+      await this.reverseRefund(refund.relatedRequestId, refund.amount);
+    }
+
+    const outgoingPayments = await this.prisma.outgoingPayment.findMany({
+      where: { txHash, status: 'completed' }
+    });
+
+    for (const payment of outgoingPayments) {
+      const failedPayment = await this.prisma.outgoingPayment.update({
+        where: { id: payment.id },
+        data: { status: 'failed', failureReason: reason }
+      });
+
+      await this.schedulingService?.updateNotionOutgoingPayment(payment.userId, failedPayment);
+      await this.webhookService.emit(payment.userId, 'outgoing_payment.failed', {
+        ...failedPayment,
+        error: reason
+      });
+    }
+  }
+
+  /**
+   * Take a refund that never landed back off its payment request
+   */
+  async reverseRefund(paymentRequestId, amount) {
+    const paymentRequest = await this.prisma.paymentRequest.findUnique({
+      where: { id: paymentRequestId }
+    });
+
+    if (!paymentRequest) {
+      return null;
+    }
+
+    const refundedAmount = maxAmount(0, subtractAmounts(paymentRequest.refundedAmount ?? 0, amount));
+    const updatedRequest = await this.prisma.paymentRequest.update({
+      where: { id: paymentRequestId },
+      data: {
+        refundedAmount,
+        status: isPositiveAmount(refundedAmount) ? 'partially_refunded' : 'payment_received'
+      }
+    });
+
+    console.log(`↩️ Refund of ${amount} ${paymentRequest.currency} reversed on ${paymentRequestId}`);
+    await this.schedulingService?.updateNotionIncomingPayment(updatedRequest.userId, updatedRequest);
+    return updatedRequest;
+  }
+}
+
+export default ConfirmationService;
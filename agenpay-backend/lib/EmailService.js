@@ -0,0 +1,249 @@
+/**
+ * Email Service for AgenPay
+ * Sends payment request emails with X402Pay links (shared by the agent, API and scheduler)
+ */
+
+import nodemailer from 'nodemailer';
+import { formatAmount } from './Money.js';
+
+export class EmailService {
+  constructor(config = {}) {
+    this.config = {
+      service: process.env.EMAIL_SERVICE || 'gmail',
+      user: process.env.EMAIL_USER || 'test@example.com',
+      pass: process.env.EMAIL_PASS || 'mock-password',
+      from: process.env.EMAIL_FROM || 'AgenPay <noreply@agenpay.com>',
+      ...config
+    };
+
+    this.transporter = nodemailer.createTransport({
+      service: this.config.service,
+      auth: {
+        user: this.config.user,
+        pass: this.config.pass,
+      },
+    });
+  }
+
+  /**
+   * Whether real SMTP credentials are configured (otherwise emails are only logged)
+   */
+  isLive() {
+    return this.config.user !== 'test@example.com' && this.config.pass !== 'mock-password';
+  }
+
+  /**
+   * Send a payment request email with the X402Pay link
+   */
+  async sendPaymentRequestEmail({ to, amount, currency, description, paymentLink, recipientName, transactionType, billingInterval, refundDelayDays, refundPercentage, refundDate, expiresAt }) {
+    if (!to) {
+      throw new Error('Recipient email is required');
+    }
+
+    const html = this.generatePaymentRequestTemplate({
+      amount,
+      currency,
+      description,
+      paymentLink,
+      recipientName,
+      transactionType,
+      billingInterval,
+      refundDelayDays,
+      refundPercentage,
+      refundDate,
+      expiresAt
+    });
+
+    if (!this.isLive()) {
+      console.log(`📧 🧪 MOCK EMAIL (would be sent to): ${to}`);
+      console.log(`📧 📝 Email content preview:`, html.substring(0, 200) + '...');
+      return { success: true, mock: true, to };
+    }
+
+    await this.transporter.sendMail({
+      from: this.config.from,
+      to,
+      subject: `Payment Request - ${formatAmount(amount, currency)}`,
+      html
+    });
+
+    console.log(`📧 ✅ REAL EMAIL SENT to: ${to}`);
+    return { success: true, mock: false, to };
+  }
+
+  /**
+   * Tell a user their agent is waiting for approval before moving funds
+   */
+  async sendApprovalRequestEmail({ to, name, approval, actions = [] }) {
+    if (!to) {
+      throw new Error('Recipient email is required');
+    }
+
+    const dashboardUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard`;
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head><meta charset="utf-8"><title>Approval Needed - AgenPay</title></head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2>🛡️ Your AgenPay agent needs your approval${name ? `, ${name}` : ''}</h2>
+          <p>${approval.reason}${approval.amountUsd !== null && approval.amountUsd !== undefined ? ` (about $${approval.amountUsd})` : ''}.</p>
+          <ul>${actions.map(action => `<li>${action}</li>`).join('')}</ul>
+          <p>Nothing has been sent yet. Approve or reject before <strong>${new Date(approval.expiresAt).toUTCString()}</strong>, after which the request expires.</p>
+          <p><a href="${dashboardUrl}" style="display: inline-block; background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px;">Review in dashboard</a></p>
+        </div>
+      </body>
+      </html>
+    `;
+
+    if (!this.isLive()) {
+      console.log(`📧 🧪 MOCK APPROVAL EMAIL (would be sent to): ${to}`);
+      return { success: true, mock: true, to };
+    }
+
+    await this.transporter.sendMail({
+      from: this.config.from,
+      to,
+      subject: 'Approval needed - AgenPay agent action',
+      html
+    });
+
+    console.log(`📧 ✅ Approval email sent to: ${to}`);
+    return { success: true, mock: false, to };
+  }
+
+  /**
+   * Tell a user a payment kept failing and was moved to the dead letter queue
+   */
+  async sendPaymentDeadLetterEmail({ to, name, payment }) {
+    if (!to) {
+      throw new Error('Recipient email is required');
+    }
+
+    const dashboardUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard`;
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head><meta charset="utf-8"><title>Payment Needs Attention - AgenPay</title></head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2>⚠️ A payment could not be sent${name ? `, ${name}` : ''}</h2>
+          <p>Your payment of <strong>${formatAmount(payment.amount, payment.currency)}</strong> to ${payment.recipientName || payment.recipientAddress}${payment.description ? ` (${payment.description})` : ''} failed ${payment.attempts} times and will not be retried automatically.</p>
+          <p>Last error: ${payment.lastError}</p>
+          <p>Once the problem is fixed (for example by topping up gas on your wallet) the payment can be re-queued.</p>
+          <p><a href="${dashboardUrl}" style="display: inline-block; background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px;">Review in dashboard</a></p>
+        </div>
+      </body>
+      </html>
+    `;
+
+    if (!this.isLive()) {
+      console.log(`📧 🧪 MOCK DEAD LETTER EMAIL (would be sent to): ${to}`);
+      return { success: true, mock: true, to };
+    }
+
+    await this.transporter.sendMail({
+      from: this.config.from,
+      to,
+      subject: `Payment failed - ${formatAmount(payment.amount, payment.currency)}`,
+      html
+    });
+
+    console.log(`📧 ✅ Dead letter email sent to: ${to}`);
+    return { success: true, mock: false, to };
+  }
+
+  /**
+   * Generate the payment request email HTML
+   */
+  generatePaymentRequestTemplate({ amount, currency, description, paymentLink, recipientName, transactionType, billingInterval, refundDelayDays, refundPercentage, refundDate, expiresAt }) {
+    const isRefundable = transactionType === 'ask_and_refund';
+    const isSubscription = transactionType === 'subscription';
+    const refundShare = refundPercentage && refundPercentage < 100 ? `${refundPercentage}% of your payment` : 'your payment';
+    const refundTiming = refundDate
+      ? `on ${new Date(refundDate).toDateString()}`
+      : `${refundDelayDays ?? (parseInt(process.env.REFUND_DEFAULT_DELAY_DAYS) || 30)} days after payment`;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Payment Request - AgenPay</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .payment-details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #667eea; }
+          .pay-button { display: inline-block; background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; margin: 20px 0; }
+          .security-info { background: #e8f4f8; padding: 15px; border-radius: 8px; margin: 20px 0; border: 1px solid #b3d9e6; }
+          .footer { text-align: center; margin-top: 30px; font-size: 14px; color: #666; }
+          .refund-notice { background: #fff3cd; padding: 15px; border-radius: 8px; margin: 20px 0; border: 1px solid #ffeaa7; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>💰 Payment Request</h1>
+            <p>Secure crypto payment powered by AgenPay × X402Pay</p>
+          </div>
+          <div class="content">
+            <h2>Hello${recipientName ? ` ${recipientName}` : ''}!</h2>
+            <p>You have received a payment request:</p>
+
+            <div class="payment-details">
+              <h3>💳 Payment Details</h3>
+              <p><strong>Amount:</strong> ${formatAmount(amount, currency)}</p>
+              <p><strong>Description:</strong> ${description}</p>
+              <p><strong>Network:</strong> Base Sepolia (Testnet)</p>
+              ${isRefundable ? `<p><strong>Type:</strong> ⚡ Auto-refund enabled (${refundShare} will be returned ${refundTiming})</p>` : ''}
+              ${expiresAt ? `<p><strong>Link expires:</strong> ${new Date(expiresAt).toUTCString()}</p>` : ''}
+              ${isSubscription ? `<p><strong>Type:</strong> 🔁 Recurring ${billingInterval || ''} subscription (a new link is sent each period)</p>` : ''}
+            </div>
+
+            <div class="security-info">
+              <h3>🔒 Powered by X402Pay Protocol</h3>
+              <p>This payment uses the X402 HTTP protocol for secure cryptocurrency transactions:</p>
+              <ul>
+                <li>✅ Cryptographic payment verification</li>
+                <li>✅ No account creation required</li>
+                <li>✅ Direct wallet-to-wallet transfer</li>
+                <li>✅ Instant confirmation</li>
+              </ul>
+            </div>
+
+            <div style="text-align: center;">
+              <a href="${paymentLink}" class="pay-button">💳 Pay with X402Pay</a>
+            </div>
+
+            ${isRefundable ? `
+            <div class="refund-notice">
+              <h3>🔄 Automatic Refund Policy</h3>
+              <p>This payment includes automatic refund protection. ${refundShare.charAt(0).toUpperCase() + refundShare.slice(1)} will be automatically refunded to the paying wallet ${refundTiming}.</p>
+            </div>
+            ` : ''}
+
+            <p><strong>How X402Pay Works:</strong></p>
+            <ol>
+              <li>Click the payment button above</li>
+              <li>Connect your crypto wallet (MetaMask, Coinbase Wallet, etc.)</li>
+              <li>Approve the transaction</li>
+              <li>Payment is verified instantly via cryptographic proof</li>
+            </ol>
+          </div>
+          <div class="footer">
+            <p>Powered by <strong>AgenPay × X402Pay</strong> - The Future of Web3 Payments</p>
+            <p>This payment request uses the X402 HTTP protocol for secure, verified crypto transactions.</p>
+            <p>Questions? This email was sent automatically by our AI payment agent.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+}
+
+export default EmailService;
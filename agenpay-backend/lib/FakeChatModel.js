@@ -0,0 +1,117 @@
+/**
+ * Fake Chat Model for AgenPay
+ * A deterministic chat model that replies with a scripted sequence of messages and
+ * tool calls, so the whole agent graph can run offline in tests and demos
+ */
+
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessage, AIMessageChunk } from '@langchain/core/messages';
+import { ChatGenerationChunk } from '@langchain/core/outputs';
+import { RunnableLambda } from '@langchain/core/runnables';
+
+/**
+ * Script steps, one per model call:
+ *   { content: 'text' }                                     a plain reply
+ *   { toolCalls: [{ name, args }], content? }               a reply that calls tools
+ *   (messages) => step                                      a step computed from the conversation
+ * Structured responses (withStructuredOutput) are scripted separately, one per call.
+ */
+export class FakeChatModel extends BaseChatModel {
+  constructor(options = {}) {
+    super(options);
+    this.script = options.script || [];
+    this.structuredResponses = options.structuredResponses || [];
+    this.calls = [];
+    this.structuredCalls = [];
+    this.boundToolNames = null;
+    this.toolCallCount = 0;
+  }
+
+  _llmType() {
+    return 'fake';
+  }
+
+  /**
+   * Remember the tool names so scripted calls to unknown tools fail loudly
+   */
+  bindTools(tools) {
+    this.boundToolNames = tools.map(tool => tool.name);
+    return this;
+  }
+
+  /**
+   * Build the reply for the next scripted step
+   */
+  nextMessage(messages) {
+    const index = this.calls.length;
+    this.calls.push(messages);
+
+    let step = this.script[index];
+    if (step === undefined) {
+      throw new Error(`FakeChatModel script ran out: no step ${index + 1} (script has ${this.script.length})`);
+    }
+    if (typeof step === 'function') {
+      step = step(messages);
+    }
+
+    const toolCalls = (step.toolCalls || []).map(({ id, name, args = {} }) => {
+      if (this.boundToolNames && !this.boundToolNames.includes(name)) {
+        throw new Error(`FakeChatModel step ${index + 1} calls unknown tool "${name}"`);
+      }
+      return { id: id || `fake_call_${++this.toolCallCount}`, name, args, type: 'tool_call' };
+    });
+
+    return { content: step.content || '', toolCalls };
+  }
+
+  /**
+   * Reply with the next scripted step
+   */
+  async _generate(messages) {
+    const { content, toolCalls } = this.nextMessage(messages);
+    const message = new AIMessage({ content, tool_calls: toolCalls });
+    return { generations: [{ text: message.content, message }] };
+  }
+
+  /**
+   * Stream the next scripted step word by word, with its tool calls in the last chunk
+   */
+  async *_streamResponseChunks(messages, options, runManager) {
+    const { content, toolCalls } = this.nextMessage(messages);
+    const tokens = content.match(/\S+\s*/g) || [];
+
+    for (const token of tokens) {
+      yield new ChatGenerationChunk({ text: token, message: new AIMessageChunk({ content: token }) });
+      await runManager?.handleLLMNewToken(token);
+    }
+    if (toolCalls.length > 0 || tokens.length === 0) {
+      yield new ChatGenerationChunk({
+        text: '',
+        message: new AIMessageChunk({
+          content: '',
+          tool_call_chunks: toolCalls.map(({ id, name, args }, index) => ({ id, name, args: JSON.stringify(args), index, type: 'tool_call_chunk' })),
+        }),
+      });
+    }
+  }
+
+  /**
+   * Return the next scripted structured response, validated against the schema
+   */
+  withStructuredOutput(schema) {
+    return RunnableLambda.from(async (input) => {
+      const index = this.structuredCalls.length;
+      this.structuredCalls.push(input);
+
+      const response = this.structuredResponses[index];
+      if (response === undefined) {
+        throw new Error(`FakeChatModel has no structured response ${index + 1} (${this.structuredResponses.length} scripted)`);
+      }
+
+      const output = typeof response === 'function' ? response(input) : response;
+      return typeof schema?.parse === 'function' ? schema.parse(output) : output;
+    });
+  }
+}
+
+export default FakeChatModel;
@@ -0,0 +1,190 @@
+/**
+ * Idempotency Service for AgenPay
+ * Makes money-moving operations safe to retry: the first request with a key runs and its
+ * response is stored, a retry with the same key and request gets that response back
+ * instead of running again, and the same key with a different request is a conflict.
+ */
+
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+
+export const IDEMPOTENCY_KEY_CONFLICT = 'IDEMPOTENCY_KEY_CONFLICT';
+export const IDEMPOTENCY_KEY_IN_PROGRESS = 'IDEMPOTENCY_KEY_IN_PROGRESS';
+
+const MAX_KEY_LENGTH = 255;
+
+export class IdempotencyError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'IdempotencyError';
+    this.code = code;
+  }
+}
+
+/**
+ * Validate an Idempotency-Key header. Returns { data } with the key (null when none was
+ * sent) or { error }.
+ */
+export function parseIdempotencyKey(value) {
+  if (value === undefined || value === null) {
+    return { data: null };
+  }
+
+  const key = String(value).trim();
+  if (!key || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+    return { error: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} printable characters without spaces` };
+  }
+  return { data: key };
+}
+
+/**
+ * JSON with object keys sorted, so equal requests hash the same whatever their key order
+ */
+function toStableJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(toStableJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${toStableJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * SHA-256 fingerprint of a request payload
+ */
+export function hashPayload(payload) {
+  return crypto.createHash('sha256').update(toStableJson(payload)).digest('hex');
+}
+
+export class IdempotencyService {
+  constructor(options = {}) {
+    this.prisma = options.prisma || new PrismaClient();
+    this.retentionMs = (options.retentionHours || parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+  }
+
+  /**
+   * Claim a key before running an operation. Returns { replayed: false, record } for a new
+   * key, or { replayed: true, statusCode, response } when the operation already completed.
+   * Throws IdempotencyError when the key was used for a different request, or while the
+   * first request with it is still running. A request that never completed (the process
+   * died mid-way) keeps its key until the retention window ends: it may have moved money.
+   */
+  async begin({ userId, scope, key, payload }) {
+    const requestHash = hashPayload(payload);
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const record = await this.prisma.idempotencyKey.create({
+          data: { userId, scope, key, requestHash, expiresAt: new Date(Date.now() + this.retentionMs) }
+        });
+        return { replayed: false, record };
+      } catch (error) {
+        if (error.code !== 'P2002') throw error;
+      }
+
+      const existing = await this.prisma.idempotencyKey.findUnique({
+        where: { userId_scope_key: { userId, scope, key } }
+      });
+
+      // Expired (or released in the meantime): drop it and claim the key again
+      if (!existing || existing.expiresAt <= new Date()) {
+        if (existing) {
+          await this.prisma.idempotencyKey.deleteMany({ where: { id: existing.id } });
+        }
+        continue;
+      }
+
+      if (existing.requestHash !== requestHash) {
+        throw new IdempotencyError(IDEMPOTENCY_KEY_CONFLICT, `Idempotency key ${key} was already used for a different request`);
+      }
+      if (!existing.completedAt) {
+        throw new IdempotencyError(IDEMPOTENCY_KEY_IN_PROGRESS, `A request with idempotency key ${key} is still being processed`);
+      }
+
+      console.log(`🔁 Replaying stored response for idempotency key ${key} (${scope})`);
+      return { replayed: true, statusCode: existing.statusCode, response: existing.response };
+    }
+
+    throw new IdempotencyError(IDEMPOTENCY_KEY_IN_PROGRESS, `A request with idempotency key ${key} is still being processed`);
+  }
+
+  /**
+   * Look up a key that has not expired, or null (used to tell how far an interrupted
+   * operation got)
+   */
+  async find({ userId, scope, key }) {
+    const record = await this.prisma.idempotencyKey.findUnique({
+      where: { userId_scope_key: { userId, scope, key } }
+    });
+    return record && record.expiresAt > new Date() ? record : null;
+  }
+
+  /**
+   * Store the response of a claimed key, to be replayed until the key expires
+   */
+  async complete(recordId, { statusCode = 200, response = null } = {}) {
+    await this.prisma.idempotencyKey.update({
+      where: { id: recordId },
+      data: {
+        statusCode,
+        // Plain JSON (Prisma Decimal amounts become strings, as in API responses)
+        response: response === null ? null : JSON.parse(JSON.stringify(response)),
+        completedAt: new Date()
+      }
+    });
+  }
+
+  /**
+   * Give up a claimed key after the operation failed, so a retry can run it again
+   */
+  async release(recordId) {
+    await this.prisma.idempotencyKey.deleteMany({ where: { id: recordId } });
+  }
+
+  /**
+   * Run an operation at most once per key: returns { replayed, response }, with the stored
+   * response on replay. A thrown error releases the key and is rethrown, unless the operation
+   * may have moved money (error.mayHaveBroadcast): that key stays claimed so nothing retries it.
+   */
+  async run({ userId, scope, key, payload }, operation) {
+    const claim = await this.begin({ userId, scope, key, payload });
+    if (claim.replayed) {
+      return { replayed: true, response: claim.response };
+    }
+
+    let response;
+    try {
+      response = await operation();
+    } catch (error) {
+      if (!error.mayHaveBroadcast) {
+        await this.release(claim.record.id);
+      }
+      throw error;
+    }
+
+    await this.complete(claim.record.id, { response });
+    return { replayed: false, response };
+  }
+
+  /**
+   * Delete keys past their retention window (run hourly by the scheduler)
+   */
+  async purgeExpired() {
+    try {
+      const result = await this.prisma.idempotencyKey.deleteMany({
+        where: { expiresAt: { lt: new Date() } }
+      });
+      if (result.count > 0) {
+        console.log(`🧹 Purged ${result.count} expired idempotency keys`);
+      }
+      return result.count;
+    } catch (error) {
+      console.error('❌ Error purging idempotency keys:', error);
+      return 0;
+    }
+  }
+}
+
+export default IdempotencyService;
@@ -0,0 +1,501 @@
+/**
+ * Ledger Service for AgenPay
+ * Double-entry book of every movement of a user's funds. Each money flow (x402 receipt,
+ * send, scheduled payment, refund, swap) posts one balanced journal entry through here,
+ * so balances, activity statistics and on-chain reconciliation all read the same records.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { parseAmount, normalizeAmount, addAmounts, subtractAmounts, compareAmounts } from './Money.js';
+
+// Debit and credit account of each entry kind; {wallet} is the user's wallet on the entry's
+// network. Swaps credit the token that left the wallet and debit the one that arrived, both
+// through a clearing account so each currency balances on its own.
+export const LEDGER_ENTRY_KINDS = {
+  x402_receipt: { debit: '{wallet}', credit: 'Income:Payments Received', direction: 'in' },
+  send: { debit: 'Expenses:Transfers Out', credit: '{wallet}', direction: 'out' },
+  scheduled_payment: { debit: 'Expenses:Payments Sent', credit: '{wallet}', direction: 'out' },
+  refund: { debit: 'Income:Refunds Given', credit: '{wallet}', direction: 'out' },
+  swap: { debit: 'Assets:Swap Clearing', credit: '{wallet}', direction: 'swap' }
+};
+
+// Failed transfers are never deleted from the ledger; a reversal entry mirrors them instead
+export const REVERSAL_KIND = 'reversal';
+
+const ACCOUNT_TYPES = {
+  Assets: 'ASSET',
+  Income: 'INCOME',
+  Expenses: 'EXPENSE',
+  Equity: 'EQUITY'
+};
+
+// Asset and expense accounts grow with debits; income and equity with credits
+const DEBIT_NORMAL_TYPES = ['ASSET', 'EXPENSE'];
+
+const WALLET_PREFIX = 'Assets:Wallet:';
+
+/**
+ * Code of the account holding a user's tokens on a network (Assets:Wallet:base-sepolia)
+ */
+export function getWalletAccountCode(network) {
+  return `${WALLET_PREFIX}${network || 'unknown'}`;
+}
+
+/**
+ * ASSET, INCOME, EXPENSE or EQUITY, from the first segment of an account code
+ */
+export function getAccountType(code) {
+  const type = ACCOUNT_TYPES[String(code).split(':')[0]];
+  if (!type) {
+    throw new Error(`Unknown ledger account: ${code}`);
+  }
+  return type;
+}
+
+/**
+ * Journal lines of an entry: a debit and a matching credit in the entry currency, plus the
+ * incoming leg of a swap (swapTo = { amount, currency })
+ */
+export function buildEntryLines({ kind, amount, currency, network, swapTo = null }) {
+  const accounts = LEDGER_ENTRY_KINDS[kind];
+  if (!accounts) {
+    throw new Error(`Unknown ledger entry kind: ${kind}`);
+  }
+
+  const resolve = code => (code === '{wallet}' ? getWalletAccountCode(network) : code);
+  const lines = [
+    { account: resolve(accounts.debit), currency, debit: amount, credit: '0' },
+    { account: resolve(accounts.credit), currency, debit: '0', credit: amount }
+  ];
+
+  if (swapTo) {
+    const received = String(swapTo.currency).toUpperCase();
+    lines.push(
+      { account: getWalletAccountCode(network), currency: received, debit: swapTo.amount, credit: '0' },
+      { account: 'Assets:Swap Clearing', currency: received, debit: '0', credit: swapTo.amount }
+    );
+  }
+
+  return lines;
+}
+
+/**
+ * Why a set of journal lines does not balance, or null when debits equal credits in every currency
+ */
+export function findImbalance(lines) {
+  const totals = new Map();
+  for (const line of lines) {
+    const total = totals.get(line.currency) || { debit: '0', credit: '0' };
+    totals.set(line.currency, {
+      debit: addAmounts(total.debit, line.debit),
+      credit: addAmounts(total.credit, line.credit)
+    });
+  }
+
+  for (const [currency, total] of totals) {
+    if (compareAmounts(total.debit, total.credit) !== 0) {
+      return `${currency} debits ${total.debit} != credits ${total.credit}`;
+    }
+  }
+  return null;
+}
+
+export class LedgerService {
+  constructor(options = {}) {
+    this.prisma = options.prisma || new PrismaClient();
+    this.accountIds = new Map();
+  }
+
+  /**
+   * Id of a user's account, created the first time it is used
+   */
+  async getAccountId(userId, code, currency) {
+    const key = `${userId}|${code}|${currency}`;
+    if (!this.accountIds.has(key)) {
+      const account = await this.prisma.ledgerAccount.upsert({
+        where: { userId_code_currency: { userId, code, currency } },
+        update: {},
+        create: { userId, code, currency, type: getAccountType(code) }
+      });
+      this.accountIds.set(key, account.id);
+    }
+    return this.accountIds.get(key);
+  }
+
+  /**
+   * Post a balanced journal entry. sourceKey identifies the event it records
+   * (x402:<paymentId>, tx:<transactionId>, ...), so posting the same event twice returns
+   * the entry that is already there. Throws when the lines do not balance.
+   */
+  async post({
+    userId,
+    kind,
+    amount,
+    currency,
+    network = null,
+    sourceKey,
+    txHash = null,
+    transactionId = null,
+    relatedRequestId = null,
+    description = null,
+    swapTo = null,
+    lines = null,
+    reversalOfId = null,
+    confirmed = false,
+    createdAt = null
+  }) {
+    try {
+      if (!sourceKey) {
+        throw new Error('A ledger entry needs a sourceKey');
+      }
+
+      const existing = await this.prisma.ledgerEntry.findUnique({
+        where: { sourceKey },
+        include: { lines: true }
+      });
+      if (existing) {
+        return existing;
+      }
+
+      const symbol = String(currency).toUpperCase();
+      const entryAmount = parseAmount(amount);
+      const entryLines = (lines || buildEntryLines({ kind, amount: entryAmount, currency: symbol, network, swapTo }))
+        .map(line => ({ ...line, debit: normalizeAmount(line.debit), credit: normalizeAmount(line.credit) }));
+
+      const imbalance = findImbalance(entryLines);
+      if (imbalance) {
+        throw new Error(`Ledger entry ${sourceKey} does not balance: ${imbalance}`);
+      }
+
+      const lineData = [];
+      for (const line of entryLines) {
+        lineData.push({
+          accountId: line.accountId || await this.getAccountId(userId, line.account, line.currency),
+          currency: line.currency,
+          debit: line.debit,
+          credit: line.credit
+        });
+      }
+
+      const entry = await this.prisma.ledgerEntry.create({
+        data: {
+          userId,
+          kind,
+          amount: entryAmount,
+          currency: symbol,
+          network,
+          description,
+          sourceKey,
+          txHash,
+          transactionId,
+          relatedRequestId,
+          reversalOfId,
+          confirmedAt: confirmed ? new Date() : null,
+          ...(createdAt && { createdAt }),
+          lines: { create: lineData }
+        },
+        include: { lines: true }
+      });
+
+      console.log(`📒 Ledger entry ${entry.id} posted: ${kind} ${entryAmount} ${symbol} for user ${userId}`);
+      return entry;
+    } catch (error) {
+      // Another post of the same event won the race
+      if (error.code === 'P2002') {
+        return await this.prisma.ledgerEntry.findUnique({ where: { sourceKey }, include: { lines: true } });
+      }
+      console.error(`❌ Error posting ledger entry ${sourceKey}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Post an entry for money that has already moved. A failed posting is logged rather than
+   * failing the flow (the transfer cannot be undone); reconciliation shows the gap.
+   */
+  async record(entry) {
+    try {
+      return await this.post(entry);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Mark the entries of a transaction hash as confirmed on-chain
+   */
+  async confirm(txHash) {
+    const result = await this.prisma.ledgerEntry.updateMany({
+      where: { txHash, confirmedAt: null },
+      data: { confirmedAt: new Date() }
+    });
+    return result.count;
+  }
+
+  /**
+   * Reverse every entry of a transaction hash that failed on-chain, restoring the balances
+   */
+  async reverse(txHash, reason) {
+    try {
+      const entries = await this.prisma.ledgerEntry.findMany({
+        where: { txHash, kind: { not: REVERSAL_KIND } },
+        include: { lines: true }
+      });
+
+      const reversals = [];
+      for (const entry of entries) {
+        reversals.push(await this.post({
+          userId: entry.userId,
+          kind: REVERSAL_KIND,
+          amount: entry.amount,
+          currency: entry.currency,
+          network: entry.network,
+          sourceKey: `reversal:${entry.id}`,
+          txHash,
+          transactionId: entry.transactionId,
+          relatedRequestId: entry.relatedRequestId,
+          description: `Reversal of ${entry.kind} ${entry.id}: ${reason}`,
+          reversalOfId: entry.id,
+          confirmed: true,
+          lines: entry.lines.map(line => ({ accountId: line.accountId, currency: line.currency, debit: line.credit, credit: line.debit }))
+        }));
+      }
+
+      if (reversals.length > 0) {
+        console.log(`↩️ Reversed ${reversals.length} ledger entr${reversals.length === 1 ? 'y' : 'ies'} for ${txHash}`);
+      }
+      return reversals;
+    } catch (error) {
+      console.error(`❌ Error reversing ledger entries for ${txHash}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Balance of every account of a user, and of their wallet per network and currency
+   */
+  async getBalances(userId, { network = null } = {}) {
+    const accounts = await this.prisma.ledgerAccount.findMany({
+      where: { userId },
+      orderBy: [{ code: 'asc' }, { currency: 'asc' }]
+    });
+
+    const sums = await this.prisma.ledgerLine.groupBy({
+      by: ['accountId'],
+      where: { accountId: { in: accounts.map(account => account.id) } },
+      _sum: { debit: true, credit: true }
+    });
+    const sumsByAccount = new Map(sums.map(sum => [sum.accountId, sum._sum]));
+
+    const balances = accounts.map(account => {
+      const debit = normalizeAmount(sumsByAccount.get(account.id)?.debit ?? 0);
+      const credit = normalizeAmount(sumsByAccount.get(account.id)?.credit ?? 0);
+      return {
+        id: account.id,
+        code: account.code,
+        type: account.type,
+        currency: account.currency,
+        debit,
+        credit,
+        balance: DEBIT_NORMAL_TYPES.includes(account.type) ? subtractAmounts(debit, credit) : subtractAmounts(credit, debit)
+      };
+    });
+
+    const wallets = balances
+      .filter(account => account.code.startsWith(WALLET_PREFIX))
+      .map(account => ({ accountId: account.id, network: account.code.slice(WALLET_PREFIX.length), currency: account.currency, balance: account.balance }))
+      .filter(wallet => !network || wallet.network === network);
+
+    return { accounts: balances, wallets };
+  }
+
+  /**
+   * Number and total of payments into and out of a user's wallet, per currency and overall.
+   * Reversed entries (transfers that failed on-chain) are left out.
+   */
+  async getActivitySummary(userId) {
+    const entries = await this.prisma.ledgerEntry.findMany({
+      where: { userId },
+      select: { id: true, kind: true, amount: true, currency: true, reversalOfId: true }
+    });
+
+    const reversed = new Set(entries.map(entry => entry.reversalOfId).filter(Boolean));
+    const summary = { sentCount: 0, receivedCount: 0, amountSent: '0', amountReceived: '0', byCurrency: {} };
+
+    for (const entry of entries) {
+      const direction = LEDGER_ENTRY_KINDS[entry.kind]?.direction;
+      if (reversed.has(entry.id) || (direction !== 'in' && direction !== 'out')) continue;
+
+      const currency = (summary.byCurrency[entry.currency] ??= { sent: '0', received: '0' });
+      if (direction === 'in') {
+        summary.receivedCount++;
+        summary.amountReceived = addAmounts(summary.amountReceived, entry.amount);
+        currency.received = addAmounts(currency.received, entry.amount);
+      } else {
+        summary.sentCount++;
+        summary.amountSent = addAmounts(summary.amountSent, entry.amount);
+        currency.sent = addAmounts(currency.sent, entry.amount);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Compare the ledger's wallet balances on a network with the on-chain balances
+   * (WalletService.getWalletBalance). Per currency the status is matched, pending (the
+   * difference is exactly what is still unconfirmed) or mismatch. Network fees are not
+   * posted, so native-token balances drift by the gas spent.
+   */
+  async reconcile(userId, onChainBalance) {
+    try {
+      const network = onChainBalance.network;
+      const { wallets } = await this.getBalances(userId, { network });
+
+      // Wallet movements broadcast but not yet confirmed, per currency
+      const walletAccountIds = new Set(wallets.map(wallet => wallet.accountId));
+      const entries = await this.prisma.ledgerEntry.findMany({
+        where: { userId, network },
+        include: { lines: true }
+      });
+      const reversed = new Set(entries.map(entry => entry.reversalOfId).filter(Boolean));
+      const unconfirmed = {};
+      for (const entry of entries) {
+        if (entry.confirmedAt || reversed.has(entry.id)) continue;
+        for (const line of entry.lines.filter(line => walletAccountIds.has(line.accountId))) {
+          unconfirmed[line.currency] = addAmounts(unconfirmed[line.currency] ?? 0, subtractAmounts(line.debit, line.credit));
+        }
+      }
+
+      const onChain = {};
+      for (const token of onChainBalance.tokens || []) {
+        onChain[token.symbol] = addAmounts(onChain[token.symbol] ?? 0, token.amount);
+      }
+
+      const ledger = Object.fromEntries(wallets.map(wallet => [wallet.currency, wallet.balance]));
+      const currencies = [...new Set([...Object.keys(ledger), ...Object.keys(onChain)])].sort();
+
+      const report = currencies.map(currency => {
+        const ledgerBalance = ledger[currency] ?? '0';
+        const onChainAmount = onChain[currency] ?? '0';
+        const pending = unconfirmed[currency] ?? '0';
+        const difference = subtractAmounts(onChainAmount, ledgerBalance);
+
+        // pending: the chain has not caught up with transfers the ledger already booked
+        let status = 'matched';
+        if (compareAmounts(difference, 0) !== 0) {
+          status = compareAmounts(addAmounts(difference, pending), 0) === 0 ? 'pending' : 'mismatch';
+        }
+
+        return { currency, ledgerBalance, onChainBalance: onChainAmount, difference, unconfirmed: pending, status };
+      });
+
+      const status = report.some(line => line.status === 'mismatch')
+        ? 'mismatch'
+        : report.some(line => line.status === 'pending') ? 'pending' : 'matched';
+
+      console.log(`🧮 Reconciled ledger for user ${userId} on ${network}: ${status}`);
+      return { network, status, checkedAt: new Date().toISOString(), currencies: report };
+    } catch (error) {
+      console.error(`❌ Error reconciling ledger for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * A user's journal, newest first, with the account code of every line
+   */
+  async listEntries(userId, { limit = 50, offset = 0 } = {}) {
+    const entries = await this.prisma.ledgerEntry.findMany({
+      where: { userId },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: Math.min(limit, 200),
+      skip: offset,
+      include: { lines: { include: { account: { select: { code: true } } } } }
+    });
+
+    return entries.map(({ lines, ...entry }) => ({
+      ...entry,
+      amount: normalizeAmount(entry.amount),
+      lines: lines.map(line => ({
+        account: line.account.code,
+        currency: line.currency,
+        debit: normalizeAmount(line.debit),
+        credit: normalizeAmount(line.credit)
+      }))
+    }));
+  }
+
+  /**
+   * Post entries for transactions recorded before the ledger existed. A scheduled payment
+   * or refund shares its hash with the SEND row of the transfer, so the pair becomes one
+   * entry keyed like the live flow; running it again posts nothing new.
+   * Returns { posted, skipped }.
+   */
+  async backfillFromTransactions(userId) {
+    try {
+      const transactions = await this.prisma.transaction.findMany({
+        where: { userId, status: { not: 'FAILED' } },
+        orderBy: { createdAt: 'asc' }
+      });
+
+      const sendsByHash = new Map(transactions
+        .filter(transaction => transaction.type === 'SEND' && transaction.txHash)
+        .map(transaction => [transaction.txHash, transaction]));
+      const pairedHashes = new Set(transactions
+        .filter(transaction => ['OUTGOING', 'REFUND'].includes(transaction.type) && transaction.txHash)
+        .map(transaction => transaction.txHash));
+
+      const result = { posted: 0, skipped: 0 };
+      for (const transaction of transactions) {
+        let kind;
+        let sourceKey;
+        if (['INCOMING', 'RECEIVE'].includes(transaction.type)) {
+          kind = 'x402_receipt';
+          sourceKey = transaction.relatedRequestId ? `x402:${transaction.relatedRequestId}` : `tx:${transaction.id}`;
+        } else if (transaction.type === 'SEND') {
+          if (pairedHashes.has(transaction.txHash)) continue;
+          kind = 'send';
+          sourceKey = `tx:${transaction.id}`;
+        } else if (['OUTGOING', 'REFUND'].includes(transaction.type)) {
+          kind = transaction.type === 'REFUND' ? 'refund' : 'scheduled_payment';
+          sourceKey = `tx:${(sendsByHash.get(transaction.txHash) || transaction).id}`;
+        } else if (transaction.type === 'SWAP') {
+          kind = 'swap';
+          sourceKey = `swap:${transaction.txHash || transaction.id}`;
+        } else {
+          continue;
+        }
+
+        if (await this.prisma.ledgerEntry.findUnique({ where: { sourceKey } })) {
+          result.skipped++;
+          continue;
+        }
+
+        await this.post({
+          userId,
+          kind,
+          amount: transaction.amount,
+          currency: transaction.currency,
+          network: transaction.network,
+          sourceKey,
+          txHash: transaction.txHash,
+          transactionId: transaction.id,
+          relatedRequestId: transaction.relatedRequestId,
+          description: transaction.description,
+          confirmed: transaction.status === 'COMPLETED',
+          createdAt: transaction.createdAt
+        });
+        result.posted++;
+      }
+
+      console.log(`📒 Ledger backfill for user ${userId}: ${result.posted} posted, ${result.skipped} already there`);
+      return result;
+    } catch (error) {
+      console.error(`❌ Error backfilling ledger for user ${userId}:`, error);
+      throw error;
+    }
+  }
+}
+
+export default LedgerService;
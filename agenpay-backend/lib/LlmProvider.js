@@ -0,0 +1,124 @@
+/**
+ * LLM Provider for AgenPay
+ * Builds the agent's chat model from deployment settings (LLM_* environment variables)
+ * with optional per-user overrides: OpenAI, any OpenAI-compatible server (Ollama,
+ * LM Studio, vLLM) or the scripted fake model for offline runs
+ */
+
+import { readFileSync } from 'node:fs';
+import { ChatOpenAI } from '@langchain/openai';
+import FakeChatModel from './FakeChatModel.js';
+
+export const LLM_PROVIDERS = ['openai', 'openai-compatible', 'fake'];
+
+// Providers a user may pick for themselves (the fake model is deployment-only)
+const USER_PROVIDERS = ['openai', 'openai-compatible'];
+
+/**
+ * Base URLs users may point their agent at (LLM_ALLOWED_BASE_URLS, comma-separated)
+ */
+function getAllowedBaseUrls() {
+  return (process.env.LLM_ALLOWED_BASE_URLS || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Deployment LLM settings with per-user overrides applied; throws on an invalid combination
+ */
+export function getLlmConfig(overrides = {}) {
+  const temperature = parseFloat(process.env.LLM_TEMPERATURE);
+  const config = {
+    provider: process.env.LLM_PROVIDER || 'openai',
+    model: process.env.LLM_MODEL || 'gpt-4o-mini',
+    temperature: Number.isFinite(temperature) ? temperature : 0.3,
+    baseUrl: process.env.LLM_BASE_URL || null,
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || null,
+    script: null
+  };
+
+  // Unset overrides keep the deployment value
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (value !== undefined && value !== null) {
+      config[key] = value;
+    }
+  }
+
+  if (!LLM_PROVIDERS.includes(config.provider)) {
+    throw new Error(`Unknown LLM provider "${config.provider}". Supported: ${LLM_PROVIDERS.join(', ')}`);
+  }
+  if (config.provider === 'openai-compatible' && !config.baseUrl) {
+    throw new Error('The openai-compatible LLM provider needs a base URL (LLM_BASE_URL)');
+  }
+
+  return config;
+}
+
+/**
+ * Validate LLM settings a user saves for their own agent.
+ * Returns { data } or { error }; null clears a setting back to the deployment default.
+ */
+export function parseUserLlmSettings(input = {}) {
+  const data = {};
+
+  if (input.provider !== undefined) {
+    if (input.provider !== null && !USER_PROVIDERS.includes(input.provider)) {
+      return { error: `provider must be one of: ${USER_PROVIDERS.join(', ')}` };
+    }
+    data.provider = input.provider;
+  }
+
+  if (input.model !== undefined) {
+    if (input.model !== null && (typeof input.model !== 'string' || !input.model.trim())) {
+      return { error: 'model must be a model name' };
+    }
+    data.model = input.model === null ? null : input.model.trim();
+  }
+
+  if (input.temperature !== undefined) {
+    if (input.temperature !== null && (typeof input.temperature !== 'number' || input.temperature < 0 || input.temperature > 2)) {
+      return { error: 'temperature must be a number from 0 to 2' };
+    }
+    data.temperature = input.temperature;
+  }
+
+  // The server makes the requests, so users can only pick base URLs the deployment allows
+  if (input.baseUrl !== undefined) {
+    if (input.baseUrl !== null && !getAllowedBaseUrls().includes(input.baseUrl)) {
+      return { error: 'baseUrl must be one of the base URLs allowed by this deployment (LLM_ALLOWED_BASE_URLS)' };
+    }
+    data.baseUrl = input.baseUrl;
+  }
+
+  return { data };
+}
+
+/**
+ * The LLM settings that are safe to show (everything but the API key and script)
+ */
+export function describeLlmConfig(config) {
+  const { provider, model, temperature, baseUrl } = config;
+  return { provider, model: provider === 'fake' ? 'scripted' : model, temperature, baseUrl };
+}
+
+/**
+ * Create the chat model for a resolved config
+ */
+export function createChatModel(config) {
+  if (config.provider === 'fake') {
+    // A script can be passed in, or read from a JSON file for offline runs of the server
+    const script = config.script || (process.env.LLM_FAKE_SCRIPT
+      ? JSON.parse(readFileSync(process.env.LLM_FAKE_SCRIPT, 'utf8'))
+      : {});
+    return new FakeChatModel(Array.isArray(script) ? { script } : script);
+  }
+
+  return new ChatOpenAI({
+    model: config.model,
+    temperature: config.temperature,
+    // Local OpenAI-compatible servers usually ignore the key, but the client requires one
+    apiKey: config.apiKey || (config.provider === 'openai-compatible' ? 'not-needed' : undefined),
+    ...(config.baseUrl && { configuration: { baseURL: config.baseUrl } })
+  });
+}
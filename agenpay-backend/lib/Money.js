@@ -0,0 +1,284 @@
+/**
+ * Money utilities for AgenPay
+ * Exact arithmetic for token amounts. Amounts go in as decimal strings, numbers or Prisma
+ * Decimal values and come out as plain decimal strings ("1250.5"); in between they are
+ * BigInt at 18 decimal places, so sums, differences and percentages carry no float error.
+ */
+
+const SCALE = 18;
+const FACTOR = 10n ** BigInt(SCALE);
+
+// Decimals of each token (matches TOKEN_REGISTRY); unknown tokens get the EVM default of 18
+export const CURRENCY_DECIMALS = {
+  USDC: 6,
+  EURC: 6,
+  USDT: 6,
+  DAI: 18,
+  ETH: 18,
+  WETH: 18
+};
+
+// Shown with at least two decimals, like the currencies they track
+const STABLECOINS = ['USDC', 'EURC', 'USDT', 'DAI'];
+
+/**
+ * Decimals used for amounts of a currency
+ */
+export function getCurrencyDecimals(currency) {
+  return CURRENCY_DECIMALS[String(currency || '').toUpperCase()] ?? SCALE;
+}
+
+/**
+ * Plain decimal text of an amount, without exponents or grouping
+ */
+function toDecimalText(value) {
+  if (value === null || value === undefined) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new Error(`Invalid amount: ${value}`);
+    return value.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 });
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  // Prisma Decimal (decimal.js) prints tiny and huge values with exponents unless asked not to
+  if (typeof value === 'object' && typeof value.toFixed === 'function') {
+    return value.toFixed();
+  }
+
+  const text = String(value).trim();
+  const exponent = text.match(/^(-?)(\d*)(?:\.(\d*))?e([+-]?\d+)$/i);
+  if (!exponent) return text;
+
+  // "1.5e-7" -> "0.00000015"
+  const [, sign, whole = '', fraction = '', power] = exponent;
+  const digits = `${whole}${fraction}`;
+  const point = whole.length + parseInt(power);
+  if (point <= 0) return `${sign}0.${'0'.repeat(-point)}${digits}`;
+  if (point >= digits.length) return `${sign}${digits}${'0'.repeat(point - digits.length)}`;
+  return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+/**
+ * An amount as BigInt at 18 decimal places (extra places are rounded half up)
+ */
+function toScaled(value) {
+  const text = toDecimalText(value);
+  const match = text.match(/^(-)?(\d*)(?:\.(\d*))?$/);
+  if (!match || text === '' || /^-?\.?$/.test(text)) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  const [, sign, whole = '', fraction = ''] = match;
+  let scaled = BigInt(whole || '0') * FACTOR + BigInt(fraction.padEnd(SCALE, '0').slice(0, SCALE) || '0');
+  if (fraction.length > SCALE && fraction[SCALE] >= '5') {
+    scaled += 1n;
+  }
+  return sign ? -scaled : scaled;
+}
+
+/**
+ * BigInt at 18 decimal places back to a plain decimal string
+ */
+function fromScaled(scaled) {
+  const negative = scaled < 0n;
+  const digits = (negative ? -scaled : scaled).toString().padStart(SCALE + 1, '0');
+  const whole = digits.slice(0, digits.length - SCALE);
+  const fraction = digits.slice(digits.length - SCALE).replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Round a scaled amount to a number of decimals: down (toward zero) or half up
+ */
+function roundScaled(scaled, decimals, mode = 'down') {
+  if (decimals >= SCALE) return scaled;
+
+  const step = 10n ** BigInt(SCALE - decimals);
+  const magnitude = scaled < 0n ? -scaled : scaled;
+  let rounded = (magnitude / step) * step;
+  if (mode === 'half-up' && magnitude % step >= step / 2n) {
+    rounded += step;
+  }
+  return scaled < 0n ? -rounded : rounded;
+}
+
+/**
+ * Canonical decimal string of any amount ("1.50" -> "1.5", 0.1 -> "0.1"); throws on invalid input
+ */
+export function normalizeAmount(value) {
+  return fromScaled(toScaled(value));
+}
+
+/**
+ * Validate an amount from user input: a positive decimal with no more decimals than the
+ * currency has. Returns the canonical string; throws an Error explaining what is wrong.
+ */
+export function parseAmount(value, { currency = null, allowZero = false } = {}) {
+  const text = typeof value === 'string' ? value.trim() : toDecimalText(value ?? '');
+  if (!/^\d+(\.\d+)?$/.test(text) && !/^\.\d+$/.test(text)) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  const scaled = toScaled(text);
+  if (scaled < 0n || (!allowZero && scaled === 0n)) {
+    throw new Error('Amount must be greater than 0');
+  }
+
+  if (currency) {
+    const decimals = getCurrencyDecimals(currency);
+    if (roundScaled(scaled, decimals) !== scaled) {
+      throw new Error(`Amount ${value} has more than ${decimals} decimal places for ${String(currency).toUpperCase()}`);
+    }
+  }
+
+  return fromScaled(scaled);
+}
+
+/**
+ * parseAmount for request validation: returns { data } with the canonical string or { error }
+ */
+export function validateAmount(value, options = {}) {
+  try {
+    return { data: parseAmount(value, options) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Whether a value is a valid amount greater than zero (never throws)
+ */
+export function isPositiveAmount(value) {
+  try {
+    return toScaled(value) > 0n;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Sum of amounts (null and undefined count as zero)
+ */
+export function addAmounts(...values) {
+  return sumAmounts(values);
+}
+
+/**
+ * Sum of a list of amounts (null and undefined count as zero)
+ */
+export function sumAmounts(values) {
+  return fromScaled(values.reduce((sum, value) => sum + (value === null || value === undefined ? 0n : toScaled(value)), 0n));
+}
+
+/**
+ * a - b
+ */
+export function subtractAmounts(a, b) {
+  return fromScaled(toScaled(a) - toScaled(b));
+}
+
+/**
+ * -1, 0 or 1 as a is less than, equal to or greater than b
+ */
+export function compareAmounts(a, b) {
+  const difference = toScaled(a) - toScaled(b);
+  return difference > 0n ? 1 : difference < 0n ? -1 : 0;
+}
+
+/**
+ * The smaller of two amounts
+ */
+export function minAmount(a, b) {
+  return compareAmounts(a, b) <= 0 ? normalizeAmount(a) : normalizeAmount(b);
+}
+
+/**
+ * The larger of two amounts
+ */
+export function maxAmount(a, b) {
+  return compareAmounts(a, b) >= 0 ? normalizeAmount(a) : normalizeAmount(b);
+}
+
+/**
+ * Round an amount to a number of decimals, down (toward zero) by default or half up
+ */
+export function roundAmount(value, decimals, mode = 'down') {
+  return fromScaled(roundScaled(toScaled(value), decimals, mode));
+}
+
+/**
+ * An amount times a factor (a rate or a fraction), rounded down to the currency's decimals
+ */
+export function multiplyAmount(value, factor, { currency = null, mode = 'down' } = {}) {
+  const exact = (toScaled(value) * toScaled(factor)) / FACTOR;
+  return fromScaled(roundScaled(exact, currency ? getCurrencyDecimals(currency) : SCALE, mode));
+}
+
+/**
+ * A percentage of an amount (percentOf(50, 90) = "45"), rounded down to the currency's
+ * decimals so the result never exceeds the exact share
+ */
+export function percentOf(value, percentage, { currency = null } = {}) {
+  const exact = (toScaled(value) * toScaled(percentage)) / (100n * FACTOR);
+  return fromScaled(roundScaled(exact, currency ? getCurrencyDecimals(currency) : SCALE));
+}
+
+/**
+ * An amount for display: "1250.5" USDC -> "1250.50 USDC", "0.015" ETH -> "0.015 ETH"
+ */
+export function formatAmount(value, currency = null) {
+  const symbol = currency ? String(currency).toUpperCase() : null;
+  let text = normalizeAmount(value);
+
+  if (symbol && STABLECOINS.includes(symbol)) {
+    const [whole, fraction = ''] = text.split('.');
+    text = `${whole}.${fraction.padEnd(2, '0')}`;
+  }
+
+  return symbol ? `${text} ${symbol}` : text;
+}
+
+/**
+ * An amount as a JavaScript number, for USD estimates and systems that only take numbers
+ * (Notion number properties). Lossy by design; never use it for token arithmetic.
+ */
+export function toAmountNumber(value) {
+  try {
+    return Number(normalizeAmount(value));
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Convert a decimal token amount ("1.5", 0.25) to integer base units without float rounding
+ */
+export function toBaseUnits(amount, decimals) {
+  const value = toDecimalText(amount);
+
+  const match = value.match(/^(\d*)(?:\.(\d*))?$/);
+  if (!match || value === '' || value === '.') {
+    throw new Error(`Invalid amount: ${amount}`);
+  }
+
+  const [, whole = '', fraction = ''] = match;
+  if (fraction.replace(/0+$/, '').length > decimals) {
+    throw new Error(`Amount ${amount} has more than ${decimals} decimal places`);
+  }
+
+  return BigInt(whole || '0') * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0').slice(0, decimals) || '0');
+}
+
+/**
+ * Convert integer base units back to a decimal string ("1500000", 6 -> "1.5")
+ */
+export function fromBaseUnits(baseUnits, decimals) {
+  const value = BigInt(baseUnits);
+  const negative = value < 0n;
+  const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
@@ -5,6 +5,7 @@
 
 import { Client } from '@notionhq/client';
 import { PrismaClient } from '@prisma/client';
+import { addAmounts, toAmountNumber } from './Money.js';
 
 export class NotionService {
   constructor(notionApiKey = null) {
@@ -605,8 +606,11 @@ export class NotionService {
               { name: 'scheduled', color: 'yellow' },
               { name: 'processing', color: 'orange' },
               { name: 'payment_received', color: 'green' },
+              { name: 'partially_refunded', color: 'pink' },
               { name: 'refunded', color: 'purple' },
               { name: 'failed', color: 'red' },
+              { name: 'cancelled', color: 'gray' },
+              { name: 'expired', color: 'brown' },
             ],
           },
         },
@@ -705,6 +709,12 @@ export class NotionService {
         'Executed At': {
           date: {},
         },
+        'Confirmations': {
+          number: {},
+        },
+        'Confirmed At': {
+          date: {},
+        },
         'Created': {
           created_time: {},
         },
@@ -842,8 +852,8 @@ export class NotionService {
       const analytics = {
         totalIncomingRequests: 0,
         totalOutgoingPayments: 0,
-        totalAmountRequested: 0,
-        totalAmountSent: 0,
+        totalAmountRequested: '0',
+        totalAmountSent: '0',
         totalTransactions: 0,
         activeRequests: 0,
         scheduledPayments: 0,
@@ -869,7 +879,7 @@ export class NotionService {
           if (db.databaseType === 'INCOMING_PAYMENTS') {
             analytics.totalIncomingRequests++;
             if (status === 'payment_received') {
-              analytics.totalAmountRequested += amount;
+              analytics.totalAmountRequested = addAmounts(analytics.totalAmountRequested, amount);
             }
             if (status === 'processing' || status === 'scheduled') {
               analytics.activeRequests++;
@@ -877,7 +887,7 @@ export class NotionService {
           } else if (db.databaseType === 'OUTGOING_PAYMENTS') {
             analytics.totalOutgoingPayments++;
             if (status === 'completed') {
-              analytics.totalAmountSent += amount;
+              analytics.totalAmountSent = addAmounts(analytics.totalAmountSent, amount);
             }
             if (status === 'scheduled') {
               analytics.scheduledPayments++;
@@ -993,7 +1003,7 @@ export class NotionService {
             ],
           },
           'Amount': {
-            number: parseFloat(paymentData.amount) || 0,
+            number: toAmountNumber(paymentData.amount),
           },
           'Currency': {
             select: {
@@ -1076,7 +1086,7 @@ export class NotionService {
             },
           },
           'Amount': {
-            number: parseFloat(transactionData.amount) || 0,
+            number: toAmountNumber(transactionData.amount),
           },
           'Currency': {
             select: {
@@ -1164,7 +1174,7 @@ export class NotionService {
             ],
           },
           'Amount': {
-            number: parseFloat(invoiceData.amount) || 0,
+            number: toAmountNumber(invoiceData.amount),
           },
           'Currency': {
             select: {
@@ -1203,9 +1213,9 @@ export class NotionService {
   }
 
   /**
-   * Update record status (works for any database)
+   * Update record status (works for any database), plus any extra page properties
    */
-  async updateRecordStatus(pageId, status, txHash = null) {
+  async updateRecordStatus(pageId, status, txHash = null, properties = {}) {
     try {
       const updateData = {
         'Status': {
@@ -1213,6 +1223,7 @@ export class NotionService {
             name: status,
           },
         },
+        ...properties,
       };
 
       if (txHash) {
@@ -1309,6 +1320,13 @@ export class NotionService {
           };
         }
 
+        // Add refund date if provided
+        if (paymentData.refundDate) {
+          updateData['Refund Date'] = {
+            date: { start: paymentData.refundDate },
+          };
+        }
+
         const updatedPage = await this.notion.pages.update({
           page_id: existingRecord.id,
           properties: updateData,
@@ -1347,7 +1365,7 @@ export class NotionService {
             ],
           },
           'Amount': {
-            number: parseFloat(paymentData.amount) || 0,
+            number: toAmountNumber(paymentData.amount),
           },
           'Currency': {
             select: {
@@ -1453,7 +1471,7 @@ export class NotionService {
             ],
           },
           'Amount': {
-            number: parseFloat(paymentData.amount) || 0,
+            number: toAmountNumber(paymentData.amount),
           },
           'Currency': {
             select: {
@@ -1532,6 +1550,53 @@ export class NotionService {
     }
   }
 
+  /**
+   * Find existing outgoing payment record by Payment ID
+   */
+  async findOutgoingPaymentRecord(databaseId, paymentId) {
+    try {
+      const response = await this.notion.databases.query({
+        database_id: databaseId,
+        filter: {
+          property: 'Payment ID',
+          title: {
+            equals: paymentId
+          }
+        }
+      });
+
+      return response.results?.[0] || null;
+    } catch (error) {
+      console.error('❌ Error finding outgoing payment record by Payment ID:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Update existing outgoing payment record or create new one if not found
+   */
+  async updateOrCreateOutgoingPaymentRecord(databaseId, paymentData) {
+    try {
+      const existingRecord = await this.findOutgoingPaymentRecord(databaseId, paymentData.paymentId);
+
+      if (existingRecord) {
+        // Databases created before confirmations were tracked have no columns for them
+        const confirmation = 'Confirmations' in (existingRecord.properties || {})
+          ? {
+              'Confirmations': { number: paymentData.confirmations ?? 0 },
+              'Confirmed At': { date: paymentData.confirmedAt ? { start: paymentData.confirmedAt } : null },
+            }
+          : {};
+        return await this.updateRecordStatus(existingRecord.id, paymentData.status || 'scheduled', paymentData.txHash, confirmation);
+      }
+
+      return await this.addOutgoingPaymentRecord(databaseId, paymentData);
+    } catch (error) {
+      console.error('❌ Error updating or creating outgoing payment record in Notion:', error);
+      throw error;
+    }
+  }
+
   /**
    * Helper method to extract text from Notion properties
    */
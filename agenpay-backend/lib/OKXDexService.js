@@ -7,10 +7,15 @@
 import axios from 'axios';
 import crypto from 'crypto';
 import { PrismaClient } from '@prisma/client';
+import RpcClient from './RpcClient.js';
+import LedgerService from './LedgerService.js';
+import { normalizeAmount, multiplyAmount } from './Money.js';
 
 export class OKXDexService {
-  constructor() {
+  constructor(sharedServices = {}) {
     this.prisma = new PrismaClient();
+    this.rpcClient = sharedServices.rpcClient || new RpcClient();
+    this.ledgerService = sharedServices.ledgerService || new LedgerService({ prisma: this.prisma });
     this.isTestnetMode = process.env.NODE_ENV !== 'production';
     
     // OKX DEX API Configuration
@@ -240,11 +245,11 @@ export class OKXDexService {
         
         // Mock conversion logic
         if (fromSymbol === 'ETH' && toSymbol === 'USDC') {
-          outputAmount = (parseFloat(amount) * 2500).toString(); // 1 ETH = 2500 USDC
+          outputAmount = multiplyAmount(amount, 2500, { currency: toSymbol }); // 1 ETH = 2500 USDC
         } else if (fromSymbol === 'USDC' && toSymbol === 'ETH') {
-          outputAmount = (parseFloat(amount) / 2500).toString(); // 2500 USDC = 1 ETH
+          outputAmount = multiplyAmount(amount, '0.0004', { currency: toSymbol }); // 2500 USDC = 1 ETH
         } else if (fromSymbol === 'USDC' && toSymbol === 'USDT') {
-          outputAmount = (parseFloat(amount) * 0.999).toString(); // Small fee
+          outputAmount = multiplyAmount(amount, '0.999', { currency: toSymbol }); // Small fee
         }
 
         const mockQuote = {
@@ -502,8 +507,8 @@ export class OKXDexService {
     const rates = {
       'ETH_USDC': 2500,
       'ETH_USDT': 2500,
-      'USDC_ETH': 1/2500,
-      'USDT_ETH': 1/2500,
+      'USDC_ETH': '0.0004',
+      'USDT_ETH': '0.0004',
       'USDC_USDT': 0.999,
       'USDT_USDC': 1.001,
       'WETH_ETH': 1,
@@ -513,38 +518,72 @@ export class OKXDexService {
     const rateKey = `${fromSymbol}_${toSymbol}`;
     const rate = rates[rateKey] || 1;
     
-    return (parseFloat(amount) * rate * 0.997).toString(); // 0.3% fee simulation
+    return multiplyAmount(multiplyAmount(amount, rate), '0.997', { currency: toSymbol }); // 0.3% fee simulation
   }
 
   /**
-   * Log swap transaction to database
+   * Helper: Get network name from chain ID
+   */
+  getNetworkForChain(chainId) {
+    const match = Object.entries(this.supportedChains).find(([, chain]) => chain.chainId === String(chainId));
+    return match ? match[0] : String(chainId);
+  }
+
+  /**
+   * Log swap transaction to database and post it to the payment request owner's ledger
    */
   async logSwapTransaction(swapData) {
     try {
-      await this.prisma.transaction.create({
+      const paymentRequest = await this.prisma.paymentRequest.findUnique({
+        where: { id: swapData.paymentRequestId },
+        select: { userId: true }
+      });
+      if (!paymentRequest) {
+        console.warn(`⚠️ Swap ${swapData.transactionHash} not logged: payment request ${swapData.paymentRequestId} not found`);
+        return;
+      }
+
+      const network = this.getNetworkForChain(swapData.chainId);
+      const fromSymbol = this.getTokenSymbol(swapData.fromToken, network);
+      const toSymbol = this.getTokenSymbol(swapData.toToken, network);
+      const status = String(swapData.status || 'PENDING').toUpperCase();
+      // Transaction rows have no metadata column, so the swap details go in the description
+      const description = `Swap ${normalizeAmount(swapData.fromAmount)} ${fromSymbol} to ${swapData.toAmount ? `${normalizeAmount(swapData.toAmount)} ` : ''}${toSymbol} via OKX DEX`;
+
+      const transaction = await this.prisma.transaction.create({
         data: {
           id: crypto.randomUUID(),
+          userId: paymentRequest.userId,
           type: 'SWAP',
-          status: swapData.status || 'PENDING',
-          amount: parseFloat(swapData.fromAmount),
-          currency: this.getTokenSymbol(swapData.fromToken, swapData.chainId),
+          status,
+          amount: normalizeAmount(swapData.fromAmount),
+          currency: fromSymbol,
           toAddress: swapData.toToken,
           fromAddress: swapData.fromToken,
           txHash: swapData.transactionHash,
-          network: swapData.chainId,
-          metadata: JSON.stringify({
-            paymentRequestId: swapData.paymentRequestId,
-            fromToken: swapData.fromToken,
-            toToken: swapData.toToken,
-            fromAmount: swapData.fromAmount,
-            toAmount: swapData.toAmount,
-            swapProvider: 'OKX_DEX'
-          }),
+          network,
+          relatedRequestId: swapData.paymentRequestId,
+          description,
           createdAt: new Date(),
           updatedAt: new Date()
         }
       });
 
+      await this.ledgerService.record({
+        userId: paymentRequest.userId,
+        kind: 'swap',
+        amount: swapData.fromAmount,
+        currency: fromSymbol,
+        network,
+        sourceKey: `swap:${swapData.transactionHash}`,
+        txHash: swapData.transactionHash,
+        transactionId: transaction.id,
+        relatedRequestId: swapData.paymentRequestId,
+        description,
+        swapTo: swapData.toAmount ? { amount: swapData.toAmount, currency: toSymbol } : null,
+        confirmed: status === 'COMPLETED'
+      });
+
       console.log(`📝 Swap transaction logged: ${swapData.transactionHash}`);
     } catch (error) {
       console.error('❌ Error logging swap transaction:', error.message);
@@ -554,7 +593,7 @@ export class OKXDexService {
   /**
    * Get swap transaction status
    */
-  async getSwapStatus(transactionHash) {
+  async getSwapStatus(transactionHash, network = 'base-mainnet') {
     try {
       if (this.config.testnetMode) {
         // Mock status check
@@ -566,12 +605,21 @@ export class OKXDexService {
         };
       }
 
-      // In real implementation, check transaction status on blockchain
-      // This would typically involve web3 calls to check transaction receipt
+      const receipt = await this.rpcClient.getTransactionReceipt(network, transactionHash);
+      if (!receipt) {
+        return {
+          success: true,
+          status: 'pending',
+          confirmations: 0
+        };
+      }
+
+      const latestBlock = await this.rpcClient.getBlockNumber(network);
       return {
         success: true,
-        status: 'pending',
-        confirmations: 0
+        status: receipt.status === 'success' ? 'completed' : 'failed',
+        confirmations: Math.max(0, latestBlock - receipt.blockNumber + 1),
+        blockNumber: receipt.blockNumber
       };
     } catch (error) {
       console.error('❌ Error checking swap status:', error.message);
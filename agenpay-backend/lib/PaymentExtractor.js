@@ -0,0 +1,324 @@
+/**
+ * Payment Extractor for AgenPay
+ * Turns a natural-language payment request into structured payment details with the
+ * model's structured output, falling back to regex parsing when the model is unavailable.
+ * Dates are resolved in the user's timezone; anything unclear is listed as an ambiguity
+ * for the agent to ask back about.
+ */
+
+import { z } from 'zod';
+import { SystemMessage, HumanMessage } from '@langchain/core/messages';
+
+export const TRANSACTION_TYPES = ['ask_payment', 'ask_and_refund', 'subscription'];
+export const BILLING_INTERVALS = ['weekly', 'monthly', 'yearly'];
+
+// Fiat amounts are billed in the stablecoin pegged to them
+export const FIAT_STABLECOINS = { USD: 'USDC', EUR: 'EURC' };
+const OTHER_FIAT = ['GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'INR'];
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP' };
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_SEND_TIME = '09:00';
+
+// What the model fills in. Dates stay in the user's local time and are converted to UTC here.
+export const extractionSchema = z.object({
+  amount: z.string().nullable().describe('Amount as a plain decimal string without symbols or thousands separators, e.g. "1250.50"; null if not stated'),
+  currency: z.string().nullable().describe('Currency code or token symbol exactly as stated ("$" is USD, "€" is EUR); null if not stated'),
+  recipientEmail: z.string().nullable().describe('Email address of the person being billed, if given'),
+  recipientName: z.string().nullable().describe('Name of the person or company being billed, never a description of the work'),
+  recipientAddress: z.string().nullable().describe('0x wallet address, if given'),
+  description: z.string().nullable().describe('What the payment is for'),
+  transactionType: z.enum(TRANSACTION_TYPES).describe('ask_and_refund if the payment is refunded later, subscription if it recurs, otherwise ask_payment'),
+  billingInterval: z.enum(BILLING_INTERVALS).nullable().describe('Subscriptions only'),
+  refundDelayDays: z.number().int().positive().nullable().describe('ask_and_refund only: days after payment to refund'),
+  refundPercentage: z.number().positive().max(100).nullable().describe('ask_and_refund only: share of the payment refunded, e.g. 90 when a 10% fee is kept'),
+  scheduledLocalDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).nullable().describe("YYYY-MM-DD in the user's timezone if the request should go out later (resolve \"next Friday\", \"in 3 days\" from today's date); null to send now"),
+  scheduledLocalTime: z.string().regex(/^\d{2}:\d{2}$/).nullable().describe('HH:mm 24-hour local time if one was given, otherwise null'),
+  ambiguities: z.array(z.string()).describe('Short questions to ask the user about anything missing, unclear or contradictory; empty if the request is clear')
+});
+
+/**
+ * Whether a string is an IANA timezone name this runtime knows (e.g. Europe/Paris)
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return typeof timeZone === 'string' && timeZone.length > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Today's date (YYYY-MM-DD) and weekday in a timezone
+ */
+function getLocalToday(now, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit', weekday: 'long'
+  }).formatToParts(now).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday
+  };
+}
+
+/**
+ * Milliseconds a timezone is ahead of UTC at an instant
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(timestamp)).map(part => [part.type, parseInt(part.value)]));
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * The UTC instant of a local date and time in a timezone
+ */
+export function localDateTimeToUtc(localDate, localTime, timeZone) {
+  const [year, month, day] = localDate.split('-').map(Number);
+  const [hour, minute] = (localTime || DEFAULT_SEND_TIME).split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Re-check the offset at the result, in case a DST change falls in between
+  let utc = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  utc = wallClock - getTimeZoneOffset(utc, timeZone);
+  return new Date(utc);
+}
+
+/**
+ * Shift a YYYY-MM-DD date by days or months
+ */
+function shiftDate(localDate, { days = 0, months = 0 }) {
+  const date = new Date(`${localDate}T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Resolve a date phrase ("tomorrow", "next Friday", "in 2 weeks", "on 2026-11-01")
+ * to a local YYYY-MM-DD, or null if there is none
+ */
+function resolveLocalDate(input, today) {
+  const text = input.toLowerCase();
+
+  const isoMatch = text.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+  if (isoMatch) return isoMatch[1];
+
+  if (/\btomorrow\b/.test(text)) return shiftDate(today.date, { days: 1 });
+
+  const relativeMatch = text.match(/\bin\s+(\d+)\s+(days?|weeks?|months?)\b/);
+  if (relativeMatch) {
+    const count = parseInt(relativeMatch[1]);
+    const unit = relativeMatch[2];
+    return unit.startsWith('month')
+      ? shiftDate(today.date, { months: count })
+      : shiftDate(today.date, { days: unit.startsWith('week') ? count * 7 : count });
+  }
+
+  const weekdayMatch = text.match(new RegExp(`\\b(?:on|next|this)\\s+(${WEEKDAYS.join('|')})\\b`));
+  if (weekdayMatch) {
+    // The first such weekday after today
+    const current = WEEKDAYS.indexOf(today.weekday.toLowerCase());
+    const target = WEEKDAYS.indexOf(weekdayMatch[1]);
+    return shiftDate(today.date, { days: ((target - current + 6) % 7) + 1 });
+  }
+
+  return null;
+}
+
+/**
+ * Offline extraction with regexes (used when the model is unavailable or fails)
+ */
+export function extractWithRegex(input, { timeZone = 'UTC', now = new Date() } = {}) {
+  const text = input.toLowerCase();
+
+  // Prefer an amount next to a currency marker ("$1,250.50", "0.15 ETH") over any bare number
+  const markedAmount = input.match(/([$€£])\s*(\d[\d,]*(?:\.\d+)?)(?:\s*(USDC|USDT|EURC|USD|EUR|GBP)\b)?/i)
+    || input.match(/()(\d[\d,]*(?:\.\d+)?)\s*(ETH|WETH|BTC|USDC|USDT|EURC|USD|EUR|GBP|JPY)\b/i);
+  const bareAmount = input.match(/()\b(\d[\d,]*(?:\.\d+)?)\b()/);
+  const amountMatch = markedAmount || bareAmount;
+
+  const emailMatch = input.match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/);
+  const addressMatch = input.match(/0x[a-fA-F0-9]{40}/);
+
+  // A capitalised name after a billing verb or "to" ("charge Acme Corp", "to John Doe")
+  const nameMatch = input.match(/\b(?:to|bill|charge|invoice|from)\s+([A-Z][\w&'.-]*(?:\s+[A-Z][\w&'.-]*)*)/);
+
+  // The first "for ..." that is not just the amount
+  const description = [...input.matchAll(/\bfor\s+(.+?)(?=,|\s+(?:to|at|from|for|and send|send)\s|$)/gi)]
+    .map(match => match[1].trim())
+    .find(candidate => !/^[$€£]?\s*[\d,.]+\s*\w{0,4}$/.test(candidate)) || null;
+
+  let transactionType = 'ask_payment';
+  let billingInterval = null;
+  let refundDelayDays = null;
+  let refundPercentage = null;
+  if (text.includes('refund')) {
+    transactionType = 'ask_and_refund';
+
+    // Refund window, e.g. "refund in 7 days" / "refund after 2 weeks"
+    const refundDelayMatch = input.match(/refund\w*\s+(?:it\s+)?(?:in|after)\s+(\d+)\s+(days?|weeks?|months?)/i);
+    if (refundDelayMatch) {
+      const count = parseInt(refundDelayMatch[1]);
+      const unit = refundDelayMatch[2].toLowerCase();
+      refundDelayDays = unit.startsWith('week') ? count * 7 : unit.startsWith('month') ? count * 30 : count;
+    }
+
+    // Partial refunds, e.g. "keep a 10% fee" / "refund 90%"
+    const keepMatch = input.match(/keep(?:ing)?\s+(?:a\s+)?(\d+(?:\.\d+)?)\s*%/i);
+    const refundShareMatch = input.match(/refund\w*\s+(\d+(?:\.\d+)?)\s*%/i);
+    if (keepMatch) refundPercentage = 100 - parseFloat(keepMatch[1]);
+    else if (refundShareMatch) refundPercentage = parseFloat(refundShareMatch[1]);
+  } else if (/\bsubscription\b|\brecurring\b/.test(text)) {
+    transactionType = 'subscription';
+    if (/\b(weekly|every week|per week)\b/.test(text)) billingInterval = 'weekly';
+    else if (/\b(yearly|annual|annually|every year|per year)\b/.test(text)) billingInterval = 'yearly';
+    else billingInterval = 'monthly';
+  }
+
+  // A refund window ("refund in 7 days") is not a send date
+  const dateText = refundDelayDays ? input.replace(/refund\w*\s+(?:it\s+)?(?:in|after)\s+\d+\s+\w+/i, '') : input;
+  const timeMatch = dateText.match(/\bat\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/i);
+  let scheduledLocalTime = null;
+  if (timeMatch && (timeMatch[2] || timeMatch[3])) {
+    const [, hours, minutes = '00', meridiem] = timeMatch;
+    const hour = meridiem ? parseInt(hours) % 12 + (meridiem.toLowerCase() === 'pm' ? 12 : 0) : parseInt(hours);
+    scheduledLocalTime = `${String(hour).padStart(2, '0')}:${minutes}`;
+  }
+
+  return {
+    amount: amountMatch ? amountMatch[2] : null,
+    currency: amountMatch ? (amountMatch[3] || CURRENCY_SYMBOLS[amountMatch[1]] || null) : null,
+    recipientEmail: emailMatch ? emailMatch[0] : null,
+    recipientName: nameMatch ? nameMatch[1].trim() : null,
+    recipientAddress: addressMatch ? addressMatch[0] : null,
+    description,
+    transactionType,
+    billingInterval,
+    refundDelayDays,
+    refundPercentage,
+    scheduledLocalDate: resolveLocalDate(dateText, getLocalToday(now, timeZone)),
+    scheduledLocalTime,
+    ambiguities: []
+  };
+}
+
+export class PaymentExtractor {
+  constructor(options = {}) {
+    this.llm = options.llm || null;
+    this.defaultCurrency = options.defaultCurrency || 'USDC';
+    this.defaultNetwork = options.defaultNetwork || 'base-sepolia';
+  }
+
+  /**
+   * Extract payment details from a request, in the user's timezone
+   */
+  async extract(input, { timeZone = 'UTC', now = new Date() } = {}) {
+    const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+
+    if (this.llm) {
+      try {
+        const raw = await this.extractWithModel(input, { timeZone: zone, now });
+        return this.finalize(raw, input, { timeZone: zone, now, extractedBy: 'model' });
+      } catch (error) {
+        const reason = error.issues ? error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ') : error.message;
+        console.warn(`⚠️ Structured extraction failed, falling back to regex: ${reason}`);
+      }
+    }
+
+    return this.finalize(extractWithRegex(input, { timeZone: zone, now }), input, { timeZone: zone, now, extractedBy: 'regex' });
+  }
+
+  /**
+   * Ask the model for the extraction schema and validate what comes back
+   */
+  async extractWithModel(input, { timeZone, now }) {
+    const today = getLocalToday(now, timeZone);
+    const structuredLlm = this.llm.withStructuredOutput(extractionSchema, { name: 'payment_details' });
+
+    const raw = await structuredLlm.invoke([
+      new SystemMessage(`Extract the details of a crypto payment request. Today is ${today.weekday} ${today.date} in the user's timezone (${timeZone}).
+Only use what the user actually said: leave fields null rather than guessing, and list what you would need to ask in ambiguities.`),
+      new HumanMessage(input)
+    ]);
+
+    return extractionSchema.parse(raw);
+  }
+
+  /**
+   * Normalise raw fields into payment details and add the checks every extraction gets
+   */
+  finalize(raw, input, { timeZone, now, extractedBy }) {
+    const ambiguities = [...raw.ambiguities];
+
+    const amount = raw.amount !== null ? String(raw.amount).replace(/[$€£,\s]/g, '') : null;
+    const validAmount = amount && /^\d+(\.\d+)?$/.test(amount) && parseFloat(amount) > 0 ? amount : null;
+    if (!validAmount) {
+      ambiguities.push('How much should be requested?');
+    }
+
+    // Fiat amounts are billed in their stablecoin; other fiat needs the user to pick a token
+    const stated = raw.currency ? (CURRENCY_SYMBOLS[raw.currency] || raw.currency).trim().toUpperCase() : null;
+    let currency = stated;
+    let pricedIn = null;
+    if (!stated) {
+      currency = this.defaultCurrency;
+      if (validAmount) {
+        ambiguities.push(`No currency was given: should it be ${this.defaultCurrency}?`);
+      }
+    } else if (FIAT_STABLECOINS[stated]) {
+      currency = FIAT_STABLECOINS[stated];
+      pricedIn = stated;
+    } else if (OTHER_FIAT.includes(stated)) {
+      currency = null;
+      pricedIn = stated;
+      ambiguities.push(`The amount is in ${stated}, which has no stablecoin here: which token should be requested?`);
+    }
+
+    const recipientEmail = raw.recipientEmail && /^[\w.+-]+@[\w-]+(\.[\w-]+)+$/.test(raw.recipientEmail) ? raw.recipientEmail : null;
+    if (raw.recipientEmail && !recipientEmail) {
+      ambiguities.push(`"${raw.recipientEmail}" is not a valid email address: what is the right one?`);
+    } else if (!recipientEmail && !raw.recipientAddress) {
+      ambiguities.push('Who should receive the payment request? No email address was given.');
+    }
+
+    const recipientAddress = raw.recipientAddress && /^0x[a-fA-F0-9]{40}$/.test(raw.recipientAddress) ? raw.recipientAddress : null;
+
+    let scheduledDate = null;
+    if (raw.scheduledLocalDate) {
+      scheduledDate = localDateTimeToUtc(raw.scheduledLocalDate, raw.scheduledLocalTime, timeZone);
+      if (scheduledDate <= now) {
+        ambiguities.push(`${raw.scheduledLocalDate} is in the past: when should it be sent instead?`);
+        scheduledDate = null;
+      }
+    }
+
+    return {
+      amount: validAmount,
+      currency,
+      pricedIn,
+      network: this.defaultNetwork,
+      recipientEmail,
+      recipientName: raw.recipientName?.trim() || null,
+      recipientAddress,
+      description: raw.description?.trim() || 'Payment request',
+      transactionType: raw.transactionType,
+      billingInterval: raw.transactionType === 'subscription' ? raw.billingInterval || 'monthly' : null,
+      refundDelayDays: raw.transactionType === 'ask_and_refund' ? raw.refundDelayDays : null,
+      refundPercentage: raw.transactionType === 'ask_and_refund' ? raw.refundPercentage : null,
+      scheduleType: scheduledDate ? 'scheduled' : 'immediate',
+      scheduledDate: scheduledDate ? scheduledDate.toISOString() : null,
+      timeZone,
+      ambiguities: [...new Set(ambiguities)],
+      extractedBy,
+      aiPrompt: input
+    };
+  }
+}
+
+export default PaymentExtractor;
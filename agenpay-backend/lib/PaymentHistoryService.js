@@ -0,0 +1,152 @@
+/**
+ * Payment History Service for AgenPay
+ * Read-only lookups of a user's payment requests, transactions and outgoing payments
+ * by recipient, status, date range and amount, with per-status and per-currency totals
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { addAmounts } from './Money.js';
+
+// Transaction types on each side of the user's wallet
+export const TRANSACTION_DIRECTIONS = {
+  in: ['INCOMING', 'RECEIVE'],
+  out: ['SEND', 'OUTGOING', 'REFUND']
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Prisma filters shared by every lookup: date range, amount range and currency
+ */
+function buildCommonFilters(dateField, { from, to, minAmount, maxAmount, currency }) {
+  const where = {};
+
+  if (from || to) {
+    where[dateField] = {
+      ...(from && { gte: new Date(from) }),
+      ...(to && { lte: new Date(to) })
+    };
+  }
+
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    where.amount = {
+      ...(minAmount !== undefined && { gte: minAmount }),
+      ...(maxAmount !== undefined && { lte: maxAmount })
+    };
+  }
+
+  if (currency) {
+    where.currency = currency.toUpperCase();
+  }
+
+  return where;
+}
+
+/**
+ * Match a name, email or address fragment against any of the given fields
+ */
+function matchRecipient(fields, recipient) {
+  return recipient
+    ? { OR: fields.map(field => ({ [field]: { contains: recipient, mode: 'insensitive' } })) }
+    : {};
+}
+
+export class PaymentHistoryService {
+  constructor(options = {}) {
+    this.prisma = options.prisma || new PrismaClient();
+  }
+
+  /**
+   * Count and amount of matching rows per status and per currency
+   * (amounts are never added up across currencies)
+   */
+  async summarize(model, where) {
+    const groups = await this.prisma[model].groupBy({
+      by: ['status', 'currency'],
+      where,
+      _count: { status: true },
+      _sum: { amount: true }
+    });
+
+    const summary = { totalCount: 0, byStatus: {}, byCurrency: {} };
+    for (const group of groups) {
+      const count = group._count.status;
+      const amount = group._sum.amount ?? 0;
+
+      summary.totalCount += count;
+
+      summary.byStatus[group.status] ??= { count: 0, amounts: {} };
+      summary.byStatus[group.status].count += count;
+      summary.byStatus[group.status].amounts[group.currency] = addAmounts(summary.byStatus[group.status].amounts[group.currency], amount);
+
+      summary.byCurrency[group.currency] ??= { count: 0, amount: '0' };
+      summary.byCurrency[group.currency].count += count;
+      summary.byCurrency[group.currency].amount = addAmounts(summary.byCurrency[group.currency].amount, amount);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Run a lookup: the newest matching rows plus totals over every match
+   */
+  async find(model, userId, where, { orderBy, limit = DEFAULT_LIMIT }) {
+    try {
+      // userId is applied last so no filter can widen the lookup to other users
+      const scoped = { ...where, userId };
+
+      const [items, summary] = await Promise.all([
+        this.prisma[model].findMany({
+          where: scoped,
+          orderBy,
+          take: Math.min(Math.max(limit, 1), MAX_LIMIT)
+        }),
+        this.summarize(model, scoped)
+      ]);
+
+      return { summary, items };
+    } catch (error) {
+      console.error(`❌ Error looking up ${model} history for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Payment requests the user sent, newest first (dates filter on creation)
+   */
+  async findPaymentRequests(userId, { recipient, status, transactionType, limit, ...filters } = {}) {
+    return await this.find('paymentRequest', userId, {
+      ...buildCommonFilters('createdAt', filters),
+      ...matchRecipient(['recipientName', 'recipientEmail', 'payerAddress'], recipient),
+      ...(status && { status }),
+      ...(transactionType && { transactionType })
+    }, { orderBy: { createdAt: 'desc' }, limit });
+  }
+
+  /**
+   * Transactions in and out of the user's wallet, newest first (dates filter on creation)
+   */
+  async findTransactions(userId, { counterparty, status, type, direction, limit, ...filters } = {}) {
+    return await this.find('transaction', userId, {
+      ...buildCommonFilters('createdAt', filters),
+      ...matchRecipient(['toAddress', 'fromAddress', 'recipientEmail'], counterparty),
+      ...(status && { status }),
+      ...(type ? { type } : direction && { type: { in: TRANSACTION_DIRECTIONS[direction] } })
+    }, { orderBy: { createdAt: 'desc' }, limit });
+  }
+
+  /**
+   * Outgoing payments and refunds from the user's wallet, latest schedule date first
+   * (dates filter on the schedule date)
+   */
+  async findOutgoingPayments(userId, { recipient, status, limit, ...filters } = {}) {
+    return await this.find('outgoingPayment', userId, {
+      ...buildCommonFilters('scheduleDate', filters),
+      ...matchRecipient(['recipientName', 'recipientAddress'], recipient),
+      ...(status && { status })
+    }, { orderBy: { scheduleDate: 'desc' }, limit });
+  }
+}
+
+export default PaymentHistoryService;
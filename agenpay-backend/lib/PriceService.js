@@ -0,0 +1,133 @@
+/**
+ * Price Service for AgenPay
+ * USD valuations for wallet balances from a pluggable price provider, with caching
+ */
+
+import OKXDexService from './OKXDexService.js';
+import { TOKEN_REGISTRY } from './WalletService.js';
+import { toAmountNumber } from './Money.js';
+
+// Treated as $1 without asking the provider
+const USD_STABLECOINS = ['USDC', 'USDT', 'DAI'];
+
+// Mainnet tokens are quoted for testnet balances too (testnet tokens have no market)
+const PRICING_NETWORKS = [
+  { network: 'base-mainnet', chainId: '8453' },
+  { network: 'ethereum-mainnet', chainId: '1' },
+];
+
+const NATIVE_TOKEN_ADDRESS = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+/**
+ * Prices tokens by quoting one whole token against USDC on OKX DEX
+ */
+export class OKXPriceProvider {
+  constructor(okxDexService = null) {
+    this.name = 'okx-dex';
+    this.okxDexService = okxDexService || new OKXDexService();
+  }
+
+  /**
+   * USD price of one token, or null when no quote is available
+   */
+  async getUsdPrice(symbol) {
+    for (const { network, chainId } of PRICING_NETWORKS) {
+      const tokens = TOKEN_REGISTRY[network];
+      const token = tokens.find(t => t.symbol === symbol);
+      const usdc = tokens.find(t => t.symbol === 'USDC');
+      if (!token || !usdc) continue;
+
+      const quote = await this.okxDexService.getSwapQuote({
+        chainId,
+        fromTokenAddress: token.address || NATIVE_TOKEN_ADDRESS,
+        toTokenAddress: usdc.address,
+        amount: (10n ** BigInt(token.decimals)).toString()
+      });
+
+      if (!quote.success || !quote.data) continue;
+
+      // Live quotes are in base units and report decimals; mock quotes use plain units
+      const fromDecimals = parseInt(quote.data.fromToken?.decimal ?? 0);
+      const toDecimals = parseInt(quote.data.toToken?.decimal ?? 0);
+      const fromAmount = Number(quote.data.fromTokenAmount) / 10 ** fromDecimals;
+      const toAmount = Number(quote.data.toTokenAmount) / 10 ** toDecimals;
+
+      if (fromAmount > 0 && Number.isFinite(toAmount)) {
+        return toAmount / fromAmount;
+      }
+    }
+
+    return null;
+  }
+}
+
+export class PriceService {
+  constructor(options = {}) {
+    this.provider = options.provider || null;
+    this.cacheTtlMs = options.cacheTtlMs || parseInt(process.env.PRICE_CACHE_TTL_MS) || 60000;
+    this.cache = new Map();
+  }
+
+  /**
+   * The configured provider (OKX DEX unless one was injected)
+   */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = new OKXPriceProvider();
+    }
+    return this.provider;
+  }
+
+  /**
+   * USD price for a token symbol, served from cache while fresh
+   */
+  async getUsdPrice(symbol) {
+    const key = String(symbol).toUpperCase();
+
+    if (USD_STABLECOINS.includes(key)) {
+      return 1;
+    }
+
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.price;
+    }
+
+    try {
+      const price = await this.getProvider().getUsdPrice(key);
+      this.cache.set(key, { price, expiresAt: Date.now() + this.cacheTtlMs });
+      return price;
+    } catch (error) {
+      console.error(`❌ Error pricing ${key}:`, error.message);
+      // Fall back to the last known price rather than none at all
+      return cached ? cached.price : null;
+    }
+  }
+
+  /**
+   * USD price and value of an amount at this moment, recorded on transactions so exports
+   * show what they were worth when they happened (nulls when the token has no price)
+   */
+  async getUsdValuation(symbol, amount) {
+    const usdPrice = await this.getUsdPrice(symbol);
+    if (usdPrice === null || usdPrice === undefined) {
+      return { usdPrice: null, usdValue: null };
+    }
+    return { usdPrice, usdValue: Math.round(usdPrice * toAmountNumber(amount) * 100) / 100 };
+  }
+
+  /**
+   * USD prices for several symbols at once
+   */
+  async getUsdPrices(symbols) {
+    const uniqueSymbols = [...new Set(symbols.map(symbol => String(symbol).toUpperCase()))];
+    const prices = await Promise.all(uniqueSymbols.map(symbol => this.getUsdPrice(symbol)));
+    return Object.fromEntries(uniqueSymbols.map((symbol, i) => [symbol, prices[i]]));
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+export default PriceService;
@@ -0,0 +1,199 @@
+/**
+ * Prisma Checkpoint Saver for AgenPay
+ * LangGraph checkpointer backed by the app's Postgres database, so agent
+ * conversations survive server restarts and agent stop/start
+ */
+
+import { BaseCheckpointSaver } from '@langchain/langgraph';
+import { PrismaClient } from '@prisma/client';
+
+// Pending sends are stored as writes to this channel on the parent checkpoint
+const TASKS = '__pregel_tasks';
+
+// Special writes use fixed negative indices so they replace earlier ones (mirrors WRITES_IDX_MAP)
+const SPECIAL_WRITE_IDX = {
+  __error__: -1,
+  __scheduled__: -2,
+  __interrupt__: -3,
+  __resume__: -4
+};
+
+export class PrismaCheckpointSaver extends BaseCheckpointSaver {
+  constructor(options = {}) {
+    super(options.serde);
+    this.prisma = options.prisma || new PrismaClient();
+  }
+
+  /**
+   * Latest checkpoint of a thread, or the one named by checkpoint_id
+   */
+  async getTuple(config) {
+    const threadId = config.configurable?.thread_id;
+    const checkpointNs = config.configurable?.checkpoint_ns ?? '';
+    const checkpointId = config.configurable?.checkpoint_id || config.configurable?.thread_ts;
+
+    const row = checkpointId
+      ? await this.prisma.agentCheckpoint.findUnique({
+        where: { threadId_checkpointNs_checkpointId: { threadId, checkpointNs, checkpointId } }
+      })
+      : await this.prisma.agentCheckpoint.findFirst({
+        where: { threadId, checkpointNs },
+        orderBy: { checkpointId: 'desc' }
+      });
+
+    return row ? await this.toTuple(row) : undefined;
+  }
+
+  /**
+   * Checkpoints newest first (checkpoint ids are time-ordered)
+   */
+  async *list(config, options = {}) {
+    const { before, limit, filter } = options;
+    const where = {};
+
+    if (config.configurable?.thread_id) where.threadId = config.configurable.thread_id;
+    if (config.configurable?.checkpoint_ns !== undefined) where.checkpointNs = config.configurable.checkpoint_ns;
+    if (config.configurable?.checkpoint_id) where.checkpointId = config.configurable.checkpoint_id;
+    if (before?.configurable?.checkpoint_id) where.checkpointId = { lt: before.configurable.checkpoint_id };
+
+    const rows = await this.prisma.agentCheckpoint.findMany({
+      where,
+      orderBy: { checkpointId: 'desc' }
+    });
+
+    let remaining = limit;
+    for (const row of rows) {
+      const metadata = await this.serde.loadsTyped(row.type || 'json', row.metadata);
+      if (filter && !Object.entries(filter).every(([key, value]) => metadata[key] === value)) {
+        continue;
+      }
+
+      if (remaining !== undefined) {
+        if (remaining <= 0) break;
+        remaining -= 1;
+      }
+
+      yield await this.toTuple(row, metadata);
+    }
+  }
+
+  /**
+   * Save a checkpoint; its parent is the checkpoint the config points at
+   */
+  async put(config, checkpoint, metadata) {
+    const threadId = config.configurable?.thread_id;
+    const checkpointNs = config.configurable?.checkpoint_ns ?? '';
+
+    if (threadId === undefined) {
+      throw new Error('Failed to put checkpoint: the config is missing configurable.thread_id');
+    }
+
+    const { pending_sends, ...preparedCheckpoint } = checkpoint;
+    const [type, serializedCheckpoint] = this.serde.dumpsTyped(preparedCheckpoint);
+    const [, serializedMetadata] = this.serde.dumpsTyped(metadata);
+
+    const data = {
+      parentCheckpointId: config.configurable?.checkpoint_id || null,
+      type,
+      checkpoint: Buffer.from(serializedCheckpoint),
+      metadata: Buffer.from(serializedMetadata)
+    };
+
+    await this.prisma.agentCheckpoint.upsert({
+      where: { threadId_checkpointNs_checkpointId: { threadId, checkpointNs, checkpointId: checkpoint.id } },
+      update: data,
+      create: { threadId, checkpointNs, checkpointId: checkpoint.id, ...data }
+    });
+
+    return {
+      configurable: {
+        thread_id: threadId,
+        checkpoint_ns: checkpointNs,
+        checkpoint_id: checkpoint.id
+      }
+    };
+  }
+
+  /**
+   * Save intermediate writes of a task against a checkpoint
+   */
+  async putWrites(config, writes, taskId) {
+    const threadId = config.configurable?.thread_id;
+    const checkpointNs = config.configurable?.checkpoint_ns ?? '';
+    const checkpointId = config.configurable?.checkpoint_id;
+
+    if (threadId === undefined || checkpointId === undefined) {
+      throw new Error('Failed to put writes: the config is missing configurable.thread_id or checkpoint_id');
+    }
+
+    const operations = writes.map(([channel, value], index) => {
+      const idx = SPECIAL_WRITE_IDX[channel] ?? index;
+      const [type, serializedValue] = this.serde.dumpsTyped(value);
+      const data = { channel, type, value: Buffer.from(serializedValue) };
+
+      return this.prisma.agentCheckpointWrite.upsert({
+        where: { threadId_checkpointNs_checkpointId_taskId_idx: { threadId, checkpointNs, checkpointId, taskId, idx } },
+        // A regular write is kept as first saved; special writes replace the previous one
+        update: idx < 0 ? data : {},
+        create: { threadId, checkpointNs, checkpointId, taskId, idx, ...data }
+      });
+    });
+
+    await this.prisma.$transaction(operations);
+  }
+
+  /**
+   * Remove every checkpoint and write of a thread
+   */
+  async deleteThread(threadId) {
+    await this.prisma.$transaction([
+      this.prisma.agentCheckpointWrite.deleteMany({ where: { threadId } }),
+      this.prisma.agentCheckpoint.deleteMany({ where: { threadId } })
+    ]);
+  }
+
+  /**
+   * Build a CheckpointTuple from a stored row
+   */
+  async toTuple(row, metadata = null) {
+    const { threadId, checkpointNs, checkpointId, parentCheckpointId } = row;
+
+    const writes = await this.prisma.agentCheckpointWrite.findMany({
+      where: { threadId, checkpointNs, checkpointId },
+      orderBy: [{ taskId: 'asc' }, { idx: 'asc' }]
+    });
+
+    const pendingSends = parentCheckpointId
+      ? await this.prisma.agentCheckpointWrite.findMany({
+        where: { threadId, checkpointNs, checkpointId: parentCheckpointId, channel: TASKS },
+        orderBy: [{ taskId: 'asc' }, { idx: 'asc' }]
+      })
+      : [];
+
+    const tuple = {
+      config: {
+        configurable: { thread_id: threadId, checkpoint_ns: checkpointNs, checkpoint_id: checkpointId }
+      },
+      checkpoint: {
+        ...(await this.serde.loadsTyped(row.type || 'json', row.checkpoint)),
+        pending_sends: await Promise.all(pendingSends.map(write => this.serde.loadsTyped(write.type || 'json', write.value)))
+      },
+      metadata: metadata || await this.serde.loadsTyped(row.type || 'json', row.metadata),
+      pendingWrites: await Promise.all(writes.map(async write => [
+        write.taskId,
+        write.channel,
+        await this.serde.loadsTyped(write.type || 'json', write.value)
+      ]))
+    };
+
+    if (parentCheckpointId) {
+      tuple.parentConfig = {
+        configurable: { thread_id: threadId, checkpoint_ns: checkpointNs, checkpoint_id: parentCheckpointId }
+      };
+    }
+
+    return tuple;
+  }
+}
+
+export default PrismaCheckpointSaver;
@@ -0,0 +1,81 @@
+/**
+ * RPC Client for AgenPay
+ * Minimal JSON-RPC client for reading transaction receipts and block heights per network
+ */
+
+const DEFAULT_RPC_URLS = {
+  'base-sepolia': 'https://sepolia.base.org',
+  'base-mainnet': 'https://mainnet.base.org',
+  'ethereum-sepolia': 'https://ethereum-sepolia-rpc.publicnode.com',
+  'ethereum-mainnet': 'https://ethereum-rpc.publicnode.com'
+};
+
+export class RpcClient {
+  constructor(options = {}) {
+    this.fetch = options.fetch || globalThis.fetch;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.RPC_TIMEOUT_MS) || 10000;
+    this.urls = {
+      'base-sepolia': process.env.RPC_URL_BASE_SEPOLIA || DEFAULT_RPC_URLS['base-sepolia'],
+      'base-mainnet': process.env.RPC_URL_BASE_MAINNET || DEFAULT_RPC_URLS['base-mainnet'],
+      'ethereum-sepolia': process.env.RPC_URL_ETHEREUM_SEPOLIA || DEFAULT_RPC_URLS['ethereum-sepolia'],
+      'ethereum-mainnet': process.env.RPC_URL_ETHEREUM_MAINNET || DEFAULT_RPC_URLS['ethereum-mainnet'],
+      ...options.urls
+    };
+    this.requestId = 0;
+  }
+
+  /**
+   * Send one JSON-RPC call to the node for a network
+   */
+  async call(network, method, params = []) {
+    const url = this.urls[network];
+    if (!url) {
+      throw new Error(`No RPC endpoint configured for network: ${network}`);
+    }
+
+    const response = await this.fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`RPC ${method} on ${network} failed: HTTP ${response.status}`);
+    }
+
+    const body = await response.json();
+    if (body.error) {
+      throw new Error(`RPC ${method} on ${network} failed: ${body.error.message || JSON.stringify(body.error)}`);
+    }
+
+    return body.result;
+  }
+
+  /**
+   * Latest block number
+   */
+  async getBlockNumber(network) {
+    return parseInt(await this.call(network, 'eth_blockNumber'), 16);
+  }
+
+  /**
+   * Receipt for a mined transaction, or null while it is not yet mined
+   * (or unknown to the node). status is 'success' or 'reverted'.
+   */
+  async getTransactionReceipt(network, txHash) {
+    const receipt = await this.call(network, 'eth_getTransactionReceipt', [txHash]);
+    if (!receipt) {
+      return null;
+    }
+
+    return {
+      transactionHash: receipt.transactionHash,
+      blockNumber: parseInt(receipt.blockNumber, 16),
+      status: receipt.status === '0x1' ? 'success' : 'reverted',
+      gasUsed: receipt.gasUsed ? parseInt(receipt.gasUsed, 16) : null
+    };
+  }
+}
+
+export default RpcClient;
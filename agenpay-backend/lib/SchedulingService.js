@@ -3,15 +3,106 @@
  * Handles cron jobs for scheduled payments and refunds
  */
 
+import os from 'os';
+import crypto from 'crypto';
 import cron from 'node-cron';
 import { PrismaClient } from '@prisma/client';
 import WalletService from './WalletService.js';
 import NotionService from './NotionService.js';
+import EmailService from './EmailService.js';
+import WebhookService from './WebhookService.js';
+import ConfirmationService from './ConfirmationService.js';
+import ApprovalService from './ApprovalService.js';
+import PriceService from './PriceService.js';
+import IdempotencyService, { IdempotencyError } from './IdempotencyService.js';
+import { parseAmount, normalizeAmount, subtractAmounts, compareAmounts, isPositiveAmount, maxAmount, percentOf } from './Money.js';
+
+export const SUBSCRIPTION_INTERVALS = ['weekly', 'monthly', 'yearly'];
+
+// Outgoing payments that have not been sent yet and can still be cancelled
+export const PENDING_PAYMENT_STATUSES = ['scheduled', 'retrying'];
+
+// A subscription period's payment request that was never paid
+const UNPAID_SUBSCRIPTION_STATUSES = ['processing', 'scheduled', 'expired'];
+
+// Failures of the node, the network or the wallet's gas balance rather than of the payment itself
+const TRANSIENT_ERROR_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'TIMEOUT', 'NETWORK_ERROR', 'SERVER_ERROR', 'INSUFFICIENT_FUNDS', 'NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'];
+const TRANSIENT_ERROR_PATTERN = /timeout|timed out|socket hang up|network error|fetch failed|rate limit|too many requests|bad gateway|service unavailable|insufficient funds|gas required exceeds|intrinsic gas too low|underpriced|nonce too low|CDP not initialized/i;
+
+/**
+ * Whether a failed payment execution is worth retrying: RPC timeouts, rate limits, node
+ * errors and too little gas are; an invalid address, a spending policy block, an unknown
+ * token or an over-refund fail the same way every time and are not. Neither is a send that
+ * failed while broadcasting (mayHaveBroadcast), since the transfer may already be on-chain.
+ */
+export function isRetryablePaymentError(error) {
+  if (!error || error.violations || error.mayHaveBroadcast) {
+    return false;
+  }
+  const status = error.status ?? error.statusCode;
+  if (status === 429 || status >= 500) {
+    return true;
+  }
+  return TRANSIENT_ERROR_CODES.includes(error.code) || TRANSIENT_ERROR_PATTERN.test(error.message || '');
+}
+
+/**
+ * Advance a billing date by one interval, keeping monthly/yearly billing on the
+ * anchor day (clamped to the last day of shorter months)
+ */
+export function addBillingInterval(date, interval, anchorDay = new Date(date).getUTCDate()) {
+  const next = new Date(date);
+
+  if (interval === 'weekly') {
+    next.setUTCDate(next.getUTCDate() + 7);
+    return next;
+  }
+
+  const months = interval === 'yearly' ? 12 : 1;
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + months);
+  const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+  next.setUTCDate(Math.min(anchorDay, daysInMonth));
+  return next;
+}
+
+/**
+ * Amount still owed back to the payer of an ask_and_refund request, as a decimal string
+ * (refundPercentage of the payment, minus what has already been refunded)
+ */
+export function getRemainingRefundAmount(paymentRequest) {
+  const percentage = paymentRequest.refundPercentage ?? 100;
+  const target = percentOf(paymentRequest.amount, percentage, { currency: paymentRequest.currency });
+  return maxAmount(0, subtractAmounts(target, paymentRequest.refundedAmount ?? 0));
+}
 
 export class SchedulingService {
-  constructor() {
-    this.prisma = new PrismaClient();
-    this.walletService = new WalletService();
+  constructor(sharedServices = {}) {
+    this.prisma = sharedServices.prisma || new PrismaClient();
+    this.walletService = sharedServices.walletService || new WalletService();
+    // Payment links are served from the X402PayService route map, so the shared instance is required for billing
+    this.x402PayService = sharedServices.x402PayService || null;
+    this.emailService = sharedServices.emailService || new EmailService();
+    this.webhookService = sharedServices.webhookService || new WebhookService();
+    this.ledgerService = sharedServices.ledgerService || this.walletService.ledgerService;
+    this.confirmationService = sharedServices.confirmationService || new ConfirmationService({
+      prisma: this.prisma,
+      webhookService: this.webhookService,
+      ledgerService: this.ledgerService,
+      schedulingService: this
+    });
+    this.approvalService = sharedServices.approvalService || new ApprovalService({
+      prisma: this.prisma,
+      emailService: this.emailService
+    });
+    this.priceService = sharedServices.priceService || new PriceService();
+    this.idempotencyService = sharedServices.idempotencyService || new IdempotencyService({ prisma: this.prisma });
+    this.maxMissedPayments = parseInt(process.env.SUBSCRIPTION_MAX_MISSED_PAYMENTS) || 3;
+    // Outgoing payments are leased to one worker at a time, so several server instances can share the database
+    this.workerId = sharedServices.workerId || `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    this.leaseMs = sharedServices.leaseMs || (parseInt(process.env.PAYMENT_LEASE_SECONDS) || 300) * 1000;
+    this.maxPaymentAttempts = sharedServices.maxPaymentAttempts || parseInt(process.env.PAYMENT_MAX_ATTEMPTS) || 5;
+    this.paymentRetryBaseMs = sharedServices.paymentRetryBaseMs || (parseInt(process.env.PAYMENT_RETRY_BASE_SECONDS) || 60) * 1000;
     this.jobs = new Map();
     this.isRunning = false;
   }
@@ -52,6 +143,54 @@ export class SchedulingService {
       timezone: "UTC"
     }));
 
+    // Schedule subscription billing to run every 5 minutes
+    this.jobs.set('subscription-processor', cron.schedule('*/5 * * * *', async () => {
+      await this.processSubscriptions();
+    }, {
+      scheduled: true,
+      timezone: "UTC"
+    }));
+
+    // Schedule webhook retries to run every minute
+    this.jobs.set('webhook-processor', cron.schedule('* * * * *', async () => {
+      await this.webhookService.processPendingDeliveries();
+    }, {
+      scheduled: true,
+      timezone: "UTC"
+    }));
+
+    // Schedule payment link expiry to run every 5 minutes
+    this.jobs.set('expiry-processor', cron.schedule('*/5 * * * *', async () => {
+      await this.processExpiredRequests();
+    }, {
+      scheduled: true,
+      timezone: "UTC"
+    }));
+
+    // Schedule transaction confirmation checks to run every minute
+    this.jobs.set('confirmation-processor', cron.schedule('* * * * *', async () => {
+      await this.confirmationService.processPendingTransactions();
+    }, {
+      scheduled: true,
+      timezone: "UTC"
+    }));
+
+    // Schedule agent approval expiry to run every 5 minutes
+    this.jobs.set('approval-processor', cron.schedule('*/5 * * * *', async () => {
+      await this.approvalService.expireStaleApprovals();
+    }, {
+      scheduled: true,
+      timezone: "UTC"
+    }));
+
+    // Schedule idempotency key cleanup to run every hour
+    this.jobs.set('idempotency-processor', cron.schedule('30 * * * *', async () => {
+      await this.idempotencyService.purgeExpired();
+    }, {
+      scheduled: true,
+      timezone: "UTC"
+    }));
+
     console.log('✅ Scheduling service started with cron jobs');
   }
 
@@ -77,104 +216,548 @@ export class SchedulingService {
   }
 
   /**
-   * Process scheduled outgoing payments
+   * Process scheduled outgoing payments. Each due payment is claimed before it runs, so
+   * overlapping ticks or other server instances never execute the same payment twice.
+   * Returns how many payments were executed, skipped (claimed elsewhere) and recovered.
    */
   async processScheduledPayments() {
+    const summary = { executed: 0, skipped: 0, recovered: 0 };
     try {
+      summary.recovered = await this.recoverExpiredLeases();
+
+      // Find payments that are due, and failed ones whose retry is due
       const now = new Date();
-      
-      // Find payments that are due
       const duePayments = await this.prisma.outgoingPayment.findMany({
         where: {
-          status: 'scheduled',
-          scheduleDate: {
-            lte: now
-          }
+          OR: [
+            { status: 'scheduled', scheduleDate: { lte: now } },
+            { status: 'retrying', nextAttemptAt: { lte: now } }
+          ]
         },
-        include: {
-          user: true
-        }
+        select: { id: true, status: true },
+        orderBy: { scheduleDate: 'asc' }
       });
 
       console.log(`💸 Processing ${duePayments.length} scheduled payments...`);
 
-      for (const payment of duePayments) {
+      for (const { id, status } of duePayments) {
+        const payment = await this.claimPayment(id, { status });
+        if (!payment) {
+          summary.skipped++;
+          continue;
+        }
         await this.executeOutgoingPayment(payment);
+        summary.executed++;
       }
     } catch (error) {
       console.error('❌ Error processing scheduled payments:', error);
     }
+    return summary;
+  }
+
+  /**
+   * Atomically move an outgoing payment to processing under this worker's lease. The
+   * conditional update only matches while the payment is still in the expected state, so
+   * exactly one worker wins. Returns the payment with its user, or null when it was claimed
+   * (or cancelled) by someone else.
+   */
+  async claimPayment(paymentId, where = { status: 'scheduled' }, db = this.prisma) {
+    const claimed = await db.outgoingPayment.updateMany({
+      where: { id: paymentId, ...where },
+      data: {
+        status: 'processing',
+        leaseOwner: this.workerId,
+        leaseExpiresAt: new Date(Date.now() + this.leaseMs)
+      }
+    });
+
+    if (claimed.count === 0) {
+      return null;
+    }
+    return await db.outgoingPayment.findUnique({
+      where: { id: paymentId },
+      include: { user: true }
+    });
+  }
+
+  /**
+   * Update a payment only while this worker still holds its lease. A worker whose lease ran
+   * out has been replaced by the one recovering the payment and must not write over it.
+   * Returns the updated payment, or null when the lease was lost.
+   */
+  async updateLeasedPayment(paymentId, data) {
+    const updated = await this.prisma.outgoingPayment.updateMany({
+      where: { id: paymentId, leaseOwner: this.workerId },
+      data
+    });
+
+    if (updated.count === 0) {
+      console.warn(`⚠️ Lease on payment ${paymentId} was lost, leaving it to the worker that took it over`);
+      return null;
+    }
+    return await this.prisma.outgoingPayment.findUnique({ where: { id: paymentId } });
+  }
+
+  /**
+   * The SEND transaction of an outgoing payment that did not fail, or null. It is written
+   * before the transfer is broadcast and gets its txHash right after, so unlike the
+   * idempotency key (gone after its retention window) it tells for good whether the
+   * payment went out.
+   */
+  async findPaymentSend(paymentId) {
+    return await this.prisma.transaction.findFirst({
+      where: { outgoingPaymentId: paymentId, type: 'SEND', status: { not: 'FAILED' } },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Take over payments left in processing by a worker whose lease ran out (it crashed or
+   * was stopped mid-run). The payment's SEND transaction tells how far it got: a broadcast
+   * send is recorded, a payment that never reached the wallet is scheduled again, and one
+   * whose send started but has no txHash is failed for review since it may have gone out.
+   */
+  async recoverExpiredLeases() {
+    let recovered = 0;
+    try {
+      const expired = await this.prisma.outgoingPayment.findMany({
+        where: { status: 'processing', leaseExpiresAt: { lt: new Date() } },
+        select: { id: true, leaseExpiresAt: true }
+      });
+
+      for (const { id, leaseExpiresAt } of expired) {
+        // Re-claimed on the old lease, so only one worker recovers each payment
+        const payment = await this.claimPayment(id, { status: 'processing', leaseExpiresAt });
+        if (!payment) continue;
+        recovered++;
+
+        const send = await this.findPaymentSend(payment.id);
+
+        if (send?.txHash) {
+          console.log(`♻️ Recovering payment ${id}: sent before its worker stopped (${send.txHash}), recording it`);
+          await this.completeOutgoingPayment(payment, { transactionHash: send.txHash });
+        } else if (!send) {
+          console.log(`♻️ Recovering payment ${id}: never sent, scheduling it again`);
+          // The stopped run may still hold the key, which would hold up the next attempt
+          const key = await this.idempotencyService.find({
+            userId: payment.userId,
+            scope: 'scheduled_payment',
+            key: `outgoing-payment:${payment.id}`
+          });
+          if (key && !key.completedAt) {
+            await this.idempotencyService.release(key.id);
+          }
+          await this.updateLeasedPayment(id, { status: 'scheduled', leaseOwner: null, leaseExpiresAt: null });
+        } else {
+          // The SEND stays as it is, so the payment cannot be sent again blindly
+          const reason = 'Interrupted while sending; the transfer may have gone out, check the wallet before retrying';
+          console.warn(`⚠️ Recovering payment ${id}: ${reason}`);
+          const failedPayment = await this.updateLeasedPayment(id, {
+            status: 'failed', executedAt: new Date(), failureReason: reason, leaseOwner: null, leaseExpiresAt: null
+          });
+          if (failedPayment) {
+            await this.webhookService.emit(payment.userId, 'outgoing_payment.failed', { ...failedPayment, error: reason });
+          }
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error recovering expired payment leases:', error);
+    }
+    return recovered;
   }
 
   /**
-   * Execute a single outgoing payment
+   * Execute a single outgoing payment, already claimed by this worker (status processing)
    */
   async executeOutgoingPayment(payment) {
     try {
       console.log(`⚡ Executing payment: ${payment.id}`);
 
-      // Update status to processing
-      await this.prisma.outgoingPayment.update({
-        where: { id: payment.id },
-        data: { status: 'processing' }
-      });
+      // Outgoing payments linked to a payment request are ask_and_refund refunds
+      const isRefund = !!payment.relatedRequestId;
+
+      if (isRefund) {
+        const paymentRequest = await this.prisma.paymentRequest.findUnique({
+          where: { id: payment.relatedRequestId }
+        });
+        const remaining = paymentRequest ? getRemainingRefundAmount(paymentRequest) : '0';
+        if (compareAmounts(payment.amount, remaining) > 0) {
+          throw new Error(`Refund of ${payment.amount} ${payment.currency} exceeds the ${remaining} ${payment.currency} still refundable on ${payment.relatedRequestId}`);
+        }
+      }
 
-      // Send the payment using wallet service
-      const result = await this.walletService.sendCrypto(
-        payment.userId,
-        payment.recipientAddress,
-        payment.amount,
-        payment.currency,
-        payment.network
-      );
+      // Send the payment using wallet service, once per outgoing payment even if two runs pick it up
+      const execution = await this.idempotencyService.run({
+        userId: payment.userId,
+        scope: 'scheduled_payment',
+        key: `outgoing-payment:${payment.id}`,
+        payload: { recipientAddress: payment.recipientAddress, amount: normalizeAmount(payment.amount), currency: payment.currency, network: payment.network }
+      }, async () => {
+        // An earlier attempt's SEND outlives its key, so a payment that went out is never sent again
+        const earlierSend = await this.findPaymentSend(payment.id);
+        if (earlierSend?.txHash) {
+          console.log(`📝 Payment ${payment.id} already went out (${earlierSend.txHash}), recording it`);
+          return { success: true, transactionId: earlierSend.id, transactionHash: earlierSend.txHash };
+        }
+        if (earlierSend) {
+          throw new Error(`An earlier send of payment ${payment.id} was interrupted and may have gone out; check the wallet before retrying`);
+        }
 
-      if (result.success) {
-        // Update payment as completed
-        await this.prisma.outgoingPayment.update({
-          where: { id: payment.id },
-          data: {
-            status: 'completed',
-            txHash: result.txHash,
-            executedAt: new Date()
+        const sent = await this.walletService.sendCrypto(
+          payment.userId,
+          payment.recipientAddress,
+          payment.amount,
+          payment.currency,
+          payment.network,
+          {
+            kind: isRefund ? 'refund' : 'scheduled_payment',
+            relatedRequestId: payment.relatedRequestId,
+            outgoingPaymentId: payment.id,
+            description: payment.description
           }
+        );
+        // A send that did not go out is thrown, not stored: it fails the payment and frees the key
+        if (!sent.success) {
+          throw new Error(sent.error || 'Payment execution failed');
+        }
+        return sent;
+      });
+
+      // Sent by an earlier run: only record it if that run stopped before doing so
+      if (execution.replayed) {
+        const current = await this.prisma.outgoingPayment.findUnique({ where: { id: payment.id } });
+        if (current?.status === 'completed') {
+          console.log(`⏭️ Payment ${payment.id} was already sent (${execution.response?.transactionHash}), skipping`);
+          return current;
+        }
+        console.log(`📝 Payment ${payment.id} was sent (${execution.response?.transactionHash}) but not recorded, recording it`);
+      }
+      return await this.completeOutgoingPayment(payment, execution.response);
+    } catch (error) {
+      // Another run is sending this payment right now; it records the outcome
+      if (error instanceof IdempotencyError) {
+        console.log(`⏭️ Payment ${payment.id} is already being executed, skipping`);
+        return await this.prisma.outgoingPayment.findUnique({ where: { id: payment.id } });
+      }
+
+      console.error(`❌ Error executing payment ${payment.id}:`, error);
+      return await this.recordFailedAttempt(payment, error);
+    }
+  }
+
+  /**
+   * Record a sent outgoing payment: mark it completed, add its transaction (and the refund
+   * to its payment request), and notify webhooks and Notion
+   */
+  async completeOutgoingPayment(payment, result) {
+    const isRefund = !!payment.relatedRequestId;
+
+    // Update payment as completed, unless another worker has taken it over and records it
+    const completedPayment = await this.updateLeasedPayment(payment.id, {
+      status: 'completed',
+      txHash: result.transactionHash,
+      executedAt: new Date(),
+      leaseOwner: null,
+      leaseExpiresAt: null
+    });
+    if (!completedPayment) {
+      return await this.prisma.outgoingPayment.findUnique({ where: { id: payment.id } });
+    }
+
+    // Create transaction record (one REFUND transaction per partial refund);
+    // the confirmation processor completes it once the send is confirmed on-chain
+    await this.prisma.transaction.create({
+      data: {
+        userId: payment.userId,
+        type: isRefund ? 'REFUND' : 'OUTGOING',
+        status: 'PENDING',
+        amount: payment.amount,
+        currency: payment.currency,
+        network: payment.network,
+        description: payment.description,
+        toAddress: payment.recipientAddress,
+        fromAddress: payment.user.walletAddress,
+        txHash: result.transactionHash,
+        relatedRequestId: payment.relatedRequestId,
+        ...await this.priceService.getUsdValuation(payment.currency, payment.amount)
+      }
+    });
+
+    if (isRefund) {
+      const refundedRequest = await this.recordRefund(payment.relatedRequestId, payment.amount);
+      await this.updateNotionRefund(payment.userId, refundedRequest, result.transactionHash);
+      await this.webhookService.emit(payment.userId, 'refund.executed', {
+        paymentRequest: refundedRequest,
+        amount: payment.amount,
+        currency: payment.currency,
+        toAddress: payment.recipientAddress,
+        txHash: result.transactionHash,
+        outgoingPaymentId: payment.id
+      });
+    } else {
+      await this.webhookService.emit(payment.userId, 'outgoing_payment.completed', completedPayment);
+    }
+
+    // Update Notion if user has integration
+    await this.updateNotionOutgoingPayment(payment.userId, completedPayment);
+
+    console.log(`✅ Payment ${payment.id} executed successfully: ${result.transactionHash}`);
+    return completedPayment;
+  }
+
+  /**
+   * Delay before the next attempt after `attempts` failed executions
+   */
+  getPaymentRetryDelay(attempts) {
+    return this.paymentRetryBaseMs * Math.pow(2, Math.max(0, attempts - 1));
+  }
+
+  /**
+   * Record a failed execution. A transient error is retried with exponential backoff until
+   * maxPaymentAttempts is reached, after which the payment is dead-lettered and its owner
+   * told; any other error fails the payment straight away, and one whose transfer may have
+   * gone out is failed for review like an interrupted send.
+   */
+  async recordFailedAttempt(payment, error) {
+    const attempts = (payment.attempts ?? 0) + 1;
+    const released = { attempts, lastError: error.message, leaseOwner: null, leaseExpiresAt: null };
+    const failureReason = error.mayHaveBroadcast
+      ? `${error.message}; the transfer may have gone out, check the wallet before retrying`
+      : error.message;
+
+    if (isRetryablePaymentError(error) && attempts < this.maxPaymentAttempts) {
+      const nextAttemptAt = new Date(Date.now() + this.getPaymentRetryDelay(attempts));
+      console.warn(`⚠️ Payment ${payment.id} failed (attempt ${attempts}/${this.maxPaymentAttempts}), retrying at ${nextAttemptAt.toISOString()}`);
+      const retrying = await this.updateLeasedPayment(payment.id, { ...released, status: 'retrying', nextAttemptAt });
+      return retrying || await this.prisma.outgoingPayment.findUnique({ where: { id: payment.id } });
+    }
+
+    const deadLettered = isRetryablePaymentError(error);
+    const failedPayment = await this.updateLeasedPayment(payment.id, {
+      ...released,
+      status: deadLettered ? 'dead_letter' : 'failed',
+      executedAt: new Date(),
+      failureReason,
+      nextAttemptAt: null
+    });
+    if (!failedPayment) {
+      return await this.prisma.outgoingPayment.findUnique({ where: { id: payment.id } });
+    }
+
+    if (deadLettered) {
+      console.error(`☠️ Payment ${payment.id} moved to dead letter after ${attempts} attempts: ${error.message}`);
+      await this.notifyDeadLetter(failedPayment, payment.user);
+      return failedPayment;
+    }
+
+    await this.webhookService.emit(payment.userId, 'outgoing_payment.failed', {
+      ...failedPayment,
+      error: failureReason,
+      ...(error.violations && { code: error.code, violations: error.violations })
+    });
+    return failedPayment;
+  }
+
+  /**
+   * Tell the owner of a dead-lettered payment, by webhook and email, that it needs a look
+   */
+  async notifyDeadLetter(payment, user) {
+    await this.webhookService.emit(payment.userId, 'outgoing_payment.dead_lettered', payment);
+
+    try {
+      if (user?.email) {
+        await this.emailService.sendPaymentDeadLetterEmail({ to: user.email, name: user.name, payment });
+      }
+    } catch (error) {
+      console.error(`❌ Error emailing user about dead-lettered payment ${payment.id}:`, error);
+    }
+  }
+
+  /**
+   * Put a dead-lettered payment back in the queue with a fresh set of attempts. The last
+   * error is kept for reference until the next attempt.
+   */
+  async requeuePayment(paymentId) {
+    try {
+      const result = await this.prisma.outgoingPayment.updateMany({
+        where: { id: paymentId, status: 'dead_letter' },
+        data: { status: 'scheduled', attempts: 0, nextAttemptAt: null, failureReason: null, executedAt: null }
+      });
+      if (result.count === 0) {
+        throw new Error(`Payment ${paymentId} is not in the dead letter queue`);
+      }
+
+      const payment = await this.prisma.outgoingPayment.findUnique({ where: { id: paymentId } });
+      console.log(`🔁 Payment ${paymentId} re-queued from dead letter`);
+      return payment;
+    } catch (error) {
+      console.error(`❌ Error re-queueing payment ${paymentId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add an executed refund to its payment request, moving it to
+   * partially_refunded or refunded once the refund target is reached. With refundedBefore
+   * the refund is only added while the request still shows that amount refunded, so a
+   * refund another run has recorded meanwhile is not counted twice (returns null then).
+   */
+  async recordRefund(paymentRequestId, amount, { refundedBefore = null } = {}) {
+    const recorded = await this.prisma.paymentRequest.updateMany({
+      where: { id: paymentRequestId, ...(refundedBefore !== null && { refundedAmount: refundedBefore }) },
+      data: { refundedAmount: { increment: amount } }
+    });
+    if (recorded.count === 0) {
+      return null;
+    }
+
+    const paymentRequest = await this.prisma.paymentRequest.findUnique({
+      where: { id: paymentRequestId }
+    });
+
+    return await this.prisma.paymentRequest.update({
+      where: { id: paymentRequestId },
+      data: {
+        status: isPositiveAmount(getRemainingRefundAmount(paymentRequest)) ? 'partially_refunded' : 'refunded'
+      }
+    });
+  }
+
+  /**
+   * Refund an ask_and_refund payment now instead of waiting for its refund date.
+   * Without an amount the whole remaining refund is sent; with an amount only that
+   * part is refunded and any pending scheduled refund is reduced accordingly.
+   */
+  async triggerRefund(paymentRequest, amount = null) {
+    try {
+      if (!paymentRequest.payerAddress || !this.walletService.validateAddress(paymentRequest.payerAddress)) {
+        throw new Error(`Payer wallet address unknown for ${paymentRequest.id}, cannot refund`);
+      }
+
+      // Checked and claimed under a per-request advisory lock against the request as stored now:
+      // of two refunds triggered at once, the second finds the first one processing and is refused
+      const { refundPayment, pendingRefund, refundAmount } = await this.prisma.$transaction(async tx => {
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`refund:${paymentRequest.id}`}))`;
+
+        const current = await tx.paymentRequest.findUnique({ where: { id: paymentRequest.id } });
+        const remaining = getRemainingRefundAmount(current);
+        const refundAmount = amount === null ? remaining : normalizeAmount(amount);
+        if (!isPositiveAmount(refundAmount) || compareAmounts(refundAmount, remaining) > 0) {
+          throw new Error(`Refund amount must be greater than 0 and at most ${remaining} ${paymentRequest.currency}`);
+        }
+
+        // Checked up front so a blocked refund is reported to the caller instead of leaving a failed transfer
+        await this.walletService.spendingPolicyService.enforce(paymentRequest.userId, {
+          toAddress: paymentRequest.payerAddress,
+          amount: refundAmount,
+          currency: paymentRequest.currency,
+          network: paymentRequest.network
+        }, tx);
+
+        const pendingRefund = await tx.outgoingPayment.findFirst({
+          where: { relatedRequestId: paymentRequest.id, status: { in: [...PENDING_PAYMENT_STATUSES, 'processing'] } }
         });
 
-        // Create transaction record
-        await this.prisma.transaction.create({
-          data: {
-            userId: payment.userId,
-            type: 'OUTGOING',
-            status: 'COMPLETED',
-            amount: payment.amount,
-            currency: payment.currency,
-            network: payment.network,
-            description: payment.description,
-            toAddress: payment.recipientAddress,
-            fromAddress: payment.user.walletAddress,
-            txHash: result.txHash,
-            relatedRequestId: payment.relatedRequestId,
-            completedAt: new Date()
+        // Execute the pending refund as-is when it covers exactly the requested amount; one the
+        // payment processor has claimed may be sending right now, so nothing else is sent meanwhile
+        if (pendingRefund && (pendingRefund.status === 'processing' || compareAmounts(pendingRefund.amount, refundAmount) === 0)) {
+          const claimed = await this.claimPayment(pendingRefund.id, { status: { in: PENDING_PAYMENT_STATUSES } }, tx);
+          if (!claimed) {
+            throw new Error(`Scheduled refund ${pendingRefund.id} is already being executed`);
           }
+          return { refundPayment: claimed, pendingRefund, refundAmount };
+        }
+
+        const created = await tx.outgoingPayment.create({
+          data: {
+            userId: paymentRequest.userId,
+            amount: refundAmount,
+            currency: paymentRequest.currency,
+            network: paymentRequest.network,
+            recipientAddress: paymentRequest.payerAddress,
+            recipientName: paymentRequest.recipientName,
+            fromName: 'AgenPay Refund System',
+            description: `${compareAmounts(refundAmount, remaining) < 0 ? 'Partial refund' : 'Refund'} for: ${paymentRequest.description}`,
+            scheduleDate: new Date(),
+            status: 'processing',
+            leaseOwner: this.workerId,
+            leaseExpiresAt: new Date(Date.now() + this.leaseMs),
+            relatedRequestId: paymentRequest.id
+          },
+          include: { user: true }
         });
+        return { refundPayment: created, pendingRefund, refundAmount };
+      });
 
-        // Update Notion if user has integration
-        await this.updateNotionOutgoingPayment(payment.userId, payment);
+      const executed = await this.executeOutgoingPayment(refundPayment);
 
-        console.log(`✅ Payment ${payment.id} executed successfully: ${result.txHash}`);
-      } else {
-        throw new Error(result.error || 'Payment execution failed');
+      if (executed.status !== 'completed') {
+        const retry = executed.status === 'retrying' ? `, retrying at ${executed.nextAttemptAt.toISOString()}` : '';
+        throw new Error(`Refund transfer for ${paymentRequest.id} failed${retry}: ${executed.lastError}`);
       }
-    } catch (error) {
-      console.error(`❌ Error executing payment ${payment.id}:`, error);
-      
-      // Update payment as failed
-      await this.prisma.outgoingPayment.update({
-        where: { id: payment.id },
-        data: {
-          status: 'failed',
-          executedAt: new Date()
+
+      const updatedRequest = await this.prisma.paymentRequest.findUnique({
+        where: { id: paymentRequest.id }
+      });
+
+      // Shrink (or drop) the still-scheduled refund so the total never exceeds the refund target;
+      // one claimed by the payment processor meanwhile is checked against the remaining amount there
+      if (pendingRefund && pendingRefund.id !== refundPayment.id) {
+        const stillOwed = getRemainingRefundAmount(updatedRequest);
+        if (!isPositiveAmount(stillOwed)) {
+          await this.prisma.outgoingPayment.updateMany({
+            where: { id: pendingRefund.id, status: { in: PENDING_PAYMENT_STATUSES } },
+            data: { status: 'cancelled' }
+          });
+        } else if (compareAmounts(pendingRefund.amount, stillOwed) > 0) {
+          await this.prisma.outgoingPayment.updateMany({
+            where: { id: pendingRefund.id, status: { in: PENDING_PAYMENT_STATUSES } },
+            data: { amount: stillOwed }
+          });
         }
+      }
+
+      console.log(`✅ Refund of ${refundAmount} ${paymentRequest.currency} triggered for ${paymentRequest.id}`);
+      return { refund: executed, paymentRequest: updatedRequest };
+    } catch (error) {
+      console.error(`❌ Error triggering refund for ${paymentRequest.id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel the pending scheduled refund of an ask_and_refund payment
+   */
+  async cancelScheduledRefund(paymentRequest) {
+    try {
+      const pendingRefund = await this.prisma.outgoingPayment.findFirst({
+        where: { relatedRequestId: paymentRequest.id, status: { in: PENDING_PAYMENT_STATUSES } }
       });
+
+      if (!pendingRefund) {
+        throw new Error(`No pending refund for ${paymentRequest.id}`);
+      }
+
+      // Conditional, so a refund claimed by the payment processor in the meantime is not cancelled mid-send
+      const cancelled = await this.prisma.outgoingPayment.updateMany({
+        where: { id: pendingRefund.id, status: { in: PENDING_PAYMENT_STATUSES } },
+        data: { status: 'cancelled', nextAttemptAt: null }
+      });
+      if (cancelled.count === 0) {
+        throw new Error(`Scheduled refund ${pendingRefund.id} is already being executed and cannot be cancelled`);
+      }
+      const cancelledRefund = await this.prisma.outgoingPayment.findUnique({ where: { id: pendingRefund.id } });
+
+      await this.prisma.paymentRequest.update({
+        where: { id: paymentRequest.id },
+        data: { refundDate: null }
+      });
+
+      console.log(`🚫 Scheduled refund ${pendingRefund.id} cancelled for ${paymentRequest.id}`);
+      return cancelledRefund;
+    } catch (error) {
+      console.error(`❌ Error cancelling refund for ${paymentRequest.id}:`, error);
+      throw error;
     }
   }
 
@@ -189,7 +772,7 @@ export class SchedulingService {
       const refundDueRequests = await this.prisma.paymentRequest.findMany({
         where: {
           transactionType: 'ask_and_refund',
-          status: 'payment_received',
+          status: { in: ['payment_received', 'partially_refunded'] },
           refundDate: {
             lte: now
           }
@@ -199,9 +782,22 @@ export class SchedulingService {
         }
       });
 
-      console.log(`💰 Processing ${refundDueRequests.length} scheduled refunds...`);
+      // Refunds scheduled as outgoing payments are executed by the payment processor; one that
+      // failed (reverted on-chain, for example) no longer covers the request, which is refunded
+      // here. Dead-lettered refunds stay parked until their owner has looked at them
+      const scheduledRefunds = await this.prisma.outgoingPayment.findMany({
+        where: {
+          relatedRequestId: { in: refundDueRequests.map(request => request.id) },
+          status: { notIn: ['failed', 'cancelled'] }
+        },
+        select: { relatedRequestId: true }
+      });
+      const handledRequestIds = new Set(scheduledRefunds.map(refund => refund.relatedRequestId));
+      const pendingRefunds = refundDueRequests.filter(request => !handledRequestIds.has(request.id));
+
+      console.log(`💰 Processing ${pendingRefunds.length} scheduled refunds...`);
 
-      for (const request of refundDueRequests) {
+      for (const request of pendingRefunds) {
         await this.executeRefund(request);
       }
     } catch (error) {
@@ -216,53 +812,134 @@ export class SchedulingService {
     try {
       console.log(`🔄 Executing refund for request: ${paymentRequest.id}`);
 
-      // Send refund using wallet service
-      // Note: For refunds, we need the recipient's wallet address
-      // This would typically be provided during payment or obtained from the payment proof
-      const recipientAddress = paymentRequest.recipientEmail; // This should be updated to use actual wallet address
-
-      const result = await this.walletService.sendCrypto(
-        paymentRequest.userId,
-        recipientAddress,
-        paymentRequest.amount,
-        paymentRequest.currency,
-        paymentRequest.network
-      );
-
-      if (result.success) {
-        // Update payment request as refunded
-        await this.prisma.paymentRequest.update({
-          where: { id: paymentRequest.id },
-          data: { status: 'refunded' }
-        });
+      // Refund goes back to the wallet that paid the x402 link
+      const recipientAddress = paymentRequest.payerAddress;
+      if (!recipientAddress || !this.walletService.validateAddress(recipientAddress)) {
+        throw new Error(`Payer wallet address unknown for ${paymentRequest.id}, cannot refund`);
+      }
 
-        // Create transaction record for refund
-        await this.prisma.transaction.create({
-          data: {
-            userId: paymentRequest.userId,
-            type: 'REFUND',
-            status: 'COMPLETED',
-            amount: paymentRequest.amount,
-            currency: paymentRequest.currency,
-            network: paymentRequest.network,
-            description: `Refund for: ${paymentRequest.description}`,
-            toAddress: recipientAddress,
-            fromAddress: paymentRequest.user.walletAddress,
-            txHash: result.txHash,
+      const refundAmount = getRemainingRefundAmount(paymentRequest);
+      if (!isPositiveAmount(refundAmount)) {
+        console.log(`ℹ️ No refund due for ${paymentRequest.id}`);
+        return;
+      }
+
+      // Keyed on what was refunded so far: each refund step is sent once, even if two runs overlap.
+      // A refund that failed on-chain is taken back off refundedAmount, so the key also counts the
+      // failed refunds: otherwise the retry would replay the failed send instead of sending again
+      const refundedBefore = normalizeAmount(paymentRequest.refundedAmount ?? 0);
+      const failedRefunds = await this.prisma.transaction.count({
+        where: { relatedRequestId: paymentRequest.id, type: 'REFUND', status: 'FAILED' }
+      });
+      const execution = await this.idempotencyService.run({
+        userId: paymentRequest.userId,
+        scope: 'refund',
+        key: `refund:${paymentRequest.id}:${refundedBefore}${failedRefunds > 0 ? `:retry${failedRefunds}` : ''}`,
+        payload: { recipientAddress, amount: refundAmount, currency: paymentRequest.currency, network: paymentRequest.network }
+      }, async () => {
+        const sent = await this.walletService.sendCrypto(
+          paymentRequest.userId,
+          recipientAddress,
+          refundAmount,
+          paymentRequest.currency,
+          paymentRequest.network,
+          {
+            kind: 'refund',
             relatedRequestId: paymentRequest.id,
-            completedAt: new Date()
+            description: `Refund for: ${paymentRequest.description}`
           }
-        });
+        );
+        // Thrown rather than stored, so the next run retries the refund
+        if (!sent.success) {
+          throw new Error(sent.error || 'Refund execution failed');
+        }
+        return sent;
+      });
 
-        // Update Notion if user has integration
-        await this.updateNotionRefund(paymentRequest.userId, paymentRequest, result.txHash);
+      const result = execution.response;
 
-        console.log(`✅ Refund for ${paymentRequest.id} executed successfully: ${result.txHash}`);
-      } else {
-        throw new Error(result.error || 'Refund execution failed');
+      // Recording a step moves refundedAmount on, and with it the key: a replay means an earlier
+      // run sent this step, and it is recorded now unless that run got to it in the meantime
+      const refundedRequest = await this.recordRefund(paymentRequest.id, refundAmount, {
+        refundedBefore: execution.replayed ? refundedBefore : null
+      });
+      if (!refundedRequest) {
+        console.log(`⏭️ Refund for ${paymentRequest.id} was already sent and recorded (${result?.transactionHash}), skipping`);
+        return;
+      }
+      if (execution.replayed) {
+        console.log(`📝 Refund for ${paymentRequest.id} was sent (${result?.transactionHash}) but not recorded, recording it`);
       }
+
+      // Create transaction record for refund
+      await this.prisma.transaction.create({
+        data: {
+          userId: paymentRequest.userId,
+          type: 'REFUND',
+          status: 'PENDING',
+          amount: refundAmount,
+          currency: paymentRequest.currency,
+          network: paymentRequest.network,
+          description: `Refund for: ${paymentRequest.description}`,
+          toAddress: recipientAddress,
+          fromAddress: paymentRequest.user.walletAddress,
+          txHash: result.transactionHash,
+          relatedRequestId: paymentRequest.id,
+          ...await this.priceService.getUsdValuation(paymentRequest.currency, refundAmount)
+        }
+      });
+
+      // Update Notion if user has integration
+      await this.updateNotionRefund(paymentRequest.userId, refundedRequest, result.transactionHash);
+
+      await this.webhookService.emit(paymentRequest.userId, 'refund.executed', {
+        paymentRequest: refundedRequest,
+        amount: refundAmount,
+        currency: paymentRequest.currency,
+        toAddress: recipientAddress,
+        txHash: result.transactionHash
+      });
+
+      console.log(`✅ Refund for ${paymentRequest.id} executed successfully: ${result.transactionHash}`);
     } catch (error) {
       console.error(`❌ Error executing refund for ${paymentRequest.id}:`, error);
+      if (error.mayHaveBroadcast) {
+        await this.deadLetterRefund(paymentRequest, error);
+      }
+    }
+  }
+
+  /**
+   * Park a refund whose transfer may have gone out as a dead-lettered outgoing refund, so the
+   * refund job leaves the request alone until its owner has checked the wallet (and re-queues it)
+   */
+  async deadLetterRefund(paymentRequest, error) {
+    try {
+      const reason = `${error.message}; the refund may have gone out, check the wallet before retrying`;
+      const parked = await this.prisma.outgoingPayment.create({
+        data: {
+          userId: paymentRequest.userId,
+          amount: getRemainingRefundAmount(paymentRequest),
+          currency: paymentRequest.currency,
+          network: paymentRequest.network,
+          recipientAddress: paymentRequest.payerAddress,
+          recipientName: paymentRequest.recipientName,
+          fromName: 'AgenPay Refund System',
+          description: `Refund for: ${paymentRequest.description}`,
+          scheduleDate: new Date(),
+          status: 'dead_letter',
+          attempts: 1,
+          lastError: error.message,
+          failureReason: reason,
+          executedAt: new Date(),
+          relatedRequestId: paymentRequest.id
+        }
+      });
+
+      console.error(`☠️ Refund for ${paymentRequest.id} moved to dead letter as ${parked.id}: ${reason}`);
+      await this.notifyDeadLetter(parked, paymentRequest.user);
+    } catch (parkError) {
+      console.error(`❌ Error parking refund for ${paymentRequest.id}:`, parkError);
     }
   }
 
@@ -318,6 +995,332 @@ export class SchedulingService {
     }
   }
 
+  /**
+   * Expire payment requests whose link was not paid before expiresAt
+   */
+  async processExpiredRequests() {
+    try {
+      const expiredRequests = await this.prisma.paymentRequest.findMany({
+        where: {
+          status: { in: ['processing', 'scheduled'] },
+          expiresAt: {
+            lte: new Date()
+          }
+        }
+      });
+
+      console.log(`⌛ Expiring ${expiredRequests.length} unpaid payment requests...`);
+
+      for (const request of expiredRequests) {
+        await this.expirePaymentRequest(request);
+      }
+    } catch (error) {
+      console.error('❌ Error processing expired payment requests:', error);
+    }
+  }
+
+  /**
+   * Mark a single payment request as expired and retire its payment link. Conditional on the
+   * request still being unpaid, so a payment landing meanwhile is never overwritten.
+   */
+  async expirePaymentRequest(request) {
+    try {
+      const { count } = await this.prisma.paymentRequest.updateMany({
+        where: { id: request.id, status: { in: ['processing', 'scheduled'] } },
+        data: { status: 'expired' }
+      });
+      if (count === 0) {
+        console.log(`⏭️ Payment request ${request.id} changed before it could expire, leaving it`);
+        return;
+      }
+      const expiredRequest = await this.prisma.paymentRequest.findUnique({ where: { id: request.id } });
+
+      this.x402PayService?.paymentRoutes.delete(request.id);
+
+      console.log(`⌛ Payment request ${request.id} expired (${request.expiresAt.toISOString()})`);
+
+      // Update Notion if user has integration
+      await this.updateNotionIncomingPayment(request.userId, expiredRequest);
+    } catch (error) {
+      console.error(`❌ Error expiring payment request ${request.id}:`, error);
+    }
+  }
+
+  /**
+   * Bill subscriptions whose billing date has passed
+   */
+  async processSubscriptions() {
+    try {
+      const now = new Date();
+
+      const dueSubscriptions = await this.prisma.subscription.findMany({
+        where: {
+          status: 'active',
+          nextBillingDate: {
+            lte: now
+          }
+        }
+      });
+
+      console.log(`🔁 Processing ${dueSubscriptions.length} due subscriptions...`);
+
+      for (const subscription of dueSubscriptions) {
+        await this.billSubscription(subscription);
+      }
+    } catch (error) {
+      console.error('❌ Error processing subscriptions:', error);
+    }
+  }
+
+  /**
+   * Generate the next period's payment request for a subscription. The period is claimed first
+   * by moving nextBillingDate on from the date this run read, so of two runs (or instances)
+   * billing the same period only one goes ahead.
+   */
+  async billSubscription(subscription, { syncNotion = true } = {}) {
+    try {
+      if (!this.x402PayService) {
+        throw new Error('X402PayService is required for subscription billing');
+      }
+
+      console.log(`🔁 Billing subscription: ${subscription.id} (${subscription.interval})`);
+
+      // Work out the next billing date, skipping periods that passed while the service was down
+      const anchorDay = new Date(subscription.startDate).getUTCDate();
+      const now = new Date();
+      let nextBillingDate = addBillingInterval(subscription.nextBillingDate, subscription.interval, anchorDay);
+      while (nextBillingDate <= now) {
+        nextBillingDate = addBillingInterval(nextBillingDate, subscription.interval, anchorDay);
+      }
+
+      const claimed = await this.prisma.subscription.updateMany({
+        where: { id: subscription.id, status: 'active', nextBillingDate: subscription.nextBillingDate },
+        data: { nextBillingDate }
+      });
+      if (claimed.count === 0) {
+        console.log(`⏭️ Subscription ${subscription.id} was billed or changed by another run, skipping`);
+        return null;
+      }
+
+      // Retire the previous period's link if it was never paid
+      const previousRequest = await this.prisma.paymentRequest.findFirst({
+        where: { subscriptionId: subscription.id },
+        orderBy: { createdAt: 'desc' }
+      });
+
+      let missedPayments = subscription.missedPayments;
+
+      if (previousRequest && UNPAID_SUBSCRIPTION_STATUSES.includes(previousRequest.status)) {
+        // Conditional, so a payment landing meanwhile is not overwritten
+        const missed = await this.prisma.paymentRequest.updateMany({
+          where: { id: previousRequest.id, status: { in: UNPAID_SUBSCRIPTION_STATUSES } },
+          data: { status: 'missed' }
+        });
+        if (missed.count > 0) {
+          await this.prisma.subscription.update({
+            where: { id: subscription.id },
+            data: { missedPayments: { increment: 1 }, totalMissedPayments: { increment: 1 } }
+          });
+          this.x402PayService.paymentRoutes.delete(previousRequest.id);
+          await this.updateNotionIncomingPayment(subscription.userId, { ...previousRequest, status: 'missed' });
+
+          missedPayments++;
+          console.log(`⚠️ Subscription ${subscription.id} missed payment for ${previousRequest.id} (${missedPayments} in a row)`);
+        }
+      }
+
+      if (missedPayments >= this.maxMissedPayments) {
+        await this.prisma.subscription.update({
+          where: { id: subscription.id },
+          data: {
+            status: 'paused',
+            pausedAt: now
+          }
+        });
+
+        console.log(`⏸️ Subscription ${subscription.id} paused after ${missedPayments} missed payments`);
+        return null;
+      }
+
+      const period = subscription.billingCount + 1;
+      let paymentResult;
+      try {
+        paymentResult = await this.x402PayService.createPaymentRequest({
+          userId: subscription.userId,
+          amount: subscription.amount,
+          currency: subscription.currency,
+          network: subscription.network,
+          recipientEmail: subscription.recipientEmail,
+          recipientName: subscription.recipientName,
+          description: `${subscription.description || 'Subscription'} (${subscription.interval} payment #${period})`,
+          transactionType: 'subscription',
+          subscriptionId: subscription.id,
+          // Each period's link stays payable until the next period is billed
+          expiresAt: nextBillingDate
+        });
+      } catch (error) {
+        // No link went out: hand the period back so the next run bills it
+        await this.prisma.subscription.updateMany({
+          where: { id: subscription.id, nextBillingDate },
+          data: { nextBillingDate: subscription.nextBillingDate }
+        });
+        throw error;
+      }
+
+      await this.prisma.subscription.update({
+        where: { id: subscription.id },
+        data: {
+          billingCount: { increment: 1 },
+          lastBilledAt: now
+        }
+      });
+
+      try {
+        await this.emailService.sendPaymentRequestEmail({
+          to: subscription.recipientEmail,
+          amount: subscription.amount,
+          currency: subscription.currency,
+          description: paymentResult.request.description,
+          paymentLink: paymentResult.x402PayLink,
+          recipientName: subscription.recipientName,
+          transactionType: 'subscription',
+          billingInterval: subscription.interval
+        });
+      } catch (emailError) {
+        console.error(`❌ Subscription email failed for ${subscription.id}:`, emailError);
+      }
+
+      if (syncNotion) {
+        await this.updateNotionIncomingPayment(subscription.userId, paymentResult.request);
+      }
+
+      console.log(`✅ Subscription ${subscription.id} billed: ${paymentResult.paymentId} (next: ${nextBillingDate.toISOString()})`);
+      return paymentResult;
+    } catch (error) {
+      console.error(`❌ Error billing subscription ${subscription.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a subscription and bill its first period straight away (or on startDate)
+   */
+  async createSubscription(subscriptionData, { syncNotion = true } = {}) {
+    try {
+      const startDate = subscriptionData.startDate ? new Date(subscriptionData.startDate) : new Date();
+
+      const subscription = await this.prisma.subscription.create({
+        data: {
+          userId: subscriptionData.userId,
+          amount: parseAmount(subscriptionData.amount, { currency: subscriptionData.currency || 'USDC' }),
+          currency: subscriptionData.currency || 'USDC',
+          network: subscriptionData.network || 'base-sepolia',
+          recipientEmail: subscriptionData.recipientEmail,
+          recipientName: subscriptionData.recipientName,
+          description: subscriptionData.description,
+          interval: subscriptionData.interval || 'monthly',
+          startDate,
+          nextBillingDate: startDate
+        }
+      });
+
+      console.log(`📅 Subscription created: ${subscription.id} (${subscription.interval} from ${startDate.toISOString()})`);
+
+      let firstPayment = null;
+      if (startDate <= new Date()) {
+        firstPayment = await this.billSubscription(subscription, { syncNotion });
+      }
+
+      return {
+        subscription: await this.prisma.subscription.findUnique({ where: { id: subscription.id } }),
+        firstPayment
+      };
+    } catch (error) {
+      console.error('❌ Error creating subscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pause an active subscription (no new periods are billed while paused)
+   */
+  async pauseSubscription(subscriptionId) {
+    const subscription = await this.prisma.subscription.update({
+      where: { id: subscriptionId },
+      data: {
+        status: 'paused',
+        pausedAt: new Date()
+      }
+    });
+
+    console.log(`⏸️ Subscription paused: ${subscriptionId}`);
+    return subscription;
+  }
+
+  /**
+   * Resume a paused subscription on its next regular billing date
+   */
+  async resumeSubscription(subscriptionId) {
+    const existing = await this.prisma.subscription.findUnique({
+      where: { id: subscriptionId }
+    });
+
+    // Periods that elapsed while paused are skipped, not back-billed
+    const anchorDay = new Date(existing.startDate).getUTCDate();
+    const now = new Date();
+    let nextBillingDate = new Date(existing.nextBillingDate);
+    while (nextBillingDate <= now) {
+      nextBillingDate = addBillingInterval(nextBillingDate, existing.interval, anchorDay);
+    }
+
+    const subscription = await this.prisma.subscription.update({
+      where: { id: subscriptionId },
+      data: {
+        status: 'active',
+        pausedAt: null,
+        missedPayments: 0,
+        nextBillingDate
+      }
+    });
+
+    console.log(`▶️ Subscription resumed: ${subscriptionId} (next: ${nextBillingDate.toISOString()})`);
+    return subscription;
+  }
+
+  /**
+   * Cancel a subscription and retire its outstanding payment link
+   */
+  async cancelSubscription(subscriptionId) {
+    const subscription = await this.prisma.subscription.update({
+      where: { id: subscriptionId },
+      data: {
+        status: 'cancelled',
+        cancelledAt: new Date()
+      }
+    });
+
+    const openRequests = await this.prisma.paymentRequest.findMany({
+      where: {
+        subscriptionId,
+        status: { in: ['processing', 'scheduled'] }
+      }
+    });
+
+    for (const request of openRequests) {
+      if (this.x402PayService) {
+        await this.x402PayService.cancelPaymentRequest(request.id);
+      } else {
+        await this.prisma.paymentRequest.update({
+          where: { id: request.id },
+          data: { status: 'cancelled' }
+        });
+      }
+    }
+
+    console.log(`❌ Subscription cancelled: ${subscriptionId} (${openRequests.length} open requests cancelled)`);
+    return subscription;
+  }
+
   /**
    * Update Notion with outgoing payment status
    */
@@ -336,7 +1339,7 @@ export class SchedulingService {
         const notionService = new NotionService(user.notionApiKey);
         const databaseId = user.notionDatabases[0].databaseId;
         
-        await notionService.addOutgoingPaymentRecord(databaseId, {
+        await notionService.updateOrCreateOutgoingPaymentRecord(databaseId, {
           paymentId: payment.id,
           amount: payment.amount,
           currency: payment.currency,
@@ -345,10 +1348,12 @@ export class SchedulingService {
           recipientName: payment.recipientName,
           fromName: payment.fromName,
           description: payment.description,
-          scheduleDate: payment.scheduleDate.toISOString(),
+          scheduleDate: payment.scheduleDate?.toISOString(),
           status: payment.status,
           txHash: payment.txHash,
-          executedAt: payment.executedAt?.toISOString()
+          executedAt: payment.executedAt?.toISOString(),
+          confirmations: payment.confirmations,
+          confirmedAt: payment.confirmedAt?.toISOString()
         });
 
         console.log(`📝 Notion updated for outgoing payment: ${payment.id}`);
@@ -376,7 +1381,7 @@ export class SchedulingService {
         const notionService = new NotionService(user.notionApiKey);
         const databaseId = user.notionDatabases[0].databaseId;
         
-        await notionService.addIncomingPaymentRecord(databaseId, {
+        await notionService.updateOrCreateIncomingPaymentRecord(databaseId, {
           requestId: request.id,
           amount: request.amount,
           currency: request.currency,
@@ -407,7 +1412,7 @@ export class SchedulingService {
   async updateNotionRefund(userId, request, txHash) {
     try {
       // Update the original payment request status in Notion
-      await this.updateNotionIncomingPayment(userId, { ...request, status: 'refunded' });
+      await this.updateNotionIncomingPayment(userId, request);
     } catch (error) {
       console.error(`❌ Error updating Notion for refund ${request.id}:`, error);
     }
@@ -441,6 +1446,95 @@ export class SchedulingService {
     }
   }
 
+  /**
+   * Send a one-time payment now. It is recorded as an outgoing payment first so it
+   * shows up (and syncs to Notion) like a scheduled one. Returns the payment row,
+   * completed or failed.
+   */
+  async executePaymentNow(paymentData) {
+    try {
+      const payment = await this.prisma.outgoingPayment.create({
+        data: {
+          userId: paymentData.userId,
+          amount: paymentData.amount,
+          currency: paymentData.currency || 'ETH',
+          network: paymentData.network || 'base-sepolia',
+          recipientAddress: paymentData.recipientAddress,
+          recipientName: paymentData.recipientName,
+          fromName: paymentData.fromName || 'AgenPay User',
+          description: paymentData.description,
+          scheduleDate: new Date(),
+          status: 'processing',
+          leaseOwner: this.workerId,
+          leaseExpiresAt: new Date(Date.now() + this.leaseMs)
+        },
+        include: { user: true }
+      });
+
+      console.log(`⚡ Payment ${payment.id} created for immediate execution`);
+      return await this.executeOutgoingPayment(payment);
+    } catch (error) {
+      console.error('❌ Error executing payment now:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A user's one-time outgoing payments (refunds excluded), soonest first
+   */
+  async listScheduledPayments(userId, { status = 'scheduled' } = {}) {
+    try {
+      return await this.prisma.outgoingPayment.findMany({
+        where: {
+          userId,
+          relatedRequestId: null,
+          ...(status && { status })
+        },
+        orderBy: { scheduleDate: 'asc' },
+        take: 50
+      });
+    } catch (error) {
+      console.error(`❌ Error listing scheduled payments for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a user's one-time payment that has not run yet
+   */
+  async cancelScheduledPayment(userId, paymentId) {
+    try {
+      const payment = await this.prisma.outgoingPayment.findFirst({
+        where: { id: paymentId, userId, relatedRequestId: null }
+      });
+
+      if (!payment) {
+        throw new Error(`Scheduled payment ${paymentId} not found`);
+      }
+      if (!PENDING_PAYMENT_STATUSES.includes(payment.status)) {
+        throw new Error(`Payment ${paymentId} is already ${payment.status} and cannot be cancelled`);
+      }
+
+      // Conditional, so a payment claimed by the payment processor in the meantime is not cancelled mid-send
+      const result = await this.prisma.outgoingPayment.updateMany({
+        where: { id: paymentId, status: { in: PENDING_PAYMENT_STATUSES } },
+        data: { status: 'cancelled', nextAttemptAt: null }
+      });
+      if (result.count === 0) {
+        throw new Error(`Payment ${paymentId} is already processing and cannot be cancelled`);
+      }
+      const cancelled = await this.prisma.outgoingPayment.findUnique({ where: { id: paymentId } });
+
+      await this.updateNotionOutgoingPayment(userId, cancelled);
+
+      console.log(`🚫 Scheduled payment ${paymentId} cancelled for user ${userId}`);
+      return cancelled;
+    } catch (error) {
+      console.error(`❌ Error cancelling scheduled payment ${paymentId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get scheduling statistics
    */
@@ -459,6 +1553,9 @@ export class SchedulingService {
             status: 'payment_received',
             refundDate: { lte: new Date() }
           }
+        }),
+        this.prisma.subscription.count({
+          where: { status: 'active' }
         })
       ]);
 
@@ -466,6 +1563,7 @@ export class SchedulingService {
         scheduledPayments: stats[0],
         scheduledRequests: stats[1],
         pendingRefunds: stats[2],
+        activeSubscriptions: stats[3],
         isRunning: this.isRunning,
         activeJobs: this.jobs.size
       };
@@ -0,0 +1,307 @@
+/**
+ * Spending Policy Service for AgenPay
+ * Per-user limits on outgoing sends: per-transaction, daily and monthly caps per
+ * currency, recipient allow-lists and blocked networks. Checked before every send.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { normalizeAmount, isPositiveAmount, addAmounts, subtractAmounts, compareAmounts, maxAmount } from './Money.js';
+
+export const SPENDING_POLICY_VIOLATION = 'SPENDING_POLICY_VIOLATION';
+
+const LIMIT_FIELDS = ['maxPerTransaction', 'dailyLimit', 'monthlyLimit'];
+
+/**
+ * Raised when a send breaks one or more of the user's spending policies.
+ * violations: [{ policyId, rule, message, ...details }]
+ */
+export class SpendingPolicyError extends Error {
+  constructor(violations) {
+    super(violations.map(violation => violation.message).join('; '));
+    this.name = 'SpendingPolicyError';
+    this.code = SPENDING_POLICY_VIOLATION;
+    this.violations = violations;
+  }
+}
+
+/**
+ * Validate and normalize policy fields from an API body.
+ * Returns { data } or { error }; with partial only the given fields are checked.
+ */
+export function parseSpendingPolicy(input = {}, { partial = false, networks = [] } = {}) {
+  const data = {};
+
+  if (input.name !== undefined) {
+    if (input.name !== null && typeof input.name !== 'string') {
+      return { error: 'name must be a string' };
+    }
+    data.name = input.name;
+  }
+
+  if (input.currency !== undefined) {
+    if (input.currency !== null && (typeof input.currency !== 'string' || !input.currency.trim())) {
+      return { error: 'currency must be a token symbol, or null for every currency' };
+    }
+    data.currency = input.currency === null ? null : input.currency.trim().toUpperCase();
+  }
+
+  for (const field of LIMIT_FIELDS) {
+    if (input[field] !== undefined) {
+      if (input[field] !== null && (!['number', 'string'].includes(typeof input[field]) || !isPositiveAmount(input[field]))) {
+        return { error: `${field} must be a positive number, or null for no limit` };
+      }
+      data[field] = input[field] === null ? null : normalizeAmount(input[field]);
+    }
+  }
+
+  if (input.allowedRecipients !== undefined) {
+    if (!Array.isArray(input.allowedRecipients) || input.allowedRecipients.some(address => typeof address !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(address))) {
+      return { error: 'allowedRecipients must be a list of wallet addresses' };
+    }
+    data.allowedRecipients = [...new Set(input.allowedRecipients.map(address => address.toLowerCase()))];
+  }
+
+  if (input.blockedNetworks !== undefined) {
+    if (!Array.isArray(input.blockedNetworks) || input.blockedNetworks.some(network => !networks.includes(network))) {
+      return { error: `blockedNetworks must only contain: ${networks.join(', ')}` };
+    }
+    data.blockedNetworks = [...new Set(input.blockedNetworks)];
+  }
+
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') {
+      return { error: 'active must be a boolean' };
+    }
+    data.active = input.active;
+  }
+
+  if (!partial) {
+    const hasRule = LIMIT_FIELDS.some(field => data[field] !== undefined && data[field] !== null) || data.allowedRecipients?.length > 0 || data.blockedNetworks?.length > 0;
+    if (!hasRule) {
+      return { error: `A policy needs at least one of: ${[...LIMIT_FIELDS, 'allowedRecipients', 'blockedNetworks'].join(', ')}` };
+    }
+  }
+
+  return { data };
+}
+
+/**
+ * Start of the current UTC day and month
+ */
+function getPeriodStarts(now = new Date()) {
+  return {
+    day: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+    month: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+  };
+}
+
+export class SpendingPolicyService {
+  constructor(options = {}) {
+    this.prisma = options.prisma || new PrismaClient();
+  }
+
+  /**
+   * A user's policies, oldest first
+   */
+  async listPolicies(userId) {
+    try {
+      return await this.prisma.spendingPolicy.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'asc' }
+      });
+    } catch (error) {
+      console.error(`❌ Error listing spending policies for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * A user's policy, or null if not found
+   */
+  async getPolicy(userId, policyId) {
+    return await this.prisma.spendingPolicy.findFirst({
+      where: { id: policyId, userId }
+    });
+  }
+
+  /**
+   * Create a policy from parsed fields
+   */
+  async createPolicy(userId, data) {
+    try {
+      const policy = await this.prisma.spendingPolicy.create({
+        data: {
+          allowedRecipients: [],
+          blockedNetworks: [],
+          ...data,
+          userId
+        }
+      });
+
+      console.log(`🚦 Spending policy ${policy.id} created for user ${userId}`);
+      return policy;
+    } catch (error) {
+      console.error(`❌ Error creating spending policy for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a user's policy, or return null if not found
+   */
+  async updatePolicy(userId, policyId, data) {
+    try {
+      const policy = await this.getPolicy(userId, policyId);
+      if (!policy) {
+        return null;
+      }
+
+      const updated = await this.prisma.spendingPolicy.update({
+        where: { id: policyId },
+        data
+      });
+
+      console.log(`🚦 Spending policy ${policyId} updated for user ${userId}`);
+      return updated;
+    } catch (error) {
+      console.error(`❌ Error updating spending policy ${policyId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a user's policy, or return null if not found
+   */
+  async deletePolicy(userId, policyId) {
+    try {
+      const policy = await this.getPolicy(userId, policyId);
+      if (!policy) {
+        return null;
+      }
+
+      await this.prisma.spendingPolicy.delete({ where: { id: policyId } });
+
+      console.log(`🗑️ Spending policy ${policyId} deleted for user ${userId}`);
+      return policy;
+    } catch (error) {
+      console.error(`❌ Error deleting spending policy ${policyId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Amount of a currency sent since a date (sends that have not failed)
+   */
+  async getSpent(userId, currency, since, db = this.prisma) {
+    const result = await db.transaction.aggregate({
+      where: {
+        userId,
+        type: 'SEND',
+        currency,
+        status: { not: 'FAILED' },
+        createdAt: { gte: since }
+      },
+      _sum: { amount: true }
+    });
+
+    return normalizeAmount(result._sum.amount ?? 0);
+  }
+
+  /**
+   * Every way a send would break the user's active policies (empty when allowed).
+   * db is the client to read through (a transaction client inside reserve)
+   */
+  async evaluate(userId, { toAddress, amount, currency, network }, db = this.prisma) {
+    const policies = await db.spendingPolicy.findMany({
+      where: { userId, active: true }
+    });
+
+    const symbol = String(currency).toUpperCase();
+    const periods = getPeriodStarts();
+    const spent = {};
+    const getSpent = async period => {
+      spent[period] ??= await this.getSpent(userId, symbol, periods[period], db);
+      return spent[period];
+    };
+
+    const violations = [];
+    for (const policy of policies) {
+      const base = { policyId: policy.id, policyName: policy.name };
+
+      if (policy.blockedNetworks.includes(network)) {
+        violations.push({ ...base, rule: 'blocked_network', network, message: `Sending on ${network} is blocked` });
+      }
+
+      if (policy.allowedRecipients.length > 0 && !policy.allowedRecipients.includes(String(toAddress).toLowerCase())) {
+        violations.push({ ...base, rule: 'recipient_not_allowed', toAddress, message: `${toAddress} is not an allowed recipient` });
+      }
+
+      // Caps of a currency-less policy apply to each currency on its own
+      if (policy.currency && policy.currency !== symbol) {
+        continue;
+      }
+
+      const attempted = normalizeAmount(amount);
+      if (policy.maxPerTransaction !== null && policy.maxPerTransaction !== undefined && compareAmounts(attempted, policy.maxPerTransaction) > 0) {
+        const limit = normalizeAmount(policy.maxPerTransaction);
+        violations.push({
+          ...base,
+          rule: 'max_per_transaction',
+          currency: symbol,
+          limit,
+          attempted,
+          message: `${attempted} ${symbol} is over the ${limit} ${symbol} per-transaction limit`
+        });
+      }
+
+      for (const [rule, field, period] of [['daily_limit', 'dailyLimit', 'day'], ['monthly_limit', 'monthlyLimit', 'month']]) {
+        if (policy[field] === null || policy[field] === undefined) continue;
+
+        const limit = normalizeAmount(policy[field]);
+        const alreadySent = await getSpent(period);
+        if (compareAmounts(addAmounts(alreadySent, attempted), limit) > 0) {
+          violations.push({
+            ...base,
+            rule,
+            currency: symbol,
+            limit,
+            spent: alreadySent,
+            attempted,
+            remaining: maxAmount(0, subtractAmounts(limit, alreadySent)),
+            message: `${attempted} ${symbol} would exceed the ${period === 'day' ? 'daily' : 'monthly'} limit of ${limit} ${symbol} (${alreadySent} ${symbol} already sent)`
+          });
+        }
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Throw a SpendingPolicyError if a send breaks any active policy
+   */
+  async enforce(userId, send, db = this.prisma) {
+    const violations = await this.evaluate(userId, send, db);
+
+    if (violations.length > 0) {
+      console.log(`🚦 Send of ${send.amount} ${send.currency} by user ${userId} blocked: ${violations.map(v => v.rule).join(', ')}`);
+      throw new SpendingPolicyError(violations);
+    }
+  }
+
+  /**
+   * Enforce the policies on a send and record it with createSend(tx) in one transaction that
+   * holds a per-user advisory lock. Concurrent sends are checked one after another, each seeing
+   * the sends recorded before it, so together they cannot break a daily or monthly cap.
+   * Returns what createSend returns.
+   */
+  async reserve(userId, send, createSend) {
+    return this.prisma.$transaction(async tx => {
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`spending_policy:${userId}`}))`;
+      await this.enforce(userId, send, tx);
+      return createSend(tx);
+    });
+  }
+}
+
+export default SpendingPolicyService;
@@ -0,0 +1,238 @@
+/**
+ * Transaction Export Service for AgenPay
+ * Period exports of a user's transactions for their accountant: a flat CSV, or a
+ * double-entry journal with debit and credit accounts per transaction type. Both use the
+ * USD value recorded when each transaction happened.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { isValidTimeZone, localDateTimeToUtc } from './PaymentExtractor.js';
+import { toCsvCell } from './BulkPaymentRequestService.js';
+import { normalizeAmount } from './Money.js';
+
+export const EXPORT_FORMATS = ['csv', 'journal'];
+
+const TRANSACTION_STATUSES = ['PENDING', 'PROCESSING', 'COMPLETED', 'FAILED'];
+
+// Debit and credit account for each Transaction.type; {asset} is the wallet's holding of
+// the transaction currency (Assets:Crypto:USDC). Swaps only record the token that left the
+// wallet, so their other side goes through a clearing account.
+export const JOURNAL_ACCOUNTS = {
+  INCOMING: { debit: '{asset}', credit: 'Income:Payments Received' },
+  RECEIVE: { debit: '{asset}', credit: 'Income:Payments Received' },
+  OUTGOING: { debit: 'Expenses:Payments Sent', credit: '{asset}' },
+  SEND: { debit: 'Expenses:Transfers Out', credit: '{asset}' },
+  REFUND: { debit: 'Income:Refunds Given', credit: '{asset}' },
+  SWAP: { debit: 'Assets:Swap Clearing', credit: '{asset}' }
+};
+
+export const EXPORT_TRANSACTION_TYPES = Object.keys(JOURNAL_ACCOUNTS);
+
+const CSV_COLUMNS = ['date', 'timestamp', 'transactionId', 'type', 'status', 'amount', 'currency', 'usdPrice', 'usdValue', 'network', 'fromAddress', 'toAddress', 'txHash', 'description', 'relatedRequestId', 'completedAt', 'failureReason'];
+
+const JOURNAL_COLUMNS = ['date', 'entry', 'account', 'debit', 'credit', 'currency', 'usdDebit', 'usdCredit', 'usdPrice', 'type', 'description', 'txHash'];
+
+const LOCAL_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * A YYYY-MM-DD date one day later
+ */
+function nextDay(localDate) {
+  const date = new Date(`${localDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * The local calendar date (YYYY-MM-DD) of an instant in a timezone
+ */
+function toLocalDate(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Split a comma-separated filter into upper-case values
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return [value].flat().flatMap(item => String(item).split(',')).map(item => item.trim().toUpperCase()).filter(Boolean);
+}
+
+/**
+ * Validate export query parameters. Dates (YYYY-MM-DD) are whole days in the user's
+ * timezone and both ends are inclusive; ISO timestamps are used as given.
+ * Returns { data } or { error }.
+ */
+export function parseExportQuery(query = {}, { timeZone = 'UTC' } = {}) {
+  const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+
+  const format = query.format || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+  }
+
+  const createdAt = {};
+  for (const [key, bound] of [['from', 'gte'], ['to', 'lt']]) {
+    const value = query[key];
+    if (!value) continue;
+
+    if (LOCAL_DATE.test(value)) {
+      // The end of a date range is the start of the following day
+      const date = localDateTimeToUtc(key === 'to' ? nextDay(value) : value, '00:00', zone);
+      if (isNaN(date.getTime())) {
+        return { error: `${key} must be a date (YYYY-MM-DD) or an ISO timestamp` };
+      }
+      createdAt[bound] = date;
+    } else {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return { error: `${key} must be a date (YYYY-MM-DD) or an ISO timestamp` };
+      }
+      createdAt[key === 'to' ? 'lte' : 'gte'] = date;
+    }
+  }
+
+  const start = createdAt.gte;
+  const end = createdAt.lt || createdAt.lte;
+  if (start && end && start >= end) {
+    return { error: 'from must be before to' };
+  }
+
+  const types = toList(query.type);
+  const unknownType = types.find(type => !EXPORT_TRANSACTION_TYPES.includes(type));
+  if (unknownType) {
+    return { error: `type must be one of: ${EXPORT_TRANSACTION_TYPES.join(', ')}` };
+  }
+
+  const statuses = toList(query.status);
+  const unknownStatus = statuses.find(status => !TRANSACTION_STATUSES.includes(status));
+  if (unknownStatus) {
+    return { error: `status must be one of: ${TRANSACTION_STATUSES.join(', ')}` };
+  }
+  // Only settled transactions belong in the books
+  if (format === 'journal' && statuses.some(status => status !== 'COMPLETED')) {
+    return { error: 'The journal only covers COMPLETED transactions' };
+  }
+
+  return {
+    data: {
+      format,
+      timeZone: zone,
+      from: query.from || null,
+      to: query.to || null,
+      createdAt: Object.keys(createdAt).length > 0 ? createdAt : null,
+      types: types.length > 0 ? types : EXPORT_TRANSACTION_TYPES,
+      currencies: toList(query.currency),
+      statuses: format === 'journal' ? ['COMPLETED'] : statuses
+    }
+  };
+}
+
+export class TransactionExportService {
+  constructor(options = {}) {
+    this.prisma = options.prisma || new PrismaClient();
+  }
+
+  /**
+   * A user's transactions matching parsed export filters, oldest first
+   */
+  async findTransactions(userId, filters) {
+    return await this.prisma.transaction.findMany({
+      where: {
+        type: { in: filters.types },
+        ...(filters.createdAt && { createdAt: filters.createdAt }),
+        ...(filters.currencies.length > 0 && { currency: { in: filters.currencies } }),
+        ...(filters.statuses.length > 0 && { status: { in: filters.statuses } }),
+        userId
+      },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+    });
+  }
+
+  /**
+   * Export a user's transactions in the requested format.
+   * Returns { content, fileName, transactionCount, unpricedCount }.
+   */
+  async export(userId, filters) {
+    try {
+      const transactions = await this.findTransactions(userId, filters);
+      const content = filters.format === 'journal'
+        ? this.toJournalCsv(transactions, filters.timeZone)
+        : this.toCsv(transactions, filters.timeZone);
+
+      const period = `${filters.from ? filters.from.slice(0, 10) : 'start'}-to-${filters.to ? filters.to.slice(0, 10) : 'now'}`;
+      const unpricedCount = transactions.filter(transaction => transaction.usdValue === null || transaction.usdValue === undefined).length;
+
+      console.log(`📤 Exported ${transactions.length} transactions (${filters.format}) for user ${userId}`);
+      return {
+        content,
+        fileName: `${filters.format === 'journal' ? 'journal' : 'transactions'}-${period}.csv`,
+        transactionCount: transactions.length,
+        unpricedCount
+      };
+    } catch (error) {
+      console.error(`❌ Error exporting transactions for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * One CSV row per transaction
+   */
+  toCsv(transactions, timeZone = 'UTC') {
+    const lines = [CSV_COLUMNS.join(',')];
+
+    for (const transaction of transactions) {
+      const row = {
+        ...transaction,
+        date: toLocalDate(transaction.createdAt, timeZone),
+        timestamp: transaction.createdAt.toISOString(),
+        transactionId: transaction.id,
+        amount: normalizeAmount(transaction.amount),
+        completedAt: transaction.completedAt ? transaction.completedAt.toISOString() : null
+      };
+      lines.push(CSV_COLUMNS.map(column => toCsvCell(row[column])).join(','));
+    }
+
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Journal lines: a debit and a matching credit for every transaction, in the token and in
+   * USD at the recorded price (USD columns stay empty when no price was recorded)
+   */
+  toJournalCsv(transactions, timeZone = 'UTC') {
+    const lines = [JOURNAL_COLUMNS.join(',')];
+
+    for (const transaction of transactions) {
+      const accounts = JOURNAL_ACCOUNTS[transaction.type];
+      const asset = `Assets:Crypto:${transaction.currency}`;
+      const amount = normalizeAmount(transaction.amount);
+      const entry = {
+        date: toLocalDate(transaction.createdAt, timeZone),
+        entry: transaction.id,
+        currency: transaction.currency,
+        usdPrice: transaction.usdPrice,
+        type: transaction.type,
+        description: transaction.description,
+        txHash: transaction.txHash
+      };
+
+      const legs = [
+        { account: accounts.debit.replace('{asset}', asset), debit: amount, usdDebit: transaction.usdValue },
+        { account: accounts.credit.replace('{asset}', asset), credit: amount, usdCredit: transaction.usdValue }
+      ];
+      for (const leg of legs) {
+        const row = { ...entry, ...leg };
+        lines.push(JOURNAL_COLUMNS.map(column => toCsvCell(row[column])).join(','));
+      }
+    }
+
+    return `${lines.join('\r\n')}\r\n`;
+  }
+}
+
+export default TransactionExportService;
@@ -7,12 +7,69 @@
 import { CdpClient } from "@coinbase/cdp-sdk";
 import { PrismaClient } from '@prisma/client';
 import dotenv from "dotenv";
+import SpendingPolicyService from './SpendingPolicyService.js';
+import LedgerService from './LedgerService.js';
+import { toBaseUnits, fromBaseUnits, normalizeAmount, isPositiveAmount, toAmountNumber } from './Money.js';
 
 dotenv.config();
 
+// Tokens the wallet can send on each network (address null = native ETH)
+export const TOKEN_REGISTRY = {
+  'base-sepolia': [
+    { symbol: 'ETH', name: 'Ether', address: null, decimals: 18 },
+    { symbol: 'USDC', name: 'USD Coin', address: '0x036CbD53842c5426634e7929541eC2318f3dCF7e', decimals: 6 },
+    { symbol: 'EURC', name: 'Euro Coin', address: '0x808456652fdb597867f38412077A9182bf77359F', decimals: 6 },
+  ],
+  'base-mainnet': [
+    { symbol: 'ETH', name: 'Ether', address: null, decimals: 18 },
+    { symbol: 'USDC', name: 'USD Coin', address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6 },
+    { symbol: 'EURC', name: 'Euro Coin', address: '0x60a3E35Cc302bFA44Cb288Bc5a4F316Fdb1adb42', decimals: 6 },
+    { symbol: 'WETH', name: 'Wrapped Ether', address: '0x4200000000000000000000000000000000000006', decimals: 18 },
+  ],
+  'ethereum-sepolia': [
+    { symbol: 'ETH', name: 'Ether', address: null, decimals: 18 },
+    { symbol: 'USDC', name: 'USD Coin', address: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238', decimals: 6 },
+    { symbol: 'EURC', name: 'Euro Coin', address: '0x08210F9170F89Ab7658F0B5E3fF39b0E03C594D4', decimals: 6 },
+  ],
+  'ethereum-mainnet': [
+    { symbol: 'ETH', name: 'Ether', address: null, decimals: 18 },
+    { symbol: 'USDC', name: 'USD Coin', address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6 },
+    { symbol: 'USDT', name: 'Tether USD', address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', decimals: 6 },
+    { symbol: 'EURC', name: 'Euro Coin', address: '0x1aBaEA1f7C830bD89Acc67eC4af516284b1bC33c', decimals: 6 },
+    { symbol: 'WETH', name: 'Wrapped Ether', address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', decimals: 18 },
+  ],
+};
+
+/**
+ * ABI-encode an ERC-20 transfer(address,uint256) call
+ */
+export function encodeErc20Transfer(toAddress, baseUnits) {
+  const selector = 'a9059cbb';
+  const to = toAddress.toLowerCase().replace(/^0x/, '').padStart(64, '0');
+  const value = BigInt(baseUnits).toString(16).padStart(64, '0');
+  return `0x${selector}${to}${value}`;
+}
+
+/**
+ * Raised when a wallet request is refused before anything reaches the network.
+ * statusCode is the HTTP status the API answers with.
+ */
+export class WalletError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WalletError';
+    this.statusCode = statusCode;
+  }
+}
+
 export class WalletService {
-  constructor() {
-    this.prisma = new PrismaClient();
+  constructor(sharedServices = {}) {
+    this.prisma = sharedServices.prisma || new PrismaClient();
+    this.priceService = sharedServices.priceService || null;
+    // Every send, from the API, scheduler or agent, passes the user's spending policies first
+    this.spendingPolicyService = sharedServices.spendingPolicyService || new SpendingPolicyService({ prisma: this.prisma });
+    // ...and every broadcast transfer is posted to the ledger
+    this.ledgerService = sharedServices.ledgerService || new LedgerService({ prisma: this.prisma });
     this.cdp = null;
     this.initialized = false;
     this.setupCDP();
@@ -41,6 +98,8 @@ export class WalletService {
         throw new Error('CDP not initialized');
       }
 
+      const targetNetwork = this.resolveNetwork(network);
+
       console.log(`💳 Creating CDP wallet for user ${userId} on ${network}`);
 
       // Create EVM account using CDP
@@ -58,16 +117,16 @@ export class WalletService {
         data: {
           walletId: walletData.walletId,
           walletAddress: walletData.address,
-          // walletNetwork removed - field doesn't exist in User model
+          walletNetwork: targetNetwork.id,
         },
       });
 
       // Request faucet funds for testnet
-      if (network.includes('sepolia') || network.includes('testnet')) {
+      if (targetNetwork.isTestnet) {
         try {
           await this.cdp.evm.requestFaucet({
             address: walletData.address,
-            network: network,
+            network: targetNetwork.cdpNetwork,
             token: 'eth',
           });
           console.log(`🚰 Faucet funds requested for ${walletData.address}`);
@@ -85,23 +144,29 @@ export class WalletService {
   }
 
   /**
-   * Get wallet for user
+   * Get wallet for user. The CDP EVM account has the same address on every
+   * supported network; `network` picks one (defaults to the user's wallet network).
    */
-  async getWallet(userId) {
+  async getWallet(userId, network = null) {
     try {
       const user = await this.prisma.user.findUnique({
         where: { id: userId },
-        select: { walletId: true, walletAddress: true },
+        select: { walletId: true, walletAddress: true, walletNetwork: true },
       });
 
       if (!user?.walletAddress) {
-        throw new Error('Wallet not found for user');
+        throw new WalletError('Wallet not found for user', 404);
       }
 
+      const targetNetwork = this.resolveNetwork(network || user.walletNetwork);
+
       return {
         walletId: user.walletId,
         address: user.walletAddress,
-        network: 'base-sepolia', // Default network since we don't store it in User model
+        network: targetNetwork.id,
+        cdpNetwork: targetNetwork.cdpNetwork,
+        defaultNetwork: user.walletNetwork,
+        networks: this.getSupportedNetworks().map(n => n.id),
       };
     } catch (error) {
       console.error(`❌ Error getting wallet for user ${userId}:`, error);
@@ -110,43 +175,109 @@ export class WalletService {
   }
 
   /**
-   * Get wallet balance
+   * Price service for USD valuations (loaded on first use)
    */
-  async getWalletBalance(userId) {
+  async getPriceService() {
+    if (!this.priceService) {
+      const { PriceService } = await import('./PriceService.js');
+      this.priceService = new PriceService();
+    }
+    return this.priceService;
+  }
+
+  /**
+   * Get every token balance held on a network, valued in USD.
+   * ETH and USD are kept for older clients (USD is the portfolio total).
+   */
+  async getWalletBalance(userId, network = null) {
+    // An unsupported network is a caller error, not an empty balance
+    if (network) {
+      this.resolveNetwork(network);
+    }
+
+    const portfolio = { network, tokens: [], totalUsd: '0.00', ETH: '0', USD: '0.00' };
+
     try {
-      const { address, network } = await this.getWallet(userId);
-      
-      // Get balance from CDP
-      const balances = await this.cdp.evm.listTokenBalances({
-        address: address,
-        network: network,
-      });
-      
-      // Process balance response
-      const balance = { ETH: '0', USD: '0' };
-      
-      if (balances && Array.isArray(balances)) {
-        for (const tokenBalance of balances) {
-          const symbol = tokenBalance.symbol || tokenBalance.asset_id || 'ETH';
-          const amount = tokenBalance.amount || tokenBalance.balance || '0';
-          if (symbol.toUpperCase() === 'ETH') {
-            balance.ETH = amount;
-            balance.USD = (parseFloat(amount) * 2000).toFixed(2); // Rough estimate
-          }
+      const wallet = await this.getWallet(userId, network);
+      portfolio.network = wallet.network;
+      const registry = this.getSupportedTokens(wallet.network);
+
+      // Get balances from CDP (paginated)
+      const entries = [];
+      let pageToken;
+      do {
+        const result = await this.cdp.evm.listTokenBalances({
+          address: wallet.address,
+          network: wallet.cdpNetwork,
+          pageToken,
+        });
+        entries.push(...(Array.isArray(result) ? result : result?.balances || []));
+        pageToken = Array.isArray(result) ? undefined : result?.nextPageToken;
+      } while (pageToken);
+
+      for (const entry of entries) {
+        const contractAddress = entry.token?.contractAddress || null;
+        const symbol = (entry.token?.symbol || entry.symbol || entry.asset_id || 'ETH').toUpperCase();
+        const known = registry.find(t =>
+          (contractAddress && t.address?.toLowerCase() === contractAddress.toLowerCase()) || t.symbol === symbol
+        );
+
+        // CDP reports { amount: bigint, decimals }; older responses carry a decimal string
+        let decimals;
+        let amount;
+        if (entry.amount && typeof entry.amount === 'object') {
+          decimals = entry.amount.decimals ?? known?.decimals ?? 18;
+          amount = fromBaseUnits(entry.amount.amount, decimals);
+        } else {
+          decimals = known?.decimals ?? 18;
+          amount = String(entry.amount || entry.balance || '0');
         }
+
+        if (!isPositiveAmount(amount)) continue;
+
+        portfolio.tokens.push({
+          symbol,
+          name: entry.token?.name || known?.name || symbol,
+          contractAddress,
+          decimals,
+          amount,
+          priceUsd: null,
+          valueUsd: null,
+        });
       }
-      
-      return balance;
+
+      const priceService = await this.getPriceService();
+      const prices = await priceService.getUsdPrices(portfolio.tokens.map(t => t.symbol));
+
+      let totalUsd = 0;
+      for (const token of portfolio.tokens) {
+        const price = prices[token.symbol];
+        if (price === null || price === undefined) continue;
+        token.priceUsd = price;
+        token.valueUsd = (toAmountNumber(token.amount) * price).toFixed(2);
+        totalUsd += toAmountNumber(token.amount) * price;
+      }
+
+      portfolio.totalUsd = totalUsd.toFixed(2);
+      portfolio.USD = portfolio.totalUsd;
+      portfolio.ETH = portfolio.tokens.find(t => t.symbol === 'ETH' && !t.contractAddress)?.amount || '0';
+
+      return portfolio;
     } catch (error) {
       console.error(`❌ Error getting wallet balance for user ${userId}:`, error);
-      return { ETH: '0', USD: '0' };
+      return portfolio;
     }
   }
 
   /**
-   * Send cryptocurrency
+   * Send cryptocurrency. ledger says what the transfer is for: a plain send by default, or
+   * { kind: 'scheduled_payment' | 'refund', relatedRequestId, outgoingPaymentId, description }
+   * from the scheduler. The outgoing payment is linked to the SEND transaction.
+   * Refused sends throw a WalletError and a transfer CDP rejected is marked FAILED; any other
+   * broadcast failure is rethrown with mayHaveBroadcast set, since the transfer can still land
+   * on-chain.
    */
-  async sendCrypto(userId, toAddress, amount, currency = 'ETH') {
+  async sendCrypto(userId, toAddress, amount, currency = 'ETH', network = null, ledger = {}) {
     try {
       if (!this.initialized) {
         throw new Error('CDP not initialized');
@@ -154,37 +285,89 @@ export class WalletService {
 
       console.log(`💸 Sending ${amount} ${currency} from user ${userId} to ${toAddress}`);
 
-      const { address: fromAddress, network } = await this.getWallet(userId);
-      
-      // Create transaction record
-      const transaction = await this.prisma.transaction.create({
+      if (!this.validateAddress(toAddress)) {
+        throw new WalletError(`Invalid recipient address: ${toAddress}`);
+      }
+
+      const wallet = await this.getWallet(userId, network);
+      const fromAddress = wallet.address;
+      network = wallet.network;
+
+      // Resolve the token before recording anything so unknown tokens are never "sent"
+      let token, baseUnits;
+      try {
+        token = this.getToken(network, currency);
+        baseUnits = toBaseUnits(amount, token.decimals);
+      } catch (error) {
+        throw new WalletError(error.message);
+      }
+      if (baseUnits <= 0n) {
+        throw new WalletError('Amount must be greater than 0');
+      }
+
+      // Valued in USD at the time of sending, before the policy lock is taken
+      const priceService = await this.getPriceService();
+      const valuation = await priceService.getUsdValuation(token.symbol, amount);
+
+      // Checked against the spending policies and recorded as PROCESSING under the user's policy
+      // lock, so the row counts towards the caps of every send checked after it
+      const transaction = await this.spendingPolicyService.reserve(userId, {
+        toAddress,
+        amount: normalizeAmount(amount),
+        currency: token.symbol,
+        network
+      }, tx => tx.transaction.create({
         data: {
           userId,
           type: 'SEND',
           status: 'PROCESSING',
-          amount: parseFloat(amount),
-          currency: currency.toUpperCase(),
-          description: `Send ${amount} ${currency} to ${toAddress}`,
+          amount: normalizeAmount(amount),
+          currency: token.symbol,
+          network,
+          description: `Send ${amount} ${token.symbol} to ${toAddress}`,
           toAddress,
           fromAddress,
+          outgoingPaymentId: ledger.outgoingPaymentId || null,
+          ...valuation,
         },
-      });
+      }));
 
+      let txHash;
       try {
+        // Native ETH moves value directly; ERC-20s call transfer() on the token contract
+        const request = token.address
+          ? { to: token.address, value: 0n, data: encodeErc20Transfer(toAddress, baseUnits) }
+          : { to: toAddress, value: baseUnits, data: '0x' };
+
         // Send transaction using CDP
         const txResult = await this.cdp.evm.sendTransaction({
           address: fromAddress,
-          network: network,
-          transaction: {
-            to: toAddress,
-            value: currency.toUpperCase() === 'ETH' ? amount : '0',
-            data: '0x',
-          },
+          network: wallet.cdpNetwork,
+          transaction: request,
         });
 
-        const txHash = txResult.transactionHash;
-        
-        // Update transaction record
+        txHash = txResult.transactionHash;
+      } catch (sendError) {
+        // CDP refused the transfer (bad request, rate limit, too little gas): nothing went out
+        const status = sendError.status ?? sendError.statusCode;
+        if (status >= 400 && status < 500) {
+          await this.prisma.transaction.update({
+            where: { id: transaction.id },
+            data: { status: 'FAILED' },
+          });
+          throw sendError;
+        }
+
+        // A timeout or dropped connection can come after CDP accepted the transfer. The send stays
+        // PROCESSING without a txHash, so it still counts towards the spending caps and is not
+        // sent again blindly; the wallet's history settles it
+        console.warn(`⚠️ Send ${transaction.id} failed while broadcasting and may have gone out, left for review`);
+        sendError.mayHaveBroadcast = true;
+        throw sendError;
+      }
+
+      // The transfer is out: a bookkeeping error from here on must not report the send as failed
+      try {
         await this.prisma.transaction.update({
           where: { id: transaction.id },
           data: {
@@ -192,26 +375,34 @@ export class WalletService {
             status: 'PENDING',
           },
         });
-
-        console.log(`✅ Transaction sent: ${txHash}`);
-        
-        return {
-          success: true,
-          transactionId: transaction.id,
-          transactionHash: txHash,
-          amount,
-          currency,
-          toAddress,
-        };
-      } catch (sendError) {
-        // Update transaction as failed
-        await this.prisma.transaction.update({
-          where: { id: transaction.id },
-          data: { status: 'FAILED' },
-        });
-        
-        throw sendError;
+      } catch (recordError) {
+        console.error(`❌ Transaction ${txHash} was sent but not recorded on ${transaction.id}:`, recordError);
       }
+
+      console.log(`✅ Transaction sent: ${txHash}`);
+
+      await this.ledgerService.record({
+        userId,
+        kind: ledger.kind || 'send',
+        amount,
+        currency: token.symbol,
+        network,
+        sourceKey: `tx:${transaction.id}`,
+        txHash,
+        transactionId: transaction.id,
+        relatedRequestId: ledger.relatedRequestId || null,
+        description: ledger.description || transaction.description
+      });
+
+      return {
+        success: true,
+        transactionId: transaction.id,
+        transactionHash: txHash,
+        amount,
+        currency: token.symbol,
+        network,
+        toAddress,
+      };
     } catch (error) {
       console.error(`❌ Error sending crypto for user ${userId}:`, error);
       throw error;
@@ -221,28 +412,33 @@ export class WalletService {
   /**
    * Request testnet tokens
    */
-  async requestTestnetTokens(userId) {
+  async requestTestnetTokens(userId, network = null) {
     try {
       if (!this.initialized) {
         throw new Error('CDP not initialized');
       }
 
-      const { address, network } = await this.getWallet(userId);
+      const { address, network: targetNetwork, cdpNetwork } = await this.getWallet(userId, network);
+
+      if (!this.resolveNetwork(targetNetwork).isTestnet) {
+        throw new Error(`Faucet is only available on testnets, not ${targetNetwork}`);
+      }
       
       // Request faucet funds
       const faucetResult = await this.cdp.evm.requestFaucet({
         address: address,
-        network: network,
+        network: cdpNetwork,
         token: 'eth',
       });
       
-      console.log(`🚰 Faucet requested for user ${userId}: ${faucetResult.transactionHash}`);
+      console.log(`🚰 Faucet requested for user ${userId} on ${targetNetwork}: ${faucetResult.transactionHash}`);
       
       return {
         success: true,
         transactionHash: faucetResult.transactionHash,
         amount: '0.1',
         currency: 'ETH',
+        network: targetNetwork,
       };
     } catch (error) {
       console.error(`❌ Error requesting testnet tokens for user ${userId}:`, error);
@@ -271,7 +467,7 @@ export class WalletService {
   /**
    * Get wallet analytics
    */
-  async getWalletAnalytics(userId) {
+  async getWalletAnalytics(userId, network = null) {
     try {
       const user = await this.prisma.user.findUnique({
         where: { id: userId },
@@ -288,27 +484,22 @@ export class WalletService {
         throw new Error('User not found');
       }
 
-      const balance = user.walletAddress ? await this.getWalletBalance(userId) : { ETH: '0', USD: '0' };
+      const balance = user.walletAddress
+        ? await this.getWalletBalance(userId, network)
+        : { network: network || user.walletNetwork, tokens: [], totalUsd: '0.00', ETH: '0', USD: '0.00' };
       
-      // Calculate stats
+      // Stats come from the ledger, so they count the same payments as the agent's
+      const activity = await this.ledgerService.getActivitySummary(userId);
       const stats = {
-        totalSent: 0,
-        totalReceived: 0,
-        totalTransactions: 0,
+        totalSent: activity.amountSent,
+        totalReceived: activity.amountReceived,
+        totalTransactions: activity.sentCount + activity.receivedCount,
+        byCurrency: activity.byCurrency,
       };
 
-      for (const tx of user.transactions) {
-        stats.totalTransactions++;
-        if (tx.type === 'SEND') {
-          stats.totalSent += parseFloat(tx.amount);
-        } else if (tx.type === 'RECEIVE') {
-          stats.totalReceived += parseFloat(tx.amount);
-        }
-      }
-
       return {
         walletAddress: user.walletAddress,
-        walletNetwork: user.walletNetwork,
+        walletNetwork: network || user.walletNetwork,
         balance,
         stats,
         recentTransactions: user.transactions,
@@ -349,13 +540,69 @@ export class WalletService {
    */
   getSupportedNetworks() {
     return [
-      { id: 'base-sepolia', name: 'Base Sepolia (Testnet)', isTestnet: true },
-      { id: 'base-mainnet', name: 'Base Mainnet', isTestnet: false },
-      { id: 'ethereum-sepolia', name: 'Ethereum Sepolia (Testnet)', isTestnet: true },
-      { id: 'ethereum-mainnet', name: 'Ethereum Mainnet', isTestnet: false },
+      { id: 'base-sepolia', name: 'Base Sepolia (Testnet)', isTestnet: true, cdpNetwork: 'base-sepolia' },
+      { id: 'base-mainnet', name: 'Base Mainnet', isTestnet: false, cdpNetwork: 'base' },
+      { id: 'ethereum-sepolia', name: 'Ethereum Sepolia (Testnet)', isTestnet: true, cdpNetwork: 'ethereum-sepolia' },
+      { id: 'ethereum-mainnet', name: 'Ethereum Mainnet', isTestnet: false, cdpNetwork: 'ethereum' },
     ];
   }
 
+  /**
+   * Look up a supported network by id, rejecting anything else
+   */
+  resolveNetwork(network) {
+    const supportedNetworks = this.getSupportedNetworks();
+    const match = supportedNetworks.find(n => n.id === network);
+    if (!match) {
+      throw new Error(`Unsupported network: ${network}. Supported: ${supportedNetworks.map(n => n.id).join(', ')}`);
+    }
+    return match;
+  }
+
+  /**
+   * Change the network used when a call does not name one
+   */
+  async setDefaultNetwork(userId, network) {
+    try {
+      const targetNetwork = this.resolveNetwork(network);
+
+      await this.prisma.user.update({
+        where: { id: userId },
+        data: { walletNetwork: targetNetwork.id },
+      });
+
+      console.log(`🌐 Default wallet network for user ${userId} set to ${targetNetwork.id}`);
+      return await this.getWallet(userId);
+    } catch (error) {
+      console.error(`❌ Error setting wallet network for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get tokens that can be sent on a network
+   */
+  getSupportedTokens(network = 'base-sepolia') {
+    return TOKEN_REGISTRY[network] || [];
+  }
+
+  /**
+   * Look up a token by symbol on a network, rejecting unknown tokens
+   */
+  getToken(network, symbol) {
+    const tokens = TOKEN_REGISTRY[network];
+    if (!tokens) {
+      throw new Error(`Unsupported network: ${network}`);
+    }
+
+    const token = tokens.find(t => t.symbol === String(symbol).toUpperCase());
+    if (!token) {
+      throw new Error(`Unsupported token ${symbol} on ${network}. Supported: ${tokens.map(t => t.symbol).join(', ')}`);
+    }
+
+    return token;
+  }
+
   /**
    * Get service status
    */
@@ -0,0 +1,293 @@
+/**
+ * Webhook Service for AgenPay
+ * Delivers HMAC-signed payment lifecycle events to user-registered endpoints,
+ * retrying failed deliveries with exponential backoff and logging every attempt
+ */
+
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+
+export const WEBHOOK_EVENTS = [
+  'payment_request.created',
+  'payment_request.paid',
+  'refund.executed',
+  'outgoing_payment.completed',
+  'outgoing_payment.failed',
+  'outgoing_payment.dead_lettered'
+];
+
+export class WebhookService {
+  constructor(options = {}) {
+    this.prisma = options.prisma || new PrismaClient();
+    this.fetch = options.fetch || globalThis.fetch;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+    this.retryBaseMs = options.retryBaseMs || parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+  }
+
+  /**
+   * Generate a signing secret for a new endpoint
+   */
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Sign a payload body: HMAC-SHA256 over "<timestamp>.<body>"
+   */
+  static sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  /**
+   * Verify an X-AgenPay-Signature header (for receivers and tests)
+   */
+  static verifySignature(secret, body, header, toleranceSeconds = 300) {
+    const parts = Object.fromEntries(
+      String(header || '').split(',').map(part => part.split('=').map(value => value.trim()))
+    );
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || !parts.v1) return false;
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) return false;
+
+    const expected = WebhookService.sign(secret, body, timestamp).split('v1=')[1];
+    const received = Buffer.from(parts.v1, 'hex');
+    return received.length === expected.length / 2 &&
+      crypto.timingSafeEqual(received, Buffer.from(expected, 'hex'));
+  }
+
+  /**
+   * Delay before the next attempt after `attempts` failed deliveries
+   */
+  getRetryDelay(attempts) {
+    return this.retryBaseMs * Math.pow(2, Math.max(0, attempts - 1));
+  }
+
+  /**
+   * Register a webhook endpoint for a user
+   */
+  async createEndpoint(userId, { url, events = [], description = null }) {
+    try {
+      const endpoint = await this.prisma.webhookEndpoint.create({
+        data: {
+          userId,
+          url,
+          events,
+          description,
+          secret: WebhookService.generateSecret()
+        }
+      });
+
+      console.log(`🪝 Webhook endpoint registered for user ${userId}: ${url}`);
+      return endpoint;
+    } catch (error) {
+      console.error(`❌ Error registering webhook endpoint for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's webhook endpoints (secrets are only returned on creation)
+   */
+  async listEndpoints(userId) {
+    try {
+      const endpoints = await this.prisma.webhookEndpoint.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'desc' }
+      });
+
+      return endpoints.map(({ secret, ...endpoint }) => endpoint);
+    } catch (error) {
+      console.error(`❌ Error listing webhook endpoints for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a user's webhook endpoint (and its delivery log)
+   */
+  async deleteEndpoint(userId, endpointId) {
+    try {
+      const endpoint = await this.prisma.webhookEndpoint.findFirst({
+        where: { id: endpointId, userId }
+      });
+
+      if (!endpoint) {
+        return null;
+      }
+
+      await this.prisma.webhookEndpoint.delete({ where: { id: endpointId } });
+
+      console.log(`🗑️ Webhook endpoint ${endpointId} deleted for user ${userId}`);
+      return endpoint;
+    } catch (error) {
+      console.error(`❌ Error deleting webhook endpoint ${endpointId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delivery log for one of a user's endpoints, newest first
+   */
+  async listDeliveries(userId, endpointId, limit = 50) {
+    try {
+      const endpoint = await this.prisma.webhookEndpoint.findFirst({
+        where: { id: endpointId, userId }
+      });
+
+      if (!endpoint) {
+        return null;
+      }
+
+      return await this.prisma.webhookDelivery.findMany({
+        where: { endpointId },
+        orderBy: { createdAt: 'desc' },
+        take: Math.min(Math.max(parseInt(limit) || 50, 1), 200)
+      });
+    } catch (error) {
+      console.error(`❌ Error listing webhook deliveries for ${endpointId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue an event for every active endpoint of the user subscribed to it and make
+   * the first delivery attempt. Never throws: webhooks must not break payment flows.
+   */
+  async emit(userId, event, data) {
+    try {
+      if (!WEBHOOK_EVENTS.includes(event)) {
+        throw new Error(`Unknown webhook event: ${event}`);
+      }
+
+      const endpoints = await this.prisma.webhookEndpoint.findMany({
+        where: { userId, active: true }
+      });
+      const subscribed = endpoints.filter(endpoint => endpoint.events.length === 0 || endpoint.events.includes(event));
+
+      if (subscribed.length === 0) {
+        return [];
+      }
+
+      const payload = {
+        id: `evt_${crypto.randomUUID()}`,
+        event,
+        createdAt: new Date().toISOString(),
+        data
+      };
+
+      const deliveries = [];
+      for (const endpoint of subscribed) {
+        const delivery = await this.prisma.webhookDelivery.create({
+          data: {
+            endpointId: endpoint.id,
+            event,
+            payload,
+            status: 'pending',
+            nextAttemptAt: new Date()
+          }
+        });
+        deliveries.push({ ...delivery, endpoint });
+      }
+
+      console.log(`🪝 ${event} queued for ${deliveries.length} webhook endpoint(s) of user ${userId}`);
+      return await Promise.all(deliveries.map(delivery => this.attemptDelivery(delivery)));
+    } catch (error) {
+      console.error(`❌ Error emitting webhook ${event} for user ${userId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Retry deliveries whose backoff has elapsed
+   */
+  async processPendingDeliveries() {
+    try {
+      const dueDeliveries = await this.prisma.webhookDelivery.findMany({
+        where: {
+          status: 'pending',
+          nextAttemptAt: { lte: new Date() }
+        },
+        include: { endpoint: true },
+        orderBy: { nextAttemptAt: 'asc' },
+        take: 100
+      });
+
+      if (dueDeliveries.length > 0) {
+        console.log(`🪝 Retrying ${dueDeliveries.length} webhook deliveries...`);
+      }
+
+      for (const delivery of dueDeliveries) {
+        await this.attemptDelivery(delivery);
+      }
+
+      return dueDeliveries.length;
+    } catch (error) {
+      console.error('❌ Error processing webhook deliveries:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * POST one delivery to its endpoint and record the outcome
+   */
+  async attemptDelivery(delivery) {
+    const attempts = delivery.attempts + 1;
+    const body = JSON.stringify(delivery.payload);
+    let statusCode = null;
+    let error = null;
+
+    try {
+      const response = await this.fetch(delivery.endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'AgenPay-Webhooks/1.0',
+          'X-AgenPay-Event': delivery.event,
+          'X-AgenPay-Delivery': delivery.id,
+          'X-AgenPay-Signature': WebhookService.sign(delivery.endpoint.secret, body)
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+
+      statusCode = response.status;
+      if (!response.ok) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    let update;
+    if (!error) {
+      update = { status: 'delivered', attempts, lastStatusCode: statusCode, lastError: null, deliveredAt: new Date(), nextAttemptAt: null };
+      console.log(`✅ Webhook ${delivery.event} delivered to ${delivery.endpoint.url} (attempt ${attempts})`);
+    } else if (attempts >= this.maxAttempts) {
+      update = { status: 'failed', attempts, lastStatusCode: statusCode, lastError: error, nextAttemptAt: null };
+      console.error(`❌ Webhook ${delivery.event} to ${delivery.endpoint.url} failed permanently after ${attempts} attempts: ${error}`);
+    } else {
+      const nextAttemptAt = new Date(Date.now() + this.getRetryDelay(attempts));
+      update = { status: 'pending', attempts, lastStatusCode: statusCode, lastError: error, nextAttemptAt };
+      console.warn(`⚠️ Webhook ${delivery.event} to ${delivery.endpoint.url} failed (${error}), retrying at ${nextAttemptAt.toISOString()}`);
+    }
+
+    try {
+      return await this.prisma.webhookDelivery.update({
+        where: { id: delivery.id },
+        data: update
+      });
+    } catch (logError) {
+      console.error(`❌ Error logging webhook delivery ${delivery.id}:`, logError);
+      return { ...delivery, ...update };
+    }
+  }
+
+  async cleanup() {
+    await this.prisma.$disconnect();
+  }
+}
+
+export default WebhookService;
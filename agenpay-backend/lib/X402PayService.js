@@ -7,13 +7,23 @@ import { paymentMiddleware } from 'x402-express';
 import { facilitator } from '@coinbase/x402';
 import { PrismaClient } from '@prisma/client';
 import express from 'express';
+import { getRemainingRefundAmount } from './SchedulingService.js';
+import WebhookService from './WebhookService.js';
+import PriceService from './PriceService.js';
+import LedgerService from './LedgerService.js';
+import { parseAmount, normalizeAmount, sumAmounts, isPositiveAmount } from './Money.js';
+
+export const PAYMENT_REQUEST_STATUSES = ['draft', 'scheduled', 'processing', 'payment_received', 'partially_refunded', 'refunded', 'failed', 'cancelled', 'missed', 'expired'];
 
 export class X402PayService {
-  constructor() {
+  constructor(sharedServices = {}) {
     this.instanceId = `x402-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
     console.log(`🆔 X402PayService instance created: ${this.instanceId}`);
     
-    this.prisma = new PrismaClient();
+    this.prisma = sharedServices.prisma || new PrismaClient();
+    this.webhookService = sharedServices.webhookService || new WebhookService();
+    this.priceService = sharedServices.priceService || new PriceService();
+    this.ledgerService = sharedServices.ledgerService || new LedgerService({ prisma: this.prisma });
     
     // X402 middleware needs a facilitator for payment verification
     // Use the correct x402.org facilitator URL (after redirect)
@@ -38,12 +48,16 @@ export class X402PayService {
     try {
       console.log(`🔄 [${this.instanceId}] Loading active payment routes from database...`);
       
-      // Get all active payment requests from database
+      // Get all active, unexpired payment requests from database
       const activePayments = await this.prisma.paymentRequest.findMany({
         where: {
           status: {
             in: ['processing', 'scheduled']
-          }
+          },
+          OR: [
+            { expiresAt: null },
+            { expiresAt: { gt: new Date() } }
+          ]
         },
         include: {
           user: {
@@ -60,12 +74,13 @@ export class X402PayService {
           this.paymentRoutes.set(payment.id, {
             userId: payment.userId,
             userWalletAddress: payment.user.walletAddress,
-            amount: payment.amount,
+            amount: normalizeAmount(payment.amount),
             currency: payment.currency,
             network: payment.network,
             description: payment.description,
             transactionType: payment.transactionType,
-            createdAt: payment.createdAt
+            createdAt: payment.createdAt,
+            expiresAt: payment.expiresAt
           });
         }
       }
@@ -89,15 +104,38 @@ export class X402PayService {
       console.log(`🔍 [${this.instanceId}] Available payment routes: [${Array.from(this.paymentRoutes.keys()).join(', ')}]`);
       
       if (!this.paymentRoutes.has(paymentId)) {
+        const inactiveRequest = await this.prisma.paymentRequest.findUnique({
+          where: { id: paymentId },
+          select: { id: true, amount: true, currency: true, description: true, status: true, expiresAt: true }
+        });
+
+        if (inactiveRequest?.status === 'expired') {
+          console.log(`⌛ Payment ID ${paymentId} has expired`);
+          return res.status(410).send(this.generateExpiredPage(inactiveRequest));
+        }
+
         console.log(`❌ Payment ID ${paymentId} not found in active routes`);
         return res.status(404).json({
-          error: 'Payment link not found or expired',
+          error: 'Payment link not found',
           paymentId,
-          message: 'This payment link may have expired or been completed. Please request a new payment link.'
+          message: 'This payment link does not exist or has already been completed. Please request a new payment link.'
         });
       }
 
       const paymentConfig = this.paymentRoutes.get(paymentId);
+
+      // Reject links past their expiry even before the expiry job has retired them
+      if (paymentConfig.expiresAt && new Date(paymentConfig.expiresAt) <= new Date()) {
+        console.log(`⌛ Payment ID ${paymentId} expired at ${new Date(paymentConfig.expiresAt).toISOString()}`);
+        this.paymentRoutes.delete(paymentId);
+        return res.status(410).send(this.generateExpiredPage({
+          id: paymentId,
+          amount: paymentConfig.amount,
+          currency: paymentConfig.currency,
+          description: paymentConfig.description,
+          expiresAt: paymentConfig.expiresAt
+        }));
+      }
       
       // Get user's specific CDP wallet address
       const user = await this.prisma.user.findUnique({
@@ -232,9 +270,11 @@ export class X402PayService {
           // If payment was successful, X402 middleware should have sent 200 response
           if (req.headers['x-payment'] && res.headersSent && res.statusCode === 200) {
             console.log(`✅ [${this.instanceId}] X402 payment verified successfully`);
+            // Facilitator settlement details (payer, tx hash) are returned in X-PAYMENT-RESPONSE
+            const settlementHeader = res.getHeader('X-PAYMENT-RESPONSE');
             // Process payment success in background (don't block response)
             setImmediate(() => {
-              this.handlePaymentSuccess(paymentId, req.headers['x-payment'])
+              this.handlePaymentSuccess(paymentId, req.headers['x-payment'], settlementHeader)
                 .catch(err => console.error(`❌ Background payment processing failed:`, err));
             });
             return;
@@ -308,12 +348,19 @@ export class X402PayService {
     transactionType = 'ask_payment',
     scheduleType = 'immediate',
     scheduledDate = null,
-    aiPrompt = null
+    aiPrompt = null,
+    subscriptionId = null,
+    refundDelayDays = null,
+    refundPercentage = 100,
+    refundDate = null,
+    expiresAt = null
   }) {
     try {
       console.log(`💳 [${this.instanceId}] Creating X402 payment request for user ${userId}`);
       console.log(`🔍 [${this.instanceId}] Current routes before creation: [${Array.from(this.paymentRoutes.keys()).join(', ')}]`);
 
+      const paymentAmount = parseAmount(amount, { currency });
+
       // Verify user has a CDP wallet
       const user = await this.prisma.user.findUnique({
         where: { id: userId },
@@ -330,12 +377,15 @@ export class X402PayService {
       // Create the payment URL
       const paymentUrl = `${process.env.BASE_URL || 'http://localhost:3001'}/x402pay/${paymentId}`;
       
+      // Links expire PAYMENT_LINK_EXPIRY_HOURS after they become payable unless an explicit expiry is given
+      const linkExpiresAt = expiresAt ? new Date(expiresAt) : this.getDefaultExpiry(scheduledDate);
+
       // Create payment request in database first
       const paymentRequest = await this.prisma.paymentRequest.create({
         data: {
           id: paymentId,
           userId,
-          amount: parseFloat(amount),
+          amount: paymentAmount,
           currency,
           network,
           recipientEmail,
@@ -347,6 +397,11 @@ export class X402PayService {
           scheduledDate: scheduledDate ? new Date(scheduledDate) : null,
           status: scheduleType === 'immediate' ? 'processing' : 'scheduled',
           x402PayLink: paymentUrl,
+          subscriptionId,
+          refundDelayDays,
+          refundPercentage,
+          refundDate: refundDate ? new Date(refundDate) : null,
+          expiresAt: linkExpiresAt,
         }
       });
 
@@ -356,15 +411,18 @@ export class X402PayService {
       const routeConfig = {
         userId,
         userWalletAddress: user.walletAddress,
-        amount: parseFloat(amount),
+        amount: paymentAmount,
         currency,
         network,
         description,
         transactionType,
-        createdAt: new Date()
+        createdAt: new Date(),
+        expiresAt: linkExpiresAt
       };
       
       this.paymentRoutes.set(paymentId, routeConfig);
+
+      await this.webhookService.emit(userId, 'payment_request.created', paymentRequest);
       
       console.log(`✅ [${this.instanceId}] X402 payment request created: ${paymentId} → ${user.walletAddress}`);
       console.log(`🗺️ [${this.instanceId}] Payment route added to memory. Total routes: ${this.paymentRoutes.size}`);
@@ -400,13 +458,16 @@ export class X402PayService {
     transactionType = 'ask_payment',
     scheduleType = 'immediate',
     scheduledDate = null,
-    aiPrompt = null
+    aiPrompt = null,
+    expiresAt = null
   }) {
     try {
       console.log(`💱 [${this.instanceId}] Creating multi-token X402 payment request for user ${userId}`);
       console.log(`🎯 [${this.instanceId}] Preferred receive currency: ${preferredReceiveCurrency}`);
       console.log(`🪙 [${this.instanceId}] Accepted payment tokens: ${acceptedPaymentTokens.join(', ')}`);
 
+      const paymentAmount = parseAmount(amount, { currency: preferredReceiveCurrency });
+
       // Verify user has a CDP wallet
       const user = await this.prisma.user.findUnique({
         where: { id: userId },
@@ -435,7 +496,8 @@ export class X402PayService {
           transactionType,
           scheduleType,
           scheduledDate,
-          aiPrompt
+          aiPrompt,
+          expiresAt
         });
       }
 
@@ -445,12 +507,14 @@ export class X402PayService {
       // Create the payment URL
       const paymentUrl = `${process.env.BASE_URL || 'http://localhost:3001'}/x402pay/${paymentId}`;
       
+      const linkExpiresAt = expiresAt ? new Date(expiresAt) : this.getDefaultExpiry(scheduledDate);
+
       // Create payment request in database with multi-token support
       const paymentRequest = await this.prisma.paymentRequest.create({
         data: {
           id: paymentId,
           userId,
-          amount: parseFloat(amount),
+          amount: paymentAmount,
           currency: preferredReceiveCurrency,
           network,
           recipientEmail,
@@ -462,6 +526,7 @@ export class X402PayService {
           scheduledDate: scheduledDate ? new Date(scheduledDate) : null,
           status: scheduleType === 'immediate' ? 'processing' : 'scheduled',
           x402PayLink: paymentUrl,
+          expiresAt: linkExpiresAt,
           metadata: JSON.stringify({
             multiTokenEnabled: true,
             preferredReceiveCurrency,
@@ -479,7 +544,7 @@ export class X402PayService {
       const routeConfig = {
         userId,
         userWalletAddress: user.walletAddress,
-        amount: parseFloat(amount),
+        amount: paymentAmount,
         currency: preferredReceiveCurrency,
         network,
         description,
@@ -488,10 +553,13 @@ export class X402PayService {
         acceptedPaymentTokens,
         preferredReceiveCurrency,
         okxDexService: this.okxDexService,
-        createdAt: new Date()
+        createdAt: new Date(),
+        expiresAt: linkExpiresAt
       };
       
       this.paymentRoutes.set(paymentId, routeConfig);
+
+      await this.webhookService.emit(userId, 'payment_request.created', paymentRequest);
       
       console.log(`✅ [${this.instanceId}] Multi-token X402 payment request created: ${paymentId}`);
       console.log(`💰 [${this.instanceId}] Amount: ${amount} ${preferredReceiveCurrency} (accepting: ${acceptedPaymentTokens.join(', ')})`);
@@ -575,6 +643,100 @@ export class X402PayService {
     }
   }
 
+  /**
+   * Default link expiry: PAYMENT_LINK_EXPIRY_HOURS after the link becomes payable
+   */
+  getDefaultExpiry(scheduledDate = null) {
+    const hours = parseInt(process.env.PAYMENT_LINK_EXPIRY_HOURS) || 168;
+    const payableFrom = scheduledDate ? new Date(scheduledDate) : new Date();
+    return new Date(payableFrom.getTime() + hours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Generate the page shown when an expired payment link is opened
+   */
+  generateExpiredPage({ id, amount, currency, description, expiresAt }) {
+    return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Payment Link Expired - AgenPay</title>
+        <style>
+          body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            margin: 0;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+            box-sizing: border-box;
+          }
+          
+          .expired-container {
+            background: white;
+            border-radius: 20px;
+            padding: 40px;
+            box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
+            text-align: center;
+            max-width: 500px;
+            width: 100%;
+          }
+          
+          .expired-icon {
+            font-size: 64px;
+            margin-bottom: 20px;
+          }
+          
+          h1 {
+            color: #2c3e50;
+            font-size: 28px;
+            margin-bottom: 10px;
+          }
+          
+          .payment-details {
+            background: #f8f9fa;
+            border-radius: 12px;
+            padding: 20px;
+            margin: 25px 0;
+            text-align: left;
+            color: #2c3e50;
+          }
+          
+          .powered-by {
+            margin-top: 30px;
+            color: #6c757d;
+            font-size: 14px;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="expired-container">
+          <div class="expired-icon">⌛</div>
+          <h1>Payment Link Expired</h1>
+          <p style="color: #6c757d;">This payment link is no longer valid and cannot be paid. No funds have been taken.</p>
+          
+          <div class="payment-details">
+            <p><strong>Amount:</strong> ${amount} ${currency}</p>
+            <p><strong>Description:</strong> ${description || 'Payment request'}</p>
+            <p><strong>Payment ID:</strong> ${id}</p>
+            ${expiresAt ? `<p><strong>Expired:</strong> ${new Date(expiresAt).toUTCString()}</p>` : ''}
+          </div>
+          
+          <p>Please ask the sender for a new payment link.</p>
+          
+          <div class="powered-by">
+            Powered by <strong>AgenPay × X402</strong>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
   /**
    * Generate beautiful HTML success page
    */
@@ -791,14 +953,52 @@ export class X402PayService {
     `;
   }
 
+  /**
+   * Decode a base64 JSON x402 header (X-PAYMENT or X-PAYMENT-RESPONSE)
+   */
+  decodeX402Header(header) {
+    if (!header || typeof header !== 'string') return null;
+
+    try {
+      return JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+    } catch (error) {
+      console.warn(`⚠️ [${this.instanceId}] Could not decode x402 header:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Extract payer wallet and settlement tx hash from the x402 payment headers.
+   * The facilitator settlement response is authoritative; the signed EIP-3009
+   * authorization in X-PAYMENT (payload.authorization.from) is the fallback.
+   */
+  extractPayerDetails(paymentHeader, settlementHeader = null) {
+    const isAddress = (value) => typeof value === 'string' && /^0x[a-fA-F0-9]{40}$/.test(value);
+
+    const settlement = this.decodeX402Header(settlementHeader);
+    const payment = this.decodeX402Header(paymentHeader);
+
+    const candidates = [settlement?.payer, payment?.payload?.authorization?.from];
+    const payerAddress = candidates.find(isAddress) || null;
+
+    const settlementTxHash = typeof settlement?.transaction === 'string' && settlement.transaction.startsWith('0x')
+      ? settlement.transaction
+      : null;
+
+    return { payerAddress, settlementTxHash };
+  }
+
   /**
    * Handle successful payment verification
    */
-  async handlePaymentSuccess(paymentId, paymentProof) {
+  async handlePaymentSuccess(paymentId, paymentProof, settlementResponse = null) {
     try {
       console.log(`✅ [${this.instanceId}] Processing payment success for: ${paymentId}`);
       console.log(`🧾 [${this.instanceId}] Payment proof received:`, paymentProof ? 'Present' : 'Missing');
 
+      const { payerAddress, settlementTxHash } = this.extractPayerDetails(paymentProof, settlementResponse);
+      console.log(`👛 [${this.instanceId}] Payer address: ${payerAddress || 'unknown'}`);
+
       // Get payment config to find destination wallet
       const paymentConfig = this.paymentRoutes.get(paymentId);
       let dbPaymentRequest = null;
@@ -827,13 +1027,14 @@ export class X402PayService {
         where: { id: paymentId },
         data: {
           status: 'payment_received',
-          paymentHash: paymentProof || 'X402_VERIFIED',
+          paymentHash: settlementTxHash || paymentProof || 'X402_VERIFIED',
+          payerAddress,
           paidAt: new Date()
         }
       });
 
       // Create transaction record with proper wallet tracking
-      await this.prisma.transaction.create({
+      const transaction = await this.prisma.transaction.create({
         data: {
           userId: paymentRequest.userId,
           type: 'INCOMING',
@@ -843,17 +1044,44 @@ export class X402PayService {
           network: paymentRequest.network,
           description: paymentRequest.description,
           toAddress: user?.walletAddress, // User's CDP wallet that received payment
-          fromAddress: 'X402Pay_Verified_Sender', // X402Pay verified sender
+          fromAddress: payerAddress, // Payer wallet decoded from the x402 payment
           x402PayId: paymentId,
           relatedRequestId: paymentId,
-          txHash: paymentProof || `x402_${paymentId}`,
-          completedAt: new Date()
+          txHash: settlementTxHash || `x402_${paymentId}`,
+          completedAt: new Date(),
+          ...await this.priceService.getUsdValuation(paymentRequest.currency, paymentRequest.amount)
         }
       });
 
+      // Settled by the facilitator, so the receipt is booked as confirmed
+      await this.ledgerService.record({
+        userId: paymentRequest.userId,
+        kind: 'x402_receipt',
+        amount: paymentRequest.amount,
+        currency: paymentRequest.currency,
+        network: paymentRequest.network,
+        sourceKey: `x402:${paymentId}`,
+        txHash: transaction.txHash,
+        transactionId: transaction.id,
+        relatedRequestId: paymentId,
+        description: paymentRequest.description,
+        confirmed: true
+      });
+
       // Handle refund scheduling if needed
       if (paymentRequest.transactionType === 'ask_and_refund') {
-        await this.scheduleRefund(paymentRequest);
+        const refundPayment = await this.scheduleRefund(paymentRequest);
+        if (refundPayment) {
+          paymentRequest.refundDate = refundPayment.scheduleDate;
+        }
+      }
+
+      // A paid period ends any run of missed subscription payments
+      if (paymentRequest.subscriptionId) {
+        await this.prisma.subscription.update({
+          where: { id: paymentRequest.subscriptionId },
+          data: { missedPayments: 0 }
+        });
       }
 
       // Update Notion database if user has integration
@@ -862,6 +1090,11 @@ export class X402PayService {
       // Remove from active payment routes (payment completed)
       this.paymentRoutes.delete(paymentId);
 
+      await this.webhookService.emit(paymentRequest.userId, 'payment_request.paid', {
+        ...paymentRequest,
+        toAddress: user?.walletAddress
+      });
+
       console.log(`✅ [${this.instanceId}] Payment success handled: ${paymentRequest.amount} ${paymentRequest.currency} → ${user?.walletAddress}`);
       return {
         ...paymentRequest,
@@ -878,18 +1111,36 @@ export class X402PayService {
    */
   async scheduleRefund(paymentRequest) {
     try {
-      // Calculate refund date (default 30 days from payment)
+      if (!paymentRequest.payerAddress) {
+        console.error(`❌ Cannot schedule refund for ${paymentRequest.id}: payer wallet address unknown`);
+        return null;
+      }
+
+      const refundAmount = getRemainingRefundAmount(paymentRequest);
+      if (!isPositiveAmount(refundAmount)) {
+        console.log(`ℹ️ No refund due for ${paymentRequest.id} (refund percentage ${paymentRequest.refundPercentage}%)`);
+        return null;
+      }
+
+      // An explicit refund date (e.g. Notion "Scheduled Date") wins over the delay; past dates refund right away
       const refundDate = new Date();
-      refundDate.setDate(refundDate.getDate() + 30);
+      if (paymentRequest.refundDate) {
+        if (new Date(paymentRequest.refundDate) > refundDate) {
+          refundDate.setTime(new Date(paymentRequest.refundDate).getTime());
+        }
+      } else {
+        const delayDays = paymentRequest.refundDelayDays ?? (parseInt(process.env.REFUND_DEFAULT_DELAY_DAYS) || 30);
+        refundDate.setDate(refundDate.getDate() + delayDays);
+      }
 
       // Create outgoing payment record for the refund
       const refundPayment = await this.prisma.outgoingPayment.create({
         data: {
           userId: paymentRequest.userId,
-          amount: paymentRequest.amount,
+          amount: refundAmount,
           currency: paymentRequest.currency,
           network: paymentRequest.network,
-          recipientAddress: paymentRequest.recipientEmail, // Will need wallet address
+          recipientAddress: paymentRequest.payerAddress, // Refund back to the wallet that paid
           recipientName: paymentRequest.recipientName,
           fromName: 'AgenPay Refund System',
           description: `Refund for: ${paymentRequest.description}`,
@@ -905,7 +1156,7 @@ export class X402PayService {
         data: { refundDate: refundDate }
       });
 
-      console.log(`📅 Refund scheduled for ${paymentRequest.id} on ${refundDate}`);
+      console.log(`📅 Refund of ${refundAmount} ${paymentRequest.currency} scheduled for ${paymentRequest.id} on ${refundDate}`);
       return refundPayment;
     } catch (error) {
       console.error(`❌ Error scheduling refund for ${paymentRequest.id}:`, error);
@@ -944,9 +1195,10 @@ export class X402PayService {
           recipientName: paymentRequest.recipientName,
           description: paymentRequest.description,
           transactionType: paymentRequest.transactionType,
-          status: 'payment_received', // Update status to received
+          status: paymentRequest.status, // Mirror current request status (payment_received, cancelled, ...)
           x402PayLink: paymentRequest.x402PayLink,
-          paymentHash: paymentRequest.paymentHash || `x402_${paymentRequest.id}`
+          paymentHash: paymentRequest.paymentHash || `x402_${paymentRequest.id}`,
+          refundDate: paymentRequest.refundDate ? new Date(paymentRequest.refundDate).toISOString() : null
         });
 
         console.log(`📝 Notion record updated for payment: ${paymentRequest.id}`);
@@ -966,12 +1218,15 @@ export class X402PayService {
   }
 
   /**
-   * Get payment request by ID
+   * Get payment request by ID (optionally scoped to a user)
    */
-  async getPaymentRequest(paymentId) {
+  async getPaymentRequest(paymentId, userId = null) {
     try {
-      const paymentRequest = await this.prisma.paymentRequest.findUnique({
-        where: { id: paymentId }
+      const where = { id: paymentId };
+      if (userId) where.userId = userId;
+
+      const paymentRequest = await this.prisma.paymentRequest.findFirst({
+        where
       });
       return paymentRequest;
     } catch (error) {
@@ -980,6 +1235,48 @@ export class X402PayService {
     }
   }
 
+  /**
+   * List payment requests for a user with filters and pagination
+   */
+  async listPaymentRequests(userId, { status, currency, from, to, page = 1, limit = 20 } = {}) {
+    try {
+      const where = { userId };
+      if (status) where.status = status;
+      if (currency) where.currency = currency.toUpperCase();
+      if (from || to) {
+        where.createdAt = {};
+        if (from) where.createdAt.gte = new Date(from);
+        if (to) where.createdAt.lte = new Date(to);
+      }
+
+      const take = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+      const currentPage = Math.max(parseInt(page) || 1, 1);
+
+      const [requests, total] = await this.prisma.$transaction([
+        this.prisma.paymentRequest.findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          skip: (currentPage - 1) * take,
+          take,
+        }),
+        this.prisma.paymentRequest.count({ where })
+      ]);
+
+      return {
+        requests,
+        pagination: {
+          page: currentPage,
+          limit: take,
+          total,
+          totalPages: Math.ceil(total / take)
+        }
+      };
+    } catch (error) {
+      console.error(`❌ Error listing payment requests for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Cancel a payment request
    */
@@ -993,6 +1290,9 @@ export class X402PayService {
       // Remove from payment routes
       this.paymentRoutes.delete(paymentId);
 
+      // Keep Notion in sync with the cancellation
+      await this.updateNotionRecord(paymentRequest);
+
       console.log(`❌ Payment request cancelled: ${paymentId}`);
       return paymentRequest;
     } catch (error) {
@@ -1015,11 +1315,11 @@ export class X402PayService {
 
       return {
         totalRequests: stats.reduce((sum, stat) => sum + stat._count.status, 0),
-        totalAmount: stats.reduce((sum, stat) => sum + (stat._sum.amount || 0), 0),
+        totalAmount: sumAmounts(stats.map(stat => stat._sum.amount)),
         byStatus: stats.reduce((acc, stat) => {
           acc[stat.status] = {
             count: stat._count.status,
-            amount: stat._sum.amount || 0
+            amount: normalizeAmount(stat._sum.amount ?? 0)
           };
           return acc;
         }, {})
@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "PaymentRequest" ADD COLUMN     "subscriptionId" TEXT;
+
+-- CreateTable
+CREATE TABLE "Subscription" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'USDC',
+    "network" TEXT NOT NULL DEFAULT 'base-sepolia',
+    "recipientEmail" TEXT NOT NULL,
+    "recipientName" TEXT,
+    "description" TEXT,
+    "interval" TEXT NOT NULL DEFAULT 'monthly',
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "startDate" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "nextBillingDate" TIMESTAMP(3) NOT NULL,
+    "lastBilledAt" TIMESTAMP(3),
+    "billingCount" INTEGER NOT NULL DEFAULT 0,
+    "missedPayments" INTEGER NOT NULL DEFAULT 0,
+    "totalMissedPayments" INTEGER NOT NULL DEFAULT 0,
+    "pausedAt" TIMESTAMP(3),
+    "cancelledAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Subscription_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "PaymentRequest" ADD CONSTRAINT "PaymentRequest_subscriptionId_fkey" FOREIGN KEY ("subscriptionId") REFERENCES "Subscription"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Subscription" ADD CONSTRAINT "Subscription_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
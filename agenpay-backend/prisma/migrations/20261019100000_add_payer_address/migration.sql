@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "PaymentRequest" ADD COLUMN     "payerAddress" TEXT;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "PaymentRequest" ADD COLUMN     "refundDelayDays" INTEGER,
+ADD COLUMN     "refundPercentage" DOUBLE PRECISION NOT NULL DEFAULT 100,
+ADD COLUMN     "refundedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
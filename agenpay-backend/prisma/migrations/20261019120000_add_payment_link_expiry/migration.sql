@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "PaymentRequest" ADD COLUMN     "expiresAt" TIMESTAMP(3);
+
+-- Give open links the default 7 day expiry, counted from when they became payable
+UPDATE "PaymentRequest" SET "expiresAt" = COALESCE("scheduledDate", "createdAt") + INTERVAL '7 days' WHERE "status" IN ('processing', 'scheduled') AND "subscriptionId" IS NULL;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "walletNetwork" TEXT NOT NULL DEFAULT 'base-sepolia';
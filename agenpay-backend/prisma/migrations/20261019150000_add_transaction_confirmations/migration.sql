@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN     "blockNumber" INTEGER,
+ADD COLUMN     "confirmations" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "failureReason" TEXT;
@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "approvalThresholdUsd" DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "Approval" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "threadId" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "toolCalls" JSONB NOT NULL,
+    "reason" TEXT NOT NULL,
+    "amountUsd" DOUBLE PRECISION,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "decidedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Approval_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Approval_key_key" ON "Approval"("key");
+
+-- CreateIndex
+CREATE INDEX "Approval_userId_status_idx" ON "Approval"("userId", "status");
+
+-- CreateIndex
+CREATE INDEX "Approval_status_expiresAt_idx" ON "Approval"("status", "expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "Approval" ADD CONSTRAINT "Approval_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
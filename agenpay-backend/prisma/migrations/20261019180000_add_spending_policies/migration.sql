@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "SpendingPolicy" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "name" TEXT,
+    "currency" TEXT,
+    "maxPerTransaction" DOUBLE PRECISION,
+    "dailyLimit" DOUBLE PRECISION,
+    "monthlyLimit" DOUBLE PRECISION,
+    "allowedRecipients" TEXT[],
+    "blockedNetworks" TEXT[],
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SpendingPolicy_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SpendingPolicy_userId_active_idx" ON "SpendingPolicy"("userId", "active");
+
+-- AddForeignKey
+ALTER TABLE "SpendingPolicy" ADD CONSTRAINT "SpendingPolicy_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
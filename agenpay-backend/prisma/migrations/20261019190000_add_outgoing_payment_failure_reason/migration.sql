@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "OutgoingPayment" ADD COLUMN     "failureReason" TEXT;
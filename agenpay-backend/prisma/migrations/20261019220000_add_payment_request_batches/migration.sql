@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "PaymentRequestBatch" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "fileName" TEXT,
+    "network" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'creating',
+    "totalRows" INTEGER NOT NULL,
+    "createdCount" INTEGER NOT NULL DEFAULT 0,
+    "failedCount" INTEGER NOT NULL DEFAULT 0,
+    "emailedCount" INTEGER NOT NULL DEFAULT 0,
+    "results" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PaymentRequestBatch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PaymentRequestBatch_userId_createdAt_idx" ON "PaymentRequestBatch"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "PaymentRequestBatch" ADD CONSTRAINT "PaymentRequestBatch_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN     "usdPrice" DOUBLE PRECISION,
+ADD COLUMN     "usdValue" DOUBLE PRECISION;
+
+-- CreateIndex
+CREATE INDEX "Transaction_userId_createdAt_idx" ON "Transaction"("userId", "createdAt");
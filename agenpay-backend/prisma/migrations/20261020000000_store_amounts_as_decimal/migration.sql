@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "Agent" ALTER COLUMN "totalAmountSent" SET DATA TYPE DECIMAL(36,18),
+ALTER COLUMN "totalAmountReceived" SET DATA TYPE DECIMAL(36,18);
+
+-- AlterTable
+ALTER TABLE "Transaction" ALTER COLUMN "amount" SET DATA TYPE DECIMAL(36,18);
+
+-- AlterTable
+ALTER TABLE "PaymentRequest" ALTER COLUMN "amount" SET DATA TYPE DECIMAL(36,18),
+ALTER COLUMN "refundedAmount" SET DATA TYPE DECIMAL(36,18);
+
+-- AlterTable
+ALTER TABLE "Subscription" ALTER COLUMN "amount" SET DATA TYPE DECIMAL(36,18);
+
+-- AlterTable
+ALTER TABLE "OutgoingPayment" ALTER COLUMN "amount" SET DATA TYPE DECIMAL(36,18);
+
+-- AlterTable
+ALTER TABLE "SpendingPolicy" ALTER COLUMN "maxPerTransaction" SET DATA TYPE DECIMAL(36,18),
+ALTER COLUMN "dailyLimit" SET DATA TYPE DECIMAL(36,18),
+ALTER COLUMN "monthlyLimit" SET DATA TYPE DECIMAL(36,18);
@@ -0,0 +1,76 @@
+-- CreateTable
+CREATE TABLE "LedgerAccount" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LedgerAccount_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LedgerEntry" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "amount" DECIMAL(36,18) NOT NULL,
+    "currency" TEXT NOT NULL,
+    "network" TEXT,
+    "description" TEXT,
+    "sourceKey" TEXT NOT NULL,
+    "txHash" TEXT,
+    "transactionId" TEXT,
+    "relatedRequestId" TEXT,
+    "reversalOfId" TEXT,
+    "confirmedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LedgerEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LedgerLine" (
+    "id" TEXT NOT NULL,
+    "entryId" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "debit" DECIMAL(36,18) NOT NULL DEFAULT 0,
+    "credit" DECIMAL(36,18) NOT NULL DEFAULT 0,
+
+    CONSTRAINT "LedgerLine_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LedgerAccount_userId_code_currency_key" ON "LedgerAccount"("userId", "code", "currency");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LedgerEntry_sourceKey_key" ON "LedgerEntry"("sourceKey");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LedgerEntry_reversalOfId_key" ON "LedgerEntry"("reversalOfId");
+
+-- CreateIndex
+CREATE INDEX "LedgerEntry_userId_createdAt_idx" ON "LedgerEntry"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "LedgerEntry_txHash_idx" ON "LedgerEntry"("txHash");
+
+-- CreateIndex
+CREATE INDEX "LedgerLine_entryId_idx" ON "LedgerLine"("entryId");
+
+-- CreateIndex
+CREATE INDEX "LedgerLine_accountId_idx" ON "LedgerLine"("accountId");
+
+-- AddForeignKey
+ALTER TABLE "LedgerAccount" ADD CONSTRAINT "LedgerAccount_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LedgerEntry" ADD CONSTRAINT "LedgerEntry_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LedgerLine" ADD CONSTRAINT "LedgerLine_entryId_fkey" FOREIGN KEY ("entryId") REFERENCES "LedgerEntry"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LedgerLine" ADD CONSTRAINT "LedgerLine_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "LedgerAccount"("id") ON DELETE CASCADE ON UPDATE CASCADE;
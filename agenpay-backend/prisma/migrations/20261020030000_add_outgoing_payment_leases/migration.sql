@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "OutgoingPayment" ADD COLUMN "leaseOwner" TEXT,
+ADD COLUMN "leaseExpiresAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "OutgoingPayment_status_leaseExpiresAt_idx" ON "OutgoingPayment"("status", "leaseExpiresAt");
+
+-- Payments left in processing without a lease cannot tell whether their transfer went out
+UPDATE "OutgoingPayment"
+SET "status" = 'failed',
+    "failureReason" = 'Interrupted before scheduled payments were leased; check the wallet before retrying',
+    "executedAt" = CURRENT_TIMESTAMP
+WHERE "status" = 'processing';
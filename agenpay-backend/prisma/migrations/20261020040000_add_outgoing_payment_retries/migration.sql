@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "OutgoingPayment" ADD COLUMN "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "lastError" TEXT,
+ADD COLUMN "nextAttemptAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "OutgoingPayment_status_nextAttemptAt_idx" ON "OutgoingPayment"("status", "nextAttemptAt");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN "outgoingPaymentId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Transaction_outgoingPaymentId_idx" ON "Transaction"("outgoingPaymentId");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "OutgoingPayment" ADD COLUMN "confirmations" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "confirmedAt" TIMESTAMP(3);
@@ -16,9 +16,24 @@ import { config } from 'dotenv';
 import { PrismaClient } from '@prisma/client';
 import AgenPayAgent from './lib/AgentPayAgent.js';
 import NotionService from './lib/NotionService.js';
-import WalletService from './lib/WalletService.js';
-import X402PayService from './lib/X402PayService.js';
-import SchedulingService from './lib/SchedulingService.js';
+import WalletService, { WalletError } from './lib/WalletService.js';
+import X402PayService, { PAYMENT_REQUEST_STATUSES } from './lib/X402PayService.js';
+import SchedulingService, { SUBSCRIPTION_INTERVALS, getRemainingRefundAmount } from './lib/SchedulingService.js';
+import EmailService from './lib/EmailService.js';
+import WebhookService, { WEBHOOK_EVENTS } from './lib/WebhookService.js';
+import PrismaCheckpointSaver from './lib/PrismaCheckpointSaver.js';
+import ChatThreadService, { getDefaultThreadId } from './lib/ChatThreadService.js';
+import ApprovalService, { APPROVAL_STATUSES } from './lib/ApprovalService.js';
+import SpendingPolicyService, { SpendingPolicyError, parseSpendingPolicy } from './lib/SpendingPolicyService.js';
+import PaymentHistoryService from './lib/PaymentHistoryService.js';
+import PriceService from './lib/PriceService.js';
+import BulkPaymentRequestService, { EMAIL_PATTERN } from './lib/BulkPaymentRequestService.js';
+import TransactionExportService, { parseExportQuery } from './lib/TransactionExportService.js';
+import LedgerService from './lib/LedgerService.js';
+import IdempotencyService, { IdempotencyError, parseIdempotencyKey } from './lib/IdempotencyService.js';
+import { isValidTimeZone } from './lib/PaymentExtractor.js';
+import { getLlmConfig, parseUserLlmSettings, describeLlmConfig } from './lib/LlmProvider.js';
+import { validateAmount, normalizeAmount, isPositiveAmount, compareAmounts, sumAmounts } from './lib/Money.js';
 
 // Load environment variables
 config();
@@ -26,13 +41,31 @@ config();
 // Initialize services
 const app = express();
 const prisma = new PrismaClient();
-const walletService = new WalletService();
-const x402PayService = new X402PayService();
-const schedulingService = new SchedulingService();
+const priceService = new PriceService();
+const spendingPolicyService = new SpendingPolicyService({ prisma });
+const ledgerService = new LedgerService({ prisma });
+const idempotencyService = new IdempotencyService({ prisma });
+const walletService = new WalletService({ prisma, spendingPolicyService, priceService, ledgerService });
+const webhookService = new WebhookService();
+const x402PayService = new X402PayService({ prisma, webhookService, priceService, ledgerService });
+const emailService = new EmailService();
+const approvalService = new ApprovalService({ prisma, emailService, priceService });
+const schedulingService = new SchedulingService({ prisma, x402PayService, emailService, webhookService, approvalService, walletService, priceService, ledgerService, idempotencyService });
+const checkpointer = new PrismaCheckpointSaver({ prisma });
+const chatThreadService = new ChatThreadService({ prisma, checkpointer });
+const paymentHistoryService = new PaymentHistoryService({ prisma });
+const bulkPaymentRequestService = new BulkPaymentRequestService({ prisma, x402PayService, emailService });
+const transactionExportService = new TransactionExportService({ prisma });
 
 // Store active agents for each user
 const activeAgents = new Map();
 
+// Payment request lifecycle rules
+// One-off requests only: subscriptions are created through /api/subscriptions, which bills each period
+const PAYMENT_TRANSACTION_TYPES = ['ask_payment', 'ask_and_refund'];
+const REFUNDABLE_REQUEST_STATUSES = ['payment_received', 'partially_refunded'];
+const CANCELLABLE_REQUEST_STATUSES = ['draft', 'scheduled', 'processing'];
+
 // 🔧 Setup X402Pay routes
 console.log('🔧 Setting up X402 payment routes...');
 app.use('/', x402PayService.app); // Mount X402Pay routes to main app
@@ -65,7 +98,7 @@ const authenticateToken = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
-      select: { id: true, email: true, name: true, notionApiKey: true, walletAddress: true },
+      select: { id: true, email: true, name: true, notionApiKey: true, walletAddress: true, walletNetwork: true, timezone: true, llmSettings: true },
     });
 
     if (!user) {
@@ -79,6 +112,63 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// 🔁 Idempotency middleware: a request retried with the same Idempotency-Key header gets the
+// stored response back instead of running again (409 if the key came with a different body)
+const idempotent = scope => async (req, res, next) => {
+  const { data: key, error } = parseIdempotencyKey(req.get('Idempotency-Key'));
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (!key) {
+    return next();
+  }
+
+  try {
+    const claim = await idempotencyService.begin({
+      userId: req.user.id,
+      scope,
+      key,
+      payload: { method: req.method, path: req.path, query: req.query, body: req.body },
+    });
+
+    if (claim.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+      res.status(claim.statusCode);
+      return typeof claim.response === 'string' ? res.send(claim.response) : res.json(claim.response);
+    }
+
+    // Store the response before it goes out, however the route sends it (res.json and res.send
+    // both finish in res.end). Server errors release the key so the client can retry, unless the
+    // route set res.locals.keepIdempotencyKey because the operation may have gone through
+    const end = res.end.bind(res);
+    res.end = (chunk, ...rest) => {
+      const body = typeof chunk === 'function' ? '' : Buffer.isBuffer(chunk) ? chunk.toString('utf8') : String(chunk ?? '');
+      let response = body;
+      if (/json/.test(res.get('Content-Type') || '')) {
+        try {
+          response = JSON.parse(body);
+        } catch {
+          // Stored as text
+        }
+      }
+      const settle = res.statusCode >= 500 && !res.locals.keepIdempotencyKey
+        ? idempotencyService.release(claim.record.id)
+        : idempotencyService.complete(claim.record.id, { statusCode: res.statusCode, response });
+      settle
+        .catch(settleError => console.error(`❌ Error storing response for idempotency key ${key}:`, settleError))
+        .finally(() => end(chunk, ...rest));
+      return res;
+    };
+    next();
+  } catch (error) {
+    if (error instanceof IdempotencyError) {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Idempotency key error:', error);
+    res.status(500).json({ error: 'Failed to process idempotency key' });
+  }
+};
+
 // 🏠 Health check
 app.get('/health', (req, res) => {
   res.json({
@@ -95,12 +185,16 @@ app.get('/health', (req, res) => {
 // 📝 User Registration
 app.post('/api/auth/register', async (req, res) => {
   try {
-    const { email, password, name } = req.body;
+    const { email, password, name, timezone } = req.body;
 
     if (!email || !password) {
       return res.status(400).json({ error: 'Email and password required' });
     }
 
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA timezone such as Europe/Paris' });
+    }
+
     // Check if user exists
     const existingUser = await prisma.user.findUnique({
       where: { email },
@@ -119,6 +213,7 @@ app.post('/api/auth/register', async (req, res) => {
         email,
         password: hashedPassword,
         name: name || email.split('@')[0],
+        ...(timezone && { timezone }),
       },
     });
 
@@ -280,7 +375,17 @@ app.post('/api/wallet/create', authenticateToken, async (req, res) => {
 // 💰 Get Wallet Info
 app.get('/api/wallet', authenticateToken, async (req, res) => {
   try {
-    const walletInfo = await walletService.getWallet(req.user.id);
+    const { network } = req.query;
+
+    const supportedNetworks = walletService.getSupportedNetworks();
+    if (network && !supportedNetworks.some(n => n.id === network)) {
+      return res.status(400).json({ 
+        error: 'Invalid network', 
+        supportedNetworks: supportedNetworks.map(n => n.id) 
+      });
+    }
+
+    const walletInfo = await walletService.getWallet(req.user.id, network);
     res.json({
       success: true,
       data: walletInfo
@@ -297,7 +402,7 @@ app.get('/api/wallet', authenticateToken, async (req, res) => {
 // 🚰 Request Testnet Tokens
 app.post('/api/wallet/faucet', authenticateToken, async (req, res) => {
   try {
-    const { network = 'base-sepolia' } = req.body;
+    const network = req.body.network || req.user.walletNetwork;
 
     // Validate network (only testnet networks support faucet)
     const supportedNetworks = walletService.getSupportedNetworks();
@@ -345,10 +450,153 @@ app.get('/api/wallet/networks', authenticateToken, async (req, res) => {
   }
 });
 
+// 🌐 Set Default Wallet Network
+app.put('/api/wallet/network', authenticateToken, async (req, res) => {
+  try {
+    const { network } = req.body;
+
+    const supportedNetworks = walletService.getSupportedNetworks();
+    if (!supportedNetworks.some(n => n.id === network)) {
+      return res.status(400).json({ 
+        error: 'Invalid network', 
+        supportedNetworks: supportedNetworks.map(n => n.id) 
+      });
+    }
+
+    if (!req.user.walletAddress) {
+      return res.status(404).json({ error: 'Wallet not found' });
+    }
+
+    const walletInfo = await walletService.setDefaultNetwork(req.user.id, network);
+
+    console.log(`✅ Default wallet network for ${req.user.email} set to ${network}`);
+    res.json({
+      success: true,
+      data: walletInfo,
+      message: `Default network set to ${network}`,
+    });
+  } catch (error) {
+    console.error('❌ Set wallet network error:', error);
+    res.status(500).json({ error: 'Failed to set wallet network' });
+  }
+});
+
+// 🕒 Set User Timezone (used by the agent to resolve dates like "next Friday")
+app.put('/api/user/timezone', authenticateToken, async (req, res) => {
+  try {
+    const { timezone } = req.body;
+
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA timezone such as Europe/Paris' });
+    }
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { timezone },
+    });
+
+    // A running agent picks the new timezone up on its next extraction
+    const agent = activeAgents.get(req.user.id);
+    if (agent) {
+      agent.config.timezone = timezone;
+    }
+
+    console.log(`✅ Timezone for ${req.user.email} set to ${timezone}`);
+    res.json({
+      success: true,
+      timezone,
+    });
+  } catch (error) {
+    console.error('❌ Set timezone error:', error);
+    res.status(500).json({ error: 'Failed to set timezone' });
+  }
+});
+
+// 🧠 Get User LLM Settings (deployment defaults with the user's overrides applied)
+app.get('/api/user/llm-settings', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      overrides: req.user.llmSettings || {},
+      llm: describeLlmConfig(getLlmConfig(req.user.llmSettings)),
+    });
+  } catch (error) {
+    console.error('❌ Get LLM settings error:', error);
+    res.status(500).json({ error: 'Failed to get LLM settings' });
+  }
+});
+
+// 🧠 Set User LLM Settings (null clears a setting back to the deployment default)
+app.put('/api/user/llm-settings', authenticateToken, async (req, res) => {
+  try {
+    const { data, error } = parseUserLlmSettings(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const merged = Object.fromEntries(
+      Object.entries({ ...(req.user.llmSettings || {}), ...data }).filter(([, value]) => value !== null)
+    );
+
+    let resolved;
+    try {
+      resolved = getLlmConfig(merged);
+    } catch (configError) {
+      return res.status(400).json({ error: configError.message });
+    }
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { llmSettings: merged },
+    });
+
+    // A running agent switches models for its next message
+    activeAgents.get(req.user.id)?.configureLlm(merged);
+
+    console.log(`✅ LLM settings for ${req.user.email} set to ${resolved.provider} ${resolved.model}`);
+    res.json({
+      success: true,
+      llm: describeLlmConfig(resolved),
+    });
+  } catch (error) {
+    console.error('❌ Set LLM settings error:', error);
+    res.status(500).json({ error: 'Failed to set LLM settings' });
+  }
+});
+
+// 💰 Get Wallet Balance
+app.get('/api/wallet/balance', authenticateToken, async (req, res) => {
+  try {
+    const network = req.query.network || req.user.walletNetwork;
+
+    const supportedNetworks = walletService.getSupportedNetworks();
+    if (!supportedNetworks.some(n => n.id === network)) {
+      return res.status(400).json({ 
+        error: 'Invalid network', 
+        supportedNetworks: supportedNetworks.map(n => n.id) 
+      });
+    }
+
+    if (!req.user.walletAddress) {
+      return res.status(404).json({ error: 'Wallet not found' });
+    }
+
+    const balance = await walletService.getWalletBalance(req.user.id, network);
+    res.json({
+      success: true,
+      network,
+      balance,
+    });
+  } catch (error) {
+    console.error('❌ Get balance error:', error);
+    res.status(500).json({ error: 'Failed to get wallet balance' });
+  }
+});
+
 // 🪙 Get Supported Tokens
 app.get('/api/wallet/tokens', authenticateToken, async (req, res) => {
   try {
-    const { network = 'base-sepolia' } = req.query;
+    const network = req.query.network || req.user.walletNetwork;
     
     const supportedNetworks = walletService.getSupportedNetworks();
     const isValidNetwork = supportedNetworks.some(n => n.id === network);
@@ -401,8 +649,13 @@ app.get('/api/wallet/status', authenticateToken, async (req, res) => {
 // 📊 Dashboard Analytics
 app.get('/api/dashboard', authenticateToken, async (req, res) => {
   try {
+    const { network } = req.query;
+    if (network && !walletService.getSupportedNetworks().some(n => n.id === network)) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+
     // Get wallet analytics
-    const walletAnalytics = await walletService.getWalletAnalytics(req.user.id);
+    const walletAnalytics = await walletService.getWalletAnalytics(req.user.id, network);
     
     // Get agent status (check if running in memory + database status)
     const isAgentRunning = activeAgents.has(req.user.id);
@@ -421,7 +674,7 @@ app.get('/api/dashboard', authenticateToken, async (req, res) => {
     const transactions = dbTransactions.map(tx => ({
       id: tx.id,
       type: tx.type.toLowerCase(), // INCOMING -> incoming, OUTGOING -> outgoing
-      amount: tx.amount.toString(),
+      amount: normalizeAmount(tx.amount),
       currency: tx.currency,
       status: tx.status.toLowerCase(), // COMPLETED -> completed
       createdAt: tx.createdAt.toISOString(),
@@ -444,10 +697,8 @@ app.get('/api/dashboard', authenticateToken, async (req, res) => {
 
     // Calculate analytics from real transaction data
     const analytics = {
-      totalSent: transactions.filter(tx => tx.type === 'outgoing' && tx.status === 'completed')
-        .reduce((sum, tx) => sum + parseFloat(tx.amount), 0),
-      totalReceived: transactions.filter(tx => tx.type === 'incoming' && tx.status === 'completed')
-        .reduce((sum, tx) => sum + parseFloat(tx.amount), 0),
+      totalSent: sumAmounts(transactions.filter(tx => tx.type === 'outgoing' && tx.status === 'completed').map(tx => tx.amount)),
+      totalReceived: sumAmounts(transactions.filter(tx => tx.type === 'incoming' && tx.status === 'completed').map(tx => tx.amount)),
       totalTransactions: transactions.length,
       successRate: transactions.length > 0 
         ? (transactions.filter(tx => tx.status === 'completed').length / transactions.length) * 100 
@@ -470,9 +721,9 @@ app.get('/api/dashboard', authenticateToken, async (req, res) => {
         totalProcessed: agent?.totalProcessed || 0,
         totalSent: agent?.totalSent || 0,
         totalReceived: agent?.totalReceived || 0,
-        totalAmountSent: agent?.totalAmountSent || 0,
-        totalAmountReceived: agent?.totalAmountReceived || 0,
-        threadId: `user-${req.user.id}-chat-session` // For conversation continuity
+        totalAmountSent: normalizeAmount(agent?.totalAmountSent ?? 0),
+        totalAmountReceived: normalizeAmount(agent?.totalAmountReceived ?? 0),
+        threadId: getDefaultThreadId(req.user.id) // For conversation continuity
       },
       transactions,
       analytics, // ✅ Added: Real analytics calculated from transactions
@@ -505,10 +756,21 @@ app.post('/api/agent/start', authenticateToken, async (req, res) => {
     // Create and start agent with shared services
     const userConfig = {
       notionApiKey: req.user.notionApiKey,
+      timezone: req.user.timezone,
+      llm: req.user.llmSettings,
     };
 
     const sharedServices = {
       x402PayService: x402PayService,  // Pass the shared X402PayService instance
+      emailService: emailService,
+      schedulingService: schedulingService,
+      checkpointer: checkpointer,
+      chatThreadService: chatThreadService,
+      approvalService: approvalService,
+      walletService: walletService,
+      paymentHistoryService: paymentHistoryService,
+      ledgerService: ledgerService,
+      idempotencyService: idempotencyService,
     };
 
     const agent = new AgenPayAgent(req.user.id, userConfig, sharedServices);
@@ -554,6 +816,37 @@ app.post('/api/agent/stop', authenticateToken, async (req, res) => {
   }
 });
 
+// 🤖 Get the user's agent, creating one (without monitoring) for chat if needed
+const getOrCreateAgent = (user) => {
+  let agent = activeAgents.get(user.id);
+
+  if (!agent) {
+    const userConfig = {
+      notionApiKey: user.notionApiKey,
+      timezone: user.timezone,
+      llm: user.llmSettings,
+    };
+
+    const sharedServices = {
+      x402PayService: x402PayService,  // Pass the shared X402PayService instance
+      emailService: emailService,
+      schedulingService: schedulingService,
+      checkpointer: checkpointer,
+      chatThreadService: chatThreadService,
+      approvalService: approvalService,
+      walletService: walletService,
+      paymentHistoryService: paymentHistoryService,
+      ledgerService: ledgerService,
+      idempotencyService: idempotencyService,
+    };
+
+    agent = new AgenPayAgent(user.id, userConfig, sharedServices);
+    activeAgents.set(user.id, agent);
+  }
+
+  return agent;
+};
+
 // 💬 Process Payment (Chat with Agent)
 app.post('/api/agent/process', authenticateToken, async (req, res) => {
   try {
@@ -563,24 +856,21 @@ app.post('/api/agent/process', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Message required' });
     }
 
-    // Get or create agent
-    let agent = activeAgents.get(req.user.id);
-    
-    if (!agent) {
-      const userConfig = {
-        notionApiKey: req.user.notionApiKey,
-      };
-      
-      const sharedServices = {
-        x402PayService: x402PayService,  // Pass the shared X402PayService instance
-      };
-      
-      agent = new AgenPayAgent(req.user.id, userConfig, sharedServices);
-      activeAgents.set(req.user.id, agent);
+    // A retried message with the same Idempotency-Key reuses the payment links it already created
+    const { data: idempotencyKey, error: keyError } = parseIdempotencyKey(req.get('Idempotency-Key'));
+    if (keyError) {
+      return res.status(400).json({ error: keyError });
+    }
+
+    if (threadId && await chatThreadService.isForeignThread(req.user.id, threadId)) {
+      return res.status(404).json({ error: 'Chat thread not found' });
     }
 
+    // Get or create agent
+    const agent = getOrCreateAgent(req.user);
+
     // Process payment request
-    const result = await agent.processPayment(message, threadId);
+    const result = await agent.processPayment(message, threadId, { idempotencyKey });
 
     // Extract the AI's response from the processed result
     let aiResponse = 'I apologize, but I encountered an issue processing your request. Please try again.';
@@ -606,6 +896,11 @@ app.post('/api/agent/process', authenticateToken, async (req, res) => {
       console.log('⚠️ No messages found in result');
     }
 
+    // A paused graph ends on the tool calls awaiting approval, not on a reply
+    if (result.approval) {
+      aiResponse = result.approval.message;
+    }
+
     console.log(`✅ Payment processed for user ${req.user.email}: ${aiResponse.substring(0, 100)}...`);
     
     res.json({
@@ -613,6 +908,7 @@ app.post('/api/agent/process', authenticateToken, async (req, res) => {
       data: {
         response: aiResponse,
         threadId: result.threadId,
+        approval: result.approval,
         fullResult: result, // Include full result for debugging
       }
     });
@@ -625,124 +921,1448 @@ app.post('/api/agent/process', authenticateToken, async (req, res) => {
   }
 });
 
-// 📈 Transaction History
-app.get('/api/transactions', authenticateToken, async (req, res) => {
+// 📡 Process Payment with Streamed Progress (Server-Sent Events)
+app.post('/api/agent/process/stream', authenticateToken, async (req, res) => {
+  const { message, threadId } = req.body;
+
+  if (!message) {
+    return res.status(400).json({ error: 'Message required' });
+  }
+
+  const { data: idempotencyKey, error: keyError } = parseIdempotencyKey(req.get('Idempotency-Key'));
+  if (keyError) {
+    return res.status(400).json({ error: keyError });
+  }
+
   try {
-    const { limit = 20, type, status } = req.query;
+    if (threadId && await chatThreadService.isForeignThread(req.user.id, threadId)) {
+      return res.status(404).json({ error: 'Chat thread not found' });
+    }
+  } catch (error) {
+    console.error('❌ Chat thread lookup error:', error);
+    return res.status(500).json({ error: 'Payment processing failed' });
+  }
 
-    const where = { userId: req.user.id };
-    if (type) where.type = type;
-    if (status) where.status = status;
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
 
-    const transactions = await prisma.transaction.findMany({
-      where,
-      orderBy: { createdAt: 'desc' },
-      take: parseInt(limit),
-    });
+  // The tool chain keeps running if the client goes away; we just stop writing
+  let clientGone = false;
+  res.on('close', () => { clientGone = true; });
+
+  const sendEvent = (event, data) => {
+    if (!clientGone) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+  const keepAlive = setInterval(() => {
+    if (!clientGone) res.write(': ping\n\n');
+  }, 15000);
+
+  try {
+    const agent = getOrCreateAgent(req.user);
+    await agent.streamPayment(message, threadId, sendEvent, { idempotencyKey });
+    console.log(`✅ Streamed payment processed for user ${req.user.email}`);
+  } catch (error) {
+    console.error('❌ Streamed payment processing error:', error);
+    sendEvent('error', { error: 'Payment processing failed' });
+  } finally {
+    clearInterval(keepAlive);
+    res.end();
+  }
+});
+
+// 🧵 List Chat Threads
+app.get('/api/agent/threads', authenticateToken, async (req, res) => {
+  try {
+    const threads = await chatThreadService.listThreads(req.user.id);
 
     res.json({
       success: true,
-      transactions,
-      total: transactions.length,
+      threads,
+      defaultThreadId: getDefaultThreadId(req.user.id),
     });
   } catch (error) {
-    console.error('❌ Transaction history error:', error);
-    res.status(500).json({ error: 'Failed to retrieve transactions' });
+    console.error('❌ List chat threads error:', error);
+    res.status(500).json({ error: 'Failed to retrieve chat threads' });
   }
 });
 
-// 💸 Send Crypto
-app.post('/api/wallet/send', authenticateToken, async (req, res) => {
+// ➕ Start Chat Thread
+app.post('/api/agent/threads', authenticateToken, async (req, res) => {
   try {
-    const { toAddress, amount, currency = 'ETH', network = 'base-sepolia' } = req.body;
+    const { title } = req.body;
 
-    if (!toAddress || !amount) {
-      return res.status(400).json({ error: 'Recipient address and amount required' });
+    if (title !== undefined && title !== null && typeof title !== 'string') {
+      return res.status(400).json({ error: 'title must be a string' });
     }
 
-    if (!walletService.validateAddress(toAddress)) {
-      return res.status(400).json({ error: 'Invalid recipient address' });
+    const thread = await chatThreadService.createThread(req.user.id, { title });
+
+    res.status(201).json({
+      success: true,
+      thread,
+    });
+  } catch (error) {
+    console.error('❌ Create chat thread error:', error);
+    res.status(500).json({ error: 'Failed to create chat thread' });
+  }
+});
+
+// 📜 Chat Thread History
+app.get('/api/agent/threads/:threadId', authenticateToken, async (req, res) => {
+  try {
+    const thread = await chatThreadService.getThread(req.user.id, req.params.threadId);
+
+    if (!thread) {
+      return res.status(404).json({ error: 'Chat thread not found' });
     }
 
-    // Validate network
-    const supportedNetworks = walletService.getSupportedNetworks();
-    const isValidNetwork = supportedNetworks.some(n => n.id === network);
-    if (!isValidNetwork) {
-      return res.status(400).json({ 
-        error: 'Invalid network', 
-        supportedNetworks: supportedNetworks.map(n => n.id) 
-      });
+    res.json({
+      success: true,
+      thread,
+    });
+  } catch (error) {
+    console.error('❌ Chat thread history error:', error);
+    res.status(500).json({ error: 'Failed to retrieve chat thread' });
+  }
+});
+
+// 🗑️ Delete Chat Thread
+app.delete('/api/agent/threads/:threadId', authenticateToken, async (req, res) => {
+  try {
+    const thread = await chatThreadService.deleteThread(req.user.id, req.params.threadId);
+
+    if (!thread) {
+      return res.status(404).json({ error: 'Chat thread not found' });
     }
 
-    // Validate currency for network
-    const supportedTokens = walletService.getSupportedTokens(network);
-    const isValidCurrency = supportedTokens.some(t => t.symbol.toUpperCase() === currency.toUpperCase());
-    if (!isValidCurrency) {
-      return res.status(400).json({ 
-        error: 'Invalid currency for network', 
-        supportedTokens: supportedTokens.map(t => t.symbol) 
-      });
+    res.json({
+      success: true,
+      message: 'Chat thread deleted',
+    });
+  } catch (error) {
+    console.error('❌ Delete chat thread error:', error);
+    res.status(500).json({ error: 'Failed to delete chat thread' });
+  }
+});
+
+// 🛡️ List Agent Approvals
+app.get('/api/approvals', authenticateToken, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !APPROVAL_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${APPROVAL_STATUSES.join(', ')}` });
     }
 
-    const result = await walletService.sendCrypto(req.user.id, toAddress, amount, currency, network);
+    const approvals = await approvalService.listApprovals(req.user.id, { status });
 
-    console.log(`✅ ${amount} ${currency} sent by user ${req.user.email} on ${network}`);
     res.json({
       success: true,
-      data: result,
-      message: 'Crypto sent successfully'
+      approvals,
+      thresholdUsd: await approvalService.getThresholdUsd(req.user.id),
     });
   } catch (error) {
-    console.error('❌ Send crypto error:', error);
-    res.status(500).json({ error: 'Failed to send crypto' });
+    console.error('❌ List approvals error:', error);
+    res.status(500).json({ error: 'Failed to retrieve approvals' });
   }
 });
 
+// ⚙️ Update Approval Threshold
+app.put('/api/approvals/settings', authenticateToken, async (req, res) => {
+  try {
+    const { thresholdUsd } = req.body;
 
+    if (thresholdUsd !== null && (typeof thresholdUsd !== 'number' || !Number.isFinite(thresholdUsd) || thresholdUsd < 0)) {
+      return res.status(400).json({ error: 'thresholdUsd must be a non-negative number, or null to use the default' });
+    }
 
-// 📊 Agent Status
-app.get('/api/agent/status', authenticateToken, async (req, res) => {
-  try {
-    const isRunning = activeAgents.has(req.user.id);
-    
-    const agentRecord = await prisma.agent.findUnique({
-      where: { userId: req.user.id },
-    });
+    const settings = await approvalService.setThresholdUsd(req.user.id, thresholdUsd);
 
     res.json({
       success: true,
-      isRunning,
-      status: agentRecord?.status || 'STOPPED',
-      lastActivity: agentRecord?.lastActivity,
-      stats: agentRecord ? {
-        totalProcessed: agentRecord.totalProcessed,
-        totalSent: agentRecord.totalSent,
-        totalReceived: agentRecord.totalReceived,
-        totalAmountSent: agentRecord.totalAmountSent,
-        totalAmountReceived: agentRecord.totalAmountReceived,
-      } : null,
+      ...settings,
     });
   } catch (error) {
-    console.error('❌ Agent status error:', error);
-    res.status(500).json({ error: 'Failed to get agent status' });
+    console.error('❌ Update approval settings error:', error);
+    res.status(500).json({ error: 'Failed to update approval settings' });
   }
 });
 
-// 🔄 Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('\n🛑 Shutting down server...');
-  
-  // Stop all active agents
-  for (const [userId, agent] of activeAgents) {
-    try {
-      await agent.cleanup();
-      console.log(`✅ Agent cleaned up for user ${userId}`);
-    } catch (error) {
-      console.error(`❌ Error cleaning up agent for user ${userId}:`, error);
+// 🔍 Get Agent Approval
+app.get('/api/approvals/:id', authenticateToken, async (req, res) => {
+  try {
+    const approval = await approvalService.getApproval(req.user.id, req.params.id);
+
+    if (!approval) {
+      return res.status(404).json({ error: 'Approval not found' });
     }
-  }
-  
-  // Disconnect from database
+
+    res.json({
+      success: true,
+      approval,
+    });
+  } catch (error) {
+    console.error('❌ Get approval error:', error);
+    res.status(500).json({ error: 'Failed to retrieve approval' });
+  }
+});
+
+// ✅❌ Approve or Reject an Agent Action, then resume the paused conversation
+const decideApproval = (decision) => async (req, res) => {
+  try {
+    // Only the request that decides the approval resumes the conversation
+    const decided = await approvalService.decide(req.user.id, req.params.id, decision);
+
+    if (!decided) {
+      const approval = await approvalService.getApproval(req.user.id, req.params.id);
+      if (!approval) {
+        return res.status(404).json({ error: 'Approval not found' });
+      }
+      if (approval.status === 'expired') {
+        return res.status(410).json({ error: 'Approval expired', approval });
+      }
+      return res.status(409).json({ error: `Approval already ${approval.status}`, approval });
+    }
+
+    const agent = getOrCreateAgent(req.user);
+    const result = await agent.resumeApproval(decided);
+
+    if (decided.status === 'expired') {
+      return res.status(410).json({ error: 'Approval expired', approval: decided });
+    }
+
+    const lastMessage = result?.messages?.[result.messages.length - 1];
+    const response = result?.approval
+      ? result.approval.message
+      : typeof lastMessage?.content === 'string' ? lastMessage.content : null;
+
+    console.log(`✅ Approval ${decided.id} ${decided.status} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      approval: decided,
+      data: {
+        response,
+        threadId: decided.threadId,
+        approval: result?.approval || null,
+      },
+    });
+  } catch (error) {
+    console.error(`❌ Approval ${decision} error:`, error);
+    res.status(500).json({ error: 'Failed to process approval' });
+  }
+};
+
+app.post('/api/approvals/:id/approve', authenticateToken, decideApproval('approved'));
+app.post('/api/approvals/:id/reject', authenticateToken, decideApproval('rejected'));
+
+// 📈 Transaction History
+app.get('/api/transactions', authenticateToken, async (req, res) => {
+  try {
+    const { limit = 20, type, status } = req.query;
+
+    const where = { userId: req.user.id };
+    if (type) where.type = type;
+    if (status) where.status = status;
+
+    const transactions = await prisma.transaction.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: parseInt(limit),
+    });
+
+    res.json({
+      success: true,
+      transactions,
+      total: transactions.length,
+    });
+  } catch (error) {
+    console.error('❌ Transaction history error:', error);
+    res.status(500).json({ error: 'Failed to retrieve transactions' });
+  }
+});
+
+// 📤 Export Transactions for a period, as CSV or as a double-entry journal
+// Query: format (csv, journal), from, to (YYYY-MM-DD in the user's timezone, or ISO), type, currency, status
+app.get('/api/transactions/export', authenticateToken, async (req, res) => {
+  try {
+    const { data: filters, error } = parseExportQuery(req.query, { timeZone: req.user.timezone });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { content, fileName, transactionCount, unpricedCount } = await transactionExportService.export(req.user.id, filters);
+
+    res.set('X-Transaction-Count', String(transactionCount));
+    // Transactions recorded before USD values were captured, or with no price at the time
+    res.set('X-Unpriced-Transactions', String(unpricedCount));
+    res.type('text/csv');
+    res.attachment(fileName);
+    res.send(content);
+  } catch (error) {
+    console.error('❌ Transaction export error:', error);
+    res.status(500).json({ error: 'Failed to export transactions' });
+  }
+});
+
+// 📒 Ledger Balances per account, and of the wallet per network and currency
+app.get('/api/ledger/balances', authenticateToken, async (req, res) => {
+  try {
+    const balances = await ledgerService.getBalances(req.user.id, { network: req.query.network || null });
+    res.json({
+      success: true,
+      ...balances,
+    });
+  } catch (error) {
+    console.error('❌ Ledger balances error:', error);
+    res.status(500).json({ error: 'Failed to get ledger balances' });
+  }
+});
+
+// 📒 Ledger Journal Entries, newest first
+app.get('/api/ledger/entries', authenticateToken, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const entries = await ledgerService.listEntries(req.user.id, { limit, offset });
+    res.json({
+      success: true,
+      entries,
+      total: entries.length,
+    });
+  } catch (error) {
+    console.error('❌ Ledger entries error:', error);
+    res.status(500).json({ error: 'Failed to retrieve ledger entries' });
+  }
+});
+
+// 🧮 Reconcile the ledger with the on-chain wallet balance
+app.get('/api/ledger/reconciliation', authenticateToken, async (req, res) => {
+  try {
+    const network = req.query.network || req.user.walletNetwork;
+
+    const supportedNetworks = walletService.getSupportedNetworks();
+    if (!supportedNetworks.some(n => n.id === network)) {
+      return res.status(400).json({
+        error: 'Invalid network',
+        supportedNetworks: supportedNetworks.map(n => n.id)
+      });
+    }
+
+    if (!req.user.walletAddress) {
+      return res.status(404).json({ error: 'Wallet not found' });
+    }
+
+    const balance = await walletService.getWalletBalance(req.user.id, network);
+    const reconciliation = await ledgerService.reconcile(req.user.id, balance);
+    res.json({
+      success: true,
+      reconciliation,
+    });
+  } catch (error) {
+    console.error('❌ Ledger reconciliation error:', error);
+    res.status(500).json({ error: 'Failed to reconcile ledger' });
+  }
+});
+
+// 📒 Post ledger entries for transactions recorded before the ledger existed (safe to repeat)
+app.post('/api/ledger/backfill', authenticateToken, async (req, res) => {
+  try {
+    const result = await ledgerService.backfillFromTransactions(req.user.id);
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    console.error('❌ Ledger backfill error:', error);
+    res.status(500).json({ error: 'Failed to backfill ledger' });
+  }
+});
+
+// 🧾 Create Payment Request
+app.post('/api/payment-requests', authenticateToken, idempotent('payment_request'), async (req, res) => {
+  try {
+    const {
+      amount,
+      currency = 'USDC',
+      network = 'base-sepolia',
+      recipientEmail,
+      recipientName,
+      description,
+      transactionType = 'ask_payment',
+      scheduleType = 'immediate',
+      scheduledDate,
+      refundDelayDays = null,
+      refundPercentage = 100,
+      refundDate = null,
+      expiresAt = null,
+      sendEmail = true,
+    } = req.body;
+
+    if (!amount) {
+      return res.status(400).json({ error: 'A positive amount is required' });
+    }
+
+    if (typeof currency !== 'string' || !currency.trim()) {
+      return res.status(400).json({ error: 'currency must be a token symbol, e.g. USDC' });
+    }
+
+    if (recipientEmail !== undefined && recipientEmail !== null && (typeof recipientEmail !== 'string' || !EMAIL_PATTERN.test(recipientEmail))) {
+      return res.status(400).json({ error: 'recipientEmail must be an email address' });
+    }
+
+    const amountCheck = validateAmount(amount, { currency });
+    if (amountCheck.error) {
+      return res.status(400).json({ error: amountCheck.error });
+    }
+
+    if (transactionType === 'subscription') {
+      return res.status(400).json({
+        error: 'Subscriptions are billed every period: create them with POST /api/subscriptions',
+        transactionTypes: PAYMENT_TRANSACTION_TYPES
+      });
+    }
+    if (!PAYMENT_TRANSACTION_TYPES.includes(transactionType)) {
+      return res.status(400).json({ 
+        error: 'Invalid transaction type', 
+        transactionTypes: PAYMENT_TRANSACTION_TYPES 
+      });
+    }
+
+    if (!['immediate', 'scheduled'].includes(scheduleType)) {
+      return res.status(400).json({ error: 'Schedule type must be immediate or scheduled' });
+    }
+
+    if (scheduleType === 'scheduled' && (!scheduledDate || isNaN(new Date(scheduledDate).getTime()))) {
+      return res.status(400).json({ error: 'A valid scheduledDate is required for scheduled requests' });
+    }
+
+    if (refundDelayDays !== null && (!Number.isInteger(refundDelayDays) || refundDelayDays < 0)) {
+      return res.status(400).json({ error: 'refundDelayDays must be a non-negative whole number of days' });
+    }
+
+    if (typeof refundPercentage !== 'number' || refundPercentage <= 0 || refundPercentage > 100) {
+      return res.status(400).json({ error: 'refundPercentage must be greater than 0 and at most 100' });
+    }
+
+    if (refundDate && isNaN(new Date(refundDate).getTime())) {
+      return res.status(400).json({ error: 'refundDate must be a valid date' });
+    }
+
+    if (expiresAt) {
+      const expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({ error: 'expiresAt must be a valid future date' });
+      }
+      if (scheduleType === 'scheduled' && expiry <= new Date(scheduledDate)) {
+        return res.status(400).json({ error: 'expiresAt must be after scheduledDate' });
+      }
+    }
+
+    const supportedNetworks = walletService.getSupportedNetworks();
+    if (!supportedNetworks.some(n => n.id === network)) {
+      return res.status(400).json({ 
+        error: 'Invalid network', 
+        supportedNetworks: supportedNetworks.map(n => n.id) 
+      });
+    }
+
+    if (!await walletService.hasWallet(req.user.id)) {
+      return res.status(400).json({ error: 'Create a wallet before requesting payments' });
+    }
+
+    const result = await x402PayService.createPaymentRequest({
+      userId: req.user.id,
+      amount,
+      currency: currency.trim().toUpperCase(),
+      network,
+      recipientEmail,
+      recipientName,
+      description: description || 'Payment request',
+      transactionType,
+      scheduleType,
+      scheduledDate,
+      refundDelayDays,
+      refundPercentage,
+      refundDate,
+      expiresAt,
+    });
+
+    // Email immediately payable requests straight away
+    let emailSent = false;
+    if (sendEmail && recipientEmail && scheduleType === 'immediate') {
+      try {
+        await emailService.sendPaymentRequestEmail({
+          to: recipientEmail,
+          amount: result.request.amount,
+          currency: result.request.currency,
+          description: result.request.description,
+          paymentLink: result.x402PayLink,
+          recipientName,
+          transactionType,
+          refundDelayDays: result.request.refundDelayDays,
+          refundPercentage: result.request.refundPercentage,
+          refundDate: result.request.refundDate,
+          expiresAt: result.request.expiresAt,
+        });
+        emailSent = true;
+      } catch (emailError) {
+        console.error('❌ Payment request email failed:', emailError);
+      }
+    }
+
+    console.log(`✅ Payment request ${result.paymentId} created by user ${req.user.email}`);
+    res.status(201).json({
+      success: true,
+      data: {
+        ...result.request,
+        emailSent,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Create payment request error:', error);
+    res.status(500).json({ error: 'Failed to create payment request' });
+  }
+});
+
+// 📦 Bulk Create Payment Requests from a CSV upload
+// Send JSON { csv, fileName, network, sendEmail, skipInvalidRows, dryRun }, or the CSV itself
+// as text/csv with the options in the query string. dryRun only validates and previews.
+app.post('/api/payment-requests/bulk', authenticateToken, express.text({ type: 'text/csv', limit: '2mb' }), idempotent('payment_request_batch'), async (req, res) => {
+  try {
+    const isCsvBody = typeof req.body === 'string';
+    const options = isCsvBody ? req.query : req.body;
+    const csv = isCsvBody ? req.body : req.body.csv;
+    const flag = value => value === true || value === 'true';
+
+    const network = options.network || 'base-sepolia';
+    const supportedNetworks = walletService.getSupportedNetworks();
+    if (!supportedNetworks.some(n => n.id === network)) {
+      return res.status(400).json({ 
+        error: 'Invalid network', 
+        supportedNetworks: supportedNetworks.map(n => n.id) 
+      });
+    }
+
+    if (flag(options.dryRun)) {
+      const { data, error } = bulkPaymentRequestService.preview(csv, { timeZone: req.user.timezone });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      return res.json({ success: true, dryRun: true, data });
+    }
+
+    if (!await walletService.hasWallet(req.user.id)) {
+      return res.status(400).json({ error: 'Create a wallet before requesting payments' });
+    }
+
+    const { batch, error, preview } = await bulkPaymentRequestService.createBatch(req.user.id, csv, {
+      network,
+      timeZone: req.user.timezone,
+      fileName: options.fileName || null,
+      sendEmail: options.sendEmail === undefined ? true : flag(options.sendEmail),
+      skipInvalidRows: flag(options.skipInvalidRows),
+    });
+
+    if (error) {
+      return res.status(400).json({ error, ...(preview && { data: preview }) });
+    }
+
+    console.log(`✅ Bulk batch ${batch.id} created by user ${req.user.email}`);
+    res.status(201).json({
+      success: true,
+      data: batch,
+    });
+  } catch (error) {
+    console.error('❌ Bulk create payment requests error:', error);
+    res.status(500).json({ error: 'Failed to create payment requests' });
+  }
+});
+
+// 📦 List Bulk Upload Batches
+app.get('/api/payment-requests/bulk', authenticateToken, async (req, res) => {
+  try {
+    const batches = await bulkPaymentRequestService.listBatches(req.user.id, { limit: req.query.limit });
+
+    res.json({
+      success: true,
+      data: batches,
+    });
+  } catch (error) {
+    console.error('❌ List bulk batches error:', error);
+    res.status(500).json({ error: 'Failed to list bulk uploads' });
+  }
+});
+
+// 📦 Get Bulk Upload Batch (status and per-row results)
+app.get('/api/payment-requests/bulk/:batchId', authenticateToken, async (req, res) => {
+  try {
+    const batch = await bulkPaymentRequestService.getBatch(req.user.id, req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Bulk upload not found' });
+    }
+
+    res.json({
+      success: true,
+      data: batch,
+    });
+  } catch (error) {
+    console.error('❌ Get bulk batch error:', error);
+    res.status(500).json({ error: 'Failed to get bulk upload' });
+  }
+});
+
+// 📥 Download Bulk Upload Results as CSV
+app.get('/api/payment-requests/bulk/:batchId/results.csv', authenticateToken, async (req, res) => {
+  try {
+    const batch = await bulkPaymentRequestService.getBatch(req.user.id, req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Bulk upload not found' });
+    }
+
+    res.type('text/csv');
+    res.attachment(`payment-requests-${batch.id}.csv`);
+    res.send(bulkPaymentRequestService.toResultsCsv(batch));
+  } catch (error) {
+    console.error('❌ Download bulk results error:', error);
+    res.status(500).json({ error: 'Failed to download bulk upload results' });
+  }
+});
+
+// 📋 List Payment Requests
+app.get('/api/payment-requests', authenticateToken, async (req, res) => {
+  try {
+    const { status, currency, from, to, page = 1, limit = 20 } = req.query;
+
+    if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    if (status && !PAYMENT_REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status', statuses: PAYMENT_REQUEST_STATUSES });
+    }
+
+    if (currency && typeof currency !== 'string') {
+      return res.status(400).json({ error: 'currency must be a single token symbol' });
+    }
+
+    const result = await x402PayService.listPaymentRequests(req.user.id, {
+      status,
+      currency,
+      from,
+      to,
+      page,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      requests: result.requests,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error('❌ List payment requests error:', error);
+    res.status(500).json({ error: 'Failed to retrieve payment requests' });
+  }
+});
+
+// 📊 Payment Request Stats
+app.get('/api/payment-requests/stats', authenticateToken, async (req, res) => {
+  try {
+    const stats = await x402PayService.getPaymentStats(req.user.id);
+    res.json({
+      success: true,
+      stats,
+    });
+  } catch (error) {
+    console.error('❌ Payment request stats error:', error);
+    res.status(500).json({ error: 'Failed to retrieve payment request stats' });
+  }
+});
+
+// 🔎 Get Payment Request
+app.get('/api/payment-requests/:id', authenticateToken, async (req, res) => {
+  try {
+    const paymentRequest = await x402PayService.getPaymentRequest(req.params.id, req.user.id);
+
+    if (!paymentRequest) {
+      return res.status(404).json({ error: 'Payment request not found' });
+    }
+
+    res.json({
+      success: true,
+      data: paymentRequest,
+    });
+  } catch (error) {
+    console.error('❌ Get payment request error:', error);
+    res.status(500).json({ error: 'Failed to retrieve payment request' });
+  }
+});
+
+// 🚫 Cancel Payment Request
+app.post('/api/payment-requests/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const paymentRequest = await x402PayService.getPaymentRequest(req.params.id, req.user.id);
+
+    if (!paymentRequest) {
+      return res.status(404).json({ error: 'Payment request not found' });
+    }
+
+    if (!CANCELLABLE_REQUEST_STATUSES.includes(paymentRequest.status)) {
+      return res.status(409).json({ 
+        error: `Payment request cannot be cancelled in status ${paymentRequest.status}` 
+      });
+    }
+
+    const cancelled = await x402PayService.cancelPaymentRequest(paymentRequest.id);
+
+    console.log(`✅ Payment request ${paymentRequest.id} cancelled by user ${req.user.email}`);
+    res.json({
+      success: true,
+      data: cancelled,
+      message: 'Payment request cancelled',
+    });
+  } catch (error) {
+    console.error('❌ Cancel payment request error:', error);
+    res.status(500).json({ error: 'Failed to cancel payment request' });
+  }
+});
+
+// 📧 Resend Payment Request Email
+app.post('/api/payment-requests/:id/resend', authenticateToken, async (req, res) => {
+  try {
+    const paymentRequest = await x402PayService.getPaymentRequest(req.params.id, req.user.id);
+
+    if (!paymentRequest) {
+      return res.status(404).json({ error: 'Payment request not found' });
+    }
+
+    if (paymentRequest.status !== 'processing') {
+      return res.status(409).json({ 
+        error: `Only active payment requests can be re-sent (status: ${paymentRequest.status})` 
+      });
+    }
+
+    if (paymentRequest.expiresAt && paymentRequest.expiresAt <= new Date()) {
+      return res.status(409).json({ error: 'Payment link has expired, create a new payment request' });
+    }
+
+    if (!paymentRequest.recipientEmail) {
+      return res.status(400).json({ error: 'Payment request has no recipient email' });
+    }
+
+    await emailService.sendPaymentRequestEmail({
+      to: paymentRequest.recipientEmail,
+      amount: paymentRequest.amount,
+      currency: paymentRequest.currency,
+      description: paymentRequest.description,
+      paymentLink: paymentRequest.x402PayLink,
+      recipientName: paymentRequest.recipientName,
+      transactionType: paymentRequest.transactionType,
+      refundDelayDays: paymentRequest.refundDelayDays,
+      refundPercentage: paymentRequest.refundPercentage,
+      refundDate: paymentRequest.refundDate,
+      expiresAt: paymentRequest.expiresAt,
+    });
+
+    console.log(`✅ Payment request ${paymentRequest.id} re-sent to ${paymentRequest.recipientEmail}`);
+    res.json({
+      success: true,
+      message: `Payment request email sent to ${paymentRequest.recipientEmail}`,
+    });
+  } catch (error) {
+    console.error('❌ Resend payment request error:', error);
+    res.status(500).json({ error: 'Failed to resend payment request' });
+  }
+});
+
+// 💸 Refund Payment Request Now (full remaining refund, or a partial amount)
+app.post('/api/payment-requests/:id/refund', authenticateToken, async (req, res) => {
+  try {
+    const { amount = null } = req.body;
+    const paymentRequest = await x402PayService.getPaymentRequest(req.params.id, req.user.id);
+
+    if (!paymentRequest) {
+      return res.status(404).json({ error: 'Payment request not found' });
+    }
+
+    if (paymentRequest.transactionType !== 'ask_and_refund') {
+      return res.status(409).json({ error: 'Only ask_and_refund payment requests can be refunded' });
+    }
+
+    if (!REFUNDABLE_REQUEST_STATUSES.includes(paymentRequest.status)) {
+      return res.status(409).json({ 
+        error: `Payment request cannot be refunded (status: ${paymentRequest.status})` 
+      });
+    }
+
+    if (amount !== null && !isPositiveAmount(amount)) {
+      return res.status(400).json({ error: 'Refund amount must be a positive number' });
+    }
+
+    const remaining = getRemainingRefundAmount(paymentRequest);
+    if (amount !== null && compareAmounts(amount, remaining) > 0) {
+      return res.status(400).json({ 
+        error: `Refund amount exceeds the ${remaining} ${paymentRequest.currency} still refundable` 
+      });
+    }
+
+    const result = await schedulingService.triggerRefund(paymentRequest, amount);
+
+    console.log(`✅ Refund for ${paymentRequest.id} triggered by user ${req.user.email}`);
+    res.json({
+      success: true,
+      data: result,
+      message: `Refunded ${result.refund.amount} ${paymentRequest.currency}`,
+    });
+  } catch (error) {
+    if (error instanceof SpendingPolicyError) {
+      return res.status(403).json({ error: error.message, code: error.code, violations: error.violations });
+    }
+    console.error('❌ Refund payment request error:', error);
+    res.status(500).json({ error: 'Failed to refund payment request' });
+  }
+});
+
+// 🚫 Cancel Pending Refund
+app.post('/api/payment-requests/:id/refund/cancel', authenticateToken, async (req, res) => {
+  try {
+    const paymentRequest = await x402PayService.getPaymentRequest(req.params.id, req.user.id);
+
+    if (!paymentRequest) {
+      return res.status(404).json({ error: 'Payment request not found' });
+    }
+
+    if (!paymentRequest.refundDate || !REFUNDABLE_REQUEST_STATUSES.includes(paymentRequest.status)) {
+      return res.status(409).json({ error: 'Payment request has no pending refund' });
+    }
+
+    const refund = await schedulingService.cancelScheduledRefund(paymentRequest);
+
+    console.log(`✅ Pending refund for ${paymentRequest.id} cancelled by user ${req.user.email}`);
+    res.json({
+      success: true,
+      data: refund,
+      message: 'Pending refund cancelled',
+    });
+  } catch (error) {
+    console.error('❌ Cancel refund error:', error);
+    res.status(500).json({ error: 'Failed to cancel pending refund' });
+  }
+});
+
+// 🔁 Create Subscription
+app.post('/api/subscriptions', authenticateToken, async (req, res) => {
+  try {
+    const {
+      amount,
+      currency = 'USDC',
+      network = 'base-sepolia',
+      recipientEmail,
+      recipientName,
+      description,
+      interval = 'monthly',
+      startDate,
+    } = req.body;
+
+    if (!amount) {
+      return res.status(400).json({ error: 'A positive amount is required' });
+    }
+
+    const amountCheck = validateAmount(amount, { currency });
+    if (amountCheck.error) {
+      return res.status(400).json({ error: amountCheck.error });
+    }
+
+    if (!recipientEmail) {
+      return res.status(400).json({ error: 'Recipient email required' });
+    }
+
+    if (!SUBSCRIPTION_INTERVALS.includes(interval)) {
+      return res.status(400).json({ 
+        error: 'Invalid billing interval', 
+        intervals: SUBSCRIPTION_INTERVALS 
+      });
+    }
+
+    if (startDate && isNaN(new Date(startDate).getTime())) {
+      return res.status(400).json({ error: 'Invalid startDate' });
+    }
+
+    const supportedNetworks = walletService.getSupportedNetworks();
+    if (!supportedNetworks.some(n => n.id === network)) {
+      return res.status(400).json({ 
+        error: 'Invalid network', 
+        supportedNetworks: supportedNetworks.map(n => n.id) 
+      });
+    }
+
+    if (!await walletService.hasWallet(req.user.id)) {
+      return res.status(400).json({ error: 'Create a wallet before requesting payments' });
+    }
+
+    const result = await schedulingService.createSubscription({
+      userId: req.user.id,
+      amount,
+      currency: currency.toUpperCase(),
+      network,
+      recipientEmail,
+      recipientName,
+      description: description || 'Subscription',
+      interval,
+      startDate,
+    });
+
+    console.log(`✅ ${interval} subscription ${result.subscription.id} created by user ${req.user.email}`);
+    res.status(201).json({
+      success: true,
+      data: {
+        subscription: result.subscription,
+        firstPaymentRequest: result.firstPayment?.request || null,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Create subscription error:', error);
+    res.status(500).json({ error: 'Failed to create subscription' });
+  }
+});
+
+// 📋 List Subscriptions
+app.get('/api/subscriptions', authenticateToken, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const where = { userId: req.user.id };
+    if (status) where.status = status;
+
+    const subscriptions = await prisma.subscription.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json({
+      success: true,
+      subscriptions,
+      total: subscriptions.length,
+    });
+  } catch (error) {
+    console.error('❌ List subscriptions error:', error);
+    res.status(500).json({ error: 'Failed to retrieve subscriptions' });
+  }
+});
+
+// 🔎 Get Subscription (with billing history)
+app.get('/api/subscriptions/:id', authenticateToken, async (req, res) => {
+  try {
+    const subscription = await prisma.subscription.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      include: {
+        paymentRequests: {
+          orderBy: { createdAt: 'desc' },
+        },
+      },
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    res.json({
+      success: true,
+      data: subscription,
+    });
+  } catch (error) {
+    console.error('❌ Get subscription error:', error);
+    res.status(500).json({ error: 'Failed to retrieve subscription' });
+  }
+});
+
+// ⏸️ Pause Subscription
+app.post('/api/subscriptions/:id/pause', authenticateToken, async (req, res) => {
+  try {
+    const subscription = await prisma.subscription.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    if (!['active'].includes(subscription.status)) {
+      return res.status(409).json({ 
+        error: `Cannot pause a subscription in status ${subscription.status}` 
+      });
+    }
+
+    const updated = await schedulingService.pauseSubscription(subscription.id);
+
+    console.log(`✅ Subscription ${subscription.id} paused by user ${req.user.email}`);
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Subscription paused',
+    });
+  } catch (error) {
+    console.error('❌ Pause subscription error:', error);
+    res.status(500).json({ error: 'Failed to pause subscription' });
+  }
+});
+
+// ▶️ Resume Subscription
+app.post('/api/subscriptions/:id/resume', authenticateToken, async (req, res) => {
+  try {
+    const subscription = await prisma.subscription.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    if (!['paused'].includes(subscription.status)) {
+      return res.status(409).json({ 
+        error: `Cannot resume a subscription in status ${subscription.status}` 
+      });
+    }
+
+    const updated = await schedulingService.resumeSubscription(subscription.id);
+
+    console.log(`✅ Subscription ${subscription.id} resumed by user ${req.user.email}`);
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Subscription resumed',
+    });
+  } catch (error) {
+    console.error('❌ Resume subscription error:', error);
+    res.status(500).json({ error: 'Failed to resume subscription' });
+  }
+});
+
+// 🚫 Cancel Subscription
+app.post('/api/subscriptions/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const subscription = await prisma.subscription.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    if (!['active', 'paused'].includes(subscription.status)) {
+      return res.status(409).json({ 
+        error: `Cannot cancel a subscription in status ${subscription.status}` 
+      });
+    }
+
+    const updated = await schedulingService.cancelSubscription(subscription.id);
+
+    console.log(`✅ Subscription ${subscription.id} cancelled by user ${req.user.email}`);
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Subscription cancelled',
+    });
+  } catch (error) {
+    console.error('❌ Cancel subscription error:', error);
+    res.status(500).json({ error: 'Failed to cancel subscription' });
+  }
+});
+
+// 📋 List Outgoing Payments (scheduled payments and refunds), e.g. ?status=dead_letter
+app.get('/api/outgoing-payments', authenticateToken, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const where = { userId: req.user.id };
+    if (status) where.status = status;
+
+    const payments = await prisma.outgoingPayment.findMany({
+      where,
+      orderBy: { scheduleDate: 'desc' },
+      take: 100,
+    });
+
+    res.json({
+      success: true,
+      payments,
+      total: payments.length,
+    });
+  } catch (error) {
+    console.error('❌ List outgoing payments error:', error);
+    res.status(500).json({ error: 'Failed to retrieve outgoing payments' });
+  }
+});
+
+// 🔎 Get Outgoing Payment (status, attempts, last error and next retry)
+app.get('/api/outgoing-payments/:id', authenticateToken, async (req, res) => {
+  try {
+    const payment = await prisma.outgoingPayment.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (!payment) {
+      return res.status(404).json({ error: 'Outgoing payment not found' });
+    }
+
+    res.json({
+      success: true,
+      data: payment,
+    });
+  } catch (error) {
+    console.error('❌ Get outgoing payment error:', error);
+    res.status(500).json({ error: 'Failed to retrieve outgoing payment' });
+  }
+});
+
+// 🔁 Re-queue a Dead-Lettered Outgoing Payment
+app.post('/api/outgoing-payments/:id/requeue', authenticateToken, async (req, res) => {
+  try {
+    const payment = await prisma.outgoingPayment.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (!payment) {
+      return res.status(404).json({ error: 'Outgoing payment not found' });
+    }
+
+    if (payment.status !== 'dead_letter') {
+      return res.status(409).json({ 
+        error: `Only dead-lettered payments can be re-queued, not one in status ${payment.status}` 
+      });
+    }
+
+    const requeued = await schedulingService.requeuePayment(payment.id);
+
+    console.log(`✅ Outgoing payment ${payment.id} re-queued by user ${req.user.email}`);
+    res.json({
+      success: true,
+      data: requeued,
+      message: 'Payment re-queued',
+    });
+  } catch (error) {
+    console.error('❌ Re-queue outgoing payment error:', error);
+    res.status(500).json({ error: 'Failed to re-queue outgoing payment' });
+  }
+});
+
+// 🪝 Register Webhook Endpoint
+app.post('/api/webhooks', authenticateToken, async (req, res) => {
+  try {
+    const { url, events = [], description } = req.body;
+
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch {
+      return res.status(400).json({ error: 'A valid webhook url is required' });
+    }
+
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      return res.status(400).json({ error: 'Webhook url must use http or https' });
+    }
+
+    if (!Array.isArray(events) || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      return res.status(400).json({ 
+        error: 'Invalid webhook events', 
+        events: WEBHOOK_EVENTS 
+      });
+    }
+
+    const endpoint = await webhookService.createEndpoint(req.user.id, {
+      url: parsedUrl.toString(),
+      events,
+      description,
+    });
+
+    console.log(`✅ Webhook endpoint ${endpoint.id} registered by user ${req.user.email}`);
+    res.status(201).json({
+      success: true,
+      data: endpoint,
+      message: 'Webhook endpoint registered. Store the secret now, it is not shown again.',
+    });
+  } catch (error) {
+    console.error('❌ Register webhook error:', error);
+    res.status(500).json({ error: 'Failed to register webhook endpoint' });
+  }
+});
+
+// 📋 List Webhook Endpoints
+app.get('/api/webhooks', authenticateToken, async (req, res) => {
+  try {
+    const endpoints = await webhookService.listEndpoints(req.user.id);
+
+    res.json({
+      success: true,
+      endpoints,
+      events: WEBHOOK_EVENTS,
+    });
+  } catch (error) {
+    console.error('❌ List webhooks error:', error);
+    res.status(500).json({ error: 'Failed to retrieve webhook endpoints' });
+  }
+});
+
+// 🗑️ Delete Webhook Endpoint
+app.delete('/api/webhooks/:id', authenticateToken, async (req, res) => {
+  try {
+    const endpoint = await webhookService.deleteEndpoint(req.user.id, req.params.id);
+
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook endpoint not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook endpoint deleted',
+    });
+  } catch (error) {
+    console.error('❌ Delete webhook error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook endpoint' });
+  }
+});
+
+// 📜 Webhook Delivery Log
+app.get('/api/webhooks/:id/deliveries', authenticateToken, async (req, res) => {
+  try {
+    const deliveries = await webhookService.listDeliveries(req.user.id, req.params.id, req.query.limit);
+
+    if (!deliveries) {
+      return res.status(404).json({ error: 'Webhook endpoint not found' });
+    }
+
+    res.json({
+      success: true,
+      deliveries,
+    });
+  } catch (error) {
+    console.error('❌ Webhook deliveries error:', error);
+    res.status(500).json({ error: 'Failed to retrieve webhook deliveries' });
+  }
+});
+
+// 🚦 List Spending Policies
+app.get('/api/spending-policies', authenticateToken, async (req, res) => {
+  try {
+    const policies = await spendingPolicyService.listPolicies(req.user.id);
+
+    res.json({
+      success: true,
+      policies,
+    });
+  } catch (error) {
+    console.error('❌ List spending policies error:', error);
+    res.status(500).json({ error: 'Failed to retrieve spending policies' });
+  }
+});
+
+// ➕ Create Spending Policy
+app.post('/api/spending-policies', authenticateToken, async (req, res) => {
+  try {
+    const { data, error } = parseSpendingPolicy(req.body, {
+      networks: walletService.getSupportedNetworks().map(n => n.id),
+    });
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const policy = await spendingPolicyService.createPolicy(req.user.id, data);
+
+    console.log(`✅ Spending policy ${policy.id} created by user ${req.user.email}`);
+    res.status(201).json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    console.error('❌ Create spending policy error:', error);
+    res.status(500).json({ error: 'Failed to create spending policy' });
+  }
+});
+
+// 🔍 Get Spending Policy
+app.get('/api/spending-policies/:id', authenticateToken, async (req, res) => {
+  try {
+    const policy = await spendingPolicyService.getPolicy(req.user.id, req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({ error: 'Spending policy not found' });
+    }
+
+    res.json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    console.error('❌ Get spending policy error:', error);
+    res.status(500).json({ error: 'Failed to retrieve spending policy' });
+  }
+});
+
+// ✏️ Update Spending Policy
+app.put('/api/spending-policies/:id', authenticateToken, async (req, res) => {
+  try {
+    const { data, error } = parseSpendingPolicy(req.body, {
+      partial: true,
+      networks: walletService.getSupportedNetworks().map(n => n.id),
+    });
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const policy = await spendingPolicyService.updatePolicy(req.user.id, req.params.id, data);
+
+    if (!policy) {
+      return res.status(404).json({ error: 'Spending policy not found' });
+    }
+
+    res.json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    console.error('❌ Update spending policy error:', error);
+    res.status(500).json({ error: 'Failed to update spending policy' });
+  }
+});
+
+// 🗑️ Delete Spending Policy
+app.delete('/api/spending-policies/:id', authenticateToken, async (req, res) => {
+  try {
+    const policy = await spendingPolicyService.deletePolicy(req.user.id, req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({ error: 'Spending policy not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Spending policy deleted',
+    });
+  } catch (error) {
+    console.error('❌ Delete spending policy error:', error);
+    res.status(500).json({ error: 'Failed to delete spending policy' });
+  }
+});
+
+// 💸 Send Crypto
+app.post('/api/wallet/send', authenticateToken, idempotent('wallet_send'), async (req, res) => {
+  try {
+    const { toAddress, amount, currency = 'ETH' } = req.body;
+    const network = req.body.network || req.user.walletNetwork;
+
+    if (!toAddress || !amount) {
+      return res.status(400).json({ error: 'Recipient address and amount required' });
+    }
+
+    if (!walletService.validateAddress(toAddress)) {
+      return res.status(400).json({ error: 'Invalid recipient address' });
+    }
+
+    // Validate network
+    const supportedNetworks = walletService.getSupportedNetworks();
+    const isValidNetwork = supportedNetworks.some(n => n.id === network);
+    if (!isValidNetwork) {
+      return res.status(400).json({ 
+        error: 'Invalid network', 
+        supportedNetworks: supportedNetworks.map(n => n.id) 
+      });
+    }
+
+    // Validate currency for network
+    const supportedTokens = walletService.getSupportedTokens(network);
+    const isValidCurrency = typeof currency === 'string' && supportedTokens.some(t => t.symbol.toUpperCase() === currency.toUpperCase());
+    if (!isValidCurrency) {
+      return res.status(400).json({ 
+        error: 'Invalid currency for network', 
+        supportedTokens: supportedTokens.map(t => t.symbol) 
+      });
+    }
+
+    const result = await walletService.sendCrypto(req.user.id, toAddress, amount, currency, network);
+
+    console.log(`✅ ${amount} ${currency} sent by user ${req.user.email} on ${network}`);
+    res.json({
+      success: true,
+      data: result,
+      message: 'Crypto sent successfully'
+    });
+  } catch (error) {
+    if (error instanceof SpendingPolicyError) {
+      return res.status(403).json({ error: error.message, code: error.code, violations: error.violations });
+    }
+    if (error instanceof WalletError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('❌ Send crypto error:', error);
+    if (error.mayHaveBroadcast) {
+      // Keep the Idempotency-Key: a retry gets this answer back instead of sending a second time
+      res.locals.keepIdempotencyKey = true;
+      return res.status(502).json({ error: 'The transfer failed while broadcasting and may still go through. Check your transactions before sending again.' });
+    }
+    res.status(500).json({ error: 'Failed to send crypto' });
+  }
+});
+
+
+
+// 📊 Agent Status
+app.get('/api/agent/status', authenticateToken, async (req, res) => {
+  try {
+    const isRunning = activeAgents.has(req.user.id);
+    
+    const agentRecord = await prisma.agent.findUnique({
+      where: { userId: req.user.id },
+    });
+
+    res.json({
+      success: true,
+      isRunning,
+      status: agentRecord?.status || 'STOPPED',
+      lastActivity: agentRecord?.lastActivity,
+      stats: agentRecord ? {
+        totalProcessed: agentRecord.totalProcessed,
+        totalSent: agentRecord.totalSent,
+        totalReceived: agentRecord.totalReceived,
+        totalAmountSent: normalizeAmount(agentRecord.totalAmountSent),
+        totalAmountReceived: normalizeAmount(agentRecord.totalAmountReceived),
+      } : null,
+    });
+  } catch (error) {
+    console.error('❌ Agent status error:', error);
+    res.status(500).json({ error: 'Failed to get agent status' });
+  }
+});
+
+// 🔄 Graceful shutdown
+process.on('SIGINT', async () => {
+  console.log('\n🛑 Shutting down server...');
+  
+  // Stop all active agents
+  for (const [userId, agent] of activeAgents) {
+    try {
+      await agent.cleanup();
+      console.log(`✅ Agent cleaned up for user ${userId}`);
+    } catch (error) {
+      console.error(`❌ Error cleaning up agent for user ${userId}:`, error);
+    }
+  }
+  
+  // Disconnect from database
+  await schedulingService.cleanup();
+  await webhookService.cleanup();
   await prisma.$disconnect();
   await walletService.cleanup();
   
@@ -753,7 +2373,9 @@ process.on('SIGINT', async () => {
 // 🚀 Start server
 const PORT = process.env.PORT || 3001;
 
-app.listen(PORT, () => {
+app.listen(PORT, async () => {
+  await schedulingService.start();
+
   console.log(`
 🚀 AgenPay Multi-User API Server
 ================================
@@ -773,6 +2395,14 @@ Environment: ${process.env.NODE_ENV || 'development'}
 - GET /api/dashboard - Dashboard analytics
 - POST /api/agent/start - Start AI agent
 - POST /api/agent/process - Process payments
+- POST /api/agent/process/stream - Process payments with live progress (SSE)
+- GET/POST /api/agent/threads - Persistent chat threads
+- GET /api/approvals, POST /api/approvals/:id/approve|reject - Approve agent actions
+- GET/POST /api/payment-requests - List & create payment requests
+- POST /api/payment-requests/:id/refund - Refund now (full or partial)
+- GET/POST /api/subscriptions - Recurring subscription billing
+- GET/POST /api/webhooks - Payment lifecycle webhooks
+- GET/POST/PUT/DELETE /api/spending-policies - Limits on outgoing sends
 - GET /health - Health check
 
 🎯 Ready for production deployment!
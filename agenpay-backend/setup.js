@@ -44,9 +44,10 @@ async function checkRequirements() {
   checks.jwtSecret = !!process.env.JWT_SECRET;
   console.log(`🔑 JWT Secret: ${checks.jwtSecret ? '✅ Configured' : '❌ Missing'}`);
 
-  // Check OpenAI API key
-  checks.openaiKey = !!process.env.OPENAI_API_KEY;
-  console.log(`🤖 OpenAI API: ${checks.openaiKey ? '✅ Configured' : '❌ Missing'}`);
+  // Check LLM settings (only OpenAI itself needs an API key)
+  const llmProvider = process.env.LLM_PROVIDER || 'openai';
+  checks.openaiKey = llmProvider !== 'openai' || !!(process.env.LLM_API_KEY || process.env.OPENAI_API_KEY);
+  console.log(`🤖 LLM (${llmProvider}): ${checks.openaiKey ? '✅ Configured' : '❌ Missing OPENAI_API_KEY'}`);
 
   // Optional services
   console.log('\n🔧 Optional Services:');
@@ -221,7 +222,7 @@ async function displayFinalInstructions() {
 
   console.log('📚 Next Steps:');
   console.log('1. Edit .env file with your API keys:');
-  console.log('   - OPENAI_API_KEY (required for AI agent)');
+  console.log('   - OPENAI_API_KEY (required for AI agent, unless LLM_PROVIDER points at a local model)');
   console.log('   - DATABASE_URL (if using external database)');
   console.log('   - CDP_API_KEY_NAME & CDP_PRIVATE_KEY (for live wallet)');
   console.log('   - EMAIL_USER & EMAIL_PASS (for live email)');
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+
+/**
+ * AgenPay Agent Payment Tools - Test Suite
+ * Runs the agent graph with a scripted model against the real sendCrypto, schedulePayment,
+ * listScheduledPayments, cancelScheduledPayment and getWalletBalance tools
+ * (in-memory store and stand-in wallet instead of Postgres and CDP, so no database, chain or LLM is needed)
+ */
+
+import assert from 'node:assert/strict';
+import { AIMessage, ToolMessage } from '@langchain/core/messages';
+import AgenPayAgent from './lib/AgentPayAgent.js';
+import ApprovalService from './lib/ApprovalService.js';
+import PrismaCheckpointSaver from './lib/PrismaCheckpointSaver.js';
+import ChatThreadService from './lib/ChatThreadService.js';
+import SchedulingService from './lib/SchedulingService.js';
+import { createMemoryStore } from './test-support/MemoryStore.js';
+
+const ALICE = '0x1111111111111111111111111111111111111111';
+const NEXT_WEEK = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+
+// 🤖 Agent with the real payment tools; the model calls whatever tool the message spells out as JSON
+function createAgent(store) {
+  const sends = [];
+  const webhooks = [];
+  const walletService = {
+    getWallet: async () => ({ network: 'base-sepolia', address: '0xowner' }),
+    getWalletBalance: async (userId, network) => ({
+      network: network || 'base-sepolia',
+      totalUsd: '12.50',
+      tokens: [{ symbol: 'USDC', amount: '12.5', valueUsd: '12.50', address: '0x036c' }],
+    }),
+    sendCrypto: async (userId, toAddress, amount, currency, network) => {
+      sends.push({ userId, toAddress, amount, currency, network });
+      return amount > 100
+        ? { success: false, error: 'Insufficient USDC balance' }
+        : { success: true, transactionHash: `0xtx${sends.length}` };
+    },
+  };
+
+  const checkpointer = new PrismaCheckpointSaver({ prisma: store });
+  const emailService = { isLive: () => false, sendApprovalRequestEmail: async () => {} };
+  const approvalService = new ApprovalService({ prisma: store, emailService, priceService: { getUsdPrice: async () => 1 } });
+  const schedulingService = new SchedulingService({
+    prisma: store,
+    walletService,
+    emailService,
+    approvalService,
+    webhookService: { emit: async (userId, event, data) => webhooks.push({ event, data }) },
+    confirmationService: {},
+  });
+
+  let calls = 0;
+  const llm = {
+    bindTools: () => llm,
+    invoke: async messages => {
+      const last = messages[messages.length - 1];
+      if (last instanceof ToolMessage) {
+        return new AIMessage(`tool said: ${last.content}`);
+      }
+      calls += 1;
+      const { name, args } = JSON.parse(last.content);
+      return new AIMessage({ content: '', tool_calls: [{ id: `call_${calls}`, name, args }] });
+    },
+  };
+
+  const agent = new AgenPayAgent('user_1', {}, {
+    checkpointer,
+    chatThreadService: new ChatThreadService({ prisma: store, checkpointer }),
+    approvalService,
+    emailService,
+    x402PayService: {},
+    schedulingService,
+    walletService,
+    ledgerService: { getActivitySummary: async () => ({ sentCount: 0, receivedCount: 0, amountSent: '0', amountReceived: '0', byCurrency: {} }) },
+    llm,
+  });
+  agent.prisma = { agent: { upsert: async () => ({}) } };
+
+  agent.buildGraph();
+
+  store.tables.user.push({ id: 'user_1', email: 'owner@example.com', name: 'Owner', walletAddress: '0xowner', approvalThresholdUsd: null });
+  return { agent, approvalService, sends, webhooks };
+}
+
+// 💬 Send a tool call through the agent, approving it if the graph pauses; returns the tool result
+async function runTool(agent, approvalService, threadId, name, args) {
+  let result = await agent.processPayment(JSON.stringify({ name, args }), threadId);
+  if (result.approval) {
+    const decided = await approvalService.decide('user_1', result.approval.approvalId, 'approved');
+    result = await agent.resumeApproval(decided);
+  }
+
+  const toolMessage = result.messages.filter(m => m instanceof ToolMessage).pop();
+  return JSON.parse(toolMessage.content);
+}
+
+const tests = [
+  {
+    name: 'Invalid payment arguments are sent back to the agent without asking for approval',
+    run: async () => {
+      const store = createMemoryStore();
+      const { agent, sends } = createAgent(store);
+
+      const result = await agent.processPayment(JSON.stringify({ name: 'sendCrypto', args: { toAddress: '0xabc', amount: '-1', currency: 'USDC' } }), 'thread_1');
+      assert.equal(result.approval, null);
+      assert.equal(store.tables.approval.length, 0);
+      assert.equal(sends.length, 0);
+
+      const toolMessage = result.messages.find(m => m instanceof ToolMessage);
+      assert.match(toolMessage.content, /Invalid arguments for sendCrypto/);
+      assert.match(toolMessage.content, /toAddress/);
+      assert.match(toolMessage.content, /amount/);
+      assert.match(result.messages[result.messages.length - 1].content, /tool said/);
+    }
+  },
+  {
+    name: 'An approved send is recorded as an outgoing payment and a pending transaction',
+    run: async () => {
+      const store = createMemoryStore();
+      const { agent, approvalService, sends, webhooks } = createAgent(store);
+
+      const result = await runTool(agent, approvalService, 'thread_2', 'sendCrypto', { toAddress: ALICE, amount: '2.5', currency: 'usdc', recipientName: 'Alice' });
+      assert.equal(result.success, true);
+      assert.equal(result.transactionHash, '0xtx1');
+      assert.deepEqual(sends, [{ userId: 'user_1', toAddress: ALICE, amount: '2.5', currency: 'USDC', network: 'base-sepolia' }]);
+
+      const [payment] = store.tables.outgoingPayment;
+      assert.equal(payment.status, 'completed');
+      assert.equal(payment.recipientName, 'Alice');
+      assert.equal(payment.txHash, '0xtx1');
+
+      const [transaction] = store.tables.transaction;
+      assert.equal(transaction.type, 'OUTGOING');
+      assert.equal(transaction.status, 'PENDING');
+      assert.equal(transaction.fromAddress, '0xowner');
+      assert.deepEqual(webhooks.map(w => w.event), ['outgoing_payment.completed']);
+    }
+  },
+  {
+    name: 'A failed send reports why and keeps the reason on the payment',
+    run: async () => {
+      const store = createMemoryStore();
+      const { agent, approvalService } = createAgent(store);
+
+      const result = await runTool(agent, approvalService, 'thread_3', 'sendCrypto', { toAddress: ALICE, amount: '500', currency: 'USDC' });
+      assert.equal(result.success, false);
+      assert.equal(result.error, 'Insufficient USDC balance');
+      assert.equal(store.tables.outgoingPayment[0].status, 'failed');
+      assert.equal(store.tables.outgoingPayment[0].failureReason, 'Insufficient USDC balance');
+      assert.equal(store.tables.transaction.length, 0);
+
+      const unsupported = await runTool(agent, approvalService, 'thread_3', 'sendCrypto', { toAddress: ALICE, amount: '1', currency: 'DOGE' });
+      assert.match(unsupported.error, /DOGE is not supported on base-sepolia/);
+      assert.equal(store.tables.outgoingPayment.length, 1);
+    }
+  },
+  {
+    name: 'Payments are scheduled only for a future date, then listed and cancelled',
+    run: async () => {
+      const store = createMemoryStore();
+      const { agent, approvalService, sends } = createAgent(store);
+
+      const past = await runTool(agent, approvalService, 'thread_4', 'schedulePayment', { toAddress: ALICE, amount: '1', currency: 'ETH', scheduleDate: '2020-01-01T00:00:00Z' });
+      assert.equal(past.success, false);
+      assert.match(past.error, /must be in the future/);
+      assert.equal(store.tables.outgoingPayment.length, 0);
+
+      const scheduled = await runTool(agent, approvalService, 'thread_4', 'schedulePayment', { toAddress: ALICE, amount: '0.01', currency: 'ETH', network: 'base-mainnet', scheduleDate: NEXT_WEEK });
+      assert.equal(scheduled.success, true);
+      assert.equal(scheduled.status, 'scheduled');
+      assert.equal(store.tables.outgoingPayment[0].network, 'base-mainnet');
+      assert.equal(sends.length, 0);
+
+      // Refunds are outgoing payments too, but are not the agent's to list or cancel
+      store.tables.outgoingPayment.push({ id: 'refund_1', userId: 'user_1', relatedRequestId: 'req_1', status: 'scheduled', scheduleDate: new Date() });
+      const listed = await runTool(agent, approvalService, 'thread_4', 'listScheduledPayments', {});
+      assert.deepEqual(listed.payments.map(p => p.paymentId), [scheduled.paymentId]);
+
+      const cancelled = await runTool(agent, approvalService, 'thread_4', 'cancelScheduledPayment', { paymentId: scheduled.paymentId });
+      assert.equal(cancelled.success, true);
+      assert.equal(store.tables.outgoingPayment[0].status, 'cancelled');
+
+      const again = await runTool(agent, approvalService, 'thread_4', 'cancelScheduledPayment', { paymentId: scheduled.paymentId });
+      assert.match(again.error, /already cancelled/);
+      assert.match((await runTool(agent, approvalService, 'thread_4', 'cancelScheduledPayment', { paymentId: 'refund_1' })).error, /not found/);
+      assert.equal((await runTool(agent, approvalService, 'thread_4', 'listScheduledPayments', { status: 'cancelled' })).count, 1);
+
+      // Only the two schedulePayment calls needed approval
+      assert.equal(store.tables.approval.length, 2);
+    }
+  },
+  {
+    name: 'The wallet balance tool reports tokens and their USD value',
+    run: async () => {
+      const store = createMemoryStore();
+      const { agent, approvalService } = createAgent(store);
+
+      const balance = await runTool(agent, approvalService, 'thread_5', 'getWalletBalance', { network: 'base-mainnet' });
+      assert.deepEqual(balance, {
+        success: true,
+        network: 'base-mainnet',
+        totalUsd: '12.50',
+        tokens: [{ symbol: 'USDC', amount: '12.5', valueUsd: '12.50' }],
+      });
+      assert.equal(store.tables.approval.length, 0);
+    }
+  }
+];
+
+// 🧪 Test Runner
+async function runTests() {
+  console.log('\n🧪 AgenPay Agent Payment Tools Test Suite\n=========================================');
+  let passed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.run();
+      passed++;
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      console.error(`❌ ${test.name}\n`, error);
+    }
+  }
+
+  console.log(`\n📊 ${passed}/${tests.length} agent tool tests passed`);
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+runTests();
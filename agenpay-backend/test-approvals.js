@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+/**
+ * AgenPay Agent Approvals - Test Suite
+ * Runs the agent graph with a scripted model and a stand-in sendCrypto tool to check
+ * that outgoing fund movements wait for the user's approval
+ * (in-memory store instead of Postgres, so no database or LLM is needed)
+ */
+
+import assert from 'node:assert/strict';
+import { AIMessage, ToolMessage } from '@langchain/core/messages';
+import { tool } from '@langchain/core/tools';
+import { z } from 'zod';
+import AgenPayAgent from './lib/AgentPayAgent.js';
+import ApprovalService from './lib/ApprovalService.js';
+import PrismaCheckpointSaver from './lib/PrismaCheckpointSaver.js';
+import ChatThreadService from './lib/ChatThreadService.js';
+import { createMemoryStore } from './test-support/MemoryStore.js';
+
+// 🤖 Agent wired to the store, with a model that asks to send funds until a tool result comes back
+function createAgent(store, { thresholdUsd = null, userId = 'user_1', toolCallId = null } = {}) {
+  const emails = [];
+  const sends = [];
+  const checkpointer = new PrismaCheckpointSaver({ prisma: store });
+  const approvalService = new ApprovalService({
+    prisma: store,
+    emailService: { sendApprovalRequestEmail: async email => emails.push(email) },
+    priceService: { getUsdPrice: async symbol => ({ USDC: 1, ETH: 2000 })[symbol] ?? null },
+    defaultThresholdUsd: thresholdUsd,
+  });
+
+  let calls = 0;
+  const llm = {
+    bindTools: () => llm,
+    invoke: async messages => {
+      const last = messages[messages.length - 1];
+      if (last instanceof ToolMessage) {
+        return new AIMessage(`tool said: ${last.content}`);
+      }
+      calls += 1;
+      const [, amount = '5', currency = 'USDC'] = String(last.content).match(/(\d+) (\w+)/) || [];
+      return new AIMessage({
+        content: '',
+        tool_calls: [{ id: toolCallId || `call_${calls}`, name: last.content.startsWith('quote') ? 'getQuote' : 'sendCrypto', args: { amount: Number(amount), currency, toAddress: '0xabc' } }],
+      });
+    },
+  };
+
+  const agent = new AgenPayAgent(userId, {}, {
+    checkpointer,
+    chatThreadService: new ChatThreadService({ prisma: store, checkpointer }),
+    approvalService,
+    emailService: { isLive: () => false },
+    x402PayService: {},
+    schedulingService: {},
+    walletService: {},
+    ledgerService: { getActivitySummary: async () => ({ sentCount: 0, receivedCount: 0, amountSent: '0', amountReceived: '0', byCurrency: {} }) },
+    llm,
+  });
+  agent.prisma = { transaction: { groupBy: async () => [] }, agent: { upsert: async () => ({}) } };
+  agent.tools = [
+    tool(async args => {
+      sends.push(args);
+      return JSON.stringify({ success: true, transactionHash: '0xsent' });
+    }, {
+      name: 'sendCrypto',
+      description: 'Send crypto',
+      schema: z.object({ amount: z.number(), currency: z.string(), toAddress: z.string() }),
+    }),
+    tool(async ({ amount, currency }) => JSON.stringify({ success: true, quote: `${amount} ${currency}` }), {
+      name: 'getQuote',
+      description: 'Quote a swap',
+      schema: z.object({ amount: z.number(), currency: z.string(), toAddress: z.string() }),
+    }),
+  ];
+  agent.buildGraph();
+
+  store.tables.user.push({ id: userId, email: `${userId}@example.com`, name: 'Owner', approvalThresholdUsd: null });
+  return { agent, approvalService, emails, sends };
+}
+
+const tests = [
+  {
+    name: 'Outgoing funds always need approval; other amounts only over the threshold',
+    run: async () => {
+      const store = createMemoryStore();
+      const { approvalService } = createAgent(store, { thresholdUsd: 100 });
+
+      const send = await approvalService.assess('user_1', [{ id: 'a', name: 'sendCrypto', args: { amount: 1, currency: 'USDC' } }]);
+      assert.equal(send.required, true);
+      assert.equal(send.amountUsd, 1);
+
+      const small = await approvalService.assess('user_1', [{ id: 'b', name: 'createPaymentLink', args: { paymentData: { amount: 50, currency: 'USDC' } } }]);
+      assert.equal(small.required, false);
+
+      const large = await approvalService.assess('user_1', [{ id: 'c', name: 'getQuote', args: { amount: 1, currency: 'ETH' } }]);
+      assert.equal(large.required, true);
+      assert.equal(large.amountUsd, 2000);
+
+      const unpriced = await approvalService.assess('user_1', [{ id: 'd', name: 'getQuote', args: { amount: 1, currency: 'XYZ' } }]);
+      assert.equal(unpriced.required, true);
+      assert.equal(unpriced.amountUsd, null);
+
+      // Compared exactly: 100.004 USDC is over a $100 threshold even though it shows as $100
+      const justOver = await approvalService.assess('user_1', [{ id: 'f', name: 'getQuote', args: { amount: '100.004', currency: 'USDC' } }]);
+      assert.equal(justOver.required, true);
+      assert.equal(justOver.amountUsd, 100);
+      assert.equal((await approvalService.assess('user_1', [{ id: 'g', name: 'getQuote', args: { amount: 100, currency: 'USDC' } }])).required, false);
+
+      await approvalService.setThresholdUsd('user_1', 5000);
+      assert.equal((await approvalService.assess('user_1', [{ id: 'e', name: 'getQuote', args: { amount: 1, currency: 'ETH' } }])).required, false);
+    }
+  },
+  {
+    name: 'A send pauses the graph until approved, then runs exactly once',
+    run: async () => {
+      const store = createMemoryStore();
+      const { agent, approvalService, emails, sends } = createAgent(store);
+
+      const paused = await agent.processPayment('send 5 USDC to 0xabc', 'thread_1');
+      assert.equal(sends.length, 0);
+      assert.ok(paused.approval);
+      assert.match(paused.approval.message, /sendCrypto 5 USDC to 0xabc/);
+      assert.equal(emails.length, 1);
+      assert.equal(emails[0].to, 'user_1@example.com');
+
+      const approval = await approvalService.getApproval('user_1', paused.approval.approvalId);
+      assert.equal(approval.status, 'pending');
+      assert.equal(approval.threadId, 'thread_1');
+      assert.equal(await approvalService.getApproval('user_2', approval.id), null);
+
+      const decided = await approvalService.decide('user_1', approval.id, 'approved');
+      const resumed = await agent.resumeApproval(decided);
+      assert.equal(sends.length, 1);
+      assert.equal(resumed.approval, null);
+      assert.match(resumed.messages[resumed.messages.length - 1].content, /0xsent/);
+
+      // Deciding again or resuming again does nothing
+      assert.equal(await approvalService.decide('user_1', approval.id, 'rejected'), null);
+      assert.equal((await approvalService.getApproval('user_1', approval.id)).status, 'approved');
+      assert.equal(await agent.resumeApproval(decided), null);
+      assert.equal(sends.length, 1);
+      assert.equal(store.tables.approval.length, 1);
+    }
+  },
+  {
+    name: 'Of two approvals sent at once only one decides and resumes, so the send runs once',
+    run: async () => {
+      const store = createMemoryStore();
+      const { agent, approvalService, sends } = createAgent(store);
+      const paused = await agent.processPayment('send 5 USDC to 0xabc', 'thread_5');
+
+      // Each request resumes the thread only if its decision was the one recorded
+      const approve = async decision => {
+        const decided = await approvalService.decide('user_1', paused.approval.approvalId, decision);
+        return decided && agent.resumeApproval(decided);
+      };
+      const results = await Promise.all([approve('approved'), approve('approved'), approve('rejected')]);
+
+      assert.equal(results.filter(Boolean).length, 1);
+      assert.equal(sends.length, 1);
+      assert.equal(store.tables.approval[0].status, 'approved');
+      assert.equal(await approvalService.decide('user_2', paused.approval.approvalId, 'approved'), null);
+    }
+  },
+  {
+    name: 'An approval never carries over to a later turn or another user with the same tool call id',
+    run: async () => {
+      const store = createMemoryStore();
+      const owner = createAgent(store, { toolCallId: 'call_1' });
+      const other = createAgent(store, { userId: 'user_2', toolCallId: 'call_1' });
+
+      const first = await owner.agent.processPayment('send 5 USDC to 0xabc', 'thread_1');
+      await owner.agent.resumeApproval(await owner.approvalService.decide('user_1', first.approval.approvalId, 'approved'));
+      assert.equal(owner.sends.length, 1);
+
+      // Same id and arguments again in the same thread: a new turn, so a new approval
+      const again = await owner.agent.processPayment('send 5 USDC to 0xabc', 'thread_1');
+      assert.ok(again.approval);
+      assert.notEqual(again.approval.approvalId, first.approval.approvalId);
+      assert.equal(owner.sends.length, 1);
+
+      // Another user's identical call with the same id is not covered either
+      const theirs = await other.agent.processPayment('send 5 USDC to 0xabc', 'thread_9');
+      assert.ok(theirs.approval);
+      assert.equal(other.sends.length, 0);
+      assert.equal(store.tables.approval.filter(a => a.userId === 'user_2').length, 1);
+      assert.equal(new Set(store.tables.approval.map(a => a.key)).size, 3);
+    }
+  },
+  {
+    name: 'A rejected send is never executed and the agent is told why',
+    run: async () => {
+      const store = createMemoryStore();
+      const { agent, approvalService, sends } = createAgent(store);
+
+      const paused = await agent.processPayment('send 7 USDC to 0xabc', 'thread_2');
+      const decided = await approvalService.decide('user_1', paused.approval.approvalId, 'rejected');
+      const resumed = await agent.resumeApproval(decided);
+
+      assert.equal(sends.length, 0);
+      const last = resumed.messages[resumed.messages.length - 1];
+      assert.match(last.content, /approval was rejected/);
+    }
+  },
+  {
+    name: 'A new message cancels a pending approval and the conversation carries on',
+    run: async () => {
+      const store = createMemoryStore();
+      const { agent, sends } = createAgent(store, { thresholdUsd: 10000 });
+
+      const paused = await agent.processPayment('send 5 USDC to 0xabc', 'thread_3');
+      const next = await agent.processPayment('quote 1 ETH', 'thread_3');
+
+      assert.equal(store.tables.approval.find(a => a.id === paused.approval.approvalId).status, 'cancelled');
+      assert.equal(sends.length, 0);
+      assert.equal(next.approval, null);
+      assert.match(next.messages[next.messages.length - 1].content, /quote/);
+
+      // Every tool call in the history has a matching tool result
+      const results = new Set(next.messages.filter(m => m instanceof ToolMessage).map(m => m.tool_call_id));
+      for (const message of next.messages) {
+        for (const toolCall of message.tool_calls || []) assert.ok(results.has(toolCall.id));
+      }
+    }
+  },
+  {
+    name: 'Approvals expire after their time limit',
+    run: async () => {
+      const store = createMemoryStore();
+      const { agent, approvalService, sends } = createAgent(store);
+
+      const paused = await agent.processPayment('send 5 USDC to 0xabc', 'thread_4');
+      const approval = store.tables.approval.find(a => a.id === paused.approval.approvalId);
+      assert.ok(approval.expiresAt > new Date(Date.now() + 59 * 60 * 1000));
+
+      approval.expiresAt = new Date(Date.now() - 1000);
+      const decided = await approvalService.decide('user_1', approval.id, 'approved');
+      assert.equal(decided.status, 'expired');
+      await agent.resumeApproval(decided);
+      assert.equal(sends.length, 0);
+
+      const second = await agent.processPayment('send 6 USDC to 0xabc', 'thread_4');
+      store.tables.approval.find(a => a.id === second.approval.approvalId).expiresAt = new Date(Date.now() - 1000);
+      assert.equal(await approvalService.expireStaleApprovals(), 1);
+      // Approving once the expiry job has run decides nothing
+      assert.equal(await approvalService.decide('user_1', second.approval.approvalId, 'approved'), null);
+      assert.equal((await approvalService.listApprovals('user_1', { status: 'expired' })).length, 2);
+      assert.equal((await approvalService.listApprovals('user_1', { status: 'pending' })).length, 0);
+    }
+  }
+];
+
+// 🧪 Test Runner
+async function runTests() {
+  console.log('\n🧪 AgenPay Agent Approvals Test Suite\n=====================================');
+  let passed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.run();
+      passed++;
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      console.error(`❌ ${test.name}\n`, error);
+    }
+  }
+
+  console.log(`\n📊 ${passed}/${tests.length} approval tests passed`);
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+runTests();
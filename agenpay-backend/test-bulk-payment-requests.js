@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * AgenPay Bulk Payment Requests - Test Suite
+ * Checks CSV uploads of payment requests: parsing, per-row validation, the dry run,
+ * creation through X402PayService, throttled emails and the downloadable results
+ * (in-memory store and stand-in services, so no database, SMTP or chain is needed)
+ */
+
+import assert from 'node:assert/strict';
+import BulkPaymentRequestService, { parseCsv, parseBulkCsv, validateBulkRow } from './lib/BulkPaymentRequestService.js';
+import { createMemoryStore } from './test-support/MemoryStore.js';
+
+// Monday 19 October 2026, 12:00 UTC
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const CSV = [
+  'Email,Name,Amount,Currency,Description,Scheduled Date',
+  'alice@example.com,Alice,200,USDC,October retainer,',
+  'bob@example.com,"Smith, Bob","1,250.50",usdc,"Design ""sprint"" work",',
+  'carol@example.com,Carol,0.1,ETH,Hosting,2099-11-02',
+].join('\r\n');
+
+// 🧾 Services that record what they were asked to do
+function createService({ failFor = [], emailFailFor = [] } = {}) {
+  const store = createMemoryStore({}, {
+    defaults: { paymentRequestBatch: { createdCount: 0, failedCount: 0, emailedCount: 0 } },
+    idPrefixes: { paymentRequestBatch: 'batch' },
+  });
+  const created = [];
+  const emails = [];
+  const sleeps = [];
+
+  const service = new BulkPaymentRequestService({
+    prisma: store,
+    x402PayService: {
+      createPaymentRequest: async request => {
+        if (failFor.includes(request.recipientEmail)) throw new Error('Wallet unavailable');
+        created.push(request);
+        const paymentId = `x402_${created.length}`;
+        return { paymentId, x402PayLink: `https://pay.example.com/${paymentId}`, request: { expiresAt: null } };
+      },
+    },
+    emailService: {
+      sendPaymentRequestEmail: async email => {
+        if (emailFailFor.includes(email.to)) throw new Error('Mailbox full');
+        emails.push(email);
+      },
+    },
+    emailIntervalMs: 250,
+    sleep: async ms => { sleeps.push(ms); },
+  });
+
+  return { service, store, created, emails, sleeps };
+}
+
+const tests = [
+  {
+    name: 'CSV parsing handles quotes, escaped quotes, CRLF, a BOM and blank lines',
+    run: async () => {
+      const records = parseCsv('\uFEFFa,b\r\n"x, y","say ""hi"""\n\n"multi\nline",z');
+      assert.deepEqual(records.map(r => r.cells), [['a', 'b'], ['x, y', 'say "hi"'], ['multi\nline', 'z']]);
+      assert.deepEqual(records.map(r => r.line), [1, 2, 4]);
+      assert.throws(() => parseCsv('a,"b\n1,2'), /Unterminated quoted field starting on line 1/);
+
+      assert.match(parseBulkCsv('name,currency\nAlice,USDC').error, /missing: recipientEmail, amount/);
+      assert.match(parseBulkCsv('email,amount\n').error, /no rows/);
+      assert.match(parseBulkCsv('email,amount\na@b.co,1\na@b.co,2', { maxRows: 1 }).error, /at most 1/);
+      assert.deepEqual(parseBulkCsv('email,amount,notes\na@b.co,1,hi').data.ignoredColumns, ['notes']);
+    }
+  },
+  {
+    name: 'Every row is validated, with dates in the user\'s timezone',
+    run: async () => {
+      const ok = validateBulkRow({ recipientEmail: 'Ann@Example.com', amount: '1,000', scheduledDate: '2026-11-02' }, { timeZone: 'America/New_York', now: NOW });
+      assert.deepEqual(ok.data, {
+        recipientEmail: 'ann@example.com',
+        recipientName: null,
+        amount: '1000',
+        currency: 'USDC',
+        description: 'Payment request',
+        scheduleType: 'scheduled',
+        scheduledDate: '2026-11-02T14:00:00.000Z',
+      });
+      assert.equal(validateBulkRow({ recipientEmail: 'a@b.co', amount: '5', scheduledDate: '2026-10-20 17:30' }, { timeZone: 'Europe/Paris', now: NOW }).data.scheduledDate, '2026-10-20T15:30:00.000Z');
+
+      const bad = validateBulkRow({ recipientEmail: 'not-an-email', amount: '-5', currency: 'US DOLLARS', scheduledDate: '2026-02-30' }, { now: NOW });
+      assert.equal(bad.data, null);
+      assert.equal(bad.errors.length, 4);
+      assert.match(validateBulkRow({ recipientEmail: 'a@b.co', amount: '5', scheduledDate: '2026-10-01' }, { now: NOW }).errors[0], /in the past/);
+    }
+  },
+  {
+    name: 'A dry run previews every row and creates nothing',
+    run: async () => {
+      const { service, store, created } = createService();
+      const csv = `${CSV}\nbroken,abc,,,,\nalice@example.com,Alice,200,USDC,October retainer,`;
+
+      const { data } = service.preview(csv, { timeZone: 'UTC' });
+      assert.equal(data.totalRows, 5);
+      assert.equal(data.validRows, 4);
+      assert.equal(data.invalidRows, 1);
+      assert.deepEqual(data.rows.map(r => r.status), ['valid', 'valid', 'valid', 'invalid', 'valid']);
+      assert.equal(data.rows[1].recipientName, 'Smith, Bob');
+      assert.equal(data.rows[1].amount, '1250.50');
+      assert.equal(data.rows[2].scheduleType, 'scheduled');
+      assert.deepEqual(data.rows[3].errors, ['recipientEmail "broken" is not an email address', 'amount is required']);
+      assert.match(data.rows[4].warnings[0], /as row 2/);
+
+      // Creating is refused while rows are invalid
+      const refused = await service.createBatch('user_1', csv);
+      assert.match(refused.error, /1 of 5 rows are invalid/);
+      assert.equal(created.length, 0);
+      assert.equal(store.tables.paymentRequestBatch.length, 0);
+    }
+  },
+  {
+    name: 'Rows become payment requests and immediate ones are emailed in a throttled batch',
+    run: async () => {
+      const { service, created, emails, sleeps } = createService({ failFor: ['carol@example.com'], emailFailFor: ['bob@example.com'] });
+      const csv = `${CSV}\ndave@example.com,Dave,40,USDC,Support,\nbroken,,1,,,`;
+
+      const { batch } = await service.createBatch('user_1', csv, { network: 'base', fileName: 'october.csv', skipInvalidRows: true, waitForEmails: true });
+
+      assert.equal(created.length, 3);
+      assert.deepEqual(created[1], {
+        userId: 'user_1',
+        network: 'base',
+        recipientEmail: 'bob@example.com',
+        recipientName: 'Smith, Bob',
+        amount: '1250.50',
+        currency: 'USDC',
+        description: 'Design "sprint" work',
+        scheduleType: 'immediate',
+        scheduledDate: null,
+      });
+
+      assert.equal(batch.status, 'completed');
+      assert.equal(batch.fileName, 'october.csv');
+      assert.equal(batch.totalRows, 5);
+      assert.equal(batch.createdCount, 3);
+      assert.equal(batch.failedCount, 2);
+      assert.equal(batch.emailedCount, 2);
+      assert.deepEqual(batch.results.map(r => [r.row, r.status, r.emailStatus]), [
+        [2, 'created', 'sent'],
+        [3, 'created', 'failed'],
+        [4, 'failed', 'not_sent'],
+        [5, 'created', 'sent'],
+        [6, 'invalid', 'not_sent'],
+      ]);
+      assert.equal(batch.results[2].error, 'Wallet unavailable');
+
+      // One email at a time, with a pause between them
+      assert.deepEqual(emails.map(e => e.to), ['alice@example.com', 'dave@example.com']);
+      assert.equal(emails[0].paymentLink, 'https://pay.example.com/x402_1');
+      assert.deepEqual(sleeps, [250, 250]);
+    }
+  },
+  {
+    name: 'Scheduled rows are not emailed yet, and results download as CSV',
+    run: async () => {
+      const { service, emails } = createService();
+      const csv = 'email,amount,description,date\nann@example.com,5,=HYPERLINK("http://evil"),2099-01-01\nben@example.com,5,"Plain, text",';
+
+      const { batch } = await service.createBatch('user_1', csv, { sendEmail: true, waitForEmails: true });
+      assert.deepEqual(batch.results.map(r => r.emailStatus), ['not_sent_scheduled', 'sent']);
+      assert.equal(emails.length, 1);
+
+      assert.equal(await service.getBatch('user_2', batch.id), null);
+      const lines = service.toResultsCsv(await service.getBatch('user_1', batch.id)).trim().split('\r\n');
+      assert.equal(lines[0], 'row,status,recipientEmail,recipientName,amount,currency,description,scheduledDate,paymentId,paymentLink,emailStatus,error');
+      assert.equal(lines[1], '2,created,ann@example.com,,5,USDC,"\'=HYPERLINK(""http://evil"")",2099-01-01T09:00:00.000Z,x402_1,https://pay.example.com/x402_1,not_sent_scheduled,');
+      assert.equal(lines[2], '3,created,ben@example.com,,5,USDC,"Plain, text",,x402_2,https://pay.example.com/x402_2,sent,');
+    }
+  }
+];
+
+// 🧪 Test Runner
+async function runTests() {
+  console.log('\n🧪 AgenPay Bulk Payment Requests Test Suite\n===========================================');
+  let passed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.run();
+      passed++;
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      console.error(`❌ ${test.name}\n`, error);
+    }
+  }
+
+  console.log(`\n📊 ${passed}/${tests.length} bulk payment request tests passed`);
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * AgenPay Chat Persistence - Test Suite
+ * Runs a LangGraph graph on the Prisma checkpointer and the chat thread service
+ * (in-memory store instead of Postgres, so no database or LLM is needed)
+ */
+
+import assert from 'node:assert/strict';
+import { StateGraph, MessagesAnnotation } from '@langchain/langgraph';
+import { AIMessage, HumanMessage } from '@langchain/core/messages';
+import PrismaCheckpointSaver from './lib/PrismaCheckpointSaver.js';
+import ChatThreadService, { getDefaultThreadId } from './lib/ChatThreadService.js';
+import { createMemoryStore } from './test-support/MemoryStore.js';
+
+// 🤖 Tiny agent graph that echoes the last message (no LLM needed)
+function buildEchoGraph(checkpointer) {
+  const workflow = new StateGraph(MessagesAnnotation);
+  workflow.addNode('agent', state => {
+    const last = state.messages[state.messages.length - 1];
+    return { messages: [new AIMessage(`echo: ${last.content}`)] };
+  });
+  workflow.setEntryPoint('agent');
+  workflow.addEdge('agent', '__end__');
+  return workflow.compile({ checkpointer });
+}
+
+const tests = [
+  {
+    name: 'Conversation survives a restart with a fresh checkpointer',
+    run: async () => {
+      const store = createMemoryStore();
+      const config = { configurable: { thread_id: 'user-1-chat-session' } };
+
+      const graph = buildEchoGraph(new PrismaCheckpointSaver({ prisma: store }));
+      await graph.invoke({ messages: [new HumanMessage('send 5 USDC to alice')] }, config);
+      await graph.invoke({ messages: [new HumanMessage('and 2 to bob')] }, config);
+
+      // Simulate a server restart: new saver and graph over the same database
+      const restarted = buildEchoGraph(new PrismaCheckpointSaver({ prisma: store }));
+      const state = await restarted.getState(config);
+      assert.equal(state.values.messages.length, 4);
+      assert.equal(state.values.messages[3].content, 'echo: and 2 to bob');
+
+      const result = await restarted.invoke({ messages: [new HumanMessage('thanks')] }, config);
+      assert.equal(result.messages.length, 6);
+      assert.ok(result.messages[0] instanceof HumanMessage);
+
+      // Other threads are unaffected
+      const other = await restarted.getState({ configurable: { thread_id: 'user-2-chat-session' } });
+      assert.equal(other.values.messages, undefined);
+    }
+  },
+  {
+    name: 'Lists checkpoints newest first with parents, limit and before',
+    run: async () => {
+      const store = createMemoryStore();
+      const saver = new PrismaCheckpointSaver({ prisma: store });
+      const config = { configurable: { thread_id: 'thread_a' } };
+
+      await buildEchoGraph(saver).invoke({ messages: [new HumanMessage('hi')] }, config);
+
+      const history = [];
+      for await (const tuple of saver.list(config)) history.push(tuple);
+      assert.ok(history.length >= 2);
+
+      const ids = history.map(tuple => tuple.config.configurable.checkpoint_id);
+      assert.deepEqual(ids, [...ids].sort().reverse());
+      assert.equal(history[0].parentConfig.configurable.checkpoint_id, ids[1]);
+
+      const limited = [];
+      for await (const tuple of saver.list(config, { limit: 1, before: history[0].config })) limited.push(tuple);
+      assert.equal(limited.length, 1);
+      assert.equal(limited[0].config.configurable.checkpoint_id, ids[1]);
+
+      const latest = await saver.getTuple(config);
+      assert.equal(latest.config.configurable.checkpoint_id, ids[0]);
+      assert.equal((await saver.getTuple(history[1].config)).config.configurable.checkpoint_id, ids[1]);
+    }
+  },
+  {
+    name: 'Keeps the first regular write and replaces special writes',
+    run: async () => {
+      const store = createMemoryStore();
+      const saver = new PrismaCheckpointSaver({ prisma: store });
+      const config = { configurable: { thread_id: 'thread_w', checkpoint_ns: '', checkpoint_id: 'cp_1' } };
+
+      await saver.putWrites(config, [['messages', 'first'], ['__error__', 'boom']], 'task_1');
+      await saver.putWrites(config, [['messages', 'second'], ['__error__', 'boom again']], 'task_1');
+
+      const writes = store.tables.agentCheckpointWrite;
+      assert.equal(writes.length, 2);
+      const loaded = await Promise.all(writes.map(write => saver.serde.loadsTyped(write.type, write.value)));
+      assert.ok(loaded.includes('first'));
+      assert.ok(loaded.includes('boom again'));
+      assert.equal(writes.find(write => write.channel === '__error__').idx, -1);
+    }
+  },
+  {
+    name: 'Threads are per user, expose message history and delete their checkpoints',
+    run: async () => {
+      const store = createMemoryStore();
+      const checkpointer = new PrismaCheckpointSaver({ prisma: store });
+      const threads = new ChatThreadService({ prisma: store, checkpointer });
+      const threadId = getDefaultThreadId('user_1');
+
+      const thread = await threads.ensureThread('user_1', threadId, '  Pay   my rent of 1200 USDC on the 1st of every month to landlord@example.com, starting next month  ');
+      assert.equal(thread.title.length, 80);
+      assert.ok(thread.title.endsWith('…'));
+      assert.ok(thread.title.startsWith('Pay my rent of 1200 USDC'));
+      assert.equal(await threads.ensureThread('user_2', threadId, 'hijack'), null);
+      assert.ok(await threads.isForeignThread('user_2', threadId));
+
+      await buildEchoGraph(checkpointer).invoke({ messages: [new HumanMessage('hello')] }, { configurable: { thread_id: threadId } });
+
+      const fetched = await threads.getThread('user_1', threadId);
+      assert.deepEqual(fetched.messages, [
+        { role: 'user', content: 'hello' },
+        { role: 'assistant', content: 'echo: hello' },
+      ]);
+      assert.equal(await threads.getThread('user_2', threadId), null);
+
+      const created = await threads.createThread('user_1', { title: 'Invoices' });
+      assert.ok(created.id.startsWith('thread_'));
+      assert.equal((await threads.getThread('user_1', created.id)).messages.length, 0);
+      assert.equal((await threads.listThreads('user_1')).length, 2);
+      assert.equal((await threads.listThreads('user_2')).length, 0);
+
+      assert.equal(await threads.deleteThread('user_2', threadId), null);
+      assert.ok(await threads.deleteThread('user_1', threadId));
+      assert.equal(store.tables.agentCheckpoint.filter(row => row.threadId === threadId).length, 0);
+      assert.equal(store.tables.agentCheckpointWrite.filter(row => row.threadId === threadId).length, 0);
+      assert.equal((await threads.listThreads('user_1')).length, 1);
+    }
+  }
+];
+
+// 🧪 Test Runner
+async function runTests() {
+  console.log('\n🧪 AgenPay Chat Persistence Test Suite\n=======================================');
+  let passed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.run();
+      passed++;
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      console.error(`❌ ${test.name}\n`, error);
+    }
+  }
+
+  console.log(`\n📊 ${passed}/${tests.length} chat persistence tests passed`);
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+runTests();
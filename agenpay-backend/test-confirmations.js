@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+
+/**
+ * AgenPay Transaction Confirmations - Test Suite
+ * Runs the confirmation poller against a stubbed RPC client
+ * (in-memory store instead of Postgres, so no database or node is needed)
+ */
+
+import assert from 'node:assert/strict';
+import ConfirmationService from './lib/ConfirmationService.js';
+import RpcClient from './lib/RpcClient.js';
+import { createMemoryStore } from './test-support/MemoryStore.js';
+
+const TX_SENT = '0x' + 'a'.repeat(64);
+const TX_REVERTED = '0x' + 'b'.repeat(64);
+const TX_DROPPED = '0x' + 'c'.repeat(64);
+
+// 🗄️ In-memory store seeded with the rows the poller touches
+const createStore = ({ transactions = [], outgoingPayments = [], paymentRequests = [] } = {}) => createMemoryStore({
+  transaction: transactions,
+  outgoingPayment: outgoingPayments,
+  paymentRequest: paymentRequests,
+});
+
+// ⛓️ Stubbed RPC: fixed chain head and a receipt table keyed by hash
+function createStubRpc(latestBlock, receipts = {}) {
+  const calls = [];
+  const rpc = {
+    calls,
+    latestBlock,
+    getBlockNumber: async network => {
+      calls.push(['getBlockNumber', network]);
+      return rpc.latestBlock;
+    },
+    getTransactionReceipt: async (network, txHash) => {
+      calls.push(['getTransactionReceipt', network, txHash]);
+      return receipts[txHash] || null;
+    },
+  };
+  return rpc;
+}
+
+// 🪝 Records webhook events and Notion syncs instead of sending them
+function createRecorders() {
+  const events = [];
+  const notion = [];
+  const ledger = [];
+  return {
+    events,
+    notion,
+    ledger,
+    ledgerService: {
+      confirm: async txHash => { ledger.push(['confirm', txHash]); return 1; },
+      reverse: async (txHash, reason) => { ledger.push(['reverse', txHash, reason]); return []; },
+    },
+    webhookService: { emit: async (userId, event, data) => { events.push({ userId, event, data }); return []; } },
+    schedulingService: {
+      updateNotionOutgoingPayment: async (userId, payment) => { notion.push({ type: 'outgoing', payment }); },
+      updateNotionIncomingPayment: async (userId, request) => { notion.push({ type: 'incoming', request }); },
+    },
+  };
+}
+
+function pendingTransaction(overrides) {
+  return {
+    userId: 'user_1',
+    status: 'PENDING',
+    amount: 1,
+    currency: 'USDC',
+    network: 'base-sepolia',
+    confirmations: 0,
+    blockNumber: null,
+    completedAt: null,
+    createdAt: new Date(),
+    ...overrides
+  };
+}
+
+const tests = [
+  {
+    name: 'Counts confirmations and completes transactions and their outgoing payments at the required depth',
+    run: async () => {
+      const store = createStore({
+        transactions: [
+          pendingTransaction({ id: 'tx_send', type: 'SEND', txHash: TX_SENT }),
+          pendingTransaction({ id: 'tx_out', type: 'OUTGOING', txHash: TX_SENT }),
+        ],
+        outgoingPayments: [{ id: 'op_1', userId: 'user_1', status: 'completed', txHash: TX_SENT, confirmations: 0, confirmedAt: null }]
+      });
+      const rpc = createStubRpc(101, { [TX_SENT]: { transactionHash: TX_SENT, blockNumber: 100, status: 'success' } });
+      const recorders = createRecorders();
+      const service = new ConfirmationService({ prisma: store, rpcClient: rpc, requiredConfirmations: 3, ...recorders });
+
+      let summary = await service.processPendingTransactions();
+      assert.deepEqual(summary, { checked: 1, confirmed: 0, failed: 0 });
+      assert.ok(store.tables.transaction.every(t => t.status === 'PENDING' && t.confirmations === 2 && t.blockNumber === 100));
+      assert.deepEqual(recorders.notion.map(({ payment }) => [payment.id, payment.confirmations, payment.confirmedAt]), [['op_1', 2, null]]);
+
+      // One receipt lookup per hash, even with two rows sharing it
+      assert.equal(rpc.calls.filter(([method]) => method === 'getTransactionReceipt').length, 1);
+
+      rpc.latestBlock = 102;
+      summary = await service.processPendingTransactions();
+      assert.deepEqual(summary, { checked: 1, confirmed: 1, failed: 0 });
+      assert.ok(store.tables.transaction.every(t => t.status === 'COMPLETED' && t.confirmations === 3 && t.completedAt instanceof Date));
+
+      // The outgoing payment it settles is confirmed too, in the database and in Notion
+      const [payment] = store.tables.outgoingPayment;
+      assert.equal(payment.confirmations, 3);
+      assert.ok(payment.confirmedAt instanceof Date);
+      assert.deepEqual(recorders.notion.map(({ payment }) => payment.confirmations), [2, 3]);
+      assert.equal(recorders.notion[1].payment.confirmedAt.getTime(), payment.confirmedAt.getTime());
+
+      // Nothing left to check
+      assert.deepEqual(await service.processPendingTransactions(), { checked: 0, confirmed: 0, failed: 0 });
+      assert.equal(recorders.events.length, 0);
+      assert.equal(recorders.notion.length, 2);
+      assert.deepEqual(recorders.ledger, [['confirm', TX_SENT]]);
+    }
+  },
+  {
+    name: 'Fails reverted sends and propagates to the outgoing payment, Notion and webhooks',
+    run: async () => {
+      const store = createStore({
+        transactions: [
+          pendingTransaction({ id: 'tx_send', type: 'SEND', txHash: TX_REVERTED }),
+          pendingTransaction({ id: 'tx_out', type: 'OUTGOING', txHash: TX_REVERTED }),
+        ],
+        outgoingPayments: [{ id: 'op_1', userId: 'user_1', status: 'completed', txHash: TX_REVERTED }]
+      });
+      const rpc = createStubRpc(200, { [TX_REVERTED]: { transactionHash: TX_REVERTED, blockNumber: 150, status: 'reverted' } });
+      const recorders = createRecorders();
+      const service = new ConfirmationService({ prisma: store, rpcClient: rpc, ...recorders });
+
+      const summary = await service.processPendingTransactions();
+      assert.deepEqual(summary, { checked: 1, confirmed: 0, failed: 1 });
+      assert.ok(store.tables.transaction.every(t => t.status === 'FAILED' && t.failureReason.includes('reverted') && t.blockNumber === 150));
+      assert.equal(store.tables.outgoingPayment[0].status, 'failed');
+
+      assert.equal(recorders.events.length, 1);
+      assert.equal(recorders.events[0].event, 'outgoing_payment.failed');
+      assert.equal(recorders.events[0].data.id, 'op_1');
+      assert.match(recorders.events[0].data.error, /reverted/);
+
+      assert.equal(recorders.notion.length, 1);
+      assert.equal(recorders.notion[0].payment.status, 'failed');
+
+      // The ledger entries of the send are reversed, so balances drop the failed transfer
+      assert.equal(recorders.ledger.length, 1);
+      assert.deepEqual(recorders.ledger[0].slice(0, 2), ['reverse', TX_REVERTED]);
+      assert.match(recorders.ledger[0][2], /reverted/);
+    }
+  },
+  {
+    name: 'Reverses a refund whose transaction never landed',
+    run: async () => {
+      const store = createStore({
+        transactions: [
+          pendingTransaction({ id: 'tx_refund', type: 'REFUND', txHash: TX_DROPPED, amount: 4, relatedRequestId: 'x402_1', createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000) }),
+          pendingTransaction({ id: 'tx_recent', type: 'SEND', txHash: '0x' + 'd'.repeat(64) }),
+        ],
+        paymentRequests: [{ id: 'x402_1', userId: 'user_1', amount: 10, currency: 'USDC', refundPercentage: 100, refundedAmount: 10, status: 'refunded' }]
+      });
+      const rpc = createStubRpc(300);
+      const recorders = createRecorders();
+      const service = new ConfirmationService({ prisma: store, rpcClient: rpc, dropTimeoutMs: 60 * 60 * 1000, ...recorders });
+
+      const summary = await service.processPendingTransactions();
+      assert.deepEqual(summary, { checked: 2, confirmed: 0, failed: 1 });
+
+      const [refund, recent] = store.tables.transaction;
+      assert.equal(refund.status, 'FAILED');
+      assert.match(refund.failureReason, /dropped/);
+      // A recent send without a receipt is still waiting to be mined
+      assert.equal(recent.status, 'PENDING');
+
+      assert.equal(store.tables.paymentRequest[0].refundedAmount, '6');
+      assert.equal(store.tables.paymentRequest[0].status, 'partially_refunded');
+      assert.equal(recorders.notion[0].type, 'incoming');
+    }
+  },
+  {
+    name: 'Leaves transactions pending when the RPC node is unavailable',
+    run: async () => {
+      const store = createStore({
+        transactions: [pendingTransaction({ id: 'tx_send', type: 'SEND', txHash: TX_SENT })]
+      });
+      const rpc = {
+        getBlockNumber: async () => { throw new Error('RPC eth_blockNumber on base-sepolia failed: HTTP 503'); },
+        getTransactionReceipt: async () => null,
+      };
+      const service = new ConfirmationService({ prisma: store, rpcClient: rpc, ...createRecorders() });
+
+      assert.deepEqual(await service.processPendingTransactions(), { checked: 0, confirmed: 0, failed: 0 });
+      assert.equal(store.tables.transaction[0].status, 'PENDING');
+    }
+  },
+  {
+    name: 'RPC client decodes receipts and block numbers from JSON-RPC',
+    run: async () => {
+      const requests = [];
+      const results = {
+        eth_blockNumber: '0x1f4',
+        eth_getTransactionReceipt: { transactionHash: TX_SENT, blockNumber: '0x1f0', status: '0x0', gasUsed: '0x5208' },
+      };
+      const fetch = async (url, { body }) => {
+        const { method, params } = JSON.parse(body);
+        requests.push({ url, method, params });
+        return { ok: true, status: 200, json: async () => ({ jsonrpc: '2.0', id: 1, result: results[method] }) };
+      };
+      const client = new RpcClient({ fetch, urls: { 'base-sepolia': 'http://rpc.test' } });
+
+      assert.equal(await client.getBlockNumber('base-sepolia'), 500);
+      assert.deepEqual(await client.getTransactionReceipt('base-sepolia', TX_SENT), {
+        transactionHash: TX_SENT,
+        blockNumber: 496,
+        status: 'reverted',
+        gasUsed: 21000
+      });
+      assert.equal(requests[1].url, 'http://rpc.test');
+      assert.deepEqual(requests[1].params, [TX_SENT]);
+
+      results.eth_getTransactionReceipt = null;
+      assert.equal(await client.getTransactionReceipt('base-sepolia', TX_SENT), null);
+      await assert.rejects(() => client.getBlockNumber('polygon'), /No RPC endpoint/);
+    }
+  }
+];
+
+// 🧪 Test Runner
+async function runTests() {
+  console.log('\n🧪 AgenPay Confirmation Test Suite\n===================================');
+  let passed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.run();
+      passed++;
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      console.error(`❌ ${test.name}\n`, error);
+    }
+  }
+
+  console.log(`\n📊 ${passed}/${tests.length} confirmation tests passed`);
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+runTests();
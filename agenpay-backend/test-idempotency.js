@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+
+/**
+ * AgenPay Idempotency - Test Suite
+ * Checks idempotency keys: stored responses replayed on retry, conflicts for a reused key,
+ * the retention window, and scheduler executions that send each payment and refund once
+ * (in-memory store instead of Postgres, so no database is needed)
+ */
+
+import assert from 'node:assert/strict';
+import IdempotencyService, { IdempotencyError, IDEMPOTENCY_KEY_CONFLICT, IDEMPOTENCY_KEY_IN_PROGRESS, parseIdempotencyKey, hashPayload } from './lib/IdempotencyService.js';
+import SchedulingService from './lib/SchedulingService.js';
+import ConfirmationService from './lib/ConfirmationService.js';
+import { createMemoryStore } from './test-support/MemoryStore.js';
+
+// 🗄️ In-memory store enforcing the unique index on IdempotencyKey(userId, scope, key)
+function createStore(seed = {}) {
+  return createMemoryStore(seed, {
+    defaults: { idempotencyKey: { completedAt: null, statusCode: null, response: null } },
+    unique: { idempotencyKey: [['userId', 'scope', 'key']] },
+  });
+}
+
+// ⏰ Scheduler whose wallet records sends, optionally holding each one until released
+function createScheduler(store, { holdSends = false } = {}) {
+  const sends = [];
+  let release = () => {};
+  const held = new Promise(resolve => { release = resolve; });
+
+  const walletService = {
+    validateAddress: address => /^0x[0-9a-fA-F]+$/.test(address),
+    sendCrypto: async (userId, toAddress, amount, currency) => {
+      sends.push({ toAddress, amount, currency });
+      if (holdSends) await held;
+      return { success: true, transactionHash: `0xtx${sends.length}` };
+    },
+  };
+
+  const scheduler = new SchedulingService({
+    prisma: store,
+    walletService,
+    emailService: {},
+    approvalService: {},
+    confirmationService: {},
+    webhookService: { emit: async () => [] },
+    priceService: { getUsdValuation: async () => ({ usdPrice: 1, usdValue: null }) },
+    idempotencyService: new IdempotencyService({ prisma: store }),
+  });
+  scheduler.updateNotionOutgoingPayment = async () => {};
+  scheduler.updateNotionRefund = async () => {};
+
+  return { scheduler, sends, release };
+}
+
+const tests = [
+  {
+    name: 'Idempotency keys are validated and requests fingerprinted by content',
+    run: async () => {
+      assert.deepEqual(parseIdempotencyKey(undefined), { data: null });
+      assert.deepEqual(parseIdempotencyKey(' 3f1c-send-42 '), { data: '3f1c-send-42' });
+      assert.match(parseIdempotencyKey('').error, /1 to 255 printable characters/);
+      assert.match(parseIdempotencyKey('two words').error, /without spaces/);
+      assert.match(parseIdempotencyKey('k'.repeat(256)).error, /1 to 255/);
+
+      // Key order does not matter, values do
+      assert.equal(hashPayload({ amount: '5', to: '0xabc' }), hashPayload({ to: '0xabc', amount: '5', memo: undefined }));
+      assert.notEqual(hashPayload({ amount: '5', to: '0xabc' }), hashPayload({ amount: '50', to: '0xabc' }));
+      assert.notEqual(hashPayload({ items: [1, 2] }), hashPayload({ items: [2, 1] }));
+    }
+  },
+  {
+    name: 'A retried request gets the stored response, and a reused key with another body conflicts',
+    run: async () => {
+      const store = createStore();
+      const service = new IdempotencyService({ prisma: store });
+      const request = { userId: 'user_1', scope: 'wallet_send', key: 'key_1', payload: { toAddress: '0xabc', amount: '5' } };
+      let runs = 0;
+      const send = async () => ({ success: true, transactionHash: `0xtx${++runs}`, amount: { toJSON: () => '5' } });
+
+      const first = await service.run(request, send);
+      assert.equal(first.replayed, false);
+      assert.equal(first.response.transactionHash, '0xtx1');
+
+      // Stored as plain JSON (Decimal amounts become strings) and replayed without running again
+      assert.deepEqual(await service.run(request, send), { replayed: true, response: { success: true, transactionHash: '0xtx1', amount: '5' } });
+      assert.equal(runs, 1);
+
+      // Same key under another user or scope is a different key
+      assert.equal((await service.run({ ...request, userId: 'user_2' }, send)).response.transactionHash, '0xtx2');
+      assert.equal((await service.run({ ...request, scope: 'payment_request' }, send)).replayed, false);
+
+      await assert.rejects(service.run({ ...request, payload: { toAddress: '0xabc', amount: '50' } }, send), error =>
+        error instanceof IdempotencyError && error.code === IDEMPOTENCY_KEY_CONFLICT && /different request/.test(error.message));
+      assert.equal(runs, 3);
+
+      // HTTP callers store the status code with the response
+      const claim = await service.begin({ ...request, key: 'key_http' });
+      await service.complete(claim.record.id, { statusCode: 400, response: { error: 'Invalid recipient address' } });
+      assert.deepEqual(await service.begin({ ...request, key: 'key_http' }), { replayed: true, statusCode: 400, response: { error: 'Invalid recipient address' } });
+    }
+  },
+  {
+    name: 'A key is busy while its request runs and released when the request fails before moving money',
+    run: async () => {
+      const store = createStore();
+      const service = new IdempotencyService({ prisma: store });
+      const request = { userId: 'user_1', scope: 'wallet_send', key: 'key_1', payload: { amount: '5' } };
+
+      let finish;
+      const running = service.run(request, () => new Promise(resolve => { finish = resolve; }));
+      await new Promise(resolve => setImmediate(resolve));
+      await assert.rejects(service.run(request, async () => 'second'), error => error.code === IDEMPOTENCY_KEY_IN_PROGRESS);
+      finish('first');
+      assert.deepEqual(await running, { replayed: false, response: 'first' });
+
+      await assert.rejects(service.run({ ...request, key: 'key_2' }, async () => { throw new Error('RPC unavailable'); }), /RPC unavailable/);
+      assert.deepEqual(await service.run({ ...request, key: 'key_2' }, async () => 'retried'), { replayed: false, response: 'retried' });
+
+      // An operation that may have moved money keeps its key, so it is not run again
+      const broadcast = Object.assign(new Error('timed out'), { mayHaveBroadcast: true });
+      await assert.rejects(service.run({ ...request, key: 'key_3' }, async () => { throw broadcast; }), /timed out/);
+      await assert.rejects(service.run({ ...request, key: 'key_3' }, async () => 'retried'), error => error.code === IDEMPOTENCY_KEY_IN_PROGRESS);
+    }
+  },
+  {
+    name: 'Keys are kept for the retention window, then reusable and purged',
+    run: async () => {
+      const store = createStore();
+      const service = new IdempotencyService({ prisma: store, retentionHours: 1 });
+      const request = { userId: 'user_1', scope: 'payment_request', key: 'key_1', payload: { amount: '5' } };
+
+      await service.run(request, async () => 'first');
+      const [record] = store.tables.idempotencyKey;
+      assert.ok(Math.abs(record.expiresAt - Date.now() - 60 * 60 * 1000) < 5000);
+
+      // After the window the key starts over, even with another body
+      record.expiresAt = new Date(Date.now() - 1000);
+      assert.deepEqual(await service.run({ ...request, payload: { amount: '6' } }, async () => 'second'), { replayed: false, response: 'second' });
+      assert.equal(store.tables.idempotencyKey.length, 1);
+
+      store.tables.idempotencyKey[0].expiresAt = new Date(Date.now() - 1000);
+      await service.run({ ...request, key: 'key_2' }, async () => 'kept');
+      assert.equal(await service.purgeExpired(), 1);
+      assert.deepEqual(store.tables.idempotencyKey.map(key => key.key), ['key_2']);
+    }
+  },
+  {
+    name: 'Overlapping scheduler runs send each payment and refund once',
+    run: async () => {
+      const payment = { id: 'op_1', userId: 'user_1', recipientAddress: '0xda7e', amount: '5', currency: 'USDC', network: 'base-sepolia', description: 'Design work', relatedRequestId: null, status: 'scheduled' };
+      const store = createStore({
+        user: [{ id: 'user_1', walletAddress: '0xowner' }],
+        outgoingPayment: [{ ...payment }],
+        paymentRequest: [{ id: 'req_1', userId: 'user_1', amount: '10', currency: 'USDC', network: 'base-sepolia', refundPercentage: 100, refundedAmount: '0', payerAddress: '0xbeef', description: 'Deposit', status: 'payment_received' }],
+      });
+      const { scheduler, sends, release } = createScheduler(store, { holdSends: true });
+      const due = await scheduler.claimPayment('op_1');
+
+      // A second run picks the payment up while the first is still sending
+      const first = scheduler.executeOutgoingPayment(due);
+      await new Promise(resolve => setImmediate(resolve));
+      const second = await scheduler.executeOutgoingPayment(due);
+      assert.equal(second.status, 'processing');
+      release();
+      assert.equal((await first).status, 'completed');
+
+      // A later run replays the stored send instead of paying again
+      assert.equal((await scheduler.executeOutgoingPayment(due)).status, 'completed');
+      assert.equal(sends.length, 1);
+      assert.equal(store.tables.transaction.filter(transaction => transaction.type === 'OUTGOING').length, 1);
+
+      // Two refund runs working from the same snapshot of the payment request
+      const snapshot = { ...store.tables.paymentRequest[0], user: { walletAddress: '0xowner' } };
+      await scheduler.executeRefund(snapshot);
+      await scheduler.executeRefund(snapshot);
+      assert.equal(sends.length, 2);
+      assert.deepEqual(sends[1], { toAddress: '0xbeef', amount: '10', currency: 'USDC' });
+      assert.equal(store.tables.paymentRequest[0].refundedAmount, '10');
+      assert.equal(store.tables.paymentRequest[0].status, 'refunded');
+    }
+  },
+  {
+    name: 'A refund sent by a run that stopped before recording it is recorded by the next run',
+    run: async () => {
+      const store = createStore({
+        paymentRequest: [{ id: 'req_1', userId: 'user_1', amount: '10', currency: 'USDC', network: 'base-sepolia', refundPercentage: 50, refundedAmount: '0', payerAddress: '0xbeef', description: 'Deposit', status: 'payment_received' }],
+      });
+      const { scheduler, sends } = createScheduler(store);
+      const snapshot = () => ({ ...store.tables.paymentRequest[0], user: { walletAddress: '0xowner' } });
+
+      // The first run sends, then stops before the refund is recorded
+      const recordRefund = scheduler.recordRefund;
+      scheduler.recordRefund = async () => { throw new Error('worker stopped'); };
+      await scheduler.executeRefund(snapshot());
+      scheduler.recordRefund = recordRefund;
+      assert.equal(sends.length, 1);
+      assert.equal(store.tables.paymentRequest[0].refundedAmount, '0');
+
+      // The next run replays the stored send and records it, without sending again
+      await scheduler.executeRefund(snapshot());
+      assert.equal(sends.length, 1);
+      assert.equal(store.tables.paymentRequest[0].refundedAmount, '5');
+      assert.equal(store.tables.paymentRequest[0].status, 'refunded');
+      assert.deepEqual(store.tables.transaction.map(transaction => [transaction.type, transaction.txHash]), [['REFUND', '0xtx1']]);
+
+      // Nothing is left owed, so later runs do nothing
+      await scheduler.executeRefund(snapshot());
+      assert.equal(sends.length, 1);
+      assert.equal(store.tables.paymentRequest[0].refundedAmount, '5');
+    }
+  },
+  {
+    name: 'A refund that failed on-chain is sent again by the next scheduled run',
+    run: async () => {
+      const store = createStore({
+        user: [{ id: 'user_1', walletAddress: '0xowner' }],
+        paymentRequest: [{ id: 'req_1', userId: 'user_1', amount: '10', currency: 'USDC', network: 'base-sepolia', refundPercentage: 100, refundedAmount: '4', payerAddress: '0xbeef', description: 'Deposit', status: 'partially_refunded', transactionType: 'ask_and_refund', refundDate: new Date(Date.now() - 60000) }],
+        // An earlier refund scheduled as an outgoing payment, which reverted
+        outgoingPayment: [{ id: 'op_1', userId: 'user_1', relatedRequestId: 'req_1', amount: '4', status: 'failed' }],
+      });
+      const { scheduler, sends } = createScheduler(store);
+      const confirmations = new ConfirmationService({
+        prisma: store,
+        rpcClient: {},
+        ledgerService: { reverse: async () => [] },
+        webhookService: { emit: async () => [] },
+        schedulingService: scheduler,
+      });
+
+      // The failed outgoing payment does not cover the request, so the remaining 6 are refunded
+      await scheduler.processScheduledRefunds();
+      assert.deepEqual(sends.map(send => send.amount), ['6']);
+      assert.equal(store.tables.paymentRequest[0].refundedAmount, '10');
+
+      // That refund reverts too: it is taken back off the request and the next run sends it again
+      const [refund] = store.tables.transaction;
+      await confirmations.failTransaction({ network: 'base-sepolia', txHash: refund.txHash, transactions: [refund] }, 'Transaction reverted on-chain');
+      assert.equal(store.tables.paymentRequest[0].refundedAmount, '4');
+
+      await scheduler.processScheduledRefunds();
+      assert.deepEqual(sends.map(send => send.amount), ['6', '6']);
+      assert.equal(store.tables.paymentRequest[0].refundedAmount, '10');
+      assert.deepEqual(store.tables.transaction.map(transaction => [transaction.txHash, transaction.status]), [['0xtx1', 'FAILED'], ['0xtx2', 'PENDING']]);
+    }
+  },
+  {
+    name: 'A refund whose transfer may have gone out is parked for review instead of sent again',
+    run: async () => {
+      const store = createStore({
+        user: [{ id: 'user_1', walletAddress: '0xowner' }],
+        paymentRequest: [{ id: 'req_1', userId: 'user_1', amount: '10', currency: 'USDC', network: 'base-sepolia', refundPercentage: 100, refundedAmount: '0', payerAddress: '0xbeef', description: 'Deposit', status: 'payment_received', transactionType: 'ask_and_refund', refundDate: new Date(Date.now() - 60000) }],
+      });
+      const { scheduler, sends } = createScheduler(store);
+      const sendCrypto = scheduler.walletService.sendCrypto;
+      scheduler.walletService.sendCrypto = async (...args) => {
+        await sendCrypto(...args);
+        throw Object.assign(new Error('Request timed out'), { code: 'ETIMEDOUT', mayHaveBroadcast: true });
+      };
+
+      await scheduler.processScheduledRefunds();
+      await scheduler.processScheduledRefunds();
+      assert.equal(sends.length, 1);
+      assert.equal(store.tables.paymentRequest[0].refundedAmount, '0');
+      assert.equal(store.tables.idempotencyKey[0].completedAt, null);
+
+      // Parked as a dead-lettered refund: its owner checks the wallet before re-queueing it
+      const [parked] = store.tables.outgoingPayment;
+      assert.deepEqual([parked.status, parked.amount, parked.recipientAddress, parked.relatedRequestId], ['dead_letter', '10', '0xbeef', 'req_1']);
+      assert.match(parked.failureReason, /check the wallet before retrying/);
+    }
+  }
+];
+
+// 🧪 Test Runner
+async function runTests() {
+  console.log('\n🧪 AgenPay Idempotency Test Suite\n=================================');
+  let passed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.run();
+      passed++;
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      console.error(`❌ ${test.name}\n`, error);
+    }
+  }
+
+  console.log(`\n📊 ${passed}/${tests.length} idempotency tests passed`);
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+runTests();
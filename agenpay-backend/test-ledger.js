@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+
+/**
+ * AgenPay Ledger - Test Suite
+ * Checks the double-entry ledger: balanced entries for every money flow, idempotent
+ * posting, reversals, balances, activity statistics, on-chain reconciliation and the
+ * backfill of older transactions (in-memory store instead of Postgres, so no database is needed)
+ */
+
+import assert from 'node:assert/strict';
+import LedgerService, { buildEntryLines, findImbalance, getAccountType } from './lib/LedgerService.js';
+import { sumAmounts } from './lib/Money.js';
+import { createMemoryStore } from './test-support/MemoryStore.js';
+
+// 🗄️ In-memory store where entries are created with their lines and can include them
+function createStore({ transactions = [] } = {}) {
+  const store = createMemoryStore({ transaction: transactions }, {
+    idPrefixes: { ledgerAccount: 'acc', ledgerEntry: 'entry', ledgerLine: 'line' },
+    unique: { ledgerAccount: [['userId', 'code', 'currency']], ledgerEntry: [['sourceKey']] },
+    models: {
+      ledgerEntry: (base, tables) => {
+        const withLines = (entry, include) => {
+          if (!entry || !include?.lines) return entry;
+          const lines = tables.ledgerLine.filter(line => line.entryId === entry.id).map(line => (
+            include.lines.include?.account ? { ...line, account: { code: tables.ledgerAccount.find(account => account.id === line.accountId).code } } : { ...line }
+          ));
+          return { ...entry, lines };
+        };
+        return {
+          findUnique: async ({ where, include }) => withLines(await base.findUnique({ where }), include),
+          findMany: async ({ include, ...args }) => (await base.findMany(args)).map(entry => withLines(entry, include)),
+          create: async ({ data: { lines, ...data }, include }) => {
+            const entry = await base.create({ data });
+            for (const line of lines.create) {
+              await store.ledgerLine.create({ data: { entryId: entry.id, ...line } });
+            }
+            return withLines(entry, include);
+          },
+        };
+      },
+    },
+  });
+  return store;
+}
+
+const TX_SEND = '0x' + 'a'.repeat(64);
+const TX_SWAP = '0x' + 'b'.repeat(64);
+
+// One of each flow on base-sepolia: 100 USDC and 0.5 ETH in, 25 + 10 + 5 USDC out, 0.01 ETH swapped for 25 USDC
+async function postEveryFlow(ledger) {
+  const base = { userId: 'user_1', network: 'base-sepolia' };
+  await ledger.post({ ...base, kind: 'x402_receipt', amount: '100', currency: 'USDC', sourceKey: 'x402:req_1', txHash: '0x01', confirmed: true });
+  await ledger.post({ ...base, kind: 'x402_receipt', amount: 0.5, currency: 'eth', sourceKey: 'x402:req_2', txHash: '0x02', confirmed: true });
+  await ledger.post({ ...base, kind: 'send', amount: '25', currency: 'USDC', sourceKey: 'tx:tx_send', txHash: TX_SEND });
+  await ledger.post({ ...base, kind: 'scheduled_payment', amount: '10', currency: 'USDC', sourceKey: 'tx:tx_op', txHash: '0x03', confirmed: true });
+  await ledger.post({ ...base, kind: 'refund', amount: '5', currency: 'USDC', sourceKey: 'tx:tx_refund', txHash: '0x04', confirmed: true });
+  await ledger.post({ ...base, kind: 'swap', amount: '0.01', currency: 'ETH', sourceKey: `swap:${TX_SWAP}`, txHash: TX_SWAP, swapTo: { amount: '25', currency: 'usdc' }, confirmed: true });
+}
+
+const walletBalances = async (ledger, userId = 'user_1') => Object.fromEntries(
+  (await ledger.getBalances(userId)).wallets.map(wallet => [`${wallet.network}:${wallet.currency}`, wallet.balance])
+);
+
+const tests = [
+  {
+    name: 'Every flow books balanced lines and unbalanced entries are rejected',
+    run: async () => {
+      assert.deepEqual(buildEntryLines({ kind: 'send', amount: '25', currency: 'USDC', network: 'base-sepolia' }), [
+        { account: 'Expenses:Transfers Out', currency: 'USDC', debit: '25', credit: '0' },
+        { account: 'Assets:Wallet:base-sepolia', currency: 'USDC', debit: '0', credit: '25' },
+      ]);
+      assert.deepEqual(buildEntryLines({ kind: 'swap', amount: '0.01', currency: 'ETH', network: 'base-sepolia', swapTo: { amount: '25', currency: 'usdc' } }).map(line => [line.account, line.currency, line.debit, line.credit]), [
+        ['Assets:Swap Clearing', 'ETH', '0.01', '0'],
+        ['Assets:Wallet:base-sepolia', 'ETH', '0', '0.01'],
+        ['Assets:Wallet:base-sepolia', 'USDC', '25', '0'],
+        ['Assets:Swap Clearing', 'USDC', '0', '25'],
+      ]);
+      assert.throws(() => buildEntryLines({ kind: 'gift', amount: '1', currency: 'USDC' }), /Unknown ledger entry kind: gift/);
+      assert.equal(getAccountType('Income:Refunds Given'), 'INCOME');
+      assert.throws(() => getAccountType('Liabilities:Loans'), /Unknown ledger account/);
+
+      assert.equal(findImbalance([{ currency: 'USDC', debit: '0.1', credit: '0' }, { currency: 'USDC', debit: '0.2', credit: '0' }, { currency: 'USDC', debit: '0', credit: '0.3' }]), null);
+      assert.equal(findImbalance([{ currency: 'USDC', debit: '1', credit: '0' }, { currency: 'ETH', debit: '0', credit: '1' }]), 'USDC debits 1 != credits 0');
+
+      const store = createStore();
+      const ledger = new LedgerService({ prisma: store });
+      await assert.rejects(ledger.post({
+        userId: 'user_1', kind: 'send', amount: '1', currency: 'USDC', sourceKey: 'tx:bad',
+        lines: [{ account: 'Expenses:Transfers Out', currency: 'USDC', debit: '1', credit: '0' }, { account: 'Assets:Wallet:base-sepolia', currency: 'USDC', debit: '0', credit: '0.9' }]
+      }), /does not balance/);
+      await assert.rejects(ledger.post({ userId: 'user_1', kind: 'send', amount: '-1', currency: 'USDC', sourceKey: 'tx:negative' }), /Invalid amount/);
+      await assert.rejects(ledger.post({ userId: 'user_1', kind: 'send', amount: '1', currency: 'USDC' }), /needs a sourceKey/);
+      assert.equal(store.tables.ledgerEntry.length, 0);
+
+      // Flows that already moved money log a failed posting instead of failing
+      assert.equal(await ledger.record({ userId: 'user_1', kind: 'gift', amount: '1', currency: 'USDC', sourceKey: 'tx:gift' }), null);
+    }
+  },
+  {
+    name: 'Entries post once per event and add up to per-currency wallet balances',
+    run: async () => {
+      const store = createStore();
+      const ledger = new LedgerService({ prisma: store });
+      await postEveryFlow(ledger);
+
+      // Posting the same x402 receipt again returns the first entry
+      const first = store.tables.ledgerEntry.find(entry => entry.sourceKey === 'x402:req_1');
+      const again = await ledger.post({ userId: 'user_1', kind: 'x402_receipt', amount: '100', currency: 'USDC', network: 'base-sepolia', sourceKey: 'x402:req_1' });
+      assert.equal(again.id, first.id);
+      assert.equal(store.tables.ledgerEntry.length, 6);
+
+      assert.deepEqual(await walletBalances(ledger), { 'base-sepolia:ETH': '0.49', 'base-sepolia:USDC': '85' });
+
+      const { accounts } = await ledger.getBalances('user_1');
+      const balanceOf = (code, currency) => accounts.find(account => account.code === code && account.currency === currency).balance;
+      assert.equal(balanceOf('Income:Payments Received', 'USDC'), '100');
+      assert.equal(balanceOf('Expenses:Payments Sent', 'USDC'), '10');
+      assert.equal(balanceOf('Income:Refunds Given', 'USDC'), '-5');
+      assert.equal(balanceOf('Assets:Swap Clearing', 'ETH'), '0.01');
+      assert.equal(balanceOf('Assets:Swap Clearing', 'USDC'), '-25');
+
+      // Debits equal credits across the whole book
+      assert.equal(sumAmounts(accounts.map(account => account.debit)), sumAmounts(accounts.map(account => account.credit)));
+      assert.deepEqual((await ledger.getBalances('user_2')).wallets, []);
+
+      const [latest] = await ledger.listEntries('user_1', { limit: 1 });
+      assert.equal(latest.kind, 'swap');
+      assert.deepEqual(latest.lines.map(line => line.account), ['Assets:Swap Clearing', 'Assets:Wallet:base-sepolia', 'Assets:Wallet:base-sepolia', 'Assets:Swap Clearing']);
+    }
+  },
+  {
+    name: 'Failed transfers are reversed and drop out of the activity statistics',
+    run: async () => {
+      const store = createStore();
+      const ledger = new LedgerService({ prisma: store });
+      await postEveryFlow(ledger);
+
+      assert.deepEqual(await ledger.getActivitySummary('user_1'), {
+        sentCount: 3,
+        receivedCount: 2,
+        amountSent: '40',
+        amountReceived: '100.5',
+        byCurrency: { USDC: { sent: '40', received: '100' }, ETH: { sent: '0', received: '0.5' } }
+      });
+
+      const reversals = await ledger.reverse(TX_SEND, 'Transaction reverted on-chain');
+      assert.equal(reversals.length, 1);
+      assert.equal(reversals[0].kind, 'reversal');
+      assert.match(reversals[0].description, /reverted on-chain/);
+      assert.deepEqual(await walletBalances(ledger), { 'base-sepolia:ETH': '0.49', 'base-sepolia:USDC': '110' });
+
+      // Reversing twice changes nothing
+      await ledger.reverse(TX_SEND, 'Transaction reverted on-chain');
+      assert.equal(store.tables.ledgerEntry.filter(entry => entry.kind === 'reversal').length, 1);
+
+      const summary = await ledger.getActivitySummary('user_1');
+      assert.equal(summary.sentCount, 2);
+      assert.equal(summary.amountSent, '15');
+      assert.equal(summary.receivedCount, 2);
+    }
+  },
+  {
+    name: 'Reconciliation compares wallet balances with the chain',
+    run: async () => {
+      const store = createStore();
+      const ledger = new LedgerService({ prisma: store });
+      await postEveryFlow(ledger);
+
+      // The 25 USDC send is booked but not yet confirmed, so the chain still shows it
+      let report = await ledger.reconcile('user_1', { network: 'base-sepolia', tokens: [{ symbol: 'USDC', amount: '110' }, { symbol: 'ETH', amount: '0.49' }] });
+      assert.equal(report.status, 'pending');
+      assert.deepEqual(report.currencies, [
+        { currency: 'ETH', ledgerBalance: '0.49', onChainBalance: '0.49', difference: '0', unconfirmed: '0', status: 'matched' },
+        { currency: 'USDC', ledgerBalance: '85', onChainBalance: '110', difference: '25', unconfirmed: '-25', status: 'pending' },
+      ]);
+
+      assert.equal(await ledger.confirm(TX_SEND), 1);
+      report = await ledger.reconcile('user_1', { network: 'base-sepolia', tokens: [{ symbol: 'USDC', amount: '85' }, { symbol: 'ETH', amount: '0.49' }] });
+      assert.equal(report.status, 'matched');
+
+      // Tokens the ledger never saw, or missing ones, are mismatches
+      report = await ledger.reconcile('user_1', { network: 'base-sepolia', tokens: [{ symbol: 'USDC', amount: '85' }, { symbol: 'DAI', amount: '3' }] });
+      assert.equal(report.status, 'mismatch');
+      assert.deepEqual(report.currencies.map(line => [line.currency, line.difference, line.status]), [['DAI', '3', 'mismatch'], ['ETH', '-0.49', 'mismatch'], ['USDC', '0', 'matched']]);
+    }
+  },
+  {
+    name: 'Older transactions are backfilled once, one entry per transfer',
+    run: async () => {
+      const transaction = (id, type, amount, currency, extra = {}) => ({
+        id, userId: 'user_1', type, amount, currency, status: 'COMPLETED', network: 'base-sepolia',
+        txHash: `0x${id}`, relatedRequestId: null, description: null, createdAt: new Date('2026-09-01T00:00:00Z'), ...extra
+      });
+      const store = createStore({
+        transactions: [
+          transaction('tx_in', 'INCOMING', 50, 'USDC', { relatedRequestId: 'req_1' }),
+          transaction('tx_recv', 'RECEIVE', 1, 'ETH'),
+          // A scheduled payment is a SEND row and an OUTGOING row sharing one hash
+          transaction('tx_send_op', 'SEND', 10, 'USDC', { txHash: '0xshared' }),
+          transaction('tx_op', 'OUTGOING', 10, 'USDC', { txHash: '0xshared', status: 'PENDING' }),
+          transaction('tx_send', 'SEND', 5, 'USDC'),
+          transaction('tx_swap', 'SWAP', 0.1, 'ETH'),
+          transaction('tx_failed', 'SEND', 99, 'USDC', { status: 'FAILED' }),
+          transaction('tx_other', 'INCOMING', 1000, 'USDC', { userId: 'user_2' }),
+        ]
+      });
+      const ledger = new LedgerService({ prisma: store });
+
+      // The receipt was already posted live by the x402 flow
+      await ledger.post({ userId: 'user_1', kind: 'x402_receipt', amount: '50', currency: 'USDC', network: 'base-sepolia', sourceKey: 'x402:req_1', confirmed: true });
+
+      assert.deepEqual(await ledger.backfillFromTransactions('user_1'), { posted: 4, skipped: 1 });
+      assert.deepEqual(store.tables.ledgerEntry.map(entry => [entry.kind, entry.sourceKey, entry.confirmedAt ? 'confirmed' : 'unconfirmed']), [
+        ['x402_receipt', 'x402:req_1', 'confirmed'],
+        ['x402_receipt', 'tx:tx_recv', 'confirmed'],
+        ['scheduled_payment', 'tx:tx_send_op', 'unconfirmed'],
+        ['send', 'tx:tx_send', 'confirmed'],
+        ['swap', 'swap:0xtx_swap', 'confirmed'],
+      ]);
+      assert.deepEqual(await walletBalances(ledger), { 'base-sepolia:ETH': '0.9', 'base-sepolia:USDC': '35' });
+
+      assert.deepEqual(await ledger.backfillFromTransactions('user_1'), { posted: 0, skipped: 5 });
+    }
+  }
+];
+
+// 🧪 Test Runner
+async function runTests() {
+  console.log('\n🧪 AgenPay Ledger Test Suite\n============================');
+  let passed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.run();
+      passed++;
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      console.error(`❌ ${test.name}\n`, error);
+    }
+  }
+
+  console.log(`\n📊 ${passed}/${tests.length} ledger tests passed`);
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+
+/**
+ * AgenPay LLM Provider - Test Suite
+ * Checks the LLM_* settings and per-user overrides, and runs the whole agent graph
+ * offline on the scripted fake model, blocking and streamed
+ * (in-memory store instead of Postgres, so no database or LLM is needed)
+ */
+
+import assert from 'node:assert/strict';
+import { ToolMessage } from '@langchain/core/messages';
+import AgenPayAgent from './lib/AgentPayAgent.js';
+import ApprovalService from './lib/ApprovalService.js';
+import PrismaCheckpointSaver from './lib/PrismaCheckpointSaver.js';
+import ChatThreadService from './lib/ChatThreadService.js';
+import FakeChatModel from './lib/FakeChatModel.js';
+import { createMemoryStore } from './test-support/MemoryStore.js';
+import { getLlmConfig, parseUserLlmSettings, describeLlmConfig, createChatModel } from './lib/LlmProvider.js';
+
+// 🌱 Run each check against a known environment
+function withEnv(env, run) {
+  const saved = { ...process.env };
+  for (const key of Object.keys(process.env)) {
+    if (key.startsWith('LLM_') || key === 'OPENAI_API_KEY') delete process.env[key];
+  }
+  Object.assign(process.env, env);
+  try {
+    return run();
+  } finally {
+    process.env = saved;
+  }
+}
+
+// 🤖 Agent wired to the store, running on a fake model with the given script
+function createAgent(store, llm) {
+  const paymentLinks = [];
+  const checkpointer = new PrismaCheckpointSaver({ prisma: store });
+
+  const agent = new AgenPayAgent('user_1', {}, {
+    llm,
+    checkpointer,
+    chatThreadService: new ChatThreadService({ prisma: store, checkpointer }),
+    approvalService: new ApprovalService({
+      prisma: store,
+      emailService: { sendApprovalRequestEmail: async () => {} },
+      priceService: { getUsdPrice: async () => 1 },
+      defaultThresholdUsd: 1000,
+    }),
+    emailService: { isLive: () => false },
+    x402PayService: {
+      createPaymentRequest: async request => {
+        paymentLinks.push(request);
+        return { id: 'pr_1', url: 'https://pay.example.com/pr_1' };
+      },
+    },
+    schedulingService: {},
+    walletService: {},
+    ledgerService: { getActivitySummary: async () => ({ sentCount: 0, receivedCount: 0, amountSent: '0', amountReceived: '0', byCurrency: {} }) },
+  });
+  agent.prisma = { transaction: { groupBy: async () => [] }, agent: { upsert: async () => ({}) } };
+
+  store.tables.user.push({ id: 'user_1', email: 'owner@example.com', name: 'Owner', approvalThresholdUsd: null });
+  return { agent, paymentLinks };
+}
+
+const lastToolResult = messages => JSON.parse(messages.filter(message => message instanceof ToolMessage).pop().content);
+
+const tests = [
+  {
+    name: 'LLM settings come from the environment, with user overrides on top',
+    run: async () => {
+      withEnv({ OPENAI_API_KEY: 'sk-test' }, () => {
+        assert.deepEqual(getLlmConfig(), { provider: 'openai', model: 'gpt-4o-mini', temperature: 0.3, baseUrl: null, apiKey: 'sk-test', script: null });
+      });
+
+      withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_MODEL: 'llama3.1', LLM_TEMPERATURE: '0', LLM_BASE_URL: 'http://localhost:11434/v1' }, () => {
+        const config = getLlmConfig({ model: 'qwen2.5', temperature: null });
+        assert.equal(config.provider, 'openai-compatible');
+        assert.equal(config.model, 'qwen2.5');
+        assert.equal(config.temperature, 0);
+        assert.deepEqual(describeLlmConfig(config), { provider: 'openai-compatible', model: 'qwen2.5', temperature: 0, baseUrl: 'http://localhost:11434/v1' });
+      });
+
+      withEnv({ LLM_PROVIDER: 'anthropic-ish' }, () => {
+        assert.throws(() => getLlmConfig(), /Unknown LLM provider "anthropic-ish"/);
+      });
+      withEnv({}, () => {
+        assert.throws(() => getLlmConfig({ provider: 'openai-compatible' }), /needs a base URL/);
+      });
+    }
+  },
+  {
+    name: 'Users can only choose base URLs the deployment allows',
+    run: async () => {
+      withEnv({ LLM_ALLOWED_BASE_URLS: 'http://localhost:11434/v1, http://gpu-box:8000/v1' }, () => {
+        assert.deepEqual(parseUserLlmSettings({ provider: 'openai-compatible', baseUrl: 'http://gpu-box:8000/v1', model: ' llama3.1 ' }).data, {
+          provider: 'openai-compatible',
+          baseUrl: 'http://gpu-box:8000/v1',
+          model: 'llama3.1',
+        });
+        assert.match(parseUserLlmSettings({ baseUrl: 'http://169.254.169.254/latest' }).error, /baseUrl must be one of/);
+        assert.match(parseUserLlmSettings({ provider: 'fake' }).error, /provider must be one of/);
+        assert.match(parseUserLlmSettings({ temperature: 3 }).error, /temperature/);
+        assert.deepEqual(parseUserLlmSettings({ model: null, baseUrl: null }).data, { model: null, baseUrl: null });
+      });
+    }
+  },
+  {
+    name: 'The fake provider builds a scripted model without any API key',
+    run: async () => {
+      const llm = withEnv({ LLM_PROVIDER: 'fake' }, () => createChatModel(getLlmConfig({ script: [{ content: 'hello' }] })));
+      assert.ok(llm instanceof FakeChatModel);
+      assert.equal((await llm.invoke('hi')).content, 'hello');
+      await assert.rejects(llm.invoke('again'), /script ran out: no step 2/);
+
+      const strict = new FakeChatModel({ script: [{ toolCalls: [{ name: 'dropTables' }] }] });
+      strict.bindTools([{ name: 'getBalance' }]);
+      await assert.rejects(strict.invoke('hi'), /calls unknown tool "dropTables"/);
+    }
+  },
+  {
+    name: 'The whole agent graph runs offline on a scripted conversation',
+    run: async () => {
+      const llm = new FakeChatModel({
+        script: [
+          { toolCalls: [{ name: 'extractPaymentDetails', args: { input: 'Bill ann@example.com 500 USDC for the logo' } }] },
+          messages => {
+            const details = lastToolResult(messages);
+            return {
+              toolCalls: [{
+                name: 'createPaymentLink',
+                args: { paymentData: { amount: details.amount, currency: details.currency, description: details.description, recipientEmail: details.recipientEmail, network: details.network } },
+              }],
+            };
+          },
+          messages => ({ content: `Done: ${lastToolResult(messages).paymentLink}` }),
+        ],
+        structuredResponses: [{
+          amount: '500',
+          currency: 'USDC',
+          recipientEmail: 'ann@example.com',
+          recipientName: null,
+          recipientAddress: null,
+          description: 'the logo',
+          transactionType: 'ask_payment',
+          billingInterval: null,
+          refundDelayDays: null,
+          refundPercentage: null,
+          scheduledLocalDate: null,
+          scheduledLocalTime: null,
+          ambiguities: [],
+        }],
+      });
+      const store = createMemoryStore();
+      const { agent, paymentLinks } = createAgent(store, llm);
+
+      const result = await agent.processPayment('Bill ann@example.com 500 USDC for the logo', 'thread_1');
+      assert.equal(result.approval, null);
+      assert.equal(result.messages[result.messages.length - 1].content, 'Done: https://pay.example.com/pr_1');
+      assert.equal(paymentLinks.length, 1);
+      assert.equal(paymentLinks[0].amount, '500');
+      assert.equal(paymentLinks[0].recipientEmail, 'ann@example.com');
+
+      // The extractor used the same fake model's structured output
+      assert.equal(llm.calls.length, 3);
+      assert.equal(llm.structuredCalls.length, 1);
+      assert.ok(llm.boundToolNames.includes('createPaymentLink'));
+    }
+  },
+  {
+    name: 'A streamed turn reports tool calls as they start and finish, then the final response',
+    run: async () => {
+      const link = (amount, description) => ({ toolCalls: [{ name: 'createPaymentLink', args: { paymentData: { amount, currency: 'USDC', description, recipientEmail: 'bo@example.com', network: 'base-sepolia' } } }] });
+      const llm = new FakeChatModel({
+        script: [
+          link('75', 'the banner'),
+          link('80', 'the poster'),
+          messages => ({ content: lastToolResult(messages).success ? 'Two links sent' : 'One link sent, the poster failed' }),
+        ],
+      });
+      const store = createMemoryStore();
+      const { agent, paymentLinks } = createAgent(store, llm);
+      // The second link fails in the payment service
+      const { createPaymentRequest } = agent.x402PayService;
+      agent.x402PayService.createPaymentRequest = async request => {
+        if (request.description === 'the poster') throw new Error('Payment service unavailable');
+        return createPaymentRequest(request);
+      };
+      const events = [];
+
+      const result = await agent.streamPayment('Bill bo@example.com 75 USDC for the banner and 80 for the poster', 'thread_2', (type, data) => events.push({ type, data }));
+
+      const tools = events.filter(({ type }) => type.startsWith('tool_'));
+      assert.deepEqual(tools.map(({ type, data }) => [type, data.name, data.success]), [
+        ['tool_start', 'createPaymentLink', undefined],
+        ['tool_end', 'createPaymentLink', true],
+        ['tool_start', 'createPaymentLink', undefined],
+        ['tool_end', 'createPaymentLink', false],
+      ]);
+      // Each finish is matched to its start, so the UI can tick off the right row
+      assert.equal(tools[0].data.id, tools[1].data.id);
+      assert.notEqual(tools[0].data.id, tools[2].data.id);
+
+      assert.deepEqual(events[0], { type: 'start', data: { threadId: 'thread_2' } });
+      assert.deepEqual(events[events.length - 1], { type: 'done', data: { response: 'One link sent, the poster failed', threadId: 'thread_2' } });
+      // Model output is streamed as tokens before the final event
+      assert.equal(events.filter(({ type }) => type === 'token').map(({ data }) => data.content).join(''), 'One link sent, the poster failed');
+
+      assert.equal(paymentLinks.length, 1);
+      assert.equal(result.approval, null);
+      assert.equal(result.threadId, 'thread_2');
+    }
+  }
+];
+
+// 🧪 Test Runner
+async function runTests() {
+  console.log('\n🧪 AgenPay LLM Provider Test Suite\n==================================');
+  let passed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.run();
+      passed++;
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      console.error(`❌ ${test.name}\n`, error);
+    }
+  }
+
+  console.log(`\n📊 ${passed}/${tests.length} LLM provider tests passed`);
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * AgenPay Money - Test Suite
+ * Checks exact parsing, arithmetic and formatting of token amounts, and the refund
+ * amounts derived from them (pure functions, so no database is needed)
+ */
+
+import assert from 'node:assert/strict';
+import {
+  parseAmount, validateAmount, normalizeAmount, isPositiveAmount, addAmounts, sumAmounts, subtractAmounts,
+  compareAmounts, percentOf, multiplyAmount, formatAmount, toBaseUnits, fromBaseUnits, toAmountNumber
+} from './lib/Money.js';
+import { getRemainingRefundAmount } from './lib/SchedulingService.js';
+
+// Stand-in for the Prisma Decimal values read from DECIMAL columns
+const decimal = text => ({ toFixed: () => text, toString: () => text });
+
+const tests = [
+  {
+    name: 'Amounts are parsed strictly, within the decimals of their currency',
+    run: async () => {
+      assert.equal(parseAmount('1250.50'), '1250.5');
+      assert.equal(parseAmount(0.1), '0.1');
+      assert.equal(parseAmount(' 5 ', { currency: 'USDC' }), '5');
+      assert.equal(parseAmount('0.000000000000000001', { currency: 'ETH' }), '0.000000000000000001');
+
+      assert.throws(() => parseAmount('-5'), /Invalid amount: -5/);
+      assert.throws(() => parseAmount('1e3'), /Invalid amount/);
+      assert.throws(() => parseAmount('0'), /greater than 0/);
+      assert.equal(parseAmount('0', { allowZero: true }), '0');
+      assert.deepEqual(validateAmount('1.0000001', { currency: 'usdc' }), { error: 'Amount 1.0000001 has more than 6 decimal places for USDC' });
+      assert.deepEqual(validateAmount('1.000000', { currency: 'USDC' }), { data: '1' });
+
+      assert.equal(isPositiveAmount('0.01'), true);
+      assert.equal(isPositiveAmount('abc'), false);
+      assert.equal(isPositiveAmount(0), false);
+    }
+  },
+  {
+    name: 'Sums and differences carry no float error',
+    run: async () => {
+      assert.equal(addAmounts(0.1, 0.2), '0.3');
+      assert.equal(sumAmounts(Array(10).fill('0.1')), '1');
+      assert.equal(sumAmounts(['1.5e-7', decimal('0.00000005'), null]), '0.0000002');
+      assert.equal(sumAmounts([]), '0');
+      assert.equal(subtractAmounts('1', '0.9'), '0.1');
+      assert.equal(compareAmounts('0.3', addAmounts('0.1', '0.2')), 0);
+      assert.equal(compareAmounts(decimal('10.000000000000000001'), 10), 1);
+      assert.equal(normalizeAmount(decimal('100.000000000000000000')), '100');
+    }
+  },
+  {
+    name: 'Percentages and rates round down to the currency decimals',
+    run: async () => {
+      assert.equal(percentOf('50', 90), '45');
+      assert.equal(percentOf('0.333333', 50, { currency: 'USDC' }), '0.166666');
+      assert.equal(multiplyAmount('1.5', 2500, { currency: 'USDC' }), '3750');
+      assert.equal(multiplyAmount('1', '0.0004', { currency: 'ETH' }), '0.0004');
+
+      // ask_and_refund: 90% of 10.1 USDC is owed, 5 already went back
+      const paymentRequest = { amount: decimal('10.1'), currency: 'USDC', refundPercentage: 90, refundedAmount: decimal('5') };
+      assert.equal(getRemainingRefundAmount(paymentRequest), '4.09');
+      assert.equal(getRemainingRefundAmount({ ...paymentRequest, refundedAmount: '9.09' }), '0');
+      assert.equal(getRemainingRefundAmount({ ...paymentRequest, refundedAmount: '10' }), '0');
+      assert.equal(getRemainingRefundAmount({ amount: 0.3, currency: 'ETH', refundPercentage: null, refundedAmount: 0.1 }), '0.2');
+    }
+  },
+  {
+    name: 'Amounts format for display and convert to base units',
+    run: async () => {
+      assert.equal(formatAmount('1250.5', 'usdc'), '1250.50 USDC');
+      assert.equal(formatAmount('0.015', 'ETH'), '0.015 ETH');
+      assert.equal(formatAmount(decimal('7.000000000000000000')), '7');
+
+      assert.equal(toBaseUnits('1.5', 6), 1500000n);
+      assert.equal(toBaseUnits(decimal('0.25'), 18), 250000000000000000n);
+      assert.throws(() => toBaseUnits('1.0000001', 6), /more than 6 decimal places/);
+      assert.equal(fromBaseUnits('1500000', 6), '1.5');
+      assert.equal(toAmountNumber(decimal('12.5')), 12.5);
+    }
+  }
+];
+
+// 🧪 Test Runner
+async function runTests() {
+  console.log('\n🧪 AgenPay Money Test Suite\n===========================');
+  let passed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.run();
+      passed++;
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      console.error(`❌ ${test.name}\n`, error);
+    }
+  }
+
+  console.log(`\n📊 ${passed}/${tests.length} money tests passed`);
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * AgenPay Payment History - Test Suite
+ * Checks the read-only lookups behind the agent's history tools: filters, totals per
+ * status and currency, and scoping to the agent's user
+ * (in-memory store instead of Postgres, so no database or LLM is needed)
+ */
+
+import assert from 'node:assert/strict';
+import AgenPayAgent from './lib/AgentPayAgent.js';
+import PaymentHistoryService from './lib/PaymentHistoryService.js';
+import { createMemoryStore } from './test-support/MemoryStore.js';
+
+const day = date => new Date(`${date}T12:00:00Z`);
+
+function createFixtures() {
+  return createMemoryStore({
+    paymentRequest: [
+      { id: 'pr_1', userId: 'user_1', amount: 50, currency: 'USDC', recipientName: 'Alice Smith', recipientEmail: 'alice@example.com', status: 'payment_received', transactionType: 'ask_payment', createdAt: day('2026-10-02') },
+      { id: 'pr_2', userId: 'user_1', amount: 20, currency: 'USDC', recipientName: 'Alice Smith', recipientEmail: 'alice@example.com', status: 'processing', transactionType: 'ask_payment', createdAt: day('2026-10-10') },
+      { id: 'pr_3', userId: 'user_1', amount: 0.1, currency: 'ETH', recipientName: 'Bob', recipientEmail: 'bob@example.com', status: 'payment_received', transactionType: 'ask_and_refund', createdAt: day('2026-09-15') },
+      { id: 'pr_4', userId: 'user_2', amount: 999, currency: 'USDC', recipientName: 'Alice Jones', recipientEmail: 'alice@other.com', status: 'payment_received', transactionType: 'ask_payment', createdAt: day('2026-10-05') },
+    ],
+    transaction: [
+      { id: 'tx_1', userId: 'user_1', type: 'INCOMING', status: 'COMPLETED', amount: 50, currency: 'USDC', fromAddress: '0xalice', createdAt: day('2026-10-03') },
+      { id: 'tx_2', userId: 'user_1', type: 'RECEIVE', status: 'COMPLETED', amount: 25, currency: 'USDC', fromAddress: '0xcarol', createdAt: day('2026-10-12') },
+      { id: 'tx_3', userId: 'user_1', type: 'INCOMING', status: 'COMPLETED', amount: 0.1, currency: 'ETH', fromAddress: '0xbob', createdAt: day('2026-09-16') },
+      { id: 'tx_4', userId: 'user_1', type: 'SEND', status: 'PENDING', amount: 10, currency: 'USDC', toAddress: '0xdave', createdAt: day('2026-10-14') },
+      { id: 'tx_5', userId: 'user_1', type: 'REFUND', status: 'FAILED', amount: 0.05, currency: 'ETH', toAddress: '0xbob', createdAt: day('2026-10-16') },
+      { id: 'tx_6', userId: 'user_2', type: 'INCOMING', status: 'COMPLETED', amount: 1000, currency: 'USDC', fromAddress: '0xalice', createdAt: day('2026-10-04') },
+    ],
+    outgoingPayment: [
+      { id: 'op_1', userId: 'user_1', amount: 10, currency: 'USDC', recipientName: 'Dave', recipientAddress: '0xdave', status: 'completed', scheduleDate: day('2026-10-14') },
+      { id: 'op_2', userId: 'user_1', amount: 0.05, currency: 'ETH', recipientAddress: '0xbob', relatedRequestId: 'pr_3', status: 'failed', scheduleDate: day('2026-10-16') },
+      { id: 'op_3', userId: 'user_1', amount: 15, currency: 'USDC', recipientName: 'Dave', recipientAddress: '0xdave', status: 'scheduled', scheduleDate: day('2026-11-01') },
+      { id: 'op_4', userId: 'user_2', amount: 10, currency: 'USDC', recipientName: 'Dave', recipientAddress: '0xdave', status: 'scheduled', scheduleDate: day('2026-11-01') },
+    ],
+  });
+}
+
+const tests = [
+  {
+    name: 'Payment requests are found by recipient and status, newest first',
+    run: async () => {
+      const history = new PaymentHistoryService({ prisma: createFixtures() });
+
+      const alice = await history.findPaymentRequests('user_1', { recipient: 'alice' });
+      assert.deepEqual(alice.items.map(r => r.id), ['pr_2', 'pr_1']);
+      assert.deepEqual(alice.summary, {
+        totalCount: 2,
+        byStatus: {
+          payment_received: { count: 1, amounts: { USDC: '50' } },
+          processing: { count: 1, amounts: { USDC: '20' } },
+        },
+        byCurrency: { USDC: { count: 2, amount: '70' } },
+      });
+
+      const paid = await history.findPaymentRequests('user_1', { status: 'payment_received', transactionType: 'ask_and_refund' });
+      assert.deepEqual(paid.items.map(r => r.id), ['pr_3']);
+    }
+  },
+  {
+    name: 'Transactions filter by direction, date range, amount and currency',
+    run: async () => {
+      const history = new PaymentHistoryService({ prisma: createFixtures() });
+
+      const received = await history.findTransactions('user_1', { direction: 'in', from: '2026-10-01T00:00:00Z', to: '2026-10-31T23:59:59Z' });
+      assert.deepEqual(received.items.map(t => t.id), ['tx_2', 'tx_1']);
+      assert.deepEqual(received.summary.byCurrency, { USDC: { count: 2, amount: '75' } });
+
+      const sent = await history.findTransactions('user_1', { direction: 'out' });
+      assert.deepEqual(sent.items.map(t => t.id), ['tx_5', 'tx_4']);
+      assert.equal(sent.summary.byStatus.FAILED.count, 1);
+
+      assert.deepEqual((await history.findTransactions('user_1', { type: 'RECEIVE', direction: 'out' })).items.map(t => t.id), ['tx_2']);
+      assert.deepEqual((await history.findTransactions('user_1', { minAmount: 20, maxAmount: 50, currency: 'usdc' })).items.map(t => t.id), ['tx_2', 'tx_1']);
+      assert.deepEqual((await history.findTransactions('user_1', { counterparty: '0xBOB' })).items.map(t => t.id), ['tx_5', 'tx_3']);
+    }
+  },
+  {
+    name: 'Totals cover every match even when the listed records are limited',
+    run: async () => {
+      const history = new PaymentHistoryService({ prisma: createFixtures() });
+
+      const limited = await history.findTransactions('user_1', { limit: 1 });
+      assert.equal(limited.items.length, 1);
+      assert.equal(limited.summary.totalCount, 5);
+      assert.deepEqual(limited.summary.byCurrency, { USDC: { count: 3, amount: '85' }, ETH: { count: 2, amount: '0.15' } });
+
+      const outgoing = await history.findOutgoingPayments('user_1', { recipient: 'dave', from: '2026-10-01T00:00:00Z', to: '2026-10-31T23:59:59Z' });
+      assert.deepEqual(outgoing.items.map(p => p.id), ['op_1']);
+      assert.deepEqual((await history.findOutgoingPayments('user_1', { status: 'scheduled' })).items.map(p => p.id), ['op_3']);
+    }
+  },
+  {
+    name: "The agent's history tools only ever see the agent's own user",
+    run: async () => {
+      const paymentHistoryService = new PaymentHistoryService({ prisma: createFixtures() });
+      const llm = { bindTools: () => llm };
+      const agent = new AgenPayAgent('user_1', {}, {
+        llm,
+        checkpointer: {},
+        chatThreadService: {},
+        approvalService: {},
+        emailService: { isLive: () => false },
+        x402PayService: {},
+        schedulingService: {},
+        walletService: {},
+        paymentHistoryService,
+      });
+      const invoke = async (historyTool, args) => {
+        const result = await historyTool.invoke(args);
+        return typeof result === 'string' ? JSON.parse(result) : result;
+      };
+
+      // A userId slipped into the arguments is not part of the schema and is dropped
+      const requests = await invoke(agent.findPaymentRequests, { recipient: 'alice', userId: 'user_2' });
+      assert.equal(requests.success, true);
+      assert.deepEqual(requests.paymentRequests.map(r => r.paymentId), ['pr_2', 'pr_1']);
+
+      const transactions = await invoke(agent.findTransactions, { counterparty: '0xalice' });
+      assert.deepEqual(transactions.transactions.map(t => t.transactionId), ['tx_1']);
+      assert.deepEqual(transactions.summary.byCurrency, { USDC: { count: 1, amount: '50' } });
+
+      const outgoing = await invoke(agent.findOutgoingPayments, { status: 'failed' });
+      assert.deepEqual(outgoing.outgoingPayments.map(p => [p.paymentId, p.isRefund]), [['op_2', true]]);
+
+      await assert.rejects(invoke(agent.findTransactions, { direction: 'sideways' }));
+    }
+  }
+];
+
+// 🧪 Test Runner
+async function runTests() {
+  console.log('\n🧪 AgenPay Payment History Test Suite\n=====================================');
+  let passed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.run();
+      passed++;
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      console.error(`❌ ${test.name}\n`, error);
+    }
+  }
+
+  console.log(`\n📊 ${passed}/${tests.length} payment history tests passed`);
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+
+/**
+ * AgenPay Payment Requests - Test Suite
+ * Checks the x402 payment request lifecycle in X402PayService: listing, fetching and
+ * cancelling a user's requests, the payer wallet decoded from
+ * the payment headers, refunds sent back to it on a per-request window and percentage, and
+ * links that expire unpaid
+ * (in-memory store instead of Postgres, so no database or facilitator is needed)
+ */
+
+import assert from 'node:assert/strict';
+import X402PayService from './lib/X402PayService.js';
+import SchedulingService from './lib/SchedulingService.js';
+import { createMemoryStore } from './test-support/MemoryStore.js';
+
+const OWNER = '0x1111111111111111111111111111111111111111';
+const PAYER = '0x2222222222222222222222222222222222222222';
+const SIGNER = '0x3333333333333333333333333333333333333333';
+const SETTLEMENT_TX = '0x' + 'e'.repeat(64);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// x402 headers are base64-encoded JSON
+const encodeHeader = value => Buffer.from(JSON.stringify(value)).toString('base64');
+const paymentHeader = from => encodeHeader({ x402Version: 1, scheme: 'exact', network: 'base-sepolia', payload: { signature: '0xsig', authorization: { from, to: OWNER, value: '10000000' } } });
+const settlementHeader = (payer, transaction = SETTLEMENT_TX) => encodeHeader({ success: true, payer, transaction, network: 'base-sepolia' });
+
+// 🗄️ In-memory store seeded with the wallet owner
+const createStore = () => createMemoryStore({
+  user: [{ id: 'user_1', email: 'owner@example.com', walletAddress: OWNER, notionApiKey: null }],
+}, {
+  defaults: { paymentRequest: { refundedAmount: '0', payerAddress: null, paidAt: null } },
+});
+
+// 🌐 Serve the payment routes on a free port for one request
+async function requestLink(service, paymentId) {
+  const server = service.app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/x402pay/${paymentId}`);
+    return { status: response.status, body: await response.text() };
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+// 💳 Payment service over the store, recording webhooks and ledger entries
+function createService(store) {
+  const events = [];
+  const ledger = [];
+  const service = new X402PayService({
+    prisma: store,
+    webhookService: { emit: async (userId, event, data) => { events.push({ event, data }); return []; } },
+    priceService: { getUsdValuation: async () => ({ usdPrice: 1, usdValue: null }) },
+    ledgerService: { record: async entry => { ledger.push(entry); return entry; } },
+  });
+  return { service, events, ledger };
+}
+
+const tests = [
+  {
+    name: 'Requests are listed per user with status, currency and date filters and pages',
+    run: async () => {
+      const store = createStore();
+      const request = (id, userId, status, currency, day) => ({ id, userId, amount: '10', currency, status, description: id, createdAt: new Date(Date.UTC(2026, 5, day)) });
+      store.tables.paymentRequest.push(
+        request('req_1', 'user_1', 'processing', 'USDC', 1),
+        request('req_2', 'user_1', 'payment_received', 'USDC', 2),
+        request('req_3', 'user_1', 'processing', 'ETH', 3),
+        request('req_4', 'user_1', 'processing', 'USDC', 4),
+        request('req_5', 'user_2', 'processing', 'USDC', 5),
+      );
+      const { service } = createService(store);
+      const ids = result => result.requests.map(row => row.id);
+
+      // Newest first, only the user's own requests
+      const all = await service.listPaymentRequests('user_1');
+      assert.deepEqual(ids(all), ['req_4', 'req_3', 'req_2', 'req_1']);
+      assert.deepEqual(all.pagination, { page: 1, limit: 20, total: 4, totalPages: 1 });
+
+      assert.deepEqual(ids(await service.listPaymentRequests('user_1', { status: 'processing', currency: 'usdc' })), ['req_4', 'req_1']);
+      assert.deepEqual(ids(await service.listPaymentRequests('user_1', { from: '2026-06-02', to: '2026-06-03T23:59:59Z' })), ['req_3', 'req_2']);
+
+      // Query-string pages and limits are parsed and clamped
+      const second = await service.listPaymentRequests('user_1', { page: '2', limit: '3' });
+      assert.deepEqual(ids(second), ['req_1']);
+      assert.deepEqual(second.pagination, { page: 2, limit: 3, total: 4, totalPages: 2 });
+      assert.equal((await service.listPaymentRequests('user_1', { page: '0', limit: '500' })).pagination.limit, 100);
+    }
+  },
+  {
+    name: 'A request is fetched and cancelled only by its owner, and its link stops working',
+    run: async () => {
+      const store = createStore();
+      store.tables.user.push({ id: 'user_2', email: 'other@example.com', walletAddress: PAYER, notionApiKey: null });
+      const { service, events } = createService(store);
+      const { paymentId } = await service.createPaymentRequest({ userId: 'user_1', amount: '25', recipientEmail: 'payer@example.com', description: 'Invoice 8' });
+
+      assert.equal((await service.getPaymentRequest(paymentId, 'user_1')).amount, '25');
+      assert.equal(await service.getPaymentRequest(paymentId, 'user_2'), null);
+      assert.equal(await service.getPaymentRequest('x402_unknown', 'user_1'), null);
+
+      const cancelled = await service.cancelPaymentRequest(paymentId);
+      assert.equal(cancelled.status, 'cancelled');
+      assert.equal(service.paymentRoutes.has(paymentId), false);
+      assert.equal((await requestLink(service, paymentId)).status, 404);
+      assert.deepEqual(events.map(({ event }) => event), ['payment_request.created']);
+    }
+  },
+  {
+    name: 'The payer wallet comes from the settlement response, else the signed authorization',
+    run: async () => {
+      const { service } = createService(createStore());
+
+      assert.deepEqual(service.extractPayerDetails(paymentHeader(SIGNER), settlementHeader(PAYER)), { payerAddress: PAYER, settlementTxHash: SETTLEMENT_TX });
+      assert.deepEqual(service.extractPayerDetails(paymentHeader(SIGNER)), { payerAddress: SIGNER, settlementTxHash: null });
+      // Malformed values are ignored rather than stored
+      assert.deepEqual(service.extractPayerDetails(paymentHeader(SIGNER), settlementHeader('alice@example.com', 'pending')), { payerAddress: SIGNER, settlementTxHash: null });
+      assert.deepEqual(service.extractPayerDetails(paymentHeader('0x1234')), { payerAddress: null, settlementTxHash: null });
+      assert.deepEqual(service.extractPayerDetails('not base64 json', null), { payerAddress: null, settlementTxHash: null });
+      assert.equal(service.decodeX402Header(undefined), null);
+    }
+  },
+  {
+    name: 'A paid request records the payer on the request and the incoming transaction',
+    run: async () => {
+      const store = createStore();
+      const { service, events, ledger } = createService(store);
+      const { paymentId } = await service.createPaymentRequest({ userId: 'user_1', amount: '10', recipientEmail: 'payer@example.com', description: 'Invoice 7' });
+
+      await service.handlePaymentSuccess(paymentId, paymentHeader(SIGNER), settlementHeader(PAYER));
+
+      const [request] = store.tables.paymentRequest;
+      assert.equal(request.status, 'payment_received');
+      assert.equal(request.payerAddress, PAYER);
+      assert.equal(request.paymentHash, SETTLEMENT_TX);
+      assert.ok(request.paidAt instanceof Date);
+
+      const [incoming] = store.tables.transaction;
+      assert.deepEqual({ type: incoming.type, fromAddress: incoming.fromAddress, toAddress: incoming.toAddress, txHash: incoming.txHash, relatedRequestId: incoming.relatedRequestId },
+        { type: 'INCOMING', fromAddress: PAYER, toAddress: OWNER, txHash: SETTLEMENT_TX, relatedRequestId: paymentId });
+      assert.deepEqual(ledger.map(entry => [entry.kind, entry.txHash]), [['x402_receipt', SETTLEMENT_TX]]);
+      assert.deepEqual(events.map(({ event }) => event), ['payment_request.created', 'payment_request.paid']);
+      assert.equal(service.paymentRoutes.has(paymentId), false);
+    }
+  },
+  {
+    name: 'Ask-and-refund payments are refunded to the wallet that paid, never to an email',
+    run: async () => {
+      const store = createStore();
+      const { service } = createService(store);
+      const { paymentId } = await service.createPaymentRequest({ userId: 'user_1', amount: '10', recipientEmail: 'payer@example.com', description: 'Deposit', transactionType: 'ask_and_refund' });
+
+      await service.handlePaymentSuccess(paymentId, paymentHeader(SIGNER));
+
+      const [refund] = store.tables.outgoingPayment;
+      assert.equal(refund.recipientAddress, SIGNER);
+      assert.equal(refund.relatedRequestId, paymentId);
+      assert.equal(refund.amount, '10');
+
+      // Without a payer wallet there is nowhere to refund to, so nothing is scheduled
+      const unknown = await service.createPaymentRequest({ userId: 'user_1', amount: '5', recipientEmail: 'payer@example.com', description: 'Deposit', transactionType: 'ask_and_refund' });
+      await service.handlePaymentSuccess(unknown.paymentId, encodeHeader({ payload: {} }));
+      assert.equal(store.tables.paymentRequest[1].payerAddress, null);
+      assert.equal(store.tables.outgoingPayment.length, 1);
+    }
+  },
+  {
+    name: 'Refunds are scheduled after the request\'s delay or on its refund date, for its percentage',
+    run: async () => {
+      const store = createStore();
+      const { service } = createService(store);
+      const paid = async options => {
+        const { paymentId } = await service.createPaymentRequest({ userId: 'user_1', amount: '50', recipientEmail: 'payer@example.com', description: 'Deposit', transactionType: 'ask_and_refund', ...options });
+        await service.handlePaymentSuccess(paymentId, paymentHeader(PAYER));
+        return {
+          request: store.tables.paymentRequest.find(request => request.id === paymentId),
+          refund: store.tables.outgoingPayment.find(payment => payment.relatedRequestId === paymentId),
+        };
+      };
+      const daysFromNow = date => Math.round((date.getTime() - Date.now()) / DAY_MS);
+
+      // "Refund 90% in 7 days": a 10% fee is kept
+      const week = await paid({ refundDelayDays: 7, refundPercentage: 90 });
+      assert.equal(week.refund.amount, '45');
+      assert.equal(daysFromNow(week.refund.scheduleDate), 7);
+      assert.equal(week.request.refundDate.getTime(), week.refund.scheduleDate.getTime());
+
+      // Without a delay the default window applies
+      const standard = await paid({});
+      assert.equal(standard.refund.amount, '50');
+      assert.equal(daysFromNow(standard.refund.scheduleDate), parseInt(process.env.REFUND_DEFAULT_DELAY_DAYS) || 30);
+
+      // An explicit refund date (the Notion Scheduled Date) wins over the delay; a past one refunds now
+      const refundDate = new Date(Date.now() + 3 * DAY_MS);
+      const dated = await paid({ refundDelayDays: 14, refundDate });
+      assert.equal(dated.refund.scheduleDate.getTime(), refundDate.getTime());
+      const overdue = await paid({ refundDate: new Date(Date.now() - DAY_MS) });
+      assert.ok(Math.abs(overdue.refund.scheduleDate.getTime() - Date.now()) < 60000);
+    }
+  },
+  {
+    name: 'Unpaid links expire after their window and are refused once expired',
+    run: async () => {
+      const store = createStore();
+      const { service } = createService(store);
+      const hoursFromNow = date => Math.round((date.getTime() - Date.now()) / (60 * 60 * 1000));
+      const create = async options => (await service.createPaymentRequest({ userId: 'user_1', amount: '10', recipientEmail: 'payer@example.com', description: 'Invoice 9', ...options })).paymentId;
+      const request = paymentId => store.tables.paymentRequest.find(row => row.id === paymentId);
+
+      // The window starts when the link becomes payable: now, or on its scheduled date
+      const standard = await create({});
+      assert.equal(hoursFromNow(request(standard).expiresAt), parseInt(process.env.PAYMENT_LINK_EXPIRY_HOURS) || 168);
+      const scheduledDate = new Date(Date.now() + 2 * DAY_MS);
+      assert.equal(service.getDefaultExpiry(scheduledDate).getTime() - scheduledDate.getTime(), service.getDefaultExpiry().getTime() - Date.now());
+
+      // A link past its expiry is refused before the expiry job has run
+      const lapsed = await create({ expiresAt: new Date(Date.now() - 1000) });
+      assert.equal(service.paymentRoutes.has(lapsed), true);
+      const refused = await requestLink(service, lapsed);
+      assert.equal(refused.status, 410);
+      assert.match(refused.body, /Invoice 9/);
+      assert.equal(service.paymentRoutes.has(lapsed), false);
+
+      // The expiry job marks it expired and leaves live links alone
+      const scheduler = new SchedulingService({ prisma: store, x402PayService: service, walletService: { ledgerService: {} }, emailService: {}, confirmationService: {}, approvalService: {}, priceService: {}, idempotencyService: {}, webhookService: {} });
+      await scheduler.processExpiredRequests();
+      assert.equal(request(lapsed).status, 'expired');
+      assert.equal(request(standard).status, 'processing');
+      assert.equal((await requestLink(service, lapsed)).status, 410);
+      assert.equal((await requestLink(service, 'x402_unknown')).status, 404);
+
+      // A link paid after the expiry job read it keeps its payment
+      const late = await create({ expiresAt: new Date(Date.now() - 1000) });
+      const notionUpdates = [];
+      scheduler.updateNotionIncomingPayment = async (userId, updated) => { notionUpdates.push(updated.status); };
+      const readByJob = { ...request(late) };
+      await service.handlePaymentSuccess(late, paymentHeader(PAYER));
+      await scheduler.expirePaymentRequest(readByJob);
+      assert.equal(request(late).status, 'payment_received');
+      assert.deepEqual(notionUpdates, []);
+
+      // Expired links are not served again after a restart
+      const restarted = createService(store).service;
+      await restarted.loadActivePaymentRoutes();
+      assert.deepEqual([...restarted.paymentRoutes.keys()], [standard]);
+    }
+  }
+];
+
+// 🧪 Test Runner
+async function runTests() {
+  console.log('\n🧪 AgenPay Payment Request Test Suite\n=====================================');
+  let passed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.run();
+      passed++;
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      console.error(`❌ ${test.name}\n`, error);
+    }
+  }
+
+  console.log(`\n📊 ${passed}/${tests.length} payment request tests passed`);
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * AgenPay Prices - Test Suite
+ * Checks USD pricing: stablecoins at $1, quotes from the OKX DEX provider in base or plain
+ * units, the cache window, and the last known price when the provider fails
+ * (stubbed quotes, so no network is needed)
+ */
+
+import assert from 'node:assert/strict';
+import PriceService, { OKXPriceProvider } from './lib/PriceService.js';
+import { TOKEN_REGISTRY } from './lib/WalletService.js';
+
+// 💱 Provider answering from a price table, counting the lookups
+function createProvider(prices) {
+  const provider = {
+    name: 'stub',
+    calls: [],
+    getUsdPrice: async symbol => {
+      provider.calls.push(symbol);
+      if (prices[symbol] instanceof Error) throw prices[symbol];
+      return prices[symbol] ?? null;
+    },
+  };
+  return provider;
+}
+
+const tests = [
+  {
+    name: 'Stablecoins are $1 and other tokens are priced once per cache window',
+    run: async () => {
+      const provider = createProvider({ ETH: 2500, WETH: 2499.5 });
+      const prices = new PriceService({ provider, cacheTtlMs: 60000 });
+
+      assert.equal(await prices.getUsdPrice('usdc'), 1);
+      assert.deepEqual(await prices.getUsdPrices(['ETH', 'eth', 'USDT', 'WETH', 'FOO']), { ETH: 2500, USDT: 1, WETH: 2499.5, FOO: null });
+      assert.equal(await prices.getUsdPrice('ETH'), 2500);
+      assert.deepEqual(provider.calls, ['ETH', 'WETH', 'FOO']);
+
+      // Past the window the provider is asked again
+      prices.cache.get('ETH').expiresAt = Date.now() - 1;
+      assert.equal(await prices.getUsdPrice('ETH'), 2500);
+      assert.deepEqual(provider.calls, ['ETH', 'WETH', 'FOO', 'ETH']);
+
+      prices.clearCache();
+      await prices.getUsdPrice('ETH');
+      assert.equal(provider.calls.length, 5);
+    }
+  },
+  {
+    name: 'A failing provider falls back to the last known price',
+    run: async () => {
+      const table = { ETH: 2000 };
+      const provider = createProvider(table);
+      const prices = new PriceService({ provider, cacheTtlMs: 60000 });
+
+      assert.equal(await prices.getUsdPrice('ETH'), 2000);
+      prices.cache.get('ETH').expiresAt = Date.now() - 1;
+      table.ETH = new Error('OKX API unavailable');
+      assert.equal(await prices.getUsdPrice('ETH'), 2000);
+
+      // Never priced, so there is nothing to fall back to
+      table.WETH = new Error('OKX API unavailable');
+      assert.equal(await prices.getUsdPrice('WETH'), null);
+    }
+  },
+  {
+    name: 'Valuations round to cents and are null for tokens without a price',
+    run: async () => {
+      const prices = new PriceService({ provider: createProvider({ ETH: 2512.345 }) });
+
+      assert.deepEqual(await prices.getUsdValuation('ETH', '0.5'), { usdPrice: 2512.345, usdValue: 1256.17 });
+      assert.deepEqual(await prices.getUsdValuation('USDC', '19.999'), { usdPrice: 1, usdValue: 20 });
+      assert.deepEqual(await prices.getUsdValuation('FOO', '3'), { usdPrice: null, usdValue: null });
+    }
+  },
+  {
+    name: 'OKX quotes one whole token against USDC on mainnet, in base or plain units',
+    run: async () => {
+      const requests = [];
+      const quotes = [
+        { success: false, error: 'rate limited' },
+        { success: true, data: { fromTokenAmount: '1000000000000000000', toTokenAmount: '2450120000', fromToken: { decimal: '18' }, toToken: { decimal: '6' } } },
+        { success: true, data: { fromTokenAmount: '1', toTokenAmount: '2500' } },
+      ];
+      const provider = new OKXPriceProvider({
+        getSwapQuote: async request => {
+          requests.push(request);
+          return quotes.shift();
+        },
+      });
+
+      // Base has no quote this time, so Ethereum mainnet prices it
+      assert.equal(await provider.getUsdPrice('WETH'), 2450.12);
+      assert.deepEqual(requests.map(request => request.chainId), ['8453', '1']);
+      assert.deepEqual(requests[1], {
+        chainId: '1',
+        fromTokenAddress: TOKEN_REGISTRY['ethereum-mainnet'].find(token => token.symbol === 'WETH').address,
+        toTokenAddress: TOKEN_REGISTRY['ethereum-mainnet'].find(token => token.symbol === 'USDC').address,
+        amount: '1000000000000000000',
+      });
+
+      // Native ETH is quoted from the placeholder address; mock quotes carry plain units
+      assert.equal(await provider.getUsdPrice('ETH'), 2500);
+      assert.equal(requests[2].fromTokenAddress, '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE');
+
+      // Tokens missing from the mainnet registries have no price
+      assert.equal(await provider.getUsdPrice('DOGE'), null);
+      assert.equal(requests.length, 3);
+    }
+  }
+];
+
+// 🧪 Test Runner
+async function runTests() {
+  console.log('\n🧪 AgenPay Price Test Suite\n===========================');
+  let passed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.run();
+      passed++;
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      console.error(`❌ ${test.name}\n`, error);
+    }
+  }
+
+  console.log(`\n📊 ${passed}/${tests.length} price tests passed`);
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+runTests();
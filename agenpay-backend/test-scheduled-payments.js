@@ -0,0 +1,461 @@
+#!/usr/bin/env node
+
+/**
+ * AgenPay Scheduled Payments - Test Suite
+ * Runs two scheduler workers against one store to check that due payments are claimed by
+ * exactly one of them, that cancels and manual sends respect claims, and that payments left
+ * behind by a crashed worker are recovered from their SEND transactions once its lease
+ * expires, without the old worker writing over them. Also covers retries of
+ * transient failures, the dead letter queue and re-queueing from it
+ * (in-memory store instead of Postgres, so no database is needed)
+ */
+
+import assert from 'node:assert/strict';
+import IdempotencyService from './lib/IdempotencyService.js';
+import SchedulingService, { isRetryablePaymentError } from './lib/SchedulingService.js';
+import WalletService from './lib/WalletService.js';
+import SpendingPolicyService from './lib/SpendingPolicyService.js';
+import { createMemoryStore } from './test-support/MemoryStore.js';
+
+const LEASE_MS = 60 * 1000;
+
+// 🗄️ In-memory store where every call yields once, so two workers awaiting it interleave
+// the way concurrent database calls do
+function createStore(seed = {}) {
+  return createMemoryStore(seed, {
+    defaults: {
+      idempotencyKey: { completedAt: null },
+      outgoingPayment: { leaseOwner: null, leaseExpiresAt: null, attempts: 0, nextAttemptAt: null },
+    },
+    unique: { idempotencyKey: [['userId', 'scope', 'key']] },
+    yields: true,
+  });
+}
+
+// ⏰ Scheduler worker sharing the store (and the record of sends) with the other workers.
+// Sends throw the errors in failures, in order, before they start going through; otherwise
+// they record a SEND transaction like the wallet does, and wait for `held` once broadcast
+function createWorker(store, workerId, { sends = [], webhooks = [], emails = [], failures = [], held = null, ...options } = {}) {
+  const walletService = {
+    validateAddress: address => /^0x[0-9a-fA-F]+$/.test(address),
+    spendingPolicyService: { enforce: async () => {} },
+    sendCrypto: async (userId, toAddress, amount, currency, network, ledger = {}) => {
+      if (failures.length > 0) throw failures.shift();
+      const send = await store.transaction.create({
+        data: { userId, type: 'SEND', status: 'PROCESSING', amount, currency, network, toAddress, outgoingPaymentId: ledger.outgoingPaymentId || null, txHash: null }
+      });
+      sends.push({ workerId, toAddress, amount, currency });
+      const transactionHash = `0xtx${sends.length}`;
+      await store.transaction.update({ where: { id: send.id }, data: { status: 'PENDING', txHash: transactionHash } });
+      if (held) await held;
+      return { success: true, transactionId: send.id, transactionHash };
+    },
+  };
+
+  const scheduler = new SchedulingService({
+    prisma: store,
+    walletService,
+    emailService: { sendPaymentDeadLetterEmail: async email => { emails.push(email); } },
+    approvalService: {},
+    confirmationService: {},
+    webhookService: { emit: async (userId, event, data) => { webhooks.push({ event, data }); return []; } },
+    priceService: { getUsdValuation: async () => ({ usdPrice: 1, usdValue: null }) },
+    idempotencyService: new IdempotencyService({ prisma: store }),
+    workerId,
+    leaseMs: LEASE_MS,
+    ...options,
+  });
+  scheduler.updateNotionOutgoingPayment = async () => {};
+  scheduler.updateNotionRefund = async () => {};
+
+  return scheduler;
+}
+
+function scheduledPayment(id, overrides = {}) {
+  return {
+    id, userId: 'user_1', recipientAddress: '0xda7e', amount: '5', currency: 'USDC', network: 'base-sepolia',
+    description: `Invoice ${id}`, relatedRequestId: null, status: 'scheduled', scheduleDate: new Date(Date.now() - 1000),
+    leaseOwner: null, leaseExpiresAt: null, ...overrides
+  };
+}
+
+const users = [{ id: 'user_1', email: 'owner@example.com', walletAddress: '0xowner' }];
+
+// Make a retrying payment due now, as if its backoff had passed
+function skipBackoff(store, id) {
+  store.tables.outgoingPayment.find(payment => payment.id === id).nextAttemptAt = new Date(Date.now() - 1000);
+}
+
+const tests = [
+  {
+    name: 'Two workers running at once send each due payment exactly once',
+    run: async () => {
+      const store = createStore({
+        user: users,
+        outgoingPayment: [
+          scheduledPayment('op_1'), scheduledPayment('op_2'), scheduledPayment('op_3'),
+          scheduledPayment('op_later', { scheduleDate: new Date(Date.now() + 60 * 60 * 1000) })
+        ],
+      });
+      const sends = [];
+      const workerA = createWorker(store, 'worker-a', { sends });
+      const workerB = createWorker(store, 'worker-b', { sends });
+
+      const [first, second] = await Promise.all([workerA.processScheduledPayments(), workerB.processScheduledPayments()]);
+
+      assert.equal(sends.length, 3);
+      assert.equal(first.executed + second.executed, 3);
+      assert.equal(first.skipped + second.skipped, 3);
+      assert.equal(store.tables.transaction.filter(tx => tx.type === 'OUTGOING').length, 3);
+      assert.deepEqual(store.tables.outgoingPayment.map(payment => payment.status), ['completed', 'completed', 'completed', 'scheduled']);
+      assert.ok(store.tables.outgoingPayment.every(payment => payment.leaseOwner === null && payment.leaseExpiresAt === null));
+
+      // A slow tick overlapping the next one finds nothing left to do
+      assert.deepEqual(await workerB.processScheduledPayments(), { executed: 0, skipped: 0, recovered: 0 });
+      assert.equal(sends.length, 3);
+    }
+  },
+  {
+    name: 'A claim is exclusive and leased, and a cancel racing it loses',
+    run: async () => {
+      const store = createStore({ user: users, outgoingPayment: [scheduledPayment('op_1'), scheduledPayment('op_2')] });
+      const workerA = createWorker(store, 'worker-a');
+      const workerB = createWorker(store, 'worker-b');
+
+      const claimed = await workerA.claimPayment('op_1');
+      assert.equal(claimed.status, 'processing');
+      assert.equal(claimed.leaseOwner, 'worker-a');
+      assert.equal(claimed.user.walletAddress, '0xowner');
+      assert.ok(Math.abs(claimed.leaseExpiresAt - Date.now() - LEASE_MS) < 5000);
+      assert.equal(await workerB.claimPayment('op_1'), null);
+
+      // The cancel reads the payment as scheduled, but the worker claims it before the cancel writes
+      const [cancel, claim] = await Promise.allSettled([workerA.cancelScheduledPayment('user_1', 'op_2'), workerB.claimPayment('op_2')]);
+      assert.match(cancel.reason.message, /already processing and cannot be cancelled/);
+      assert.equal(claim.value.leaseOwner, 'worker-b');
+      assert.equal(store.tables.outgoingPayment[1].status, 'processing');
+
+      // Payments sent right away are created under the sending worker's lease
+      const now = workerA.executePaymentNow({ userId: 'user_1', amount: '1', currency: 'USDC', recipientAddress: '0xda7e', description: 'Tip' });
+      await new Promise(resolve => setImmediate(resolve));
+      assert.equal(store.tables.outgoingPayment[2].leaseOwner, 'worker-a');
+      assert.equal((await now).status, 'completed');
+    }
+  },
+  {
+    name: 'Expired leases are recovered once, according to how far the send got',
+    run: async () => {
+      const expired = { status: 'processing', leaseOwner: 'crashed-worker', leaseExpiresAt: new Date(Date.now() - 1000) };
+      const send = (outgoingPaymentId, overrides) => ({ id: `tx_${outgoingPaymentId}`, userId: 'user_1', type: 'SEND', amount: '5', currency: 'USDC', outgoingPaymentId, createdAt: new Date(), ...overrides });
+      const store = createStore({
+        user: users,
+        outgoingPayment: [
+          scheduledPayment('op_sent', expired),
+          scheduledPayment('op_unsent', expired),
+          scheduledPayment('op_stalled', expired),
+          scheduledPayment('op_sending', expired),
+          scheduledPayment('op_leased', { status: 'processing', leaseOwner: 'busy-worker', leaseExpiresAt: new Date(Date.now() + LEASE_MS) })
+        ],
+        // The SEND transactions are what tells how far each send got, long after its idempotency key expired
+        transaction: [
+          send('op_sent', { status: 'PENDING', txHash: '0xsentbeforecrash' }),
+          send('op_sending', { status: 'PROCESSING', txHash: null }),
+        ],
+      });
+      // Stopped after claiming its key, before the wallet recorded anything
+      const keys = new IdempotencyService({ prisma: store });
+      const payload = { recipientAddress: '0xda7e', amount: '5', currency: 'USDC', network: 'base-sepolia' };
+      await keys.begin({ userId: 'user_1', scope: 'scheduled_payment', key: 'outgoing-payment:op_stalled', payload });
+
+      const sends = [];
+      const webhooks = [];
+      const workerA = createWorker(store, 'worker-a', { sends, webhooks });
+      const workerB = createWorker(store, 'worker-b', { sends, webhooks });
+      const [first, second] = await Promise.all([workerA.processScheduledPayments(), workerB.processScheduledPayments()]);
+      assert.equal(first.recovered + second.recovered, 4);
+
+      const byId = Object.fromEntries(store.tables.outgoingPayment.map(payment => [payment.id, payment]));
+
+      // Sent before the crash: recorded from its SEND, not sent again
+      assert.equal(byId.op_sent.status, 'completed');
+      assert.equal(byId.op_sent.txHash, '0xsentbeforecrash');
+      assert.equal(store.tables.transaction.filter(tx => tx.type === 'OUTGOING' && tx.txHash === '0xsentbeforecrash').length, 1);
+
+      // Never sent: scheduled again and executed by one of the workers, the stalled key released
+      assert.equal(byId.op_unsent.status, 'completed');
+      assert.equal(byId.op_stalled.status, 'completed');
+      assert.deepEqual(sends.map(sent => sent.amount), ['5', '5']);
+
+      // Possibly sent: failed for review, and its SEND keeps it from being sent blindly
+      assert.equal(byId.op_sending.status, 'failed');
+      assert.match(byId.op_sending.failureReason, /may have gone out, check the wallet/);
+      assert.equal(webhooks.filter(webhook => webhook.event === 'outgoing_payment.failed').length, 1);
+      const retried = await workerA.claimPayment('op_sending', { status: 'failed' });
+      assert.equal((await workerA.executeOutgoingPayment(retried)).status, 'failed');
+      assert.equal(sends.length, 2);
+
+      // A lease that has not run out is left alone
+      assert.equal(byId.op_leased.status, 'processing');
+      assert.equal(byId.op_leased.leaseOwner, 'busy-worker');
+    }
+  },
+  {
+    name: 'A worker whose lease ran out mid-send leaves the payment to the worker that recovered it',
+    run: async () => {
+      const store = createStore({ user: users, outgoingPayment: [scheduledPayment('op_1')] });
+      let release = () => {};
+      const held = new Promise(resolve => { release = resolve; });
+      const sends = [];
+      const webhooks = [];
+      const slow = createWorker(store, 'worker-slow', { sends, webhooks, held });
+      const other = createWorker(store, 'worker-b', { sends, webhooks });
+
+      const running = slow.processScheduledPayments();
+      while (!store.tables.transaction.some(tx => tx.txHash)) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      // The slow worker's lease runs out after the broadcast, and another worker records the send
+      store.tables.outgoingPayment[0].leaseExpiresAt = new Date(Date.now() - 1000);
+      assert.equal((await other.processScheduledPayments()).recovered, 1);
+      assert.equal(store.tables.outgoingPayment[0].status, 'completed');
+
+      release();
+      await running;
+      assert.equal(sends.length, 1);
+      assert.equal(store.tables.transaction.filter(tx => tx.type === 'OUTGOING').length, 1);
+      assert.deepEqual(webhooks.map(webhook => webhook.event), ['outgoing_payment.completed']);
+      assert.equal(store.tables.outgoingPayment[0].leaseOwner, null);
+    }
+  },
+  {
+    name: 'Refunds triggered by hand respect a claim by the payment processor',
+    run: async () => {
+      const store = createStore({
+        user: users,
+        paymentRequest: [{ id: 'req_1', userId: 'user_1', amount: '10', currency: 'USDC', network: 'base-sepolia', refundPercentage: 100, refundedAmount: '0', payerAddress: '0xbeef', description: 'Deposit', status: 'payment_received' }],
+        outgoingPayment: [scheduledPayment('refund_1', { amount: '10', recipientAddress: '0xbeef', relatedRequestId: 'req_1', scheduleDate: new Date(Date.now() + 60 * 60 * 1000) })],
+      });
+      const sends = [];
+      const workerA = createWorker(store, 'worker-a', { sends });
+      const workerB = createWorker(store, 'worker-b', { sends });
+
+      await workerB.claimPayment('refund_1');
+      await assert.rejects(workerA.triggerRefund(store.tables.paymentRequest[0]), /already being executed/);
+      await assert.rejects(workerA.cancelScheduledRefund(store.tables.paymentRequest[0]), /No pending refund/);
+      assert.equal(sends.length, 0);
+
+      // Once back to scheduled, triggering it claims and sends it once
+      Object.assign(store.tables.outgoingPayment[0], { status: 'scheduled', leaseOwner: null, leaseExpiresAt: null });
+      const { refund } = await workerA.triggerRefund(store.tables.paymentRequest[0]);
+      assert.equal(refund.status, 'completed');
+      assert.equal(sends.length, 1);
+      assert.equal(await workerB.claimPayment('refund_1'), null);
+      assert.equal(store.tables.paymentRequest[0].status, 'refunded');
+    }
+  },
+  {
+    name: 'Two refunds triggered at once for the whole amount send it once',
+    run: async () => {
+      const store = createStore({
+        user: users,
+        paymentRequest: [{ id: 'req_1', userId: 'user_1', amount: '10', currency: 'USDC', network: 'base-sepolia', refundPercentage: 100, refundedAmount: '0', payerAddress: '0xbeef', description: 'Deposit', status: 'payment_received' }],
+      });
+      const sends = [];
+      const workerA = createWorker(store, 'worker-a', { sends });
+      const workerB = createWorker(store, 'worker-b', { sends });
+      // Both requests were handed the same snapshot of the payment request
+      const snapshot = { ...store.tables.paymentRequest[0] };
+
+      const results = await Promise.allSettled([workerA.triggerRefund(snapshot), workerB.triggerRefund(snapshot)]);
+
+      assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+      assert.match(results.find(result => result.status === 'rejected').reason.message, /already being executed/);
+      assert.deepEqual(sends.map(send => send.amount), ['10']);
+      assert.equal(store.tables.paymentRequest[0].refundedAmount, '10');
+      assert.equal(store.tables.outgoingPayment.length, 1);
+
+      // Once recorded, nothing is left to refund
+      await assert.rejects(workerB.triggerRefund(snapshot), /at most 0 USDC/);
+      assert.equal(sends.length, 1);
+    }
+  },
+  {
+    name: 'Partial refunds are sent one at a time and shrink the scheduled remainder',
+    run: async () => {
+      const store = createStore({
+        user: users,
+        // 90% is refunded: 9 of the 10 paid
+        paymentRequest: [{ id: 'req_1', userId: 'user_1', amount: '10', currency: 'USDC', network: 'base-sepolia', refundPercentage: 90, refundedAmount: '0', payerAddress: '0xbeef', description: 'Deposit', status: 'payment_received', refundDate: new Date(Date.now() + 60 * 60 * 1000) }],
+        outgoingPayment: [scheduledPayment('refund_1', { amount: '9', recipientAddress: '0xbeef', relatedRequestId: 'req_1', scheduleDate: new Date(Date.now() + 60 * 60 * 1000) })],
+      });
+      const sends = [];
+      const worker = createWorker(store, 'worker-a', { sends });
+      const request = () => store.tables.paymentRequest[0];
+
+      await worker.triggerRefund(request(), '2');
+      assert.equal(request().refundedAmount, '2');
+      assert.equal(request().status, 'partially_refunded');
+      assert.equal(store.tables.outgoingPayment[0].amount, '7');
+      assert.match(store.tables.outgoingPayment[1].description, /^Partial refund for: Deposit/);
+
+      await assert.rejects(worker.triggerRefund(request(), '7.5'), /at most 7 USDC/);
+
+      // The rest is refunded by hand after the scheduled refund is called off
+      const cancelled = await worker.cancelScheduledRefund(request());
+      assert.equal(cancelled.status, 'cancelled');
+      assert.equal(request().refundDate, null);
+      await worker.triggerRefund(request());
+
+      assert.deepEqual(sends.map(send => [send.toAddress, send.amount]), [['0xbeef', '2'], ['0xbeef', '7']]);
+      assert.equal(request().refundedAmount, '9');
+      assert.equal(request().status, 'refunded');
+      // Each partial refund is its own REFUND transaction linked to the request
+      assert.deepEqual(store.tables.transaction.filter(tx => tx.type === 'REFUND').map(tx => [tx.amount, tx.relatedRequestId]), [['2', 'req_1'], ['7', 'req_1']]);
+      await assert.rejects(worker.triggerRefund(request()), /greater than 0 and at most 0 USDC/);
+    }
+  },
+  {
+    name: 'Transient failures are retried with backoff, then dead-lettered; permanent ones fail at once',
+    run: async () => {
+      assert.equal(isRetryablePaymentError(new Error('Request timed out after 30000ms')), true);
+      assert.equal(isRetryablePaymentError(Object.assign(new Error('socket closed'), { code: 'ECONNRESET' })), true);
+      assert.equal(isRetryablePaymentError(Object.assign(new Error('Upstream error'), { status: 503 })), true);
+      assert.equal(isRetryablePaymentError(new Error('insufficient funds for gas * price + value')), true);
+      assert.equal(isRetryablePaymentError(new Error('Invalid recipient address: 0x12')), false);
+      assert.equal(isRetryablePaymentError(Object.assign(new Error('Blocked: daily limit'), { code: 'SPENDING_POLICY_VIOLATION', violations: [{}] })), false);
+      assert.equal(isRetryablePaymentError(Object.assign(new Error('Request timed out'), { code: 'ETIMEDOUT', mayHaveBroadcast: true })), false);
+
+      const store = createStore({ user: users, outgoingPayment: [scheduledPayment('op_1'), scheduledPayment('op_bad')] });
+      const webhooks = [];
+      const emails = [];
+      const failures = [new Error('RPC request timed out'), new Error('Invalid recipient address: 0xda7e')];
+      const worker = createWorker(store, 'worker-a', { webhooks, emails, failures, maxPaymentAttempts: 3, paymentRetryBaseMs: 1000 });
+      const payment = () => store.tables.outgoingPayment[0];
+
+      await worker.processScheduledPayments();
+      assert.equal(payment().status, 'retrying');
+      assert.equal(payment().attempts, 1);
+      assert.equal(payment().lastError, 'RPC request timed out');
+      assert.equal(payment().leaseOwner, null);
+      assert.ok(Math.abs(payment().nextAttemptAt - Date.now() - 1000) < 500);
+      assert.equal(store.tables.outgoingPayment[1].status, 'failed');
+      assert.equal(store.tables.outgoingPayment[1].attempts, 1);
+      assert.deepEqual(webhooks.map(webhook => webhook.event), ['outgoing_payment.failed']);
+
+      // Not picked up again before its backoff has passed, and the delay doubles
+      assert.equal((await worker.processScheduledPayments()).executed, 0);
+      failures.push(Object.assign(new Error('Too many requests'), { status: 429 }));
+      skipBackoff(store, 'op_1');
+      await worker.processScheduledPayments();
+      assert.equal(payment().attempts, 2);
+      assert.ok(Math.abs(payment().nextAttemptAt - Date.now() - 2000) < 500);
+
+      failures.push(new Error('insufficient funds for gas * price + value'));
+      skipBackoff(store, 'op_1');
+      await worker.processScheduledPayments();
+      assert.equal(payment().status, 'dead_letter');
+      assert.equal(payment().attempts, 3);
+      assert.equal(payment().nextAttemptAt, null);
+      assert.match(payment().failureReason, /insufficient funds for gas/);
+      assert.equal(webhooks[1].event, 'outgoing_payment.dead_lettered');
+      assert.deepEqual(emails.map(email => [email.to, email.payment.id]), [['owner@example.com', 'op_1']]);
+
+      // Dead letters stay put
+      skipBackoff(store, 'op_1');
+      assert.equal((await worker.processScheduledPayments()).executed, 0);
+    }
+  },
+  {
+    name: 'A send that timed out while broadcasting is failed for review and never sent again',
+    run: async () => {
+      const recipient = '0x1111111111111111111111111111111111111111';
+      const store = createStore({
+        user: [{ ...users[0], walletId: 'wallet_1', walletAddress: '0x2222222222222222222222222222222222222222', walletNetwork: 'base-sepolia' }],
+      });
+      // The real wallet, with CDP timing out after it may have accepted the transfer
+      const broadcasts = [];
+      const walletService = new WalletService({
+        prisma: store,
+        priceService: { getUsdValuation: async () => ({ usdPrice: null, usdValue: null }) },
+        spendingPolicyService: new SpendingPolicyService({ prisma: store }),
+        ledgerService: { record: async () => {} },
+      });
+      walletService.cdp = {
+        evm: {
+          sendTransaction: async request => {
+            broadcasts.push(request);
+            throw Object.assign(new Error('Request timed out'), { code: 'ETIMEDOUT' });
+          }
+        }
+      };
+      const webhooks = [];
+      const worker = createWorker(store, 'worker-a', { webhooks, walletService });
+
+      // Sent straight away, as the agent's sendCrypto tool does
+      const executed = await worker.executePaymentNow({ userId: 'user_1', amount: '5', currency: 'USDC', recipientAddress: recipient, description: 'Invoice 12' });
+      assert.equal(executed.status, 'failed');
+      assert.equal(executed.nextAttemptAt, null);
+      assert.match(executed.failureReason, /^Request timed out; the transfer may have gone out, check the wallet before retrying$/);
+      assert.deepEqual(webhooks.map(webhook => webhook.event), ['outgoing_payment.failed']);
+
+      // Later runs, and a re-run of the same payment, find the possibly sent SEND and stop
+      await worker.processScheduledPayments();
+      await worker.recoverExpiredLeases();
+      await worker.executeOutgoingPayment(await worker.claimPayment(executed.id, { status: 'failed' }));
+      assert.equal(broadcasts.length, 1);
+      assert.deepEqual(store.tables.transaction.map(transaction => [transaction.type, transaction.status, transaction.txHash ?? null]), [['SEND', 'PROCESSING', null]]);
+    }
+  },
+  {
+    name: 'A dead-lettered payment is re-queued with fresh attempts, and a retrying one can be cancelled',
+    run: async () => {
+      const store = createStore({
+        user: users,
+        outgoingPayment: [
+          scheduledPayment('op_dead', { status: 'dead_letter', attempts: 5, lastError: 'RPC request timed out', failureReason: 'RPC request timed out', executedAt: new Date() }),
+          scheduledPayment('op_retrying', { status: 'retrying', attempts: 1, lastError: 'RPC request timed out', nextAttemptAt: new Date(Date.now() + 60 * 1000) })
+        ],
+      });
+      const sends = [];
+      const worker = createWorker(store, 'worker-a', { sends });
+
+      const requeued = await worker.requeuePayment('op_dead');
+      assert.equal(requeued.status, 'scheduled');
+      assert.equal(requeued.attempts, 0);
+      assert.equal(requeued.failureReason, null);
+      assert.equal(requeued.lastError, 'RPC request timed out');
+      await assert.rejects(worker.requeuePayment('op_dead'), /not in the dead letter queue/);
+      await assert.rejects(worker.requeuePayment('op_retrying'), /not in the dead letter queue/);
+
+      assert.equal((await worker.processScheduledPayments()).executed, 1);
+      assert.equal(store.tables.outgoingPayment[0].status, 'completed');
+      assert.equal(sends.length, 1);
+
+      const cancelled = await worker.cancelScheduledPayment('user_1', 'op_retrying');
+      assert.equal(cancelled.status, 'cancelled');
+      assert.equal(cancelled.nextAttemptAt, null);
+    }
+  }
+];
+
+// 🧪 Test Runner
+async function runTests() {
+  console.log('\n🧪 AgenPay Scheduled Payments Test Suite\n=======================================');
+  let passed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.run();
+      passed++;
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      console.error(`❌ ${test.name}\n`, error);
+    }
+  }
+
+  console.log(`\n📊 ${passed}/${tests.length} scheduled payment tests passed`);
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * AgenPay Spending Policies - Test Suite
+ * Checks per-transaction, daily and monthly caps, recipient allow-lists and blocked
+ * networks (in-memory store instead of Postgres, so no database is needed)
+ */
+
+import assert from 'node:assert/strict';
+import SpendingPolicyService, { SpendingPolicyError, SPENDING_POLICY_VIOLATION, parseSpendingPolicy } from './lib/SpendingPolicyService.js';
+import { createMemoryStore } from './test-support/MemoryStore.js';
+
+const NETWORKS = ['base-sepolia', 'base-mainnet', 'ethereum-sepolia', 'ethereum-mainnet'];
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+
+// 🗄️ In-memory store with the policy columns Postgres defaults
+const createStore = ({ yields = false } = {}) => createMemoryStore({}, {
+  defaults: { spendingPolicy: { name: null, currency: null, maxPerTransaction: null, dailyLimit: null, monthlyLimit: null, active: true } },
+  idPrefixes: { spendingPolicy: 'sp' },
+  yields,
+});
+
+const send = (amount, overrides = {}) => ({ toAddress: ALICE, amount, currency: 'USDC', network: 'base-sepolia', ...overrides });
+const sent = (amount, overrides = {}) => ({ userId: 'user_1', type: 'SEND', status: 'COMPLETED', currency: 'USDC', amount, createdAt: new Date(), ...overrides });
+
+const tests = [
+  {
+    name: 'Validates and normalizes policy input',
+    run: async () => {
+      const { data } = parseSpendingPolicy({
+        currency: ' usdc ',
+        dailyLimit: 100,
+        allowedRecipients: [ALICE.toUpperCase().replace('0X', '0x'), ALICE],
+        blockedNetworks: ['base-mainnet'],
+      }, { networks: NETWORKS });
+      assert.equal(data.currency, 'USDC');
+      assert.equal(data.dailyLimit, '100');
+      assert.deepEqual(data.allowedRecipients, [ALICE]);
+
+      assert.match(parseSpendingPolicy({ name: 'empty' }, { networks: NETWORKS }).error, /at least one/);
+      assert.match(parseSpendingPolicy({ dailyLimit: -1 }, { networks: NETWORKS }).error, /dailyLimit/);
+      assert.match(parseSpendingPolicy({ allowedRecipients: ['alice'] }, { networks: NETWORKS }).error, /allowedRecipients/);
+      assert.match(parseSpendingPolicy({ blockedNetworks: ['solana'] }, { networks: NETWORKS }).error, /blockedNetworks/);
+      assert.deepEqual(parseSpendingPolicy({ active: false }, { partial: true, networks: NETWORKS }).data, { active: false });
+    }
+  },
+  {
+    name: 'Caps per transaction, per day and per month in the policy currency',
+    run: async () => {
+      const store = createStore();
+      const policies = new SpendingPolicyService({ prisma: store });
+      await policies.createPolicy('user_1', { currency: 'USDC', maxPerTransaction: 50, dailyLimit: 100, monthlyLimit: 300 });
+
+      assert.deepEqual(await policies.evaluate('user_1', send(50)), []);
+      assert.deepEqual((await policies.evaluate('user_1', send(51))).map(v => v.rule), ['max_per_transaction']);
+
+      store.tables.transaction.push(sent(40), sent(30), sent(500, { status: 'FAILED' }), sent(500, { currency: 'ETH' }), sent(500, { type: 'RECEIVE' }));
+      const [daily] = await policies.evaluate('user_1', send(40));
+      assert.equal(daily.rule, 'daily_limit');
+      assert.equal(daily.spent, '70');
+      assert.equal(daily.remaining, '30');
+      assert.deepEqual(await policies.evaluate('user_1', send(30)), []);
+
+      // Earlier this month, but not today
+      const earlier = new Date();
+      earlier.setUTCDate(1);
+      earlier.setUTCHours(0, 0, 0, 0);
+      if (earlier.getUTCDate() !== new Date().getUTCDate()) {
+        store.tables.transaction.push(sent(220, { createdAt: earlier }));
+        assert.deepEqual((await policies.evaluate('user_1', send(20))).map(v => v.rule), ['monthly_limit']);
+      }
+
+      // Other currencies are not capped by a USDC policy
+      assert.deepEqual(await policies.evaluate('user_1', send(1000, { currency: 'ETH' })), []);
+    }
+  },
+  {
+    name: 'A policy without a currency caps every currency separately',
+    run: async () => {
+      const store = createStore();
+      const policies = new SpendingPolicyService({ prisma: store });
+      await policies.createPolicy('user_1', { dailyLimit: 1 });
+      store.tables.transaction.push(sent(0.1), sent(0.2));
+
+      assert.deepEqual(await policies.evaluate('user_1', send(0.7)), []);
+      assert.equal((await policies.evaluate('user_1', send(0.71))).length, 1);
+      assert.deepEqual(await policies.evaluate('user_1', send(1, { currency: 'ETH' })), []);
+    }
+  },
+  {
+    name: 'Blocks recipients off the allow-list and blocked networks',
+    run: async () => {
+      const store = createStore();
+      const policies = new SpendingPolicyService({ prisma: store });
+      const policy = await policies.createPolicy('user_1', { allowedRecipients: [ALICE], blockedNetworks: ['base-mainnet'] });
+
+      assert.deepEqual(await policies.evaluate('user_1', send(5, { toAddress: ALICE.toUpperCase().replace('0X', '0x') })), []);
+      assert.deepEqual((await policies.evaluate('user_1', send(5, { toAddress: BOB, network: 'base-mainnet' }))).map(v => v.rule), ['blocked_network', 'recipient_not_allowed']);
+
+      // Inactive policies and other users' policies do not apply
+      await policies.updatePolicy('user_1', policy.id, { active: false });
+      assert.deepEqual(await policies.evaluate('user_1', send(5, { toAddress: BOB })), []);
+      assert.equal(await policies.updatePolicy('user_2', policy.id, { active: true }), null);
+      assert.equal(await policies.deletePolicy('user_2', policy.id), null);
+      assert.ok(await policies.deletePolicy('user_1', policy.id));
+      assert.equal((await policies.listPolicies('user_1')).length, 0);
+    }
+  },
+  {
+    name: 'Enforcing a broken policy throws a structured error',
+    run: async () => {
+      const store = createStore();
+      const policies = new SpendingPolicyService({ prisma: store });
+      const policy = await policies.createPolicy('user_1', { name: 'Small sends', maxPerTransaction: 10 });
+
+      await policies.enforce('user_1', send(10));
+      await assert.rejects(policies.enforce('user_1', send(11)), error => {
+        assert.ok(error instanceof SpendingPolicyError);
+        assert.equal(error.code, SPENDING_POLICY_VIOLATION);
+        assert.deepEqual(error.violations, [{
+          policyId: policy.id,
+          policyName: 'Small sends',
+          rule: 'max_per_transaction',
+          currency: 'USDC',
+          limit: '10',
+          attempted: '11',
+          message: '11 USDC is over the 10 USDC per-transaction limit'
+        }]);
+        return true;
+      });
+    }
+  },
+  {
+    name: 'Concurrent sends are checked one at a time, so together they stay under the cap',
+    run: async () => {
+      const store = createStore({ yields: true });
+      const policies = new SpendingPolicyService({ prisma: store });
+      await policies.createPolicy('user_1', { currency: 'USDC', dailyLimit: 100 });
+      await policies.createPolicy('user_2', { currency: 'USDC', dailyLimit: 100 });
+
+      const record = (userId, amount) => policies.reserve(userId, send(amount), tx =>
+        tx.transaction.create({ data: sent(amount, { userId, status: 'PROCESSING' }) }));
+
+      const results = await Promise.allSettled([record('user_1', 60), record('user_1', 60), record('user_1', 30), record('user_2', 60)]);
+      assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled', 'fulfilled']);
+      assert.deepEqual(results[1].reason.violations.map(v => [v.rule, v.spent]), [['daily_limit', '60']]);
+      // Another user's sends take a different lock
+      assert.deepEqual(store.tables.transaction.filter(t => t.userId === 'user_1').map(t => t.amount), [60, 30]);
+      assert.deepEqual(store.tables.transaction.filter(t => t.userId === 'user_2').map(t => t.amount), [60]);
+    }
+  }
+];
+
+// 🧪 Test Runner
+async function runTests() {
+  console.log('\n🧪 AgenPay Spending Policy Test Suite\n=====================================');
+  let passed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.run();
+      passed++;
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      console.error(`❌ ${test.name}\n`, error);
+    }
+  }
+
+  console.log(`\n📊 ${passed}/${tests.length} spending policy tests passed`);
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+
+/**
+ * AgenPay Subscriptions - Test Suite
+ * Checks billing dates (month ends, leap days, weeks across years) and the billing cycle:
+ * a new payment request and email each period, missed periods counted until the
+ * subscription pauses, each period billed once by overlapping runs, and pause/resume/cancel
+ * (in-memory store instead of Postgres)
+ */
+
+import assert from 'node:assert/strict';
+import SchedulingService, { addBillingInterval } from './lib/SchedulingService.js';
+import { createMemoryStore } from './test-support/MemoryStore.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const utc = text => new Date(`${text}T09:30:00.000Z`);
+const day = date => date.toISOString().slice(0, 10);
+
+// 🗄️ In-memory store with the subscription columns Postgres defaults
+const createStore = () => createMemoryStore({}, {
+  defaults: { subscription: { status: 'active', billingCount: 0, missedPayments: 0, totalMissedPayments: 0, lastBilledAt: null, pausedAt: null, cancelledAt: null } },
+  idPrefixes: { subscription: 'sub', paymentRequest: 'x402' },
+});
+
+// ⏰ Scheduler billing through a stand-in X402PayService that stores each request and its link
+function createScheduler(store) {
+  const emails = [];
+  const x402PayService = {
+    paymentRoutes: new Map(),
+    createPaymentRequest: async data => {
+      const request = await store.paymentRequest.create({ data: { ...data, status: 'processing' } });
+      x402PayService.paymentRoutes.set(request.id, request);
+      return { paymentId: request.id, request, x402PayLink: `https://pay.example/${request.id}` };
+    },
+    cancelPaymentRequest: async id => {
+      x402PayService.paymentRoutes.delete(id);
+      return store.paymentRequest.update({ where: { id }, data: { status: 'cancelled' } });
+    },
+  };
+
+  const scheduler = new SchedulingService({
+    prisma: store,
+    walletService: {},
+    x402PayService,
+    emailService: { sendPaymentRequestEmail: async email => { emails.push(email); } },
+    approvalService: {},
+    confirmationService: {},
+    webhookService: { emit: async () => [] },
+    priceService: {},
+    idempotencyService: {},
+  });
+  scheduler.maxMissedPayments = 2;
+  scheduler.updateNotionIncomingPayment = async () => {};
+
+  return { scheduler, x402PayService, emails };
+}
+
+const subscription = (overrides = {}) => ({
+  userId: 'user_1',
+  amount: '15',
+  currency: 'USDC',
+  recipientEmail: 'member@example.com',
+  description: 'Gym membership',
+  interval: 'monthly',
+  ...overrides
+});
+
+const tests = [
+  {
+    name: 'Monthly and yearly billing stays on the anchor day, clamped to short months',
+    run: async () => {
+      // Jan 31 -> Feb 28 -> Mar 31: the anchor day comes back once the month is long enough
+      const february = addBillingInterval(utc('2026-01-31'), 'monthly');
+      assert.equal(day(february), '2026-02-28');
+      assert.equal(day(addBillingInterval(february, 'monthly', 31)), '2026-03-31');
+      assert.equal(day(addBillingInterval(utc('2026-08-31'), 'monthly')), '2026-09-30');
+      assert.equal(day(addBillingInterval(utc('2028-01-30'), 'monthly')), '2028-02-29');
+      assert.equal(day(addBillingInterval(utc('2026-12-31'), 'monthly')), '2027-01-31');
+
+      // A leap-day subscription bills on Feb 28 until the next leap year
+      let billing = utc('2028-02-29');
+      const years = [];
+      for (let i = 0; i < 4; i++) {
+        billing = addBillingInterval(billing, 'yearly', 29);
+        years.push(day(billing));
+      }
+      assert.deepEqual(years, ['2029-02-28', '2030-02-28', '2031-02-28', '2032-02-29']);
+
+      // Weeks cross month and year ends; the time of day is kept throughout
+      assert.equal(addBillingInterval(utc('2026-12-28'), 'weekly').toISOString(), '2027-01-04T09:30:00.000Z');
+      assert.equal(addBillingInterval(utc('2026-01-31'), 'monthly').toISOString(), '2026-02-28T09:30:00.000Z');
+    }
+  },
+  {
+    name: 'Each period gets a new payment request and email, payable until the next period',
+    run: async () => {
+      const store = createStore();
+      const { scheduler, x402PayService, emails } = createScheduler(store);
+
+      const { subscription: created, firstPayment } = await scheduler.createSubscription(subscription());
+      assert.equal(firstPayment.request.subscriptionId, created.id);
+      assert.equal(firstPayment.request.transactionType, 'subscription');
+      assert.equal(firstPayment.request.description, 'Gym membership (monthly payment #1)');
+      assert.equal(created.billingCount, 1);
+      assert.equal(firstPayment.request.expiresAt.getTime(), created.nextBillingDate.getTime());
+      assert.deepEqual(emails.map(email => [email.to, email.paymentLink, email.billingInterval]), [['member@example.com', `https://pay.example/${firstPayment.paymentId}`, 'monthly']]);
+
+      // The first period was paid; the next one is billed when due
+      store.tables.paymentRequest[0].status = 'payment_received';
+      store.tables.subscription[0].nextBillingDate = new Date(Date.now() - 1000);
+      await scheduler.processSubscriptions();
+
+      assert.equal(store.tables.paymentRequest.length, 2);
+      assert.equal(store.tables.paymentRequest[1].description, 'Gym membership (monthly payment #2)');
+      assert.equal(store.tables.subscription[0].billingCount, 2);
+      assert.equal(store.tables.subscription[0].missedPayments, 0);
+      assert.ok(store.tables.subscription[0].nextBillingDate > new Date());
+      assert.equal(x402PayService.paymentRoutes.size, 2);
+
+      // A subscription starting later is not billed yet
+      const later = await scheduler.createSubscription(subscription({ startDate: new Date(Date.now() + DAY_MS) }));
+      assert.equal(later.firstPayment, null);
+      assert.equal(later.subscription.billingCount, 0);
+    }
+  },
+  {
+    name: 'Unpaid periods are marked missed and pause the subscription after too many in a row',
+    run: async () => {
+      const store = createStore();
+      const { scheduler, x402PayService } = createScheduler(store);
+      await scheduler.createSubscription(subscription({ interval: 'weekly' }));
+
+      // Down for three weeks: the periods in between are skipped, not billed one by one
+      store.tables.subscription[0].nextBillingDate = new Date(Date.now() - 3 * 7 * DAY_MS + 1000);
+      await scheduler.processSubscriptions();
+      const [first, second] = store.tables.paymentRequest;
+      assert.equal(first.status, 'missed');
+      assert.equal(x402PayService.paymentRoutes.has(first.id), false);
+      assert.equal(second.status, 'processing');
+      assert.equal(store.tables.subscription[0].missedPayments, 1);
+      const nextBilling = store.tables.subscription[0].nextBillingDate;
+      assert.ok(nextBilling > new Date() && nextBilling - Date.now() <= 7 * DAY_MS);
+
+      // The second unpaid period reaches the limit: paused, with no third request
+      first.createdAt = new Date(Date.now() - 3 * 7 * DAY_MS);
+      store.tables.subscription[0].nextBillingDate = new Date(Date.now() - 1000);
+      await scheduler.processSubscriptions();
+      const paused = store.tables.subscription[0];
+      assert.equal(paused.status, 'paused');
+      assert.ok(paused.pausedAt instanceof Date);
+      assert.equal(paused.missedPayments, 2);
+      assert.equal(paused.totalMissedPayments, 2);
+      assert.deepEqual(store.tables.paymentRequest.map(request => request.status), ['missed', 'missed']);
+
+      // Paused subscriptions are not billed
+      paused.nextBillingDate = new Date(Date.now() - 1000);
+      await scheduler.processSubscriptions();
+      assert.equal(store.tables.paymentRequest.length, 2);
+    }
+  },
+  {
+    name: 'Resuming skips the periods that passed while paused, and cancelling retires open links',
+    run: async () => {
+      const store = createStore();
+      const { scheduler, x402PayService } = createScheduler(store);
+      const { subscription: created } = await scheduler.createSubscription(subscription({ startDate: utc('2026-01-31') }));
+
+      await scheduler.pauseSubscription(created.id);
+      store.tables.subscription[0].missedPayments = 2;
+      const resumed = await scheduler.resumeSubscription(created.id);
+      assert.equal(resumed.status, 'active');
+      assert.equal(resumed.pausedAt, null);
+      assert.equal(resumed.missedPayments, 0);
+      // Still billed on the anchor day (or the last day of a shorter month)
+      assert.ok(resumed.nextBillingDate > new Date());
+      const lastDay = new Date(Date.UTC(resumed.nextBillingDate.getUTCFullYear(), resumed.nextBillingDate.getUTCMonth() + 1, 0)).getUTCDate();
+      assert.equal(resumed.nextBillingDate.getUTCDate(), Math.min(31, lastDay));
+
+      const cancelled = await scheduler.cancelSubscription(created.id);
+      assert.equal(cancelled.status, 'cancelled');
+      assert.ok(cancelled.cancelledAt instanceof Date);
+      assert.deepEqual(store.tables.paymentRequest.map(request => request.status), ['cancelled']);
+      assert.equal(x402PayService.paymentRoutes.size, 0);
+    }
+  },
+  {
+    name: 'Overlapping runs bill a period once, and a payment landing meanwhile is never marked missed',
+    run: async () => {
+      const store = createStore();
+      const first = createScheduler(store);
+      const second = createScheduler(store);
+      await first.scheduler.createSubscription(subscription());
+      const [paid] = store.tables.paymentRequest;
+
+      // Two instances pick up the same due period
+      store.tables.subscription[0].nextBillingDate = new Date(Date.now() - 1000);
+      await Promise.all([first.scheduler.processSubscriptions(), second.scheduler.processSubscriptions()]);
+      assert.equal(store.tables.paymentRequest.length, 2);
+      assert.equal(first.emails.length + second.emails.length, 2);
+      assert.equal(store.tables.subscription[0].billingCount, 2);
+      assert.equal(paid.status, 'missed');
+      assert.equal(store.tables.subscription[0].missedPayments, 1);
+
+      // The next period's link is paid after the billing run read it as unpaid
+      const [, current] = store.tables.paymentRequest;
+      current.createdAt = new Date(Date.now() + 1000);
+      const findFirst = store.paymentRequest.findFirst;
+      store.paymentRequest.findFirst = async args => {
+        const unpaid = await findFirst(args);
+        current.status = 'payment_received';
+        return unpaid;
+      };
+      store.tables.subscription[0].nextBillingDate = new Date(Date.now() - 1000);
+      await first.scheduler.processSubscriptions();
+      store.paymentRequest.findFirst = findFirst;
+
+      assert.equal(current.status, 'payment_received');
+      assert.equal(store.tables.subscription[0].missedPayments, 1);
+      assert.equal(store.tables.subscription[0].billingCount, 3);
+
+      // A period whose link could not be created is billed by the next run
+      const createPaymentRequest = first.x402PayService.createPaymentRequest;
+      first.x402PayService.createPaymentRequest = async () => { throw new Error('Database unavailable'); };
+      const due = new Date(Date.now() - 1000);
+      store.tables.subscription[0].nextBillingDate = due;
+      await first.scheduler.processSubscriptions();
+      assert.equal(store.tables.subscription[0].nextBillingDate.getTime(), due.getTime());
+      first.x402PayService.createPaymentRequest = createPaymentRequest;
+      await first.scheduler.processSubscriptions();
+      assert.equal(store.tables.subscription[0].billingCount, 4);
+    }
+  }
+];
+
+// 🧪 Test Runner
+async function runTests() {
+  console.log('\n🧪 AgenPay Subscription Test Suite\n==================================');
+  let passed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.run();
+      passed++;
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      console.error(`❌ ${test.name}\n`, error);
+    }
+  }
+
+  console.log(`\n📊 ${passed}/${tests.length} subscription tests passed`);
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,285 @@
+/**
+ * In-memory stand-in for the Prisma client, shared by the test suites so they run without
+ * Postgres. Each model is an array in `tables` with the query subset the services use:
+ * where filters (equality, lt/lte/gt/gte, in, not, contains, OR/AND and compound unique
+ * keys), orderBy, take/skip, includes of belongs-to relations, update increments,
+ * aggregate/groupBy sums and array or callback $transaction. A callback transaction holds the
+ * pg_advisory_xact_lock locks it takes until it ends (nothing is rolled back on error).
+ */
+
+import { addAmounts, sumAmounts } from '../lib/Money.js';
+
+const isOperator = value => value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+
+// Compound unique keys (userId_scope_key, threadId_checkpointNs_checkpointId) are spread into plain fields
+const flatten = where => Object.fromEntries(Object.entries(where || {}).flatMap(([key, value]) =>
+  key.includes('_') && isOperator(value) ? Object.entries(value) : [[key, value]]
+));
+
+const sameValue = (actual, expected) => {
+  if (expected instanceof Date) {
+    return actual instanceof Date && actual.getTime() === expected.getTime();
+  }
+  return (actual ?? null) === expected;
+};
+
+function matchesValue(actual, condition) {
+  if (!isOperator(condition)) {
+    return sameValue(actual, condition);
+  }
+  return Object.entries(condition).every(([operator, expected]) => {
+    switch (operator) {
+      case 'equals': return sameValue(actual, expected);
+      case 'not': return isOperator(expected) ? !matchesValue(actual, expected) : !sameValue(actual, expected);
+      case 'in': return expected.some(value => sameValue(actual, value));
+      case 'notIn': return !expected.some(value => sameValue(actual, value));
+      case 'lt': return actual !== null && actual !== undefined && actual < expected;
+      case 'lte': return actual !== null && actual !== undefined && actual <= expected;
+      case 'gt': return actual !== null && actual !== undefined && actual > expected;
+      case 'gte': return actual !== null && actual !== undefined && actual >= expected;
+      case 'contains': return String(actual ?? '').toLowerCase().includes(String(expected).toLowerCase());
+      case 'mode': return true;
+      default: throw new Error(`MemoryStore: unsupported filter ${operator}`);
+    }
+  });
+}
+
+/**
+ * Whether a row satisfies a Prisma where clause
+ */
+export function matchesWhere(row, where) {
+  return Object.entries(flatten(where)).every(([key, value]) => {
+    if (key === 'OR') return value.some(branch => matchesWhere(row, branch));
+    if (key === 'AND') return [value].flat().every(branch => matchesWhere(row, branch));
+    if (key === 'NOT') return ![value].flat().some(branch => matchesWhere(row, branch));
+    return matchesValue(row[key], value);
+  });
+}
+
+/**
+ * Sort rows by a Prisma orderBy ({ field: 'asc' } or a list of them)
+ */
+export function sortRows(rows, orderBy) {
+  const orders = [orderBy || []].flat();
+  return [...rows].sort((a, b) => {
+    for (const order of orders) {
+      const [[key, direction]] = Object.entries(order);
+      if (a[key] < b[key]) return direction === 'asc' ? -1 : 1;
+      if (a[key] > b[key]) return direction === 'asc' ? 1 : -1;
+    }
+    return 0;
+  });
+}
+
+const copy = value => structuredClone(value);
+
+/**
+ * Create a store seeded with rows per model. Options:
+ * - defaults: { model: { field: value } } applied to created rows
+ * - idPrefixes: { model: 'prefix' } for generated ids (default: the model name)
+ * - unique: { model: [['field', ...]] } constraints that make create throw P2002
+ * - relations: { includeName: 'model' } when an include is not named after its model
+ * - models: { model: base => ({ method }) } to replace methods a suite needs to behave
+ *   differently (nested writes, for example)
+ * - yields: every call waits a turn of the event loop after it runs, so concurrent
+ *   callers interleave the way separate database round trips do
+ */
+export function createMemoryStore(seed = {}, { defaults = {}, idPrefixes = {}, unique = {}, relations = {}, models: overrides = {}, yields = false } = {}) {
+  // Tables spring into existence when first read, so a suite only seeds the ones it fills
+  const tables = new Proxy({ ...seed }, {
+    get: (target, name) => {
+      if (typeof name === 'string' && !(name in target)) target[name] = [];
+      return target[name];
+    }
+  });
+  let nextId = 1;
+
+  const tableFor = name => tables[name];
+  const settle = async result => {
+    if (yields) await new Promise(resolve => setImmediate(resolve));
+    return result;
+  };
+
+  // Belongs-to includes: `include: { user: true }` joins tables.user on row.userId
+  const withIncludes = (row, include) => {
+    const result = copy(row);
+    for (const [relation, wanted] of Object.entries(include || {})) {
+      if (!wanted) continue;
+      const related = tableFor(relations[relation] || relation).find(other => other.id === row[`${relation}Id`]);
+      result[relation] = related ? copy(related) : null;
+    }
+    return result;
+  };
+
+  const applyData = (row, data) => {
+    for (const [key, value] of Object.entries(data)) {
+      if (isOperator(value) && 'increment' in value) {
+        row[key] = typeof row[key] === 'number' && typeof value.increment === 'number'
+          ? row[key] + value.increment
+          : addAmounts(row[key] ?? 0, value.increment);
+      } else if (isOperator(value) && 'decrement' in value) {
+        row[key] = (row[key] ?? 0) - value.decrement;
+      } else {
+        row[key] = copy(value);
+      }
+    }
+    if ('updatedAt' in row) row.updatedAt = new Date();
+  };
+
+  const checkUnique = (name, row, ignore = null) => {
+    for (const fields of unique[name] || []) {
+      if (tableFor(name).some(other => other !== ignore && fields.every(field => sameValue(other[field], row[field])))) {
+        throw Object.assign(new Error(`Unique constraint failed on the fields: (${fields.join(', ')})`), { code: 'P2002' });
+      }
+    }
+  };
+
+  const findRows = (name, { where, orderBy, skip = 0, take } = {}) => {
+    const rows = sortRows(tableFor(name).filter(row => matchesWhere(row, where)), orderBy);
+    return rows.slice(skip, take === undefined ? undefined : skip + take);
+  };
+
+  const notFound = name => Object.assign(new Error(`No ${name} record found`), { code: 'P2025' });
+
+  const model = name => ({
+    findUnique: async ({ where, include }) => {
+      const row = tableFor(name).find(r => matchesWhere(r, where));
+      return settle(row ? withIncludes(row, include) : null);
+    },
+    findFirst: async (args = {}) => {
+      const [row] = findRows(name, { ...args, take: 1 });
+      return settle(row ? withIncludes(row, args.include) : null);
+    },
+    findMany: async (args = {}) => settle(findRows(name, args).map(row => withIncludes(row, args.include))),
+    count: async ({ where } = {}) => settle(findRows(name, { where }).length),
+    create: async ({ data, include }) => {
+      const row = { id: `${idPrefixes[name] || name}_${nextId++}`, createdAt: new Date(), updatedAt: new Date(), ...copy(defaults[name] || {}), ...copy(data) };
+      checkUnique(name, row);
+      tableFor(name).push(row);
+      return settle(withIncludes(row, include));
+    },
+    update: async ({ where, data, include }) => {
+      const row = tableFor(name).find(r => matchesWhere(r, where));
+      if (!row) throw notFound(name);
+      applyData(row, data);
+      return settle(withIncludes(row, include));
+    },
+    // Checked and applied in one step, like the single UPDATE ... WHERE Postgres runs
+    updateMany: async ({ where, data }) => {
+      const rows = tableFor(name).filter(r => matchesWhere(r, where));
+      rows.forEach(row => applyData(row, data));
+      return settle({ count: rows.length });
+    },
+    upsert: async ({ where, update, create }) => {
+      const row = tableFor(name).find(r => matchesWhere(r, where));
+      if (row) {
+        applyData(row, update);
+        return settle(copy(row));
+      }
+      return model(name).create({ data: create });
+    },
+    delete: async ({ where }) => {
+      const row = tableFor(name).find(r => matchesWhere(r, where));
+      if (!row) throw notFound(name);
+      tables[name] = tableFor(name).filter(r => r !== row);
+      return settle(copy(row));
+    },
+    deleteMany: async ({ where } = {}) => {
+      const before = tableFor(name).length;
+      tables[name] = tableFor(name).filter(row => !matchesWhere(row, where));
+      return settle({ count: before - tables[name].length });
+    },
+    // DECIMAL columns sum exactly in Postgres
+    aggregate: async ({ where, _sum = {} }) => {
+      const rows = findRows(name, { where });
+      return settle({
+        _count: rows.length,
+        _sum: Object.fromEntries(Object.keys(_sum).map(field => [field, rows.length > 0 ? sumAmounts(rows.map(row => row[field] ?? 0)) : null]))
+      });
+    },
+    groupBy: async ({ by, where, _sum = {}, _count = {} }) => {
+      const groups = new Map();
+      for (const row of findRows(name, { where })) {
+        const groupKey = JSON.stringify(by.map(field => row[field]));
+        const group = groups.get(groupKey) || {
+          ...Object.fromEntries(by.map(field => [field, row[field]])),
+          _count: Object.fromEntries(Object.keys(_count).map(field => [field, 0])),
+          _sum: Object.fromEntries(Object.keys(_sum).map(field => [field, null]))
+        };
+        Object.keys(_count).forEach(field => { group._count[field] += 1; });
+        Object.keys(_sum).forEach(field => { group._sum[field] = addAmounts(group._sum[field] ?? 0, row[field] ?? 0); });
+        groups.set(groupKey, group);
+      }
+      return settle([...groups.values()]);
+    },
+  });
+
+  const store = { tables };
+  const models = new Map();
+
+  // Advisory locks by key: each holder chains after the previous one and frees its key when
+  // its transaction ends
+  const locks = new Map();
+  const lock = key => {
+    const previous = locks.get(key) || Promise.resolve();
+    let unlock;
+    const held = new Promise(resolve => { unlock = resolve; });
+    const queued = previous.then(() => held);
+    locks.set(key, queued);
+    return {
+      acquired: previous,
+      release: () => {
+        unlock();
+        if (locks.get(key) === queued) locks.delete(key);
+      }
+    };
+  };
+
+  const runTransaction = async operations => {
+    if (typeof operations !== 'function') return Promise.all(operations);
+    const held = [];
+    const tx = new Proxy(store, {
+      get(target, property) {
+        if (property !== '$executeRaw') return proxy[property];
+        return async (strings, ...values) => {
+          if ([strings].flat().join('?').includes('pg_advisory_xact_lock')) {
+            const advisory = lock(JSON.stringify(values));
+            held.push(advisory.release);
+            await advisory.acquired;
+          }
+          return settle(0);
+        };
+      }
+    });
+    try {
+      return await operations(tx);
+    } finally {
+      held.forEach(release => release());
+    }
+  };
+
+  // Models are created on first use
+  const proxy = new Proxy(store, {
+    get(target, property) {
+      if (property in target || typeof property !== 'string') return target[property];
+      if (property === '$transaction') {
+        return runTransaction;
+      }
+      if (property === '$executeRaw' || property === '$queryRaw') {
+        return async () => settle(property === '$executeRaw' ? 0 : []);
+      }
+      if (property === '$disconnect' || property === '$connect') {
+        return async () => {};
+      }
+      if (property === 'then' || property.startsWith('$')) return undefined;
+      if (!models.has(property)) {
+        const base = model(property);
+        models.set(property, { ...base, ...overrides[property]?.(base, tables) });
+      }
+      return models.get(property);
+    }
+  });
+  return proxy;
+}
+
+export default createMemoryStore;
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+/**
+ * AgenPay Transaction Export - Test Suite
+ * Checks period exports for accounting: date ranges in the user's timezone, type,
+ * currency and status filters, the flat CSV and the balanced double-entry journal
+ * (in-memory store instead of Postgres, so no database is needed)
+ */
+
+import assert from 'node:assert/strict';
+import TransactionExportService, { parseExportQuery } from './lib/TransactionExportService.js';
+import PriceService from './lib/PriceService.js';
+import { createMemoryStore } from './test-support/MemoryStore.js';
+
+// 🗄️ In-memory store whose transaction lookups must come back in a stable order
+const createStore = transactions => createMemoryStore({ transaction: transactions }, {
+  models: {
+    transaction: base => ({
+      findMany: async args => {
+        assert.deepEqual(args.orderBy, [{ createdAt: 'asc' }, { id: 'asc' }]);
+        return base.findMany(args);
+      },
+    }),
+  },
+});
+
+const transaction = (id, type, amount, currency, createdAt, extra = {}) => ({
+  id,
+  userId: 'user_1',
+  type,
+  status: 'COMPLETED',
+  amount,
+  currency,
+  network: 'base-sepolia',
+  description: null,
+  fromAddress: null,
+  toAddress: null,
+  txHash: `0x${id}`,
+  relatedRequestId: null,
+  failureReason: null,
+  usdPrice: currency === 'USDC' ? 1 : null,
+  usdValue: currency === 'USDC' ? amount : null,
+  completedAt: null,
+  createdAt: new Date(createdAt),
+  ...extra,
+});
+
+function createFixtures() {
+  return createStore([
+    transaction('tx_1', 'INCOMING', 200, 'USDC', '2026-09-30T23:30:00Z', { description: 'Invoice, September' }),
+    transaction('tx_2', 'INCOMING', 0.5, 'ETH', '2026-10-01T10:00:00Z', { usdPrice: 2400, usdValue: 1200 }),
+    transaction('tx_3', 'SEND', 25, 'USDC', '2026-10-02T12:00:00Z', { toAddress: '0xdave' }),
+    transaction('tx_4', 'REFUND', 20, 'USDC', '2026-10-03T12:00:00Z'),
+    transaction('tx_5', 'OUTGOING', 0.1, 'ETH', '2026-10-04T12:00:00Z'),
+    transaction('tx_6', 'SWAP', 50, 'USDC', '2026-10-05T12:00:00Z'),
+    transaction('tx_7', 'SEND', 10, 'USDC', '2026-10-06T12:00:00Z', { status: 'FAILED', failureReason: 'Spending policy' }),
+    transaction('tx_8', 'INCOMING', 99, 'USDC', '2026-11-01T03:30:00Z'),
+    { ...transaction('tx_9', 'INCOMING', 1000, 'USDC', '2026-10-02T12:00:00Z'), userId: 'user_2' },
+  ]);
+}
+
+const exportIds = async (query, timeZone = 'UTC') => {
+  const { data } = parseExportQuery(query, { timeZone });
+  const { content } = await new TransactionExportService({ prisma: createFixtures() }).export('user_1', data);
+  return content.trim().split('\r\n').slice(1).map(line => line.split(',')[2]);
+};
+
+const tests = [
+  {
+    name: 'Export filters are validated, with period dates in the user\'s timezone',
+    run: async () => {
+      const { data } = parseExportQuery({ from: '2026-10-01', to: '2026-10-31', type: 'incoming,send', currency: 'usdc' }, { timeZone: 'America/New_York' });
+      assert.deepEqual(data.createdAt, { gte: new Date('2026-10-01T04:00:00Z'), lt: new Date('2026-11-01T04:00:00Z') });
+      assert.deepEqual(data.types, ['INCOMING', 'SEND']);
+      assert.deepEqual(data.currencies, ['USDC']);
+      assert.deepEqual(data.statuses, []);
+
+      assert.deepEqual(parseExportQuery({ to: '2026-10-31T12:00:00Z' }).data.createdAt, { lte: new Date('2026-10-31T12:00:00Z') });
+      assert.deepEqual(parseExportQuery({ format: 'journal' }).data.statuses, ['COMPLETED']);
+
+      assert.match(parseExportQuery({ format: 'xlsx' }).error, /format must be one of/);
+      assert.match(parseExportQuery({ from: 'last month' }).error, /from must be a date/);
+      assert.match(parseExportQuery({ from: '2026-11-01', to: '2026-10-01' }).error, /from must be before to/);
+      assert.match(parseExportQuery({ type: 'GIFT' }).error, /type must be one of/);
+      assert.match(parseExportQuery({ format: 'journal', status: 'failed' }).error, /only covers COMPLETED/);
+    }
+  },
+  {
+    name: 'The CSV lists every matching transaction of the user, oldest first',
+    run: async () => {
+      // 23:30 UTC on 30 September is already 1 October in Paris, and 1 November 03:30 UTC is still October in New York
+      assert.deepEqual(await exportIds({ from: '2026-10-01', to: '2026-10-31' }, 'Europe/Paris'), ['tx_1', 'tx_2', 'tx_3', 'tx_4', 'tx_5', 'tx_6', 'tx_7']);
+      assert.deepEqual(await exportIds({ from: '2026-10-01', to: '2026-10-31' }, 'America/New_York'), ['tx_2', 'tx_3', 'tx_4', 'tx_5', 'tx_6', 'tx_7', 'tx_8']);
+      assert.deepEqual(await exportIds({ type: 'SEND', status: 'COMPLETED' }), ['tx_3']);
+      assert.deepEqual(await exportIds({ currency: 'ETH' }), ['tx_2', 'tx_5']);
+
+      const { data } = parseExportQuery({ to: '2026-10-01' });
+      const result = await new TransactionExportService({ prisma: createFixtures() }).export('user_1', data);
+      assert.equal(result.fileName, 'transactions-start-to-2026-10-01.csv');
+      assert.equal(result.transactionCount, 2);
+      assert.equal(result.unpricedCount, 0);
+
+      const [header, first] = result.content.split('\r\n');
+      assert.equal(header, 'date,timestamp,transactionId,type,status,amount,currency,usdPrice,usdValue,network,fromAddress,toAddress,txHash,description,relatedRequestId,completedAt,failureReason');
+      assert.equal(first, '2026-09-30,2026-09-30T23:30:00.000Z,tx_1,INCOMING,COMPLETED,200,USDC,1,200,base-sepolia,,,0xtx_1,"Invoice, September",,,');
+    }
+  },
+  {
+    name: 'The journal books a balanced debit and credit per completed transaction',
+    run: async () => {
+      const { data } = parseExportQuery({ format: 'journal', from: '2026-10-01', to: '2026-10-31' });
+      const result = await new TransactionExportService({ prisma: createFixtures() }).export('user_1', data);
+      assert.equal(result.fileName, 'journal-2026-10-01-to-2026-10-31.csv');
+      assert.equal(result.transactionCount, 5);
+      assert.equal(result.unpricedCount, 1);
+
+      const rows = result.content.trim().split('\r\n').slice(1).map(line => line.split(','));
+      assert.deepEqual(rows.map(([, entry, account, debit, credit]) => [entry, account, debit, credit]), [
+        ['tx_2', 'Assets:Crypto:ETH', '0.5', ''],
+        ['tx_2', 'Income:Payments Received', '', '0.5'],
+        ['tx_3', 'Expenses:Transfers Out', '25', ''],
+        ['tx_3', 'Assets:Crypto:USDC', '', '25'],
+        ['tx_4', 'Income:Refunds Given', '20', ''],
+        ['tx_4', 'Assets:Crypto:USDC', '', '20'],
+        ['tx_5', 'Expenses:Payments Sent', '0.1', ''],
+        ['tx_5', 'Assets:Crypto:ETH', '', '0.1'],
+        ['tx_6', 'Assets:Swap Clearing', '50', ''],
+        ['tx_6', 'Assets:Crypto:USDC', '', '50'],
+      ]);
+
+      // USD columns carry the value recorded at the time, and stay empty when there was no price
+      assert.deepEqual(rows.slice(0, 2).map(row => row.slice(6, 9)), [['1200', '', '2400'], ['', '1200', '2400']]);
+      assert.deepEqual(rows.slice(6, 8).map(row => row.slice(6, 9)), [['', '', ''], ['', '', '']]);
+
+      // Every entry balances in the token and in USD
+      const totals = rows.reduce((sum, row) => ({ debit: sum.debit + Number(row[3]), credit: sum.credit + Number(row[4]), usdDebit: sum.usdDebit + Number(row[6]), usdCredit: sum.usdCredit + Number(row[7]) }), { debit: 0, credit: 0, usdDebit: 0, usdCredit: 0 });
+      assert.equal(totals.debit, totals.credit);
+      assert.equal(totals.usdDebit, totals.usdCredit);
+    }
+  },
+  {
+    name: 'Transactions are valued in USD when they are recorded',
+    run: async () => {
+      const priceService = new PriceService({ provider: { getUsdPrice: async symbol => ({ ETH: 2412.3456 })[symbol] ?? null } });
+
+      assert.deepEqual(await priceService.getUsdValuation('ETH', 0.5), { usdPrice: 2412.3456, usdValue: 1206.17 });
+      assert.deepEqual(await priceService.getUsdValuation('USDC', 12.5), { usdPrice: 1, usdValue: 12.5 });
+      assert.deepEqual(await priceService.getUsdValuation('XYZ', 3), { usdPrice: null, usdValue: null });
+
+      const failing = new PriceService({ provider: { getUsdPrice: async () => { throw new Error('OKX down'); } } });
+      assert.deepEqual(await failing.getUsdValuation('ETH', 1), { usdPrice: null, usdValue: null });
+    }
+  }
+];
+
+// 🧪 Test Runner
+async function runTests() {
+  console.log('\n🧪 AgenPay Transaction Export Test Suite\n========================================');
+  let passed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.run();
+      passed++;
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      console.error(`❌ ${test.name}\n`, error);
+    }
+  }
+
+  console.log(`\n📊 ${passed}/${tests.length} transaction export tests passed`);
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+
+/**
+ * AgenPay Wallet - Test Suite
+ * Checks ERC-20 transfers (calldata and base units from the token registry), balances of every
+ * token held, valued in USD, the network each
+ * call runs on (the requested one, else the user's default), and how sends
+ * fail: refused sends carry an HTTP status and record nothing, a transfer CDP rejects is
+ * marked failed while any other broadcast failure is flagged as possibly sent, and
+ * bookkeeping after a broadcast never fails the send
+ * (CDP and Postgres replaced by in-memory fakes)
+ */
+
+import assert from 'node:assert/strict';
+import WalletService, { WalletError, TOKEN_REGISTRY, encodeErc20Transfer } from './lib/WalletService.js';
+import SpendingPolicyService from './lib/SpendingPolicyService.js';
+import { toBaseUnits } from './lib/Money.js';
+import { createMemoryStore } from './test-support/MemoryStore.js';
+
+const RECIPIENT = '0x1111111111111111111111111111111111111111';
+
+// 💳 Wallet service over an in-memory store, with CDP broadcasting through sendTransaction
+// and tokens priced from a table
+function createWallet({ sendTransaction = async () => ({ transactionHash: '0xabc' }), prices = {}, store } = {}) {
+  store = store || createMemoryStore({
+    user: [{ id: 'user_1', walletId: 'wallet_1', walletAddress: '0x2222222222222222222222222222222222222222', walletNetwork: 'base-sepolia' }],
+  });
+  const ledger = [];
+  const wallet = new WalletService({
+    prisma: store,
+    priceService: {
+      getUsdValuation: async () => ({ usdPrice: null, usdValue: null }),
+      getUsdPrices: async symbols => Object.fromEntries(symbols.map(symbol => [symbol, prices[symbol] ?? null])),
+    },
+    spendingPolicyService: new SpendingPolicyService({ prisma: store }),
+    ledgerService: { record: async entry => ledger.push(entry) },
+  });
+  wallet.cdp = { evm: { sendTransaction } };
+  return { wallet, store, ledger };
+}
+
+const tests = [
+  {
+    name: 'ERC-20 transfer calldata is the transfer selector and two padded 32-byte words',
+    run: async () => {
+      const data = encodeErc20Transfer('0xAbCdEf0123456789aBcDeF0123456789AbCdEf01', 1500000n);
+
+      assert.equal(data.length, 2 + 8 + 64 + 64);
+      assert.equal(data.slice(0, 10), '0xa9059cbb');
+      assert.equal(data.slice(10, 74), '000000000000000000000000abcdef0123456789abcdef0123456789abcdef01');
+      assert.equal(data.slice(74), '16e360'.padStart(64, '0'));
+
+      // Base units arrive as bigint or decimal strings and are encoded the same way
+      assert.equal(encodeErc20Transfer(RECIPIENT, '1500000'), encodeErc20Transfer(RECIPIENT, 1500000n));
+      assert.equal(encodeErc20Transfer(RECIPIENT, 2n ** 255n).slice(74), '8'.padEnd(64, '0'));
+    }
+  },
+  {
+    name: 'Amounts convert to base units with the decimals of each token',
+    run: async () => {
+      const { wallet } = createWallet();
+      const usdc = wallet.getToken('base-sepolia', 'usdc');
+      const eth = wallet.getToken('base-sepolia', 'ETH');
+      assert.equal(usdc.decimals, 6);
+      assert.equal(eth.decimals, 18);
+
+      assert.equal(toBaseUnits('25', usdc.decimals), 25000000n);
+      assert.equal(toBaseUnits('0.000001', usdc.decimals), 1n);
+      assert.equal(toBaseUnits(0.1, usdc.decimals), 100000n);
+      assert.equal(toBaseUnits('1.10', eth.decimals), 1100000000000000000n);
+      // Trailing zeros past the token decimals are fine; real digits there are refused, never rounded
+      assert.equal(toBaseUnits('2.500000000', usdc.decimals), 2500000n);
+      assert.throws(() => toBaseUnits('2.5000001', usdc.decimals), /more than 6 decimal places/);
+      assert.throws(() => toBaseUnits('-1', usdc.decimals), /Invalid amount/);
+
+      assert.deepEqual(wallet.getSupportedTokens('base-mainnet').map(token => token.symbol), ['ETH', 'USDC', 'EURC', 'WETH']);
+      assert.deepEqual(wallet.getSupportedTokens('solana'), []);
+      assert.throws(() => wallet.getToken('base-sepolia', 'USDT'), /Unsupported token USDT on base-sepolia/);
+      assert.throws(() => wallet.getToken('solana', 'USDC'), /Unsupported network: solana/);
+    }
+  },
+  {
+    name: 'USDC is sent by calling transfer on the token contract, ETH as a plain value transfer',
+    run: async () => {
+      const requests = [];
+      const { wallet, store, ledger } = createWallet({
+        sendTransaction: async request => {
+          requests.push(request);
+          return { transactionHash: `0xtx${requests.length}` };
+        },
+      });
+
+      await wallet.sendCrypto('user_1', RECIPIENT, '12.5', 'usdc');
+      await wallet.sendCrypto('user_1', RECIPIENT, '0.01', 'ETH');
+
+      const usdc = TOKEN_REGISTRY['base-sepolia'].find(token => token.symbol === 'USDC');
+      assert.deepEqual(requests, [
+        { address: '0x2222222222222222222222222222222222222222', network: 'base-sepolia', transaction: { to: usdc.address, value: 0n, data: encodeErc20Transfer(RECIPIENT, 12500000n) } },
+        { address: '0x2222222222222222222222222222222222222222', network: 'base-sepolia', transaction: { to: RECIPIENT, value: 10000000000000000n, data: '0x' } },
+      ]);
+      assert.deepEqual(store.tables.transaction.map(t => [t.currency, t.amount, t.status, t.txHash]), [['USDC', '12.5', 'PENDING', '0xtx1'], ['ETH', '0.01', 'PENDING', '0xtx2']]);
+      assert.deepEqual(ledger.map(entry => [entry.currency, entry.amount]), [['USDC', '12.5'], ['ETH', '0.01']]);
+    }
+  },
+  {
+    name: 'Calls run on the requested network, or the user\'s default network when none is named',
+    run: async () => {
+      const requests = [];
+      const { wallet, store } = createWallet({
+        sendTransaction: async request => {
+          requests.push(request);
+          return { transactionHash: `0xtx${requests.length}` };
+        },
+      });
+      const faucet = [];
+      wallet.cdp.evm.requestFaucet = async request => {
+        faucet.push(request);
+        return { transactionHash: '0xfaucet' };
+      };
+
+      assert.deepEqual(await wallet.getWallet('user_1').then(({ network, cdpNetwork, defaultNetwork }) => ({ network, cdpNetwork, defaultNetwork })),
+        { network: 'base-sepolia', cdpNetwork: 'base-sepolia', defaultNetwork: 'base-sepolia' });
+      // One address serves every network
+      const mainnet = await wallet.getWallet('user_1', 'ethereum-mainnet');
+      assert.equal(mainnet.address, '0x2222222222222222222222222222222222222222');
+      assert.equal(mainnet.cdpNetwork, 'ethereum');
+      await assert.rejects(wallet.getWallet('user_1', 'solana'), /Unsupported network: solana/);
+
+      // A send on another network goes through its CDP network and its own token contract
+      const result = await wallet.sendCrypto('user_1', RECIPIENT, '3', 'USDC', 'base-mainnet');
+      assert.equal(result.network, 'base-mainnet');
+      assert.equal(requests[0].network, 'base');
+      assert.equal(requests[0].transaction.to, TOKEN_REGISTRY['base-mainnet'].find(token => token.symbol === 'USDC').address);
+      assert.equal(store.tables.transaction[0].network, 'base-mainnet');
+
+      // Changing the default moves calls that name no network
+      await wallet.setDefaultNetwork('user_1', 'ethereum-sepolia');
+      await wallet.sendCrypto('user_1', RECIPIENT, '0.5', 'ETH');
+      assert.equal(requests[1].network, 'ethereum-sepolia');
+      await assert.rejects(wallet.setDefaultNetwork('user_1', 'base'), /Unsupported network: base/);
+
+      // The faucet only runs on testnets
+      await wallet.requestTestnetTokens('user_1');
+      assert.deepEqual(faucet, [{ address: '0x2222222222222222222222222222222222222222', network: 'ethereum-sepolia', token: 'eth' }]);
+      await assert.rejects(wallet.requestTestnetTokens('user_1', 'base-mainnet'), /only available on testnets/);
+    }
+  },
+  {
+    name: 'Balances list every token held with its own decimals, valued in USD',
+    run: async () => {
+      const { wallet } = createWallet({ prices: { ETH: 2000, USDC: 1 } });
+      const usdc = TOKEN_REGISTRY['base-mainnet'].find(token => token.symbol === 'USDC');
+      const pages = {
+        first: { balances: [
+          { token: { symbol: 'ETH', contractAddress: null }, amount: { amount: 1500000000000000000n, decimals: 18 } },
+          { token: { symbol: 'USDC', contractAddress: usdc.address.toLowerCase() }, amount: { amount: 2500000n, decimals: 6 } },
+        ], nextPageToken: 'page_2' },
+        page_2: { balances: [
+          { token: { symbol: 'EURC', contractAddress: '0x60a3E35Cc302bFA44Cb288Bc5a4F316Fdb1adb42' }, amount: { amount: 0n, decimals: 6 } },
+          { token: { symbol: 'FOO', name: 'Foo Token', contractAddress: '0xf00' }, amount: { amount: 42n, decimals: 1 } },
+        ] },
+      };
+      const listed = [];
+      wallet.cdp.evm.listTokenBalances = async ({ network, pageToken }) => {
+        listed.push([network, pageToken]);
+        return pages[pageToken || 'first'];
+      };
+
+      const portfolio = await wallet.getWalletBalance('user_1', 'base-mainnet');
+      assert.deepEqual(listed, [['base', undefined], ['base', 'page_2']]);
+      assert.deepEqual(portfolio.tokens.map(({ symbol, name, decimals, amount, priceUsd, valueUsd }) => ({ symbol, name, decimals, amount, priceUsd, valueUsd })), [
+        { symbol: 'ETH', name: 'Ether', decimals: 18, amount: '1.5', priceUsd: 2000, valueUsd: '3000.00' },
+        { symbol: 'USDC', name: 'USD Coin', decimals: 6, amount: '2.5', priceUsd: 1, valueUsd: '2.50' },
+        // Held but unpriced: listed without a value, and left out of the total
+        { symbol: 'FOO', name: 'Foo Token', decimals: 1, amount: '4.2', priceUsd: null, valueUsd: null },
+      ]);
+      assert.equal(portfolio.network, 'base-mainnet');
+      assert.equal(portfolio.totalUsd, '3002.50');
+      assert.equal(portfolio.USD, '3002.50');
+      assert.equal(portfolio.ETH, '1.5');
+
+      // CDP outages leave an empty portfolio; an unsupported network is the caller's error
+      wallet.cdp.evm.listTokenBalances = async () => { throw new Error('CDP unavailable'); };
+      assert.deepEqual(await wallet.getWalletBalance('user_1'), { network: 'base-sepolia', tokens: [], totalUsd: '0.00', ETH: '0', USD: '0.00' });
+      await assert.rejects(wallet.getWalletBalance('user_1', 'solana'), /Unsupported network: solana/);
+    }
+  },
+  {
+    name: 'Refused sends throw a WalletError with their HTTP status and record nothing',
+    run: async () => {
+      const { wallet, store } = createWallet({ sendTransaction: async () => assert.fail('nothing should be broadcast') });
+
+      const refusals = [
+        [() => wallet.sendCrypto('user_1', '0x123', '1', 'USDC'), 400, /Invalid recipient address/],
+        [() => wallet.sendCrypto('user_1', RECIPIENT, '1.0000001', 'USDC'), 400, /more than 6 decimal places/],
+        [() => wallet.sendCrypto('user_1', RECIPIENT, '0', 'USDC'), 400, /greater than 0/],
+        [() => wallet.sendCrypto('user_1', RECIPIENT, '1', 'DOGE'), 400, /Unsupported token DOGE/],
+        [() => wallet.sendCrypto('user_2', RECIPIENT, '1', 'USDC'), 404, /Wallet not found/],
+      ];
+      for (const [send, statusCode, message] of refusals) {
+        await assert.rejects(send, error => error instanceof WalletError && error.statusCode === statusCode && message.test(error.message));
+      }
+      assert.equal(store.tables.transaction.length, 0);
+    }
+  },
+  {
+    name: 'A transfer CDP rejects is marked FAILED; any other broadcast failure is flagged and left for review',
+    run: async () => {
+      const rejected = createWallet({
+        sendTransaction: async () => { throw Object.assign(new Error('Too many requests'), { statusCode: 429 }); },
+      });
+      await assert.rejects(rejected.wallet.sendCrypto('user_1', RECIPIENT, '5', 'USDC'), error =>
+        !(error instanceof WalletError) && !error.mayHaveBroadcast && error.statusCode === 429);
+      assert.deepEqual(rejected.store.tables.transaction.map(transaction => transaction.status), ['FAILED']);
+
+      const { wallet, store, ledger } = createWallet({
+        sendTransaction: async () => { throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }); },
+      });
+      await assert.rejects(wallet.sendCrypto('user_1', RECIPIENT, '5', 'USDC'), error =>
+        !(error instanceof WalletError) && error.mayHaveBroadcast === true && error.code === 'ECONNRESET');
+      // Still PROCESSING without a txHash: it counts towards the caps and marks the send as possibly out
+      assert.deepEqual(store.tables.transaction.map(transaction => [transaction.status, transaction.txHash ?? null]), [['PROCESSING', null]]);
+      assert.equal(ledger.length, 0);
+    }
+  },
+  {
+    name: 'A send that was broadcast succeeds even when recording its hash fails',
+    run: async () => {
+      const { wallet, store, ledger } = createWallet();
+      const update = store.transaction.update;
+      store.transaction.update = async () => { throw new Error('Connection terminated'); };
+
+      const result = await wallet.sendCrypto('user_1', RECIPIENT, '5', 'USDC');
+      store.transaction.update = update;
+
+      assert.equal(result.success, true);
+      assert.equal(result.transactionHash, '0xabc');
+      assert.equal(store.tables.transaction[0].status, 'PROCESSING');
+      assert.deepEqual(ledger.map(entry => [entry.kind, entry.txHash]), [['send', '0xabc']]);
+    }
+  }
+];
+
+// 🧪 Test Runner
+async function runTests() {
+  console.log('\n🧪 AgenPay Wallet Test Suite\n============================');
+  let passed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.run();
+      passed++;
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      console.error(`❌ ${test.name}\n`, error);
+    }
+  }
+
+  console.log(`\n📊 ${passed}/${tests.length} wallet tests passed`);
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+runTests();
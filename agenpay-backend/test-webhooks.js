@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+/**
+ * AgenPay Webhook Delivery - Test Suite
+ * Runs the webhook delivery engine against a local HTTP receiver
+ * (in-memory store instead of Postgres, so no database is needed)
+ */
+
+import http from 'node:http';
+import assert from 'node:assert/strict';
+import WebhookService, { WEBHOOK_EVENTS } from './lib/WebhookService.js';
+import { createMemoryStore } from './test-support/MemoryStore.js';
+
+// 🗄️ In-memory store with the webhook columns Postgres defaults
+const createStore = () => createMemoryStore({}, {
+  defaults: { webhookEndpoint: { active: true }, webhookDelivery: { attempts: 0 } },
+  idPrefixes: { webhookEndpoint: 'wh', webhookDelivery: 'whd' },
+  relations: { endpoint: 'webhookEndpoint' },
+});
+
+// 📡 Local receiver that fails the first `failures` requests
+function startReceiver(failures = 0) {
+  const received = [];
+
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = received.length <= failures ? 500 : 200;
+        res.end();
+      });
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hooks` });
+    });
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const tests = [
+  {
+    name: 'Signs payloads with HMAC-SHA256 and delivers on first attempt',
+    run: async () => {
+      const receiver = await startReceiver();
+      const store = createStore();
+      const service = new WebhookService({ prisma: store });
+
+      try {
+        const endpoint = await service.createEndpoint('user_1', { url: receiver.url });
+        const [delivery] = await service.emit('user_1', 'payment_request.paid', { id: 'x402_1', amount: 25 });
+
+        assert.equal(delivery.status, 'delivered');
+        assert.equal(delivery.attempts, 1);
+        assert.equal(receiver.received.length, 1);
+
+        const { headers, body } = receiver.received[0];
+        assert.equal(headers['x-agenpay-event'], 'payment_request.paid');
+        assert.equal(headers['x-agenpay-delivery'], delivery.id);
+        assert.ok(WebhookService.verifySignature(endpoint.secret, body, headers['x-agenpay-signature']));
+        assert.ok(!WebhookService.verifySignature('whsec_wrong', body, headers['x-agenpay-signature']));
+        assert.ok(!WebhookService.verifySignature(endpoint.secret, body + ' ', headers['x-agenpay-signature']));
+
+        const payload = JSON.parse(body);
+        assert.equal(payload.event, 'payment_request.paid');
+        assert.deepEqual(payload.data, { id: 'x402_1', amount: 25 });
+      } finally {
+        receiver.server.close();
+      }
+    }
+  },
+  {
+    name: 'Retries failed deliveries with exponential backoff',
+    run: async () => {
+      const receiver = await startReceiver(2);
+      const store = createStore();
+      const service = new WebhookService({ prisma: store, retryBaseMs: 20 });
+
+      try {
+        await service.createEndpoint('user_1', { url: receiver.url });
+        const [first] = await service.emit('user_1', 'refund.executed', { amount: 9 });
+
+        assert.equal(first.status, 'pending');
+        assert.equal(first.lastStatusCode, 500);
+        assert.equal(service.getRetryDelay(1), 20);
+        assert.equal(service.getRetryDelay(2), 40);
+        assert.equal(service.getRetryDelay(3), 80);
+
+        // Not due yet: nothing is retried
+        assert.equal(await service.processPendingDeliveries(), 0);
+
+        await sleep(30);
+        assert.equal(await service.processPendingDeliveries(), 1);
+        assert.equal(store.tables.webhookDelivery[0].attempts, 2);
+        assert.equal(store.tables.webhookDelivery[0].status, 'pending');
+
+        await sleep(50);
+        assert.equal(await service.processPendingDeliveries(), 1);
+        assert.equal(store.tables.webhookDelivery[0].status, 'delivered');
+        assert.equal(store.tables.webhookDelivery[0].attempts, 3);
+        assert.equal(receiver.received.length, 3);
+
+        // Every attempt carries the same event id
+        const eventIds = new Set(receiver.received.map(r => JSON.parse(r.body).id));
+        assert.equal(eventIds.size, 1);
+      } finally {
+        receiver.server.close();
+      }
+    }
+  },
+  {
+    name: 'Gives up after the maximum number of attempts',
+    run: async () => {
+      const receiver = await startReceiver(Infinity);
+      const store = createStore();
+      const service = new WebhookService({ prisma: store, retryBaseMs: 1, maxAttempts: 3 });
+
+      try {
+        await service.createEndpoint('user_1', { url: receiver.url });
+        await service.emit('user_1', 'outgoing_payment.failed', { id: 'op_1' });
+
+        for (let i = 0; i < 5; i++) {
+          await sleep(10);
+          await service.processPendingDeliveries();
+        }
+
+        assert.equal(store.tables.webhookDelivery[0].status, 'failed');
+        assert.equal(store.tables.webhookDelivery[0].attempts, 3);
+        assert.equal(store.tables.webhookDelivery[0].lastError, 'HTTP 500');
+        assert.equal(receiver.received.length, 3);
+      } finally {
+        receiver.server.close();
+      }
+    }
+  },
+  {
+    name: 'Only delivers subscribed events and never throws on unreachable endpoints',
+    run: async () => {
+      const receiver = await startReceiver();
+      const store = createStore();
+      const service = new WebhookService({ prisma: store, timeoutMs: 500 });
+
+      try {
+        await service.createEndpoint('user_1', { url: receiver.url, events: ['payment_request.created'] });
+        await service.createEndpoint('user_1', { url: 'http://127.0.0.1:1/unreachable', events: ['payment_request.paid'] });
+
+        assert.deepEqual(await service.emit('user_1', 'outgoing_payment.completed', {}), []);
+        assert.deepEqual(await service.emit('user_2', 'payment_request.created', {}), []);
+
+        const [created] = await service.emit('user_1', 'payment_request.created', { id: 'x402_2' });
+        assert.equal(created.status, 'delivered');
+
+        const [paid] = await service.emit('user_1', 'payment_request.paid', { id: 'x402_2' });
+        assert.equal(paid.status, 'pending');
+        assert.ok(paid.lastError);
+
+        assert.deepEqual(await service.emit('user_1', 'not.an.event', {}), []);
+        assert.equal(WEBHOOK_EVENTS.length, 6);
+      } finally {
+        receiver.server.close();
+      }
+    }
+  }
+];
+
+// 🧪 Test Runner
+async function runTests() {
+  console.log('\n🧪 AgenPay Webhook Test Suite\n==============================');
+  let passed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.run();
+      passed++;
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      console.error(`❌ ${test.name}\n`, error);
+    }
+  }
+
+  console.log(`\n📊 ${passed}/${tests.length} webhook tests passed`);
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+runTests();
@@ -1,412 +1,225 @@
 #!/usr/bin/env node
 
 /**
- * AgenPay AI Payment Processing Agent - Test Suite
- * Comprehensive testing for all agent functionality
+ * AgenPay Payment Extraction - Test Suite
+ * Checks the payment details the agent extracts from natural language, through the
+ * model's structured output (scripted here) and the offline regex fallback
+ * (no OpenAI key or network needed)
  */
 
-import { 
-  processPayment, 
-  startPaymentMonitoring, 
-  agentGraph, 
-  agentConfig 
-} from './agent.js';
+import assert from 'node:assert/strict';
+import { SystemMessage } from '@langchain/core/messages';
+import PaymentExtractor, { extractWithRegex, localDateTimeToUtc } from './lib/PaymentExtractor.js';
 
-console.log(`
-🧪 AgenPay AI Agent Test Suite
-==============================
-Testing all payment processing functionality
+// Monday 19 October 2026, 12:00 UTC
+const NOW = new Date('2026-10-19T12:00:00Z');
 
-🔧 Configuration Status:
-- OpenAI: ${agentConfig.openaiApiKey ? '✅ Configured' : '❌ Missing'}
-- X402Pay: ${agentConfig.x402payApiKey !== 'mock-api-key' ? '✅ Live' : '🧪 Mock'}
-- Email: ${agentConfig.emailUser !== 'test@example.com' ? '✅ Live' : '🧪 Mock'}
-- Notion: ${agentConfig.notionApiKey !== 'mock-notion-key' ? '✅ Live' : '🧪 Mock'}
-`);
-
-// 🎯 Test Cases
+// 🎯 Payment requests and what the offline extractor must find in them
 const testCases = [
   {
     name: 'Basic Payment Request',
     input: 'Create payment for $200 USD for web development, send to client@acmecorp.com',
-    expected: {
-      hasAmount: true,
-      hasCurrency: true,
-      hasEmail: true,
-      hasDescription: true,
-    }
+    expected: { amount: '200', currency: 'USDC', pricedIn: 'USD', recipientEmail: 'client@acmecorp.com', description: 'web development', transactionType: 'ask_payment' }
   },
   {
     name: 'Crypto Payment Request',
     input: 'Charge 0.15 ETH to john@doe.com for consulting services',
-    expected: {
-      hasAmount: true,
-      hasCurrency: true,
-      hasEmail: true,
-      hasDescription: true,
-    }
+    expected: { amount: '0.15', currency: 'ETH', pricedIn: null, recipientEmail: 'john@doe.com', description: 'consulting services' }
   },
   {
     name: 'Euro Payment Request',
     input: 'Bill startup@tech.com 500 EUR for monthly subscription',
-    expected: {
-      hasAmount: true,
-      hasCurrency: true,
-      hasEmail: true,
-      hasDescription: true,
-    }
+    expected: { amount: '500', currency: 'EURC', pricedIn: 'EUR', recipientEmail: 'startup@tech.com', description: 'monthly subscription', transactionType: 'subscription', billingInterval: 'monthly' }
   },
   {
     name: 'Minimal Payment Request',
     input: 'Send invoice to test@example.com for $100',
-    expected: {
-      hasAmount: true,
-      hasEmail: true,
-    }
+    expected: { amount: '100', currency: 'USDC', recipientEmail: 'test@example.com', description: 'Payment request', ambiguities: [] }
   },
   {
     name: 'Complex Payment Request',
     input: 'Please create a payment request for $1,250.50 USD to enterprise@bigcorp.com for Q1 2024 software development and API integration services',
-    expected: {
-      hasAmount: true,
-      hasCurrency: true,
-      hasEmail: true,
-      hasDescription: true,
-    }
+    expected: { amount: '1250.50', currency: 'USDC', recipientEmail: 'enterprise@bigcorp.com', description: 'Q1 2024 software development and API integration services', scheduleType: 'immediate' }
+  },
+  {
+    name: 'Named Recipient',
+    input: 'Remember that I need to charge Acme Corp $500',
+    expected: { amount: '500', recipientName: 'Acme Corp' }
+  },
+  {
+    name: 'Refund With Fee',
+    input: 'Ask john@doe.com for 50 USDC for the deposit and refund it in 2 weeks, keeping a 10% fee',
+    expected: { amount: '50', transactionType: 'ask_and_refund', refundDelayDays: 14, refundPercentage: 90, scheduleType: 'immediate' }
   }
 ];
 
-// 🧪 Test Runner
-async function runTests() {
-  let passed = 0;
-  let failed = 0;
-  
-  console.log('🚀 Starting Payment Processing Tests...\n');
-  
-  for (const [index, testCase] of testCases.entries()) {
-    try {
-      console.log(`📝 Test ${index + 1}: ${testCase.name}`);
-      console.log(`Input: "${testCase.input}"`);
-      
-      const startTime = Date.now();
-      const result = await processPayment(testCase.input, `test-thread-${index}`);
-      const endTime = Date.now();
-      
-      console.log(`⏱️  Execution time: ${endTime - startTime}ms`);
-      
-      // Basic validation
-      if (result && result.messages && result.messages.length > 0) {
-        console.log('✅ Test passed: Agent processed request successfully');
-        console.log(`📊 Messages generated: ${result.messages.length}`);
-        
-        // Log tool calls if any
-        const lastMessage = result.messages[result.messages.length - 1];
-        if (lastMessage.tool_calls && lastMessage.tool_calls.length > 0) {
-          console.log(`🔧 Tools called: ${lastMessage.tool_calls.map(tc => tc.name).join(', ')}`);
+// 🛡️ Requests the agent has to ask back about instead of guessing
+const ambiguousCases = [
+  { name: 'Empty Input', input: '', asks: [/How much/, /Who should receive/] },
+  { name: 'Invalid Email', input: 'Send payment to invalid-email for $100', asks: [/Who should receive/] },
+  { name: 'No Amount', input: 'Send payment to test@example.com for services', asks: [/How much/] },
+  { name: 'No Currency', input: 'Charge bob@example.com 75 for design', asks: [/No currency was given: should it be USDC/] },
+  { name: 'Fiat Without Stablecoin', input: 'Invoice ann@example.com £40 for tickets', asks: [/in GBP, which has no stablecoin/] },
+  { name: 'Malformed Request', input: 'asdf jkl qwerty uiop', asks: [/How much/] }
+];
+
+// 🤖 Chat model stand-in whose structured output is scripted
+function createScriptedModel(respond) {
+  const calls = [];
+  return {
+    calls,
+    withStructuredOutput: (schema, options) => ({
+      invoke: async messages => {
+        calls.push({ schema, options, messages });
+        return respond(messages);
+      },
+    }),
+  };
+}
+
+const modelOutput = overrides => ({
+  amount: '200',
+  currency: 'USD',
+  recipientEmail: 'alice@example.com',
+  recipientName: 'Alice',
+  recipientAddress: null,
+  description: 'logo design',
+  transactionType: 'ask_payment',
+  billingInterval: null,
+  refundDelayDays: null,
+  refundPercentage: null,
+  scheduledLocalDate: null,
+  scheduledLocalTime: null,
+  ambiguities: [],
+  ...overrides,
+});
+
+const tests = [
+  ...testCases.map(testCase => ({
+    name: `Regex fallback: ${testCase.name}`,
+    run: async () => {
+      const result = await new PaymentExtractor().extract(testCase.input, { now: NOW });
+      assert.equal(result.extractedBy, 'regex');
+      for (const [field, value] of Object.entries(testCase.expected)) {
+        assert.deepEqual(result[field], value, `${field} of "${testCase.input}"`);
+      }
+    }
+  })),
+  {
+    name: 'Regex fallback: unclear requests come back with questions to ask',
+    run: async () => {
+      for (const testCase of ambiguousCases) {
+        const result = await new PaymentExtractor().extract(testCase.input, { now: NOW });
+        for (const ask of testCase.asks) {
+          assert.ok(result.ambiguities.some(question => ask.test(question)), `${testCase.name}: expected ${ask} in ${JSON.stringify(result.ambiguities)}`);
         }
-        
-        passed++;
-      } else {
-        console.log('❌ Test failed: No valid response from agent');
-        failed++;
       }
-      
-    } catch (error) {
-      console.log(`❌ Test failed: ${error.message}`);
-      failed++;
     }
-    
-    console.log('─'.repeat(60) + '\n');
-  }
-  
-  return { passed, failed };
-}
+  },
+  {
+    name: "Regex fallback: relative dates resolve in the user's timezone",
+    run: async () => {
+      const extractor = new PaymentExtractor();
 
-// 🔍 Individual Tool Tests
-async function testIndividualTools() {
-  console.log('🔧 Testing Individual Tools...\n');
-  
-  try {
-    // Test 1: Extract Payment Details
-    console.log('🔍 Testing extractPaymentDetails...');
-    const extractResult = await agentGraph.invoke({
-      messages: [{ role: 'user', content: 'Extract payment details from: Charge $150 to john@email.com for consulting' }],
-    }, { configurable: { thread_id: 'tool-test-1' } });
-    
-    console.log('✅ extractPaymentDetails test completed');
-    
-    // Test 2: Create Payment Link
-    console.log('💳 Testing createPaymentLink...');
-    const linkResult = await agentGraph.invoke({
-      messages: [{ role: 'user', content: 'Create payment link for $200 USD for web development' }],
-    }, { configurable: { thread_id: 'tool-test-2' } });
-    
-    console.log('✅ createPaymentLink test completed');
-    
-    // Test 3: Send Email
-    console.log('📧 Testing sendEmail...');
-    const emailResult = await agentGraph.invoke({
-      messages: [{ role: 'user', content: 'Send payment email to test@example.com for $100 USD' }],
-    }, { configurable: { thread_id: 'tool-test-3' } });
-    
-    console.log('✅ sendEmail test completed');
-    
-    // Test 4: Check Notion Database
-    console.log('🗃️ Testing checkNotionDatabase...');
-    const notionResult = await agentGraph.invoke({
-      messages: [{ role: 'user', content: 'Check Notion database for scheduled payments' }],
-    }, { configurable: { thread_id: 'tool-test-4' } });
-    
-    console.log('✅ checkNotionDatabase test completed');
-    
-    return true;
-    
-  } catch (error) {
-    console.log(`❌ Tool test failed: ${error.message}`);
-    return false;
-  }
-}
+      const friday = await extractor.extract('Schedule a $50 request to ann@example.com for next Friday', { timeZone: 'America/New_York', now: NOW });
+      assert.equal(friday.scheduleType, 'scheduled');
+      assert.equal(friday.scheduledDate, '2026-10-23T13:00:00.000Z');
+      assert.equal(friday.timeZone, 'America/New_York');
 
-// 🔄 Memory Persistence Test
-async function testMemoryPersistence() {
-  console.log('🧠 Testing Memory Persistence...\n');
-  
-  try {
-    const threadId = 'memory-test-thread';
-    
-    // First message
-    console.log('📝 Sending first message...');
-    await processPayment('Remember that I need to charge Acme Corp $500', threadId);
-    
-    // Second message referencing the first
-    console.log('📝 Sending follow-up message...');
-    const result = await processPayment('Create the payment link for that amount', threadId);
-    
-    console.log('✅ Memory persistence test completed');
-    console.log(`📊 Final state messages: ${result.messages.length}`);
-    
-    return true;
-    
-  } catch (error) {
-    console.log(`❌ Memory test failed: ${error.message}`);
-    return false;
-  }
-}
+      // Already Tuesday in Auckland, so tomorrow is Wednesday there
+      const tomorrow = await extractor.extract('Bill ann@example.com $50 tomorrow at 3pm', { timeZone: 'Pacific/Auckland', now: NOW });
+      assert.equal(tomorrow.scheduledDate, '2026-10-21T02:00:00.000Z');
 
-// 📡 Monitoring Test (Brief)
-async function testMonitoring() {
-  console.log('📡 Testing Payment Monitoring...\n');
-  
-  try {
-    console.log('🔄 Starting brief monitoring test (10 seconds)...');
-    
-    // Start monitoring for 10 seconds
-    const intervalId = await startPaymentMonitoring(agentConfig.notionDatabaseId, 0.1); // 6 seconds
-    
-    // Stop after 10 seconds
-    setTimeout(() => {
-      clearInterval(intervalId);
-      console.log('✅ Monitoring test completed');
-    }, 10000);
-    
-    return true;
-    
-  } catch (error) {
-    console.log(`❌ Monitoring test failed: ${error.message}`);
-    return false;
-  }
-}
+      const inDays = extractWithRegex('charge $5 in 3 days', { timeZone: 'UTC', now: NOW });
+      assert.equal(inDays.scheduledLocalDate, '2026-10-22');
 
-// 📊 Performance Test
-async function testPerformance() {
-  console.log('⚡ Testing Performance...\n');
-  
-  const iterations = 3;
-  const times = [];
-  
-  for (let i = 0; i < iterations; i++) {
-    try {
-      const startTime = Date.now();
-      await processPayment(`Performance test ${i + 1}: Charge $${100 + i * 50} to test${i}@example.com`, `perf-test-${i}`);
-      const endTime = Date.now();
-      
-      const executionTime = endTime - startTime;
-      times.push(executionTime);
-      console.log(`⏱️  Iteration ${i + 1}: ${executionTime}ms`);
-      
-    } catch (error) {
-      console.log(`❌ Performance test ${i + 1} failed: ${error.message}`);
+      // Unknown timezones fall back to UTC
+      assert.equal((await extractor.extract('$5 to ann@example.com on 2026-11-02', { timeZone: 'Mars/Olympus', now: NOW })).scheduledDate, '2026-11-02T09:00:00.000Z');
     }
-  }
-  
-  if (times.length > 0) {
-    const avgTime = times.reduce((a, b) => a + b, 0) / times.length;
-    const minTime = Math.min(...times);
-    const maxTime = Math.max(...times);
-    
-    console.log(`📊 Performance Results:`);
-    console.log(`   Average: ${avgTime.toFixed(0)}ms`);
-    console.log(`   Min: ${minTime}ms`);
-    console.log(`   Max: ${maxTime}ms`);
-    console.log('✅ Performance test completed');
-  }
-  
-  return true;
-}
-
-// 🎯 Error Handling Test
-async function testErrorHandling() {
-  console.log('🛡️ Testing Error Handling...\n');
-  
-  const errorTests = [
-    {
-      name: 'Empty Input',
-      input: '',
-    },
-    {
-      name: 'Invalid Email',
-      input: 'Send payment to invalid-email for $100',
-    },
-    {
-      name: 'No Amount',
-      input: 'Send payment to test@example.com for services',
-    },
-    {
-      name: 'Malformed Request',
-      input: 'asdf jkl qwerty uiop',
+  },
+  {
+    name: 'Local times convert to UTC across daylight saving changes',
+    run: async () => {
+      assert.equal(localDateTimeToUtc('2026-10-30', '09:00', 'America/New_York').toISOString(), '2026-10-30T13:00:00.000Z');
+      assert.equal(localDateTimeToUtc('2026-11-02', '09:00', 'America/New_York').toISOString(), '2026-11-02T14:00:00.000Z');
+      assert.equal(localDateTimeToUtc('2026-10-19', null, 'UTC').toISOString(), '2026-10-19T09:00:00.000Z');
     }
-  ];
-  
-  let errorHandled = 0;
-  
-  for (const test of errorTests) {
-    try {
-      console.log(`🧪 Testing: ${test.name}`);
-      const result = await processPayment(test.input, `error-test-${errorHandled}`);
-      
-      // Even with invalid inputs, the agent should handle gracefully
-      if (result && result.messages) {
-        console.log('✅ Error handled gracefully');
-        errorHandled++;
-      } else {
-        console.log('⚠️  Unexpected behavior');
-      }
-      
-    } catch (error) {
-      console.log(`✅ Error caught properly: ${error.message}`);
-      errorHandled++;
+  },
+  {
+    name: 'Structured output is used when a model is available',
+    run: async () => {
+      const llm = createScriptedModel(() => modelOutput({
+        scheduledLocalDate: '2026-10-23',
+        scheduledLocalTime: '17:30',
+        ambiguities: ['Should the invoice include VAT?'],
+      }));
+      const extractor = new PaymentExtractor({ llm });
+
+      const result = await extractor.extract('Invoice Alice $200 for logo design next Friday at 5:30pm', { timeZone: 'Europe/Paris', now: NOW });
+      assert.equal(result.extractedBy, 'model');
+      assert.equal(result.amount, '200');
+      assert.equal(result.currency, 'USDC');
+      assert.equal(result.pricedIn, 'USD');
+      assert.equal(result.recipientName, 'Alice');
+      assert.equal(result.scheduledDate, '2026-10-23T15:30:00.000Z');
+      assert.deepEqual(result.ambiguities, ['Should the invoice include VAT?']);
+
+      // The model is told today's date in the user's timezone
+      const [call] = llm.calls;
+      assert.equal(call.options.name, 'payment_details');
+      const system = call.messages.find(message => message instanceof SystemMessage);
+      assert.match(system.content, /Monday 2026-10-19/);
+      assert.match(system.content, /Europe\/Paris/);
+    }
+  },
+  {
+    name: 'Model fields are still checked before they are trusted',
+    run: async () => {
+      const llm = createScriptedModel(() => modelOutput({ amount: '-3', recipientEmail: 'not-an-email', scheduledLocalDate: '2026-10-01' }));
+      const result = await new PaymentExtractor({ llm }).extract('whatever', { now: NOW });
+
+      assert.equal(result.extractedBy, 'model');
+      assert.equal(result.amount, null);
+      assert.equal(result.recipientEmail, null);
+      assert.equal(result.scheduledDate, null);
+      assert.equal(result.ambiguities.length, 3);
+    }
+  },
+  {
+    name: 'Falls back to regex when the model fails or returns the wrong shape',
+    run: async () => {
+      const input = 'Charge 0.15 ETH to john@doe.com for consulting services';
+
+      const failing = createScriptedModel(() => { throw new Error('401 Incorrect API key'); });
+      const offline = await new PaymentExtractor({ llm: failing }).extract(input, { now: NOW });
+      assert.equal(offline.extractedBy, 'regex');
+      assert.equal(offline.amount, '0.15');
+
+      const malformed = createScriptedModel(() => ({ amount: 0.15 }));
+      const fallback = await new PaymentExtractor({ llm: malformed }).extract(input, { now: NOW });
+      assert.equal(fallback.extractedBy, 'regex');
+      assert.equal(fallback.currency, 'ETH');
     }
   }
-  
-  console.log(`📊 Error handling results: ${errorHandled}/${errorTests.length} handled properly`);
-  return errorHandled === errorTests.length;
-}
-
-// 🎮 Main Test Runner
-async function main() {
-  console.log('🎯 Running Complete Test Suite...\n');
-  
-  const testResults = {
-    paymentProcessing: { passed: 0, failed: 0 },
-    individualTools: false,
-    memoryPersistence: false,
-    monitoring: false,
-    performance: false,
-    errorHandling: false,
-  };
-  
-  try {
-    // 1. Payment Processing Tests
-    console.log('=' .repeat(60));
-    console.log('🎯 PAYMENT PROCESSING TESTS');
-    console.log('=' .repeat(60));
-    testResults.paymentProcessing = await runTests();
-    
-    // 2. Individual Tool Tests
-    console.log('\n' + '=' .repeat(60));
-    console.log('🔧 INDIVIDUAL TOOL TESTS');
-    console.log('=' .repeat(60));
-    testResults.individualTools = await testIndividualTools();
-    
-    // 3. Memory Persistence Test
-    console.log('\n' + '=' .repeat(60));
-    console.log('🧠 MEMORY PERSISTENCE TEST');
-    console.log('=' .repeat(60));
-    testResults.memoryPersistence = await testMemoryPersistence();
-    
-    // 4. Performance Test
-    console.log('\n' + '=' .repeat(60));
-    console.log('⚡ PERFORMANCE TEST');
-    console.log('=' .repeat(60));
-    testResults.performance = await testPerformance();
-    
-    // 5. Error Handling Test
-    console.log('\n' + '=' .repeat(60));
-    console.log('🛡️ ERROR HANDLING TEST');
-    console.log('=' .repeat(60));
-    testResults.errorHandling = await testErrorHandling();
-    
-    // 6. Monitoring Test (optional, commented out to avoid long running)
-    // console.log('\n' + '=' .repeat(60));
-    // console.log('📡 MONITORING TEST');
-    // console.log('=' .repeat(60));
-    // testResults.monitoring = await testMonitoring();
-    
-  } catch (error) {
-    console.error('❌ Test suite failed:', error);
-  }
-  
-  // 📊 Final Results
-  console.log('\n' + '=' .repeat(60));
-  console.log('📊 FINAL TEST RESULTS');
-  console.log('=' .repeat(60));
-  
-  const { passed, failed } = testResults.paymentProcessing;
-  const total = passed + failed;
-  const successRate = total > 0 ? (passed / total * 100).toFixed(1) : 0;
-  
-  console.log(`🎯 Payment Processing: ${passed}/${total} passed (${successRate}%)`);
-  console.log(`🔧 Individual Tools: ${testResults.individualTools ? '✅ Passed' : '❌ Failed'}`);
-  console.log(`🧠 Memory Persistence: ${testResults.memoryPersistence ? '✅ Passed' : '❌ Failed'}`);
-  console.log(`⚡ Performance: ${testResults.performance ? '✅ Passed' : '❌ Failed'}`);
-  console.log(`🛡️ Error Handling: ${testResults.errorHandling ? '✅ Passed' : '❌ Failed'}`);
-  console.log(`📡 Monitoring: ${testResults.monitoring ? '✅ Passed' : '⏭️ Skipped'}`);
-  
-  const overallPassed = passed > 0 && 
-                       testResults.individualTools && 
-                       testResults.memoryPersistence && 
-                       testResults.performance && 
-                       testResults.errorHandling;
-  
-  console.log(`\n🏆 Overall Result: ${overallPassed ? '✅ PASSED' : '❌ FAILED'}`);
-  
-  if (overallPassed) {
-    console.log(`
-🎉 All tests passed! Your AgenPay AI Agent is ready for production.
+];
 
-🚀 Next steps:
-1. Add real API keys to .env file
-2. Deploy to your production environment
-3. Set up monitoring and alerts
-4. Configure Notion database schema
-    `);
-  } else {
-    console.log(`
-⚠️  Some tests failed. Please review the logs above and fix any issues.
+// 🧪 Test Runner
+async function runTests() {
+  console.log('\n🧪 AgenPay Payment Extraction Test Suite\n========================================');
+  let passed = 0;
 
-🔧 Common fixes:
-1. Check OpenAI API key and quota
-2. Verify network connectivity
-3. Review error messages for specific issues
-    `);
+  for (const test of tests) {
+    try {
+      await test.run();
+      passed++;
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      console.error(`❌ ${test.name}\n`, error);
+    }
   }
-  
-  process.exit(overallPassed ? 0 : 1);
-}
 
-// 🚀 Run tests if called directly
-if (import.meta.url === `file://${process.argv[1]}`) {
-  main().catch(console.error);
+  console.log(`\n📊 ${passed}/${tests.length} extraction tests passed`);
+  process.exit(passed === tests.length ? 0 : 1);
 }
 
-export { runTests, testIndividualTools, testMemoryPersistence, testPerformance, testErrorHandling }; 
\ No newline at end of file
+runTests();
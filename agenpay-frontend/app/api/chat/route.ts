@@ -26,8 +26,8 @@ export async function POST(req: NextRequest) {
       )
     }
 
-    // Proxy the request to the backend
-    const response = await fetch(`${API_BASE_URL}/api/agent/process`, {
+    // Proxy the request to the backend's streaming endpoint
+    const response = await fetch(`${API_BASE_URL}/api/agent/process/stream`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -38,22 +38,24 @@ export async function POST(req: NextRequest) {
         // Extract threadId from previous messages if available
         threadId: messages.find((m: { threadId?: string }) => m.threadId)?.threadId
       }),
+      signal: req.signal,
     })
 
-    if (!response.ok) {
-      const errorData = await response.json()
+    if (!response.ok || !response.body) {
+      const errorData = await response.json().catch(() => ({}))
       return NextResponse.json(
         { error: errorData.error || 'Backend request failed' },
         { status: response.status }
       )
     }
 
-    const data = await response.json()
-    
-    return NextResponse.json({
-      success: true,
-      response: data.data?.response || 'No response from agent',
-      threadId: data.data?.threadId
+    // Pass the Server-Sent Events through as they arrive
+    return new Response(response.body, {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+      },
     })
     
   } catch (error) {
@@ -2,7 +2,7 @@
 
 import { useState, useEffect } from "react"
 import { useAuth } from "@/lib/auth-context"
-import { authService } from "@/lib/auth"
+import { authService, type AgentStreamEvent } from "@/lib/auth"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
 import { Card, CardContent } from "@/components/ui/card"
@@ -37,6 +37,17 @@ interface DashboardData {
   wallet?: {
     address: string
     balance: {
+      network: string
+      tokens: Array<{
+        symbol: string
+        name: string
+        contractAddress: string | null
+        decimals: number
+        amount: string
+        priceUsd: number | null
+        valueUsd: string | null
+      }>
+      totalUsd: string
       ETH: string
       USD: string
     }
@@ -57,8 +68,8 @@ interface DashboardData {
     description?: string
   }>
   analytics: {
-    totalSent: number
-    totalReceived: number
+    totalSent: string
+    totalReceived: string
     totalTransactions: number
     successRate: number
   }
@@ -75,6 +86,8 @@ export default function Dashboard() {
     role: 'user' | 'assistant'
     content: string
     timestamp: Date
+    tools?: Array<{ id: string; name: string; status: 'running' | 'done' | 'failed' }>
+    approval?: { id: string; status: 'pending' | 'deciding' | 'decided' }
   }>>([])
   const [chatThreadId, setChatThreadId] = useState<string | undefined>(undefined)
 
@@ -121,30 +134,72 @@ export default function Dashboard() {
       timestamp: new Date()
     }])
 
+    // Assistant reply is filled in live as the agent streams tokens and tool calls
+    setChatHistory(prev => [...prev, {
+      role: 'assistant',
+      content: '',
+      timestamp: new Date(),
+      tools: []
+    }])
+
+    const updateReply = (update: (reply: typeof chatHistory[number]) => typeof chatHistory[number]) => {
+      setChatHistory(prev => [...prev.slice(0, -1), update(prev[prev.length - 1])])
+    }
+
+    const handleStreamEvent = (event: AgentStreamEvent) => {
+      switch (event.type) {
+        case 'start':
+          setChatThreadId(event.threadId)
+          break
+        case 'token':
+          updateReply(reply => ({ ...reply, content: reply.content + event.content }))
+          break
+        case 'tool_start':
+          updateReply(reply => ({
+            ...reply,
+            // Text before a tool call is the model thinking aloud; the final answer follows the tools
+            content: '',
+            tools: [...(reply.tools || []), { id: event.id, name: event.name, status: 'running' }]
+          }))
+          break
+        case 'tool_end':
+          updateReply(reply => ({
+            ...reply,
+            tools: (reply.tools || []).map(tool =>
+              tool.id === event.id ? { ...tool, status: event.success ? 'done' : 'failed' } : tool
+            )
+          }))
+          break
+        case 'approval_required':
+          updateReply(reply => ({ ...reply, approval: { id: event.approvalId, status: 'pending' } }))
+          break
+        case 'done':
+          updateReply(reply => ({ ...reply, content: event.response, timestamp: new Date() }))
+          break
+      }
+    }
+
     try {
-      const response = await authService.processPayment(
-        userMessage, 
-        chatThreadId || dashboardData?.agent.threadId
+      const response = await authService.streamChat(
+        userMessage,
+        chatThreadId || dashboardData?.agent.threadId,
+        handleStreamEvent
       )
 
       if (response.success && response.data) {
-        const data = response.data as { response: string; threadId?: string }
-        
         // Store threadId for conversation continuity
-        if (data.threadId) {
-          setChatThreadId(data.threadId)
-          console.log('💬 Updated chat threadId:', data.threadId)
+        if (response.data.threadId) {
+          setChatThreadId(response.data.threadId)
+          console.log('💬 Updated chat threadId:', response.data.threadId)
         }
-        
-        // Add AI response to history
-        setChatHistory(prev => [...prev, {
-          role: 'assistant',
-          content: data.response,
-          timestamp: new Date()
-        }])
 
         // No need to refresh dashboard for chat - it's just a conversation!
       } else {
+        // Drop the unfinished reply
+        setChatHistory(prev => {
+          const reply = prev[prev.length - 1]
+          return reply?.role === 'assistant' && !reply.content && !reply.tools?.length ? prev.slice(0, -1) : prev
+        })
         setError(response.error || "Failed to process message")
       }
     } catch (err) {
@@ -155,6 +210,33 @@ export default function Dashboard() {
     }
   }
 
+  // Approve or reject an agent action that is waiting on the user
+  const handleApprovalDecision = async (approvalId: string, decision: 'approve' | 'reject') => {
+    const setApprovalStatus = (status: 'pending' | 'deciding' | 'decided') => {
+      setChatHistory(prev => prev.map(msg =>
+        msg.approval?.id === approvalId ? { ...msg, approval: { id: approvalId, status } } : msg
+      ))
+    }
+
+    setError("")
+    setApprovalStatus('deciding')
+    const response = await authService.decideApproval(approvalId, decision)
+
+    if (response.success) {
+      setApprovalStatus('decided')
+      if (response.data?.response) {
+        setChatHistory(prev => [...prev, {
+          role: 'assistant',
+          content: response.data!.response!,
+          timestamp: new Date()
+        }])
+      }
+    } else {
+      setApprovalStatus('pending')
+      setError(response.error || `Failed to ${decision} action`)
+    }
+  }
+
   // Handle agent start/stop
   const handleAgentToggle = async () => {
     try {
@@ -317,13 +399,27 @@ export default function Dashboard() {
               </Button>
             </div>
             <div className="space-y-2">
+              {(dashboardData.wallet.balance.tokens?.length ?? 0) > 0 ? (
+                dashboardData.wallet.balance.tokens.map((token) => (
+                  <div key={token.contractAddress ?? token.symbol} className="flex items-center justify-between">
+                    <span className="text-sm text-gray-600">{token.symbol}</span>
+                    <span className="text-sm font-mono">
+                      {token.amount}
+                      {token.valueUsd !== null && (
+                        <span className="text-xs text-gray-500 ml-1">(${token.valueUsd})</span>
+                      )}
+                    </span>
+                  </div>
+                ))
+              ) : (
+                <div className="flex items-center justify-between">
+                  <span className="text-sm text-gray-600">ETH</span>
+                  <span className="text-sm font-mono">{dashboardData.wallet.balance.ETH}</span>
+                </div>
+              )}
               <div className="flex items-center justify-between">
-                <span className="text-sm text-gray-600">ETH</span>
-                <span className="text-sm font-mono">{dashboardData.wallet.balance.ETH}</span>
-              </div>
-              <div className="flex items-center justify-between">
-                <span className="text-sm text-gray-600">USD</span>
-                <span className="text-sm font-mono">${dashboardData.wallet.balance.USD}</span>
+                <span className="text-sm text-gray-600">Total (USD)</span>
+                <span className="text-sm font-mono">${dashboardData.wallet.balance.totalUsd ?? dashboardData.wallet.balance.USD}</span>
               </div>
               <div className="text-xs text-gray-500 truncate">
                 {dashboardData.wallet.address}
@@ -466,7 +562,40 @@ export default function Dashboard() {
                       : "bg-white border border-gray-200"
                   }`}
                 >
-                  <div className="whitespace-pre-wrap">{msg.content}</div>
+                  {msg.tools && msg.tools.length > 0 && (
+                    <div className="flex flex-wrap gap-2 mb-2">
+                      {msg.tools.map(tool => (
+                        <Badge
+                          key={tool.id}
+                          variant={tool.status === 'failed' ? 'destructive' : 'secondary'}
+                          className="font-mono text-xs"
+                        >
+                          {tool.status === 'running' && <RefreshCw className="h-3 w-3 mr-1 animate-spin" />}
+                          {tool.name} {tool.status === 'done' ? '✓' : tool.status === 'failed' ? '✗' : ''}
+                        </Badge>
+                      ))}
+                    </div>
+                  )}
+                  {msg.content && <div className="whitespace-pre-wrap">{msg.content}</div>}
+                  {msg.approval && msg.approval.status !== 'decided' && (
+                    <div className="flex space-x-2 mt-2">
+                      <Button
+                        size="sm"
+                        disabled={msg.approval.status === 'deciding'}
+                        onClick={() => handleApprovalDecision(msg.approval!.id, 'approve')}
+                      >
+                        Approve
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        disabled={msg.approval.status === 'deciding'}
+                        onClick={() => handleApprovalDecision(msg.approval!.id, 'reject')}
+                      >
+                        Reject
+                      </Button>
+                    </div>
+                  )}
                   <div className={`text-xs mt-2 ${
                     msg.role === "user" ? "text-blue-100" : "text-gray-500"
                   }`}>
@@ -476,7 +605,7 @@ export default function Dashboard() {
               </div>
             ))}
 
-            {isProcessing && (
+            {isProcessing && !chatHistory[chatHistory.length - 1]?.content && !chatHistory[chatHistory.length - 1]?.tools?.length && (
               <div className="flex justify-start">
                 <div className="bg-white border border-gray-200 rounded-lg px-4 py-2">
                   <div className="flex items-center space-x-2">
@@ -26,6 +26,15 @@ export interface NotionOAuthResponse {
   error?: string
 }
 
+export type AgentStreamEvent =
+  | { type: 'start'; threadId: string }
+  | { type: 'token'; content: string }
+  | { type: 'tool_start'; id: string; name: string }
+  | { type: 'tool_end'; id: string; name: string; success: boolean }
+  | { type: 'approval_required'; approvalId: string; reason: string; amountUsd: number | null; expiresAt: string; message: string }
+  | { type: 'done'; response: string; threadId: string }
+  | { type: 'error'; error: string }
+
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'
 
 class AuthService {
@@ -128,7 +137,8 @@ class AuthService {
     try {
       const response = await this.request<AuthResponse>('/api/auth/register', {
         method: 'POST',
-        body: JSON.stringify({ email, password, name }),
+        // The agent resolves dates like "next Friday" in this timezone
+        body: JSON.stringify({ email, password, name, timezone: Intl.DateTimeFormat().resolvedOptions().timeZone }),
       })
 
       if (response.success && response.token) {
@@ -314,6 +324,75 @@ class AuthService {
     }
   }
 
+  async streamChat(
+    message: string,
+    threadId: string | undefined,
+    onEvent: (event: AgentStreamEvent) => void
+  ): Promise<ApiResponse<{ response: string; threadId?: string }>> {
+    this.initializeToken()
+
+    try {
+      // Goes through the Next.js chat route, which relays the backend's Server-Sent Events
+      const response = await fetch('/api/chat', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.token && { Authorization: `Bearer ${this.token}` }),
+        },
+        body: JSON.stringify({ messages: [{ role: 'user', content: message, threadId }] }),
+      })
+
+      if (!response.ok || !response.body) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || `HTTP error! status: ${response.status}`)
+      }
+
+      const reader = response.body.getReader()
+      const decoder = new TextDecoder()
+      let buffer = ''
+      let result: ApiResponse<{ response: string; threadId?: string }> = {
+        success: false,
+        error: 'Stream ended before the agent finished',
+      }
+
+      while (true) {
+        const { done, value } = await reader.read()
+        if (done) break
+
+        buffer += decoder.decode(value, { stream: true })
+        const frames = buffer.split('\n\n')
+        buffer = frames.pop() || ''
+
+        for (const frame of frames) {
+          let type = 'message'
+          let data = ''
+          for (const line of frame.split('\n')) {
+            if (line.startsWith('event:')) type = line.slice(6).trim()
+            else if (line.startsWith('data:')) data += line.slice(5).trim()
+          }
+          if (!data) continue // keep-alive comment
+
+          const event = { type, ...JSON.parse(data) } as AgentStreamEvent
+          onEvent(event)
+
+          if (event.type === 'done') {
+            result = { success: true, data: { response: event.response, threadId: event.threadId } }
+          } else if (event.type === 'error') {
+            result = { success: false, error: event.error }
+          }
+        }
+      }
+
+      return result
+    } catch (error) {
+      console.error('Agent stream failed', error)
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Payment processing failed',
+      }
+    }
+  }
+
   async getAgentStatus(): Promise<ApiResponse> {
     try {
       const response = await this.request<ApiResponse>('/api/agent/status')
@@ -343,6 +422,21 @@ class AuthService {
     }
   }
 
+  async decideApproval(approvalId: string, decision: 'approve' | 'reject'): Promise<ApiResponse<{ response: string | null; threadId: string }>> {
+    try {
+      const response = await this.request<ApiResponse<{ response: string | null; threadId: string }>>(`/api/approvals/${approvalId}/${decision}`, {
+        method: 'POST',
+      })
+
+      return response
+    } catch (error) {
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : `Failed to ${decision} action`,
+      }
+    }
+  }
+
   async sendCrypto(toAddress: string, amount: string, currency: string = 'ETH'): Promise<ApiResponse> {
     try {
       const response = await this.request<ApiResponse>('/api/wallet/send', {